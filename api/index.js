@@ -1,8 +1,14 @@
 /**
  * Vercel Serverless Entry Point
  * Wraps the Express app for Vercel's serverless environment
+ * Sessions are signed tokens (AUTH_SECRET) and users come from AUTH_USERS / AUTH_OWNER_*,
+ * so login works on every instance. DATA_DIR defaults to the instance's temp dir: goals,
+ * campaigns, templates, schedules and the audit log saved here are not shared between instances
  */
 
 import app from '../src/server.js';
+import { storageConfig } from '../src/config/storage.js';
+
+console.log(`⚠️  DATA_DIR (${storageConfig.dataDir}) is local to this instance and is lost on cold starts`);
 
 export default app;
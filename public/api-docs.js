@@ -0,0 +1,19 @@
+// Documentación interactiva de la API (Swagger UI servido desde /vendor/swagger-ui)
+// La especificación exige sesión: se usa la cookie del dashboard o un token Bearer en "Authorize"
+window.ui = SwaggerUIBundle({
+    url: '/api/openapi.json',
+    dom_id: '#swagger-ui',
+    deepLinking: true,
+    persistAuthorization: true,
+    tryItOutEnabled: true,
+    requestInterceptor: request => {
+        request.credentials = 'same-origin';
+        return request;
+    },
+    responseInterceptor: response => {
+        if (response.url.endsWith('/api/openapi.json') && response.status === 401) {
+            document.getElementById('docs-notice').style.display = 'block';
+        }
+        return response;
+    }
+});
@@ -4,10 +4,28 @@
 
 // ============ GLOBALS ============
 const API_BASE = '';
+const MONTH_NAMES = [
+    'Enero', 'Febrero', 'Marzo', 'Abril', 'Mayo', 'Junio',
+    'Julio', 'Agosto', 'Septiembre', 'Octubre', 'Noviembre', 'Diciembre'
+];
 let currentSection = 'dashboard';
 let currentFilters = { startDate: null, endDate: null, year: 2026 };
 let weeklyScheduleData = null;
 let dormantPagination = { page: 1, pageSize: 20, totalPages: 1 };
+let dormantClients = [];
+let topBuyers = [];
+let churnClients = [];
+let expiringClients = [];
+let segmentState = { segment: null, label: '', page: 1, pageSize: 20, totalPages: 1, clients: [] };
+let coachState = { coachId: null, dormantClients: [] };
+let goalState = { editing: null, goals: [] };
+let jobOptions = { periods: {}, sections: {}, privacyModes: {}, defaultPrivacy: 'full' };
+let emailOptions = { enabled: false, recipients: [] };
+let campaignState = { campaignId: null, campaign: null };
+let templateState = { editing: null, templates: [], channels: {}, clients: [] };
+let authState = { user: null };
+const PRIVACY_STORAGE_KEY = 'rage_privacy_mode';
+let userState = { editing: null, users: [], roles: {}, permissions: {} };
 
 // ============ INITIALIZATION ============
 document.addEventListener('DOMContentLoaded', () => {
@@ -16,15 +34,34 @@ document.addEventListener('DOMContentLoaded', () => {
 
 async function initializeApp() {
     updateCurrentDate();
+    setupLogin();
+
+    const me = await apiGet('/api/auth/me');
+    if (!me.success) {
+        showLogin();
+        return;
+    }
+    startSession(me.data);
+    setupPrivacy();
+
     initializeDateFilters();
     setupNavigation();
     setupFilters();
     setupCompare();
     setupDormant();
+    setupSegments();
+    setupCoaches();
+    setupGoals();
+    setupSchedules();
+    setupCampaigns();
+    setupTemplates();
+    setupUsers();
+    setupAudit();
+    setupExports();
     setupModal();
     setupMobileMenu();
     await loadDashboardData();
-    await loadReports();
+    if (can('reports')) await loadReports();
 }
 
 function updateCurrentDate() {
@@ -58,6 +95,95 @@ function formatDateForInput(date) {
     return date.toISOString().split('T')[0];
 }
 
+// ============ SESSION ============
+function setupLogin() {
+    document.getElementById('login-form').addEventListener('submit', login);
+    document.getElementById('logout-btn').addEventListener('click', logout);
+}
+
+function showLogin() {
+    document.getElementById('login-screen').classList.add('active');
+    document.getElementById('login-username').focus();
+}
+
+async function login(e) {
+    e.preventDefault();
+    const errorEl = document.getElementById('login-error');
+    errorEl.textContent = '';
+
+    try {
+        const response = await fetch(`${API_BASE}/api/auth/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                username: document.getElementById('login-username').value,
+                password: document.getElementById('login-password').value
+            })
+        });
+        if (!response.ok) {
+            errorEl.textContent = response.status === 429 ?
+                'Demasiados intentos fallidos, espera unos minutos' : 'Usuario o contraseña incorrectos';
+            return;
+        }
+    } catch (error) {
+        console.error('API Error:', error);
+        errorEl.textContent = 'Error de conexión';
+        return;
+    }
+    // Se recarga para que cada sección arranque con los permisos del nuevo usuario
+    window.location.reload();
+}
+
+async function logout() {
+    await apiCall('/api/auth/logout');
+    window.location.reload();
+}
+
+// Cada permiso del usuario se vuelve una clase del body (can-revenue, can-contacts...);
+// los elementos con data-permission se ocultan por CSS si falta el permiso
+function startSession(user) {
+    authState.user = user;
+    user.permissions.forEach(permission => document.body.classList.add(`can-${permission}`));
+    document.getElementById('session-user-name').textContent = user.name;
+    document.getElementById('session-user-role').textContent = user.role_label;
+}
+
+function can(permission) {
+    return authState.user?.permissions.includes(permission) || false;
+}
+
+// ============ PRIVACY ============
+// Modo privado: la API devuelve nombres cortos y teléfonos enmascarados (pantalla, exportaciones y PDF).
+// Los roles con privacidad enmascarada lo tienen siempre activo
+function setupPrivacy() {
+    const toggle = document.getElementById('privacy-toggle');
+    const forced = authState.user.privacy === 'masked';
+    toggle.checked = forced || localStorage.getItem(PRIVACY_STORAGE_KEY) === 'masked';
+    toggle.disabled = forced;
+    document.body.classList.toggle('privacy-masked', toggle.checked);
+    toggle.addEventListener('change', togglePrivacy);
+}
+
+async function togglePrivacy(e) {
+    const masked = e.target.checked;
+    localStorage.setItem(PRIVACY_STORAGE_KEY, masked ? 'masked' : 'full');
+    document.body.classList.toggle('privacy-masked', masked);
+    showToast(masked ? '🔒 Modo privado activado' : 'Modo privado desactivado', 'success');
+
+    await loadDashboardData();
+    if (currentSection !== 'dashboard') navigateToSection(currentSection);
+}
+
+function privacyMode() {
+    return document.body.classList.contains('privacy-masked') ? 'masked' : null;
+}
+
+// En modo privado cada llamada pide privacy=masked (las rutas sin datos de clientas lo ignoran)
+function withPrivacy(endpoint) {
+    if (!privacyMode()) return endpoint;
+    return `${endpoint}${endpoint.includes('?') ? '&' : '?'}privacy=masked`;
+}
+
 // ============ MOBILE MENU ============
 function setupMobileMenu() {
     const toggle = document.getElementById('mobile-menu-toggle');
@@ -99,8 +225,15 @@ function navigateToSection(section) {
         sales: ['Análisis de Ventas', 'Ventas por período y tipo de paquete'],
         clients: ['Clientas VIP', 'Top compradoras con mayor inversión'],
         compare: ['Comparativas', 'Compara períodos para medir crecimiento'],
+        segments: ['Segmentos de Clientas', 'Segmentación RFM para campañas dirigidas'],
+        coaches: ['Desempeño de Coaches', 'Ocupación, clientas recurrentes e inactivas por coach'],
+        goals: ['Metas Mensuales', 'Objetivos por mes y avance del mes en curso'],
         dormant: ['Campaña de Reactivación', 'Clientas inactivas que necesitan atención'],
-        reports: ['Reportes PDF', 'Historial de reportes generados']
+        campaigns: ['Campañas de WhatsApp', 'Seguimiento de a quién se le escribió y quién lo hizo'],
+        templates: ['Plantillas de Mensajes', 'Mensajes de WhatsApp, correo y PDF con variables de cada clienta'],
+        reports: ['Reportes PDF', 'Historial de reportes generados'],
+        users: ['Usuarios', 'Accesos al dashboard y permisos por rol'],
+        audit: ['Auditoría', 'Quién consultó datos de clientas y quién generó o descargó reportes']
     };
 
     document.getElementById('page-title').textContent = titles[section][0];
@@ -110,7 +243,20 @@ function navigateToSection(section) {
 
     if (section === 'clients') loadTopBuyers();
     if (section === 'dormant') loadDormant();
-    if (section === 'reports') loadReports();
+    if (section === 'segments') loadSegments();
+    if (section === 'coaches') loadCoaches();
+    if (section === 'goals') loadGoals();
+    if (section === 'campaigns') {
+        loadCampaigns();
+        loadCampaignAttribution();
+    }
+    if (section === 'templates') loadTemplates();
+    if (section === 'users') loadUsers();
+    if (section === 'audit') loadAudit();
+    if (section === 'reports') {
+        loadReports();
+        loadSchedules();
+    }
     if (section === 'sales') loadSalesData();
 }
 
@@ -119,6 +265,7 @@ function setupFilters() {
     document.getElementById('quick-period').addEventListener('change', handleQuickPeriod);
     document.getElementById('apply-filters').addEventListener('click', applyFilters);
     document.getElementById('generate-pdf').addEventListener('click', generatePDF);
+    document.getElementById('refresh-data').addEventListener('click', refreshData);
 }
 
 function handleQuickPeriod(e) {
@@ -185,12 +332,12 @@ async function applyFilters() {
 // ============ API CALLS ============
 async function apiCall(endpoint, data = {}) {
     try {
-        const response = await fetch(`${API_BASE}${endpoint}`, {
+        const response = await fetch(`${API_BASE}${withPrivacy(endpoint)}`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(data)
         });
-        return await response.json();
+        return await readResponse(response);
     } catch (error) {
         console.error('API Error:', error);
         showToast('Error de conexión', 'error');
@@ -200,14 +347,96 @@ async function apiCall(endpoint, data = {}) {
 
 async function apiGet(endpoint) {
     try {
-        const response = await fetch(`${API_BASE}${endpoint}`);
-        return await response.json();
+        const response = await fetch(`${API_BASE}${withPrivacy(endpoint)}`);
+        return await readResponse(response);
+    } catch (error) {
+        console.error('API Error:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+async function apiSend(method, endpoint, data = {}) {
+    try {
+        const response = await fetch(`${API_BASE}${withPrivacy(endpoint)}`, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(data)
+        });
+        return await readResponse(response);
     } catch (error) {
         console.error('API Error:', error);
+        showToast('Error de conexión', 'error');
         return { success: false, error: error.message };
     }
 }
 
+// Sesión vencida o cerrada en otro lado: volver a pedir usuario y contraseña
+async function readResponse(response) {
+    const result = await response.json();
+    if (response.status === 401 && authState.user) showLogin();
+    if (result.fields) showFieldErrors(result.fields);
+    return result;
+}
+
+// Campos inválidos de la respuesta ({ field, message }): se marcan los controles visibles con data-field
+function showFieldErrors(fields) {
+    clearFieldErrors();
+    fields.filter(f => f.field).forEach(({ field, message }) => {
+        document.querySelectorAll(`[data-field="${field}"]`).forEach(input => {
+            if (input.offsetParent === null) return;
+            const hint = document.createElement('small');
+            hint.className = 'field-error-message';
+            hint.textContent = message;
+            input.classList.add('field-error');
+            input.insertAdjacentElement('afterend', hint);
+
+            const clear = () => {
+                input.classList.remove('field-error');
+                hint.remove();
+            };
+            input.addEventListener('input', clear, { once: true });
+            input.addEventListener('change', clear, { once: true });
+        });
+    });
+}
+
+function clearFieldErrors() {
+    document.querySelectorAll('.field-error').forEach(input => input.classList.remove('field-error'));
+    document.querySelectorAll('.field-error-message').forEach(hint => hint.remove());
+}
+
+// Descargar un resultado como archivo (format csv | xlsx); los errores llegan como JSON
+async function apiDownload(endpoint, data = {}) {
+    try {
+        const response = await fetch(`${API_BASE}${withPrivacy(endpoint)}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(data)
+        });
+        if (!response.ok) {
+            if (response.status === 401) showLogin();
+            const result = await response.json().catch(() => ({}));
+            if (result.fields) showFieldErrors(result.fields);
+            showToast(result.error || 'No se pudo exportar', 'error');
+            return false;
+        }
+
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `rage_export.${data.format}`;
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+        return true;
+    } catch (error) {
+        console.error('API Error:', error);
+        showToast('Error de conexión', 'error');
+        return false;
+    }
+}
+
 // ============ LOAD DATA ============
 async function loadDashboardData() {
     const retention = await apiCall('/api/analytics/retention');
@@ -217,11 +446,24 @@ async function loadDashboardData() {
         startDate: currentFilters.startDate,
         endDate: currentFilters.endDate
     });
-    if (sales.success) updateSalesUI(sales.data);
+    const goalProgress = await apiCall('/api/analytics/goals-progress');
+    const goalData = goalProgress.success ? goalProgress.data : null;
+    if (sales.success && can('revenue')) {
+        const forecast = await apiCall('/api/analytics/forecast', { months: 3 });
+        updateSalesUI(sales.data, forecast.success ? forecast.data : null, goalData);
+    } else if (sales.success) {
+        updatePackagesKPI(sales.data, goalData);
+    }
 
     // Load weekly schedule
-    const schedule = await apiCall('/api/analytics/weekly-schedule');
+    const schedule = await apiCall('/api/analytics/weekly-schedule', {
+        startDate: currentFilters.startDate,
+        endDate: currentFilters.endDate
+    });
     if (schedule.success) {
+        document.getElementById('schedule-period').textContent = currentFilters.startDate && currentFilters.endDate ?
+            `del ${currentFilters.startDate.split('-').reverse().join('/')} al ${currentFilters.endDate.split('-').reverse().join('/')}` :
+            'últimos 30 días';
         weeklyScheduleData = schedule.data;
         setupScheduleTabs();
         updateScheduleUI('LUNES');
@@ -231,6 +473,15 @@ async function loadDashboardData() {
     if (dormant.success) {
         document.getElementById('kpi-credits').textContent = formatNumber(dormant.data.total);
     }
+
+    const cohorts = await apiCall('/api/analytics/cohorts', { monthsBack: 12 });
+    if (cohorts.success) updateCohortsUI(cohorts.data);
+
+    const cancellations = await apiCall('/api/analytics/cancellations', {
+        startDate: currentFilters.startDate,
+        endDate: currentFilters.endDate
+    });
+    if (cancellations.success) updateCancellationsUI(cancellations.data);
 }
 
 function updateRetentionUI(data) {
@@ -241,21 +492,42 @@ function updateRetentionUI(data) {
     document.getElementById('users-credits').textContent = formatNumber(data.users_with_credits);
 }
 
-function updateSalesUI(data) {
-    document.getElementById('kpi-revenue').textContent = `$${formatNumber(data.total_revenue)}`;
+// Las metas siempre son del mes en curso, sin importar el período filtrado
+const goalMonthLabel = goals => (goals ? MONTH_NAMES[Number(goals.month.substring(5, 7)) - 1] : '');
+
+function updatePackagesKPI(data, goals = null) {
     document.getElementById('kpi-packages').textContent = formatNumber(data.total_packages);
+    document.getElementById('kpi-packages-goal').innerHTML = goals ?
+        renderKPIGoal(goals.metrics.packages, goalMonthLabel(goals), formatNumber) : '';
+}
+
+function updateSalesUI(data, forecast = null, goals = null) {
+    document.getElementById('kpi-revenue').textContent = `$${formatNumber(data.total_revenue)}`;
+    document.getElementById('kpi-revenue-goal').innerHTML = goals ?
+        renderKPIGoal(goals.metrics.revenue, goalMonthLabel(goals), value => `$${formatNumber(value)}`) : '';
+    updatePackagesKPI(data, goals);
 
     // Sales chart
     const chartEl = document.getElementById('sales-chart');
-    const maxRevenue = Math.max(...data.by_month.map(m => m.revenue), 1);
 
     if (data.by_month.length === 0) {
         chartEl.innerHTML = '<p class="info-message">No hay ventas en este período</p>';
         return;
     }
 
-    chartEl.innerHTML = data.by_month
+    // La proyección solo tiene sentido si el período llega hasta el mes en curso
+    const currentMonth = new Date().toISOString().substring(0, 7);
+    const projected = forecast && (!currentFilters.endDate || currentFilters.endDate >= currentMonth) ?
+        forecast.forecast : [];
+    const maxRevenue = Math.max(...data.by_month.map(m => m.revenue), ...projected.map(m => m.revenue.upper), 1);
+
+    // El mes en curso se muestra como proyección (con lo vendido hasta hoy)
+    const actualMonths = data.by_month
         .filter(m => m.count > 0)
+        .filter(m => !(projected.length > 0 && m.year === Number(currentMonth.substring(0, 4)) &&
+            m.month === MONTH_NAMES[Number(currentMonth.substring(5, 7)) - 1]));
+
+    chartEl.innerHTML = actualMonths
         .map(month => `
             <div class="chart-bar">
                 <span class="chart-label">${month.month.substring(0, 3)} ${month.year || ''}</span>
@@ -264,6 +536,158 @@ function updateSalesUI(data) {
                 </div>
                 <span class="chart-value">${month.count} ventas · $${formatNumber(month.revenue)}</span>
             </div>
+        `).join('') + projected
+        .map(month => `
+            <div class="chart-bar projected" title="Proyección: $${formatNumber(month.revenue.lower)} - $${formatNumber(month.revenue.upper)} (${Math.round(forecast.confidence * 100)}% confianza)">
+                <span class="chart-label">${month.label} 🔮</span>
+                <div class="chart-bar-container">
+                    <div class="chart-bar-band" style="left: ${(month.revenue.lower / maxRevenue * 100)}%; width: ${((month.revenue.upper - month.revenue.lower) / maxRevenue * 100)}%"></div>
+                    ${month.actual_to_date ? `<div class="chart-bar-fill" style="width: ${(month.actual_to_date.revenue / maxRevenue * 100)}%"></div>` : ''}
+                    <div class="chart-bar-marker" style="left: ${(month.revenue.value / maxRevenue * 100)}%"></div>
+                </div>
+                <span class="chart-value">≈ ${month.packages.value} ventas · $${formatNumber(month.revenue.value)}</span>
+            </div>
+        `).join('');
+}
+
+const GOAL_STATUS = {
+    achieved: { label: 'Meta cumplida', className: 'achieved' },
+    on_track: { label: 'En ritmo', className: 'on-track' },
+    behind: { label: 'Atrasada', className: 'behind' }
+};
+
+function renderGoalBar(metric) {
+    const status = GOAL_STATUS[metric.status];
+    return `
+        <div class="goal-bar">
+            <div class="goal-bar-fill ${status?.className || ''}" style="width: ${Math.min(metric.progress_pct || 0, 100)}%"></div>
+            ${metric.expected_to_date !== null && metric.target > 0 ?
+                `<div class="goal-bar-pace" style="left: ${Math.min(metric.expected_to_date / metric.target * 100, 100)}%" title="Esperado a la fecha"></div>` : ''}
+        </div>
+    `;
+}
+
+function renderKPIGoal(metric, monthLabel, format) {
+    if (metric.target === null) return '';
+    return `
+        ${renderGoalBar(metric)}
+        <div class="kpi-goal-text">
+            Meta ${monthLabel}: ${format(metric.actual)} de ${format(metric.target)} (${metric.progress_pct}%)
+            · proyectado ${format(metric.projected)}
+        </div>
+    `;
+}
+
+// ============ COHORTS ============
+function updateCohortsUI(data) {
+    const el = document.getElementById('cohort-heatmap');
+
+    if (data.total_clients === 0) {
+        el.innerHTML = '<p class="info-message">No hay compras en los últimos meses</p>';
+        return;
+    }
+
+    const offsets = Array.from({ length: data.months_back }, (_, i) => i);
+
+    el.innerHTML = `
+        <table class="cohort-table">
+            <thead>
+                <tr>
+                    <th>Cohorte</th>
+                    <th>Clientas</th>
+                    ${offsets.map(o => `<th>Mes ${o}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${data.cohorts.map(cohort => `
+                    <tr>
+                        <td class="cohort-label">${cohort.label}</td>
+                        <td>${cohort.size}</td>
+                        ${offsets.map(o => {
+        const cell = cohort.retention[o];
+        if (!cell || cell.rate === null) return '<td class="cohort-cell empty"></td>';
+        return `<td class="cohort-cell" style="background: rgba(99, 102, 241, ${(cell.rate / 100).toFixed(2)})" title="${cell.active} de ${cohort.size} clientas">${Math.round(cell.rate)}%</td>`;
+    }).join('')}
+                    </tr>
+                `).join('')}
+                <tr class="total-row">
+                    <td><strong>Promedio</strong></td>
+                    <td><strong>${data.total_clients}</strong></td>
+                    ${offsets.map(o => {
+        const avg = data.average.find(a => a.offset === o);
+        return `<td><strong>${avg ? Math.round(avg.rate) + '%' : ''}</strong></td>`;
+    }).join('')}
+                </tr>
+            </tbody>
+        </table>
+    `;
+}
+
+// ============ CANCELLATIONS ============
+function updateCancellationsUI(data) {
+    document.getElementById('late-cancel-hours').textContent = data.late_cancel_hours;
+
+    document.getElementById('cancel-summary').innerHTML = `
+        <div class="sales-kpis">
+            <div class="period-card">
+                <h4>Cancelaciones</h4>
+                <div class="period-value warning">${data.totals.cancel_rate}%</div>
+                <div class="period-note">${data.totals.cancelled} de ${formatNumber(data.totals.bookings)} reservas</div>
+            </div>
+            <div class="period-card">
+                <h4>Cancelaciones Tardías</h4>
+                <div class="period-value warning">${data.totals.late_cancel_rate}%</div>
+                <div class="period-note">${data.totals.late_cancelled} reservas</div>
+            </div>
+            <div class="period-card">
+                <h4>No-Shows</h4>
+                <div class="period-value muted">${data.totals.no_show_rate}%</div>
+                <div class="period-note">${data.totals.no_show} reservas</div>
+            </div>
+        </div>
+    `;
+
+    const table = (title, rows, label) => `
+        <div>
+            <h4 class="coach-subtitle">${title}</h4>
+            <table class="data-table">
+                <thead>
+                    <tr><th></th><th>Reservas</th><th>Cancelan</th><th>Tardías</th><th>No-show</th></tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr>
+                            <td><strong>${label(row)}</strong></td>
+                            <td>${row.bookings}</td>
+                            <td>${row.cancel_rate}%</td>
+                            <td>${row.late_cancel_rate}%</td>
+                            <td>${row.no_show_rate}%</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+
+    document.getElementById('cancel-breakdown').innerHTML = [
+        table('🏋️ Por coach', data.by_coach, row => row.name),
+        table('📅 Por día', data.by_day, row => row.day),
+        table('⏱️ Por anticipación de la reserva', data.by_lead_time.filter(row => row.bookings > 0), row => row.label),
+        table('🕐 Horarios con más pérdidas', data.by_slot.slice(0, 5), row => `${row.day.substring(0, 3)} ${row.time} · ${row.class_name}`)
+    ].join('');
+
+    const el = document.getElementById('late-cancellers');
+    el.innerHTML = data.repeat_late_cancellers.length === 0 ?
+        '<p class="info-message">Ninguna clienta reincidente 🎉</p>' :
+        data.repeat_late_cancellers.slice(0, 10).map(client => `
+            <div class="dormant-card">
+                <div class="dormant-avatar">${client.full_name.charAt(0).toUpperCase()}</div>
+                <div class="dormant-info">
+                    <div class="dormant-name">${client.full_name}</div>
+                    <div class="dormant-phone">📞 ${formatPhone(client.phone)} | ${client.late_cancelled} tardías · ${client.no_show} no-shows de ${client.bookings} reservas</div>
+                </div>
+                <div class="dormant-days-badge">${client.last_incident}</div>
+            </div>
         `).join('');
 }
 
@@ -305,6 +729,7 @@ function updateScheduleUI(day) {
                             <span class="occupancy-value">${cls.avg_attendance}/${cls.max_capacity}</span>
                             <span class="occupancy-percent">${cls.occupancy_rate}%</span>
                         </div>
+                        ${cls.zero_attendance_classes > 0 ? `<div class="schedule-subtitle">${cls.zero_attendance_classes} de ${cls.total_classes} clases sin reservas</div>` : ''}
                         <div class="occupancy-bar">
                             <div class="occupancy-fill" style="width: ${cls.occupancy_rate}%"></div>
                         </div>
@@ -340,7 +765,24 @@ async function loadSalesData() {
                 <h4>Ticket Promedio</h4>
                 <div class="period-value warning">$${formatNumber(Math.round(data.total_revenue / (data.total_packages || 1)))}</div>
             </div>
+            <div class="period-card">
+                <h4>Descuentos vs. Precio Lista</h4>
+                <div class="period-value muted">$${formatNumber(data.pricing.discount)}</div>
+                <div class="period-note">${data.pricing.discount_pct}% de $${formatNumber(data.pricing.list_revenue)}</div>
+            </div>
         </div>
+        ${data.pricing.batches_list_price_fallback > 0 ? `
+            <p class="pricing-warning">
+                ⚠️ ${data.pricing.batches_list_price_fallback} paquete(s) sin compra registrada se cuentan a precio de lista
+                ($${formatNumber(data.pricing.list_price_fallback_revenue)}).
+            </p>
+        ` : ''}
+        ${Object.keys(data.pricing.unknown_statuses || {}).length > 0 ? `
+            <p class="pricing-warning">
+                ⚠️ Status de compra desconocidos (cuentan como pagados):
+                ${Object.entries(data.pricing.unknown_statuses).map(([status, count]) => `${status} (${count})`).join(', ')}.
+            </p>
+        ` : ''}
     `;
 
     // Package sales table
@@ -350,7 +792,9 @@ async function loadSalesData() {
                 <tr>
                     <th>Paquete</th>
                     <th>Vendidos</th>
+                    <th>Precio Lista</th>
                     <th>Ingresos</th>
+                    <th>Descuento</th>
                     <th>Créditos</th>
                 </tr>
             </thead>
@@ -359,7 +803,9 @@ async function loadSalesData() {
                     <tr>
                         <td>${pkg.name}</td>
                         <td>${pkg.count}</td>
-                        <td>$${formatNumber(pkg.revenue)}</td>
+                        <td>$${formatNumber(pkg.list_revenue)}</td>
+                        <td>$${formatNumber(pkg.revenue)}${pkg.list_price_fallbacks > 0 ? ` <span class="muted" title="${pkg.list_price_fallbacks} sin compra registrada (precio de lista)">*</span>` : ''}</td>
+                        <td>$${formatNumber(pkg.list_revenue - pkg.revenue)}</td>
                         <td>${pkg.credits}</td>
                     </tr>
                 `).join('')}
@@ -408,6 +854,7 @@ async function loadTopBuyers() {
 
     if (!result.success) return;
 
+    topBuyers = result.data;
     const el = document.getElementById('top-buyers');
     el.innerHTML = result.data.map((buyer, i) => {
         let rankClass = 'other';
@@ -423,13 +870,14 @@ async function loadTopBuyers() {
                 <div class="buyer-rank ${rankClass}">${buyer.rank}</div>
                 <div class="buyer-info buyer-clickable" onclick="showPurchaseHistory('${buyer.user_id}', '${escapedName}')">
                     <div class="buyer-name">${buyer.full_name}</div>
-                    <div class="buyer-phone">📞 ${buyer.phone} | 🎯 ${buyer.favorite_package}</div>
+                    <div class="buyer-phone">📞 ${formatPhone(buyer.phone)} | 🎯 ${buyer.favorite_package}</div>
+                    ${renderLastContact(buyer.last_contact)}
                 </div>
                 <div class="buyer-stats">
                     <div class="buyer-total">$${formatNumber(buyer.total_spent)}</div>
                     <div class="buyer-purchases">${buyer.total_purchases} compras · ${buyer.total_credits} créditos</div>
                 </div>
-                <button class="btn btn-whatsapp" onclick="sendVIPWhatsApp('${buyer.phone}', '${escapedName}')">
+                <button class="btn btn-whatsapp" onclick="sendVIPWhatsApp(${i})">
                     💬 WhatsApp
                 </button>
             </div>
@@ -437,21 +885,16 @@ async function loadTopBuyers() {
     }).join('');
 }
 
-// VIP WhatsApp function
-function sendVIPWhatsApp(phone, name) {
-    const template = document.getElementById('vip-whatsapp-message').value;
-    const message = template.replace(/{nombre}/g, name.split(' ')[0]);
-
-    // Clean phone number
-    let cleanPhone = phone.replace(/[^0-9]/g, '');
-    if (cleanPhone.startsWith('52') && cleanPhone.length === 12) {
-        // Already has country code
-    } else if (cleanPhone.length === 10) {
-        cleanPhone = '52' + cleanPhone;
-    }
+// VIP WhatsApp function (total y compras del período filtrado)
+function sendVIPWhatsApp(index) {
+    const buyer = topBuyers[index];
+    if (!buyer) return;
 
-    const url = `https://wa.me/${cleanPhone}?text=${encodeURIComponent(message)}`;
-    window.open(url, '_blank');
+    sendTemplateWhatsApp('vip-whatsapp-message', buyer, {
+        total: `$${formatNumber(buyer.total_spent)}`,
+        paquete: buyer.favorite_package,
+        compras: buyer.total_purchases
+    });
 }
 
 // Make function global
@@ -501,7 +944,12 @@ async function showPurchaseHistory(userId, userName) {
                     <tr>
                         <td>${new Date(p.date).toLocaleDateString('es-MX')}</td>
                         <td>${p.package_name}</td>
-                        <td>$${formatNumber(p.price)}</td>
+                        <td>
+                            $${formatNumber(p.price)}
+                            ${p.price_source === 'list_price' ? '<span class="muted" title="Sin compra registrada: precio de lista">*</span>' : ''}
+                            ${p.price_source === 'purchase' && p.price !== p.list_price ? `<span class="muted">(lista $${formatNumber(p.list_price)})</span>` : ''}
+                            ${p.price_source === 'unpaid' ? '<span class="muted" title="Compra pendiente, fallida o reembolsada">(sin pagar)</span>' : ''}
+                        </td>
                         <td>${p.credits_total}</td>
                         <td>${p.credits_remaining}</td>
                     </tr>
@@ -510,6 +958,7 @@ async function showPurchaseHistory(userId, userName) {
         </table>
         <div class="modal-summary">
             <strong>Total: ${result.data.length} compras · $${formatNumber(result.data.reduce((s, p) => s + p.price, 0))}</strong>
+            ${result.data.some(p => p.price_source === 'list_price') ? '<p class="muted">* Sin compra registrada, se muestra el precio de lista</p>' : ''}
         </div>
     `;
 }
@@ -640,6 +1089,7 @@ function setupDormant() {
         dormantPagination.page = 1;
         loadDormant();
     });
+    document.getElementById('expiring-days').addEventListener('change', loadExpiringCredits);
 }
 
 async function loadDormant(page = 1) {
@@ -656,6 +1106,7 @@ async function loadDormant(page = 1) {
 
     const data = result.data;
     dormantPagination.totalPages = data.pagination.totalPages;
+    dormantClients = data.clients;
 
     // Summary
     document.getElementById('dormant-summary').innerHTML = `
@@ -669,15 +1120,16 @@ async function loadDormant(page = 1) {
     if (data.clients.length === 0) {
         el.innerHTML = '<p class="info-message">🎉 ¡Excelente! No hay clientas inactivas en esta página.</p>';
     } else {
-        el.innerHTML = data.clients.map(client => `
+        el.innerHTML = data.clients.map((client, i) => `
             <div class="dormant-card">
                 <div class="dormant-avatar">${client.full_name.charAt(0).toUpperCase()}</div>
                 <div class="dormant-info">
                     <div class="dormant-name">${client.full_name}</div>
-                    <div class="dormant-phone">📞 ${client.phone}</div>
+                    <div class="dormant-phone">📞 ${formatPhone(client.phone)}</div>
+                    ${renderLastContact(client.last_contact)}
                 </div>
                 <div class="dormant-days-badge">${client.days_inactive} días</div>
-                <button class="btn btn-whatsapp" onclick="sendWhatsApp('${client.phone}', '${client.full_name}', ${client.days_inactive})">
+                <button class="btn btn-whatsapp" onclick="sendDormantWhatsApp(${i})">
                     💬 WhatsApp
                 </button>
             </div>
@@ -686,6 +1138,102 @@ async function loadDormant(page = 1) {
 
     // Pagination
     renderPagination();
+
+    if (page === 1) {
+        await loadChurnRisk(days);
+        await loadExpiringCredits();
+    }
+}
+
+async function loadExpiringCredits() {
+    const contactDays = parseInt(document.getElementById('expiring-days').value);
+    const result = await apiCall('/api/analytics/credits-expiration', { contactDays });
+    if (!result.success) return;
+
+    const data = result.data;
+    expiringClients = data.contacts;
+
+    document.getElementById('expiring-summary').innerHTML = `
+        <div class="dormant-alert">
+            <strong>⏳ ${data.contacts.length} clientas</strong> tienen créditos que vencen en los próximos ${contactDays} días ·
+            ${data.breakage.breakage_rate}% de los créditos vencidos nunca se usaron
+        </div>
+    `;
+
+    const el = document.getElementById('expiring-list');
+    if (data.contacts.length === 0) {
+        el.innerHTML = '<p class="info-message">No hay créditos por vencer en este período.</p>';
+        return;
+    }
+
+    el.innerHTML = data.contacts.map((client, i) => `
+        <div class="dormant-card">
+            <div class="dormant-avatar">${client.full_name.charAt(0).toUpperCase()}</div>
+            <div class="dormant-info">
+                <div class="dormant-name">${client.full_name}</div>
+                <div class="dormant-phone">📞 ${formatPhone(client.phone)} | 🎫 ${client.credits_expiring} créditos · ${client.packages.join(', ')}</div>
+            </div>
+            <div class="dormant-days-badge">${client.days_left} días</div>
+            <button class="btn btn-whatsapp" onclick="sendExpiringWhatsApp(${i})">
+                💬 WhatsApp
+            </button>
+        </div>
+    `).join('');
+}
+
+function sendExpiringWhatsApp(index) {
+    const client = expiringClients[index];
+    if (!client) return;
+
+    sendTemplateWhatsApp('expiring-whatsapp-message', client, {
+        creditos: client.credits_expiring,
+        dias_para_vencer: client.days_left
+    });
+}
+
+async function loadChurnRisk(dormantDays) {
+    const result = await apiCall('/api/analytics/churn-risk', { dormantDays, minLevel: 'medio' });
+    if (!result.success) return;
+
+    const data = result.data;
+    churnClients = data.clients;
+
+    document.getElementById('churn-summary').innerHTML = `
+        <div class="churn-levels">
+            <span class="risk-badge risk-alto">Alto: ${data.by_level.alto}</span>
+            <span class="risk-badge risk-medio">Medio: ${data.by_level.medio}</span>
+            <span class="risk-badge risk-bajo">Bajo: ${data.by_level.bajo}</span>
+            <small class="muted">de ${data.total_active} clientas activas (menos de ${dormantDays} días)</small>
+        </div>
+    `;
+
+    const el = document.getElementById('churn-list');
+    if (data.clients.length === 0) {
+        el.innerHTML = '<p class="info-message">🎉 Ninguna clienta activa muestra riesgo de abandono.</p>';
+        return;
+    }
+
+    el.innerHTML = data.clients.map((client, i) => `
+        <div class="dormant-card">
+            <div class="dormant-avatar">${client.full_name.charAt(0).toUpperCase()}</div>
+            <div class="dormant-info">
+                <div class="dormant-name">${client.full_name}</div>
+                <div class="dormant-phone">📞 ${formatPhone(client.phone)}</div>
+                <div class="churn-reasons">${client.reasons.join(' · ')}</div>
+                ${renderLastContact(client.last_contact)}
+            </div>
+            <span class="risk-badge risk-${client.risk_level}">${client.risk_score}</span>
+            <div class="dormant-days-badge">${client.days_since_last_activity} días</div>
+            <button class="btn btn-whatsapp" onclick="sendChurnWhatsApp(${i})">
+                💬 WhatsApp
+            </button>
+        </div>
+    `).join('');
+}
+
+function sendChurnWhatsApp(index) {
+    const client = churnClients[index];
+    if (client) sendTemplateWhatsApp('whatsapp-message', client, { dias: client.days_since_last_activity });
 }
 
 function renderPagination() {
@@ -717,79 +1265,1641 @@ function renderPagination() {
     el.innerHTML = buttons;
 }
 
-function sendWhatsApp(phone, name, days) {
-    const template = document.getElementById('whatsapp-message').value;
-    const message = template
-        .replace(/{nombre}/g, name.split(' ')[0])
-        .replace(/{dias}/g, days);
-
-    // Clean phone number
-    let cleanPhone = phone.replace(/[^0-9]/g, '');
-    if (cleanPhone.startsWith('52') && cleanPhone.length === 12) {
-        // Already has country code
-    } else if (cleanPhone.length === 10) {
-        cleanPhone = '52' + cleanPhone;
-    }
-
-    const url = `https://wa.me/${cleanPhone}?text=${encodeURIComponent(message)}`;
-    window.open(url, '_blank');
+function sendDormantWhatsApp(index) {
+    const client = dormantClients[index];
+    if (client) sendTemplateWhatsApp('whatsapp-message', client, { dias: client.days_inactive });
 }
 
 // Make functions global
 window.loadDormant = loadDormant;
-window.sendWhatsApp = sendWhatsApp;
+window.sendDormantWhatsApp = sendDormantWhatsApp;
+window.sendChurnWhatsApp = sendChurnWhatsApp;
+window.sendExpiringWhatsApp = sendExpiringWhatsApp;
 
-// ============ REPORTS ============
-async function loadReports() {
-    const result = await apiGet('/api/reports');
+// ============ SEGMENTS ============
+function setupSegments() {
+    document.getElementById('segment-create-campaign').addEventListener('click', () => createCampaignFrom('segment'));
+}
 
+async function loadSegments() {
+    const result = await apiCall('/api/analytics/segments');
     if (!result.success) return;
 
-    const el = document.getElementById('reports-list');
-
-    if (result.reports.length === 0) {
-        el.innerHTML = '<p class="info-message">No hay reportes generados aún. Haz clic en "Generar PDF" para crear uno.</p>';
-        return;
-    }
-
-    el.innerHTML = result.reports.map(report => `
-        <div class="report-item">
-            <div class="report-info">
-                <span class="report-icon">📄</span>
-                <div>
-                    <div class="report-name">${report.filename}</div>
-                    <div class="report-date">${new Date(report.createdAt).toLocaleString('es-MX')}</div>
-                </div>
-            </div>
-            <a href="${report.downloadUrl}" target="_blank" class="btn-download">⬇️ Descargar</a>
+    const el = document.getElementById('segment-grid');
+    el.innerHTML = result.data.segments.map(seg => `
+        <div class="segment-card ${seg.id === segmentState.segment ? 'active' : ''}" data-segment="${seg.id}" onclick="selectSegment('${seg.id}', '${seg.label}')">
+            <div class="segment-count">${seg.count}</div>
+            <div class="segment-label">${seg.label}</div>
+            <div class="segment-percent">${seg.percentage}% de clientas</div>
+            <div class="segment-description">${seg.description}</div>
+            <div class="segment-meta">${seg.avg_recency_days} días · ${seg.avg_frequency} reservas · $${formatNumber(seg.avg_monetary)}</div>
         </div>
     `).join('');
 }
 
-// ============ GENERATE PDF ============
-async function generatePDF() {
-    showLoading(true);
+async function selectSegment(segment, label) {
+    segmentState = { ...segmentState, segment, label };
 
-    const result = await apiCall('/api/generate-pdf', {
-        startDate: currentFilters.startDate,
-        endDate: currentFilters.endDate
+    document.querySelectorAll('.segment-card').forEach(card => {
+        card.classList.toggle('active', card.dataset.segment === segment);
     });
+    document.getElementById('segment-clients-title').textContent = `👥 ${label}`;
 
-    showLoading(false);
-
-    if (result.success) {
-        showToast('✅ PDF generado exitosamente', 'success');
-        window.open(result.downloadUrl, '_blank');
-        await loadReports();
-        navigateToSection('reports');
-    } else {
-        showToast('❌ Error generando PDF: ' + result.error, 'error');
-    }
+    document.getElementById('segment-create-campaign').disabled = false;
+    await loadSegmentClients(1);
 }
 
-// ============ UTILITIES ============
-function formatNumber(num) {
-    return new Intl.NumberFormat('es-MX').format(num || 0);
+async function loadSegmentClients(page = 1) {
+    const result = await apiCall('/api/analytics/segments', {
+        segment: segmentState.segment,
+        page,
+        pageSize: segmentState.pageSize
+    });
+
+    if (!result.success) return;
+
+    const data = result.data;
+    segmentState.page = page;
+    segmentState.totalPages = data.pagination.totalPages;
+    segmentState.clients = data.clients;
+
+    const el = document.getElementById('segment-clients');
+    if (data.clients.length === 0) {
+        el.innerHTML = '<p class="info-message">No hay clientas en este segmento</p>';
+    } else {
+        el.innerHTML = data.clients.map((client, i) => `
+            <div class="dormant-card">
+                <div class="dormant-avatar">${client.full_name.charAt(0).toUpperCase()}</div>
+                <div class="dormant-info">
+                    <div class="dormant-name">${client.full_name}</div>
+                    <div class="dormant-phone">📞 ${formatPhone(client.phone)} | RFM ${client.rfm} · $${formatNumber(client.monetary)}</div>
+                    ${renderLastContact(client.last_contact)}
+                </div>
+                <div class="dormant-days-badge">${client.recency_days} días</div>
+                <button class="btn btn-whatsapp" onclick="sendSegmentWhatsApp(${i})">
+                    💬 WhatsApp
+                </button>
+            </div>
+        `).join('');
+    }
+
+    const pagination = document.getElementById('segment-pagination');
+    pagination.innerHTML = segmentState.totalPages <= 1 ? '' : `
+        <button class="pagination-btn" ${page === 1 ? 'disabled' : ''} onclick="loadSegmentClients(${page - 1})">← Anterior</button>
+        <span class="pagination-dots">${page} / ${segmentState.totalPages}</span>
+        <button class="pagination-btn" ${page === segmentState.totalPages ? 'disabled' : ''} onclick="loadSegmentClients(${page + 1})">Siguiente →</button>
+    `;
+}
+
+function sendSegmentWhatsApp(index) {
+    const client = segmentState.clients[index];
+    if (client) sendTemplateWhatsApp('segment-whatsapp-message', client, { dias: client.recency_days });
+}
+
+window.selectSegment = selectSegment;
+window.loadSegmentClients = loadSegmentClients;
+window.sendSegmentWhatsApp = sendSegmentWhatsApp;
+
+// ============ COACHES ============
+function setupCoaches() {
+    document.getElementById('coach-months').addEventListener('change', () => {
+        loadCoaches();
+        if (coachState.coachId !== null) selectCoach(coachState.coachId);
+    });
+}
+
+function getCoachMonths() {
+    return parseInt(document.getElementById('coach-months').value, 10);
+}
+
+async function loadCoaches() {
+    const result = await apiCall('/api/analytics/coaches', { monthsBack: getCoachMonths() });
+    if (!result.success) return;
+
+    const data = result.data;
+    const grid = document.getElementById('coach-grid');
+    grid.innerHTML = data.coaches.map(coach => `
+        <div class="segment-card ${coach.coach_id === coachState.coachId ? 'active' : ''}" data-coach="${coach.coach_id}" onclick="selectCoach(${coach.coach_id})">
+            <div class="segment-count">${coach.avg_occupancy}%</div>
+            <div class="segment-label">${coach.name}${coach.active ? '' : ' <span class="muted">(inactivo)</span>'}</div>
+            <div class="segment-percent">ocupación promedio · ${coach.classes_taught} clases</div>
+            <div class="segment-meta">${coach.unique_clients} clientas · ${coach.repeat_client_rate}% recurrentes</div>
+            <div class="segment-meta">${coach.dormant_clients} inactivas (${coach.dormant_rate}%)</div>
+        </div>
+    `).join('') || '<p class="info-message">No hay coaches registrados</p>';
+
+    const withClasses = data.coaches.filter(c => c.classes_taught > 0);
+    const trend = document.getElementById('coach-trend');
+    if (withClasses.length === 0) {
+        trend.innerHTML = '<p class="info-message">Sin clases en el período</p>';
+        return;
+    }
+
+    trend.innerHTML = `
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Mes</th>
+                    ${withClasses.map(c => `<th>${c.name}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${withClasses[0].trend.map((month, i) => `
+                    <tr>
+                        <td><strong>${month.label}</strong></td>
+                        ${withClasses.map(c => {
+                            const m = c.trend[i];
+                            return m.classes > 0 ?
+                                `<td>${m.avg_occupancy}% <span class="muted">· ${m.classes} clases · ${m.unique_clients} clientas</span></td>` :
+                                '<td class="muted">-</td>';
+                        }).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+async function selectCoach(coachId) {
+    coachState.coachId = coachId;
+    document.querySelectorAll('#coach-grid .segment-card').forEach(card => {
+        card.classList.toggle('active', card.dataset.coach === String(coachId));
+    });
+
+    const el = document.getElementById('coach-detail');
+    el.innerHTML = '<p class="loading">Cargando detalle...</p>';
+
+    const result = await apiCall('/api/analytics/coaches', { coachId, monthsBack: getCoachMonths() });
+    if (!result.success) {
+        el.innerHTML = '<p class="info-message">No se pudo cargar el detalle</p>';
+        return;
+    }
+
+    const coach = result.data;
+    coachState.dormantClients = coach.dormant_client_list;
+    document.getElementById('coach-detail-title').textContent = `🔍 ${coach.name}`;
+
+    el.innerHTML = `
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Horario</th>
+                    <th>Clase</th>
+                    <th>Clases</th>
+                    <th>Promedio</th>
+                    <th>Ocupación</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${coach.slots.map(slot => `
+                    <tr>
+                        <td><strong>${slot.slot}</strong></td>
+                        <td>${slot.class_name}</td>
+                        <td>${slot.classes}</td>
+                        <td>${slot.avg_attendance} / ${slot.capacity}</td>
+                        <td>${slot.occupancy}%</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+
+        <h4 class="coach-subtitle">⭐ Clientas más frecuentes</h4>
+        <p class="card-helper">${coach.top_clients.map(c => `${c.full_name} (${c.bookings})`).join(' · ') || 'Sin clientas'}</p>
+
+        <h4 class="coach-subtitle">😴 Clientas inactivas (${coach.dormant_days}+ días)</h4>
+        <div class="dormant-list">
+            ${coach.dormant_client_list.map((client, i) => `
+                <div class="dormant-card">
+                    <div class="dormant-avatar">${client.full_name.charAt(0).toUpperCase()}</div>
+                    <div class="dormant-info">
+                        <div class="dormant-name">${client.full_name}</div>
+                        <div class="dormant-phone">📞 ${formatPhone(client.phone)} | ${client.bookings} clases con ${coach.name.split(' ')[0]}</div>
+                    </div>
+                    <div class="dormant-days-badge">${client.days_inactive} días</div>
+                    <button class="btn btn-whatsapp" onclick="sendCoachWhatsApp(${i})">
+                        💬 WhatsApp
+                    </button>
+                </div>
+            `).join('') || '<p class="info-message">Ninguna clienta inactiva 🎉</p>'}
+        </div>
+    `;
+}
+
+function sendCoachWhatsApp(index) {
+    const client = coachState.dormantClients[index];
+    if (client) sendTemplateWhatsApp('whatsapp-message', client, { dias: client.days_inactive });
+}
+
+window.selectCoach = selectCoach;
+window.sendCoachWhatsApp = sendCoachWhatsApp;
+
+// ============ GOALS ============
+const GOAL_FIELDS = ['revenue', 'packages', 'new_clients', 'occupancy'];
+
+function formatGoalValue(key, value) {
+    if (value === null || value === undefined) return '-';
+    if (key === 'revenue') return `$${formatNumber(value)}`;
+    if (key === 'occupancy') return `${value}%`;
+    return formatNumber(value);
+}
+
+function setupGoals() {
+    document.getElementById('goal-month').value = new Date().toISOString().substring(0, 7);
+    document.getElementById('goal-form').addEventListener('submit', saveGoal);
+    document.getElementById('goal-cancel').addEventListener('click', resetGoalForm);
+}
+
+async function loadGoals() {
+    const [list, progress] = await Promise.all([
+        apiGet('/api/goals'),
+        apiCall('/api/analytics/goals-progress')
+    ]);
+
+    if (progress.success) updateGoalProgressUI(progress.data);
+    if (!list.success) return;
+
+    goalState.goals = list.data;
+    const el = document.getElementById('goal-list');
+
+    if (list.data.length === 0) {
+        el.innerHTML = '<p class="info-message">No hay metas registradas</p>';
+        return;
+    }
+
+    el.innerHTML = `
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Mes</th>
+                    <th>Ingresos</th>
+                    <th>Paquetes</th>
+                    <th>Clientas Nuevas</th>
+                    <th>Ocupación</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${list.data.map(goal => `
+                    <tr>
+                        <td>${MONTH_NAMES[Number(goal.month.substring(5, 7)) - 1]} ${goal.month.substring(0, 4)}</td>
+                        ${GOAL_FIELDS.map(key => `<td>${formatGoalValue(key, goal[key])}</td>`).join('')}
+                        <td data-permission="settings">
+                            <button class="btn btn-primary" onclick="editGoal('${goal.month}')">Editar</button>
+                            <button class="btn btn-warning" onclick="deleteGoal('${goal.month}')">Eliminar</button>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+function updateGoalProgressUI(data) {
+    const el = document.getElementById('goal-progress');
+    const monthLabel = `${MONTH_NAMES[Number(data.month.substring(5, 7)) - 1]} ${data.month.substring(0, 4)}`;
+
+    document.getElementById('goal-progress-helper').textContent =
+        `${monthLabel}: día ${data.days_elapsed} de ${data.days_in_month}. Real vs. meta, ritmo esperado a la fecha y cierre proyectado si se mantiene el ritmo actual`;
+
+    if (!data.has_goals) {
+        el.innerHTML = `<p class="info-message">No hay metas para ${monthLabel}. Regístralas abajo</p>`;
+        return;
+    }
+
+    // Sin permiso de ingresos la meta de ingresos llega vacía
+    el.innerHTML = Object.entries(data.metrics).filter(([, metric]) => metric).map(([key, metric]) => `
+        <div class="segment-card">
+            <div class="segment-count">${formatGoalValue(key, metric.actual)}</div>
+            <div class="segment-label">${metric.label}</div>
+            ${metric.target === null ? '<div class="segment-meta">Sin meta</div>' : `
+                ${renderGoalBar(metric)}
+                <div class="segment-percent">${metric.progress_pct}% de ${formatGoalValue(key, metric.target)} · ${GOAL_STATUS[metric.status].label}</div>
+                <div class="segment-meta">Ritmo: ${metric.pace_pct ?? '-'}% de lo esperado a la fecha</div>
+                <div class="segment-meta">Cierre proyectado: ${formatGoalValue(key, metric.projected)} (${metric.projected_pct}%)</div>
+            `}
+        </div>
+    `).join('');
+}
+
+async function saveGoal(e) {
+    e.preventDefault();
+
+    const month = document.getElementById('goal-month').value;
+    const body = {};
+    GOAL_FIELDS.forEach(key => {
+        const value = document.getElementById(`goal-${key}`).value;
+        if (value !== '') body[key] = Number(value);
+        // Al editar, una métrica vacía elimina su meta
+        else if (goalState.editing) body[key] = null;
+    });
+
+    const result = goalState.editing ?
+        await apiSend('PUT', `/api/goals/${goalState.editing}`, body) :
+        await apiSend('POST', '/api/goals', { month, ...body });
+
+    if (!result.success) {
+        showToast(result.error, 'error');
+        return;
+    }
+
+    showToast('✅ Metas guardadas', 'success');
+    resetGoalForm();
+    await loadGoals();
+    if (month === new Date().toISOString().substring(0, 7)) await loadDashboardData();
+}
+
+function editGoal(month) {
+    const goal = goalState.goals.find(g => g.month === month);
+    if (!goal) return;
+
+    goalState.editing = month;
+    document.getElementById('goal-month').value = month;
+    document.getElementById('goal-month').disabled = true;
+    GOAL_FIELDS.forEach(key => {
+        document.getElementById(`goal-${key}`).value = goal[key] ?? '';
+    });
+    document.getElementById('goal-form-title').textContent = `✏️ Editar Metas de ${MONTH_NAMES[Number(month.substring(5, 7)) - 1]} ${month.substring(0, 4)}`;
+    document.getElementById('goal-cancel').hidden = false;
+}
+
+function resetGoalForm() {
+    goalState.editing = null;
+    document.getElementById('goal-form').reset();
+    document.getElementById('goal-month').value = new Date().toISOString().substring(0, 7);
+    document.getElementById('goal-month').disabled = false;
+    document.getElementById('goal-form-title').textContent = '➕ Registrar Metas';
+    document.getElementById('goal-cancel').hidden = true;
+}
+
+async function deleteGoal(month) {
+    if (!confirm(`¿Eliminar las metas de ${month}?`)) return;
+
+    const result = await apiSend('DELETE', `/api/goals/${month}`);
+    if (!result.success) {
+        showToast(result.error, 'error');
+        return;
+    }
+
+    showToast('Metas eliminadas', 'success');
+    if (goalState.editing === month) resetGoalForm();
+    await loadGoals();
+}
+
+window.editGoal = editGoal;
+window.deleteGoal = deleteGoal;
+
+// ============ REPORTS ============
+async function loadReports() {
+    const result = await apiGet('/api/reports');
+
+    if (!result.success) return;
+
+    emailOptions = { enabled: result.email_enabled, recipients: result.default_recipients || [] };
+    const el = document.getElementById('reports-list');
+
+    if (result.reports.length === 0) {
+        el.innerHTML = '<p class="info-message">No hay reportes generados aún. Haz clic en "Generar PDF" para crear uno.</p>';
+        return;
+    }
+
+    el.innerHTML = result.reports.map(report => `
+        <div class="report-item">
+            <div class="report-info">
+                <span class="report-icon">📄</span>
+                <div>
+                    <div class="report-name">${report.filename}</div>
+                    <div class="report-date">
+                        ${new Date(report.createdAt).toLocaleString('es-MX')}
+                        ${report.privacy ? ` · ${privacyLabel(report.privacy, result.privacy_modes)}` : ''}
+                    </div>
+                </div>
+            </div>
+            <div class="report-actions">
+                ${emailOptions.enabled ? `<button class="btn-download" onclick="emailReport('${report.filename}')">✉️ Enviar</button>` : ''}
+                <a href="${report.downloadUrl}" target="_blank" class="btn-download">⬇️ Descargar</a>
+            </div>
+        </div>
+    `).join('');
+
+    loadDeliveries();
+}
+
+function privacyLabel(mode, modes) {
+    return `${mode === 'masked' ? '🔒' : '👁️'} ${modes[mode]?.label || mode}`;
+}
+
+const DELIVERY_STATUS = { sent: '✅ Enviado', failed: '❌ Falló', sending: '⏳ Enviando', skipped: '⚠️ Sin SMTP' };
+
+async function emailReport(filename) {
+    const input = prompt('Enviar a (correos separados por coma):', emailOptions.recipients.join(', '));
+    if (input === null) return;
+
+    const recipients = input.split(',').map(email => email.trim()).filter(Boolean);
+    showLoading(true);
+    const result = await apiCall('/api/reports/email', { filename, recipients });
+    showLoading(false);
+
+    showToast(result.success ? `✉️ Reporte enviado a ${recipients.join(', ')}` : result.error, result.success ? 'success' : 'error');
+    await loadDeliveries();
+}
+
+async function loadDeliveries() {
+    const result = await apiGet('/api/email/deliveries?limit=20');
+    if (!result.success) return;
+
+    const el = document.getElementById('email-deliveries');
+    if (result.data.length === 0) {
+        el.innerHTML = `<p class="info-message">${emailOptions.enabled ?
+            'Todavía no se han enviado reportes' :
+            'El envío por correo está desactivado (configura SMTP_HOST en el servidor)'}</p>`;
+        return;
+    }
+
+    el.innerHTML = `
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Fecha</th>
+                    <th>Asunto</th>
+                    <th>Destinatarios</th>
+                    <th>Intentos</th>
+                    <th>Estado</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${result.data.map(delivery => `
+                    <tr>
+                        <td>${formatDateTime(delivery.created_at)}</td>
+                        <td>${delivery.subject}<div class="muted">${delivery.filename}</div></td>
+                        <td>${delivery.recipients.join(', ')}</td>
+                        <td>${delivery.attempts.length}</td>
+                        <td>${DELIVERY_STATUS[delivery.status] || delivery.status}${delivery.error ? `<div class="muted">${delivery.error}</div>` : ''}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+window.emailReport = emailReport;
+
+// ============ SCHEDULED REPORTS ============
+const RUN_TRIGGERS = { schedule: 'Programada', manual: 'Manual', endpoint: 'Cron externo' };
+
+function setupSchedules() {
+    document.getElementById('job-form').addEventListener('submit', createSchedule);
+}
+
+function formatDateTime(value) {
+    return value ? new Date(value).toLocaleString('es-MX', { dateStyle: 'short', timeStyle: 'short' }) : '-';
+}
+
+async function loadSchedules() {
+    const [jobs, runs] = await Promise.all([
+        apiGet('/api/schedules'),
+        apiGet('/api/schedules/runs?limit=20')
+    ]);
+
+    if (jobs.success) {
+        jobOptions = {
+            periods: jobs.periods,
+            sections: jobs.sections,
+            privacyModes: jobs.privacy_modes,
+            defaultPrivacy: jobs.default_privacy
+        };
+        renderScheduleForm();
+        renderScheduleList(jobs.data, jobs.scheduler_enabled);
+    }
+    if (runs.success) renderScheduleRuns(runs.data);
+}
+
+function renderScheduleForm() {
+    const periodSelect = document.getElementById('job-period');
+    if (periodSelect.options.length > 0) return;
+
+    periodSelect.innerHTML = Object.entries(jobOptions.periods)
+        .map(([id, label]) => `<option value="${id}">${label}</option>`)
+        .join('');
+    document.getElementById('job-sections').innerHTML = Object.entries(jobOptions.sections)
+        .map(([id, label]) => `
+            <label class="job-section">
+                <input type="checkbox" value="${id}" checked> ${label}
+            </label>
+        `).join('');
+    document.getElementById('job-privacy').innerHTML = Object.entries(jobOptions.privacyModes)
+        .map(([id, mode]) => `<option value="${id}" ${id === jobOptions.defaultPrivacy ? 'selected' : ''}>${mode.label}: ${mode.description}</option>`)
+        .join('');
+}
+
+function renderScheduleList(jobs, schedulerEnabled) {
+    const el = document.getElementById('job-list');
+
+    if (jobs.length === 0) {
+        el.innerHTML = '<p class="info-message">No hay reportes programados</p>';
+        return;
+    }
+
+    el.innerHTML = `
+        ${schedulerEnabled ? '' : '<p class="pricing-warning">⚠️ El reloj interno está apagado: las tareas solo corren cuando un cron externo llama a /api/scheduler/tick</p>'}
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Nombre</th>
+                    <th>Horario</th>
+                    <th>Período</th>
+                    <th>Próxima</th>
+                    <th>Última</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${jobs.map(job => `
+                    <tr>
+                        <td>
+                            ${job.name}
+                            <div class="muted">${job.sections.length} secciones · ${privacyLabel(job.privacy || jobOptions.defaultPrivacy, jobOptions.privacyModes)}${job.recipients.length > 0 ? ` · ${job.recipients.join(', ')}` : ''}</div>
+                        </td>
+                        <td><code>${job.cron}</code></td>
+                        <td>${jobOptions.periods[job.period] || job.period}</td>
+                        <td>${job.active ? formatDateTime(job.next_run_at) : '⏸️ Pausada'}</td>
+                        <td>${job.running ? '⏳ Ejecutando' : job.last_run_at ?
+                            `${job.last_status === 'success' ? '✅' : '❌'} ${formatDateTime(job.last_run_at)}` : '-'}</td>
+                        <td>
+                            <button class="btn btn-primary" onclick="runSchedule(${job.id})" ${job.running ? 'disabled' : ''}>Ejecutar ahora</button>
+                            <button class="btn" onclick="toggleSchedule(${job.id}, ${!job.active})">${job.active ? 'Pausar' : 'Reanudar'}</button>
+                            <button class="btn btn-warning" onclick="deleteSchedule(${job.id})">Eliminar</button>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+function renderScheduleRuns(runs) {
+    const el = document.getElementById('job-runs');
+
+    if (runs.length === 0) {
+        el.innerHTML = '<p class="info-message">Todavía no hay ejecuciones</p>';
+        return;
+    }
+
+    el.innerHTML = `
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Inicio</th>
+                    <th>Tarea</th>
+                    <th>Origen</th>
+                    <th>Período</th>
+                    <th>Estado</th>
+                    <th>Duración</th>
+                    <th>Correo</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${runs.map(run => `
+                    <tr>
+                        <td>${formatDateTime(run.started_at)}</td>
+                        <td>${run.job_name}</td>
+                        <td>${RUN_TRIGGERS[run.trigger] || run.trigger}</td>
+                        <td>${run.period?.label || '-'}</td>
+                        <td>${run.status === 'success' ? '✅ Generado' : run.status === 'running' ? '⏳ Ejecutando' : `❌ ${run.error}`}</td>
+                        <td>${run.duration_ms !== null ? `${(run.duration_ms / 1000).toFixed(1)} s` : '-'}</td>
+                        <td>${run.delivery ? DELIVERY_STATUS[run.delivery.status] || run.delivery.status : '-'}</td>
+                        <td>${run.download_url ? `<a href="${run.download_url}" target="_blank" class="btn-download">⬇️ PDF</a>` : ''}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+async function createSchedule(e) {
+    e.preventDefault();
+
+    const recipients = document.getElementById('job-recipients').value
+        .split(',')
+        .map(email => email.trim())
+        .filter(Boolean);
+    const sections = [...document.querySelectorAll('#job-sections input:checked')].map(input => input.value);
+
+    const result = await apiSend('POST', '/api/schedules', {
+        name: document.getElementById('job-name').value,
+        cron: document.getElementById('job-cron').value,
+        period: document.getElementById('job-period').value,
+        privacy: document.getElementById('job-privacy').value,
+        sections,
+        recipients
+    });
+
+    if (!result.success) {
+        showToast(result.error, 'error');
+        return;
+    }
+
+    showToast('✅ Reporte programado', 'success');
+    document.getElementById('job-name').value = '';
+    document.getElementById('job-recipients').value = '';
+    await loadSchedules();
+}
+
+async function runSchedule(id) {
+    showLoading(true);
+    const result = await apiCall(`/api/schedules/${id}/run`);
+    showLoading(false);
+
+    if (result.success) {
+        showToast('✅ Reporte generado', 'success');
+        await loadReports();
+    } else {
+        showToast(result.error || 'No se pudo generar el reporte', 'error');
+    }
+    await loadSchedules();
+}
+
+async function toggleSchedule(id, active) {
+    const result = await apiSend('PUT', `/api/schedules/${id}`, { active });
+    if (!result.success) {
+        showToast(result.error, 'error');
+        return;
+    }
+    showToast(active ? 'Tarea reanudada' : 'Tarea pausada', 'success');
+    await loadSchedules();
+}
+
+async function deleteSchedule(id) {
+    if (!confirm('¿Eliminar este reporte programado? El historial se conserva')) return;
+
+    const result = await apiSend('DELETE', `/api/schedules/${id}`);
+    if (!result.success) {
+        showToast(result.error, 'error');
+        return;
+    }
+    showToast('Tarea eliminada', 'success');
+    await loadSchedules();
+}
+
+window.runSchedule = runSchedule;
+window.toggleSchedule = toggleSchedule;
+window.deleteSchedule = deleteSchedule;
+
+// ============ CAMPAIGNS ============
+const CAMPAIGN_CLIENT_STATUS = { pending: '⏳ Pendiente', sent: '✅ Enviado', skipped: '⏭️ Omitida' };
+
+function setupCampaigns() {
+    document.getElementById('vip-create-campaign').addEventListener('click', () => createCampaignFrom('vip'));
+    document.getElementById('dormant-create-campaign').addEventListener('click', () => createCampaignFrom('dormant'));
+    document.getElementById('campaign-send-next').addEventListener('click', sendNextInCampaign);
+    document.getElementById('attribution-window').addEventListener('change', loadCampaignAttribution);
+}
+
+// Badge "contactada" en las listas de inactivas, VIP y segmentos
+function renderLastContact(contact) {
+    if (!contact) return '';
+    const by = contact.contacted_by ? ` por ${contact.contacted_by}` : '';
+    return `<div class="contact-badge" title="Contactada ${contact.times_contacted} ${contact.times_contacted === 1 ? 'vez' : 'veces'}">✅ Contactada ${formatDateTime(contact.contacted_at)}${by} · ${contact.campaign_name}</div>`;
+}
+
+// Crear una campaña con la lista y el mensaje de la sección actual
+async function createCampaignFrom(type) {
+    let target;
+    let template;
+    let defaultName;
+    const today = new Date().toLocaleDateString('es-MX');
+
+    if (type === 'dormant') {
+        const days = parseInt(document.getElementById('dormant-days').value);
+        target = { type, days };
+        template = document.getElementById('whatsapp-message').value;
+        defaultName = `Reactivación ${days}+ días · ${today}`;
+    } else if (type === 'vip') {
+        target = { type, limit: 25, startDate: currentFilters.startDate, endDate: currentFilters.endDate };
+        template = document.getElementById('vip-whatsapp-message').value;
+        defaultName = `Lealtad VIP · ${today}`;
+    } else {
+        if (!segmentState.segment) return;
+        target = { type, segment: segmentState.segment };
+        template = document.getElementById('segment-whatsapp-message').value;
+        defaultName = `${segmentState.label} · ${today}`;
+    }
+
+    const name = prompt('Nombre de la campaña:', defaultName);
+    if (name === null) return;
+
+    showLoading(true);
+    const result = await apiSend('POST', '/api/campaigns', { name, template, target });
+    showLoading(false);
+
+    if (!result.success) {
+        showToast(result.error, 'error');
+        return;
+    }
+
+    const { counts } = result.data;
+    showToast(`📣 Campaña creada: ${counts.pending} por enviar${counts.skipped ? `, ${counts.skipped} omitidas` : ''}`, 'success');
+    campaignState.campaignId = result.data.id;
+    navigateToSection('campaigns');
+}
+
+async function loadCampaigns() {
+    const result = await apiGet('/api/campaigns');
+    if (!result.success) return;
+
+    document.getElementById('campaign-cooldown').textContent = result.cooldown_days > 0 ?
+        `Las clientas contactadas en los últimos ${result.cooldown_days} días entran como omitidas en campañas nuevas.` : '';
+
+    const el = document.getElementById('campaign-list');
+    if (result.data.length === 0) {
+        el.innerHTML = '<p class="info-message">No hay campañas. Créalas desde Clientas VIP, Segmentos o Reactivación</p>';
+    } else {
+        el.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Campaña</th>
+                        <th>Clientas</th>
+                        <th>Creada</th>
+                        <th>Avance</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${result.data.map(campaign => `
+                        <tr class="${campaign.id === campaignState.campaignId ? 'row-active' : ''}">
+                            <td><strong>${campaign.name}</strong></td>
+                            <td>${campaign.target_label}</td>
+                            <td>${formatDateTime(campaign.created_at)}${campaign.created_by ? `<div class="muted">${campaign.created_by}</div>` : ''}</td>
+                            <td>
+                                ${campaign.counts.sent} / ${campaign.counts.total - campaign.counts.skipped} enviados
+                                ${campaign.counts.skipped ? `<div class="muted">${campaign.counts.skipped} omitidas</div>` : ''}
+                                ${campaign.completed ? '<div class="muted">✅ Completada</div>' : ''}
+                            </td>
+                            <td>
+                                <button class="btn btn-primary" onclick="openCampaign(${campaign.id})">Abrir</button>
+                                <button class="btn btn-warning" onclick="deleteCampaign(${campaign.id})">Eliminar</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    const exists = result.data.some(c => c.id === campaignState.campaignId);
+    if (!exists) campaignState.campaignId = result.data[0]?.id || null;
+    await loadCampaignDetail();
+}
+
+async function openCampaign(id) {
+    campaignState.campaignId = id;
+    await loadCampaigns();
+}
+
+async function loadCampaignDetail() {
+    const el = document.getElementById('campaign-clients');
+    const button = document.getElementById('campaign-send-next');
+
+    if (!campaignState.campaignId) {
+        campaignState.campaign = null;
+        document.getElementById('campaign-detail-title').textContent = '👥 Clientas de la Campaña';
+        document.getElementById('campaign-template').textContent = '';
+        button.disabled = true;
+        el.innerHTML = '<p class="info-message">Selecciona una campaña</p>';
+        return;
+    }
+
+    const result = await apiGet(`/api/campaigns/${campaignState.campaignId}`);
+    if (!result.success) return;
+
+    const campaign = result.data;
+    campaignState.campaign = campaign;
+    document.getElementById('campaign-detail-title').textContent = `👥 ${campaign.name}`;
+    document.getElementById('campaign-template').textContent = campaign.template;
+    button.disabled = campaign.counts.pending === 0;
+    button.textContent = campaign.counts.pending === 0 ?
+        '✅ Campaña completada' : `💬 Enviar a la siguiente (${campaign.counts.pending} pendientes)`;
+
+    el.innerHTML = `
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Clienta</th>
+                    <th>Teléfono</th>
+                    <th>Estado</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${campaign.clients.map(client => `
+                    <tr>
+                        <td>${client.full_name}</td>
+                        <td>${formatPhone(client.phone)}</td>
+                        <td>
+                            ${CAMPAIGN_CLIENT_STATUS[client.status]}
+                            ${client.status === 'sent' ? `<div class="muted">${formatDateTime(client.contacted_at)}${client.contacted_by ? ` · ${client.contacted_by}` : ''}</div>` : ''}
+                            ${client.skip_reason ? `<div class="muted">${client.skip_reason}</div>` : ''}
+                        </td>
+                        <td>
+                            ${client.status === 'pending' ? `
+                                <button class="btn btn-whatsapp" onclick="sendCampaignClient('${client.user_id}')">💬 Enviar</button>
+                                <button class="btn" onclick="setCampaignClientStatus('${client.user_id}', 'skipped')">Omitir</button>
+                            ` : `
+                                <button class="btn" onclick="setCampaignClientStatus('${client.user_id}', 'pending')">↩️ Pendiente</button>
+                            `}
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+async function setCampaignClientStatus(userId, status) {
+    const result = await apiSend('PUT', `/api/campaigns/${campaignState.campaignId}/clients/${userId}`, { status });
+    if (!result.success) showToast(result.error, 'error');
+    await loadCampaigns();
+    return result;
+}
+
+// Marca primero como enviada: si otra persona ya la contactó, el servidor responde 409 y no se abre WhatsApp
+async function sendCampaignClient(userId) {
+    const client = campaignState.campaign?.clients.find(c => c.user_id === userId);
+    if (!client) return;
+
+    const result = await setCampaignClientStatus(userId, 'sent');
+    if (result.success) openWhatsApp(client.phone, client.message);
+}
+
+async function sendNextInCampaign() {
+    const next = campaignState.campaign?.clients.find(c => c.status === 'pending');
+    if (next) await sendCampaignClient(next.user_id);
+}
+
+async function deleteCampaign(id) {
+    if (!confirm('¿Eliminar la campaña? Se pierde su historial de contacto')) return;
+
+    const result = await apiSend('DELETE', `/api/campaigns/${id}`);
+    if (!result.success) {
+        showToast(result.error, 'error');
+        return;
+    }
+
+    showToast('Campaña eliminada', 'success');
+    if (campaignState.campaignId === id) campaignState.campaignId = null;
+    await loadCampaigns();
+}
+
+window.openCampaign = openCampaign;
+window.deleteCampaign = deleteCampaign;
+window.sendCampaignClient = sendCampaignClient;
+window.setCampaignClientStatus = setCampaignClientStatus;
+
+// ============ CAMPAIGN ATTRIBUTION ============
+function formatLift(value, suffix = '') {
+    if (value === null) return '-';
+    const sign = value > 0 ? '+' : value < 0 ? '-' : '';
+    return suffix === '$' ? `${sign}$${formatNumber(Math.abs(value))}` : `${sign}${Math.abs(value)}${suffix}`;
+}
+
+function renderAttributionRow(label, comparison, extra = '') {
+    const { contacted, control } = comparison;
+    return `
+        <tr>
+            <td>${label}${extra}</td>
+            <td>${contacted.reactivated} / ${contacted.clients}${contacted.open_windows ? `<div class="muted">${contacted.open_windows} en ventana</div>` : ''}</td>
+            <td><strong>${contacted.reactivation_rate}%</strong></td>
+            <td>${control.clients > 0 ? `${control.reactivation_rate}% <span class="muted">(${control.clients})</span>` : '-'}</td>
+            <td>${formatLift(comparison.lift_pts, ' pts')}</td>
+            <td>$${formatNumber(contacted.revenue_recovered)}<div class="muted">${formatLift(comparison.revenue_lift_per_client, '$')} por clienta vs. control</div></td>
+            <td>${contacted.median_days_to_return ?? '-'}${contacted.median_days_to_return !== null ? ' días' : ''}</td>
+        </tr>
+    `;
+}
+
+const ATTRIBUTION_HEADER = `
+    <thead>
+        <tr>
+            <th></th>
+            <th>Regresaron</th>
+            <th>Reactivación</th>
+            <th>Control</th>
+            <th>Diferencia</th>
+            <th>Ingresos recuperados</th>
+            <th>Días al regreso (mediana)</th>
+        </tr>
+    </thead>
+`;
+
+async function loadCampaignAttribution() {
+    const windowDays = parseInt(document.getElementById('attribution-window').value);
+    const result = await apiCall('/api/analytics/campaign-attribution', { windowDays });
+    if (!result.success) return;
+
+    const data = result.data;
+    const { contacted, control } = data.totals;
+
+    document.getElementById('attribution-totals').innerHTML = `
+        <div class="segment-card">
+            <div class="segment-count">${contacted.reactivation_rate}%</div>
+            <div class="segment-label">Reactivación de contactadas</div>
+            <div class="segment-meta">${contacted.reactivated} de ${contacted.clients} regresaron en ${data.window_days} días</div>
+        </div>
+        <div class="segment-card">
+            <div class="segment-count">${control.clients > 0 ? `${control.reactivation_rate}%` : '-'}</div>
+            <div class="segment-label">Reactivación del control</div>
+            <div class="segment-meta">${control.clients} inactivas sin mensaje</div>
+        </div>
+        <div class="segment-card">
+            <div class="segment-count">${formatLift(data.totals.lift_pts, ' pts')}</div>
+            <div class="segment-label">Diferencia</div>
+            <div class="segment-meta">Efecto estimado en ${data.totals.lift_clients} contactadas de campañas de inactivas</div>
+        </div>
+        <div class="segment-card">
+            <div class="segment-count">$${formatNumber(contacted.revenue_recovered)}</div>
+            <div class="segment-label">Ingresos recuperados</div>
+            <div class="segment-meta">Regreso en ${contacted.median_days_to_return ?? '-'} días (mediana)</div>
+        </div>
+    `;
+
+    const campaignsEl = document.getElementById('attribution-campaigns');
+    const templatesEl = document.getElementById('attribution-templates');
+
+    if (data.campaigns.length === 0) {
+        campaignsEl.innerHTML = '<p class="info-message">Aún no hay campañas</p>';
+        templatesEl.innerHTML = '';
+        return;
+    }
+
+    campaignsEl.innerHTML = `
+        <table class="data-table">
+            ${ATTRIBUTION_HEADER}
+            <tbody>
+                ${data.campaigns.map(c => renderAttributionRow(
+                    `<strong>${c.name}</strong>`,
+                    c,
+                    `<div class="muted">${c.target_label} · ${c.control_dormant_days !== null ? `control: inactivas ${c.control_dormant_days}+ días` : 'sin control comparable'}</div>`
+                )).join('')}
+            </tbody>
+        </table>
+    `;
+
+    templatesEl.innerHTML = `
+        <table class="data-table">
+            ${ATTRIBUTION_HEADER}
+            <tbody>
+                ${data.templates.map(t => renderAttributionRow(
+                    `<pre class="campaign-template">${t.template}</pre>`,
+                    t,
+                    `<div class="muted">${t.campaigns.join(', ')}</div>`
+                )).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// ============ MESSAGE TEMPLATES ============
+// Plantilla que se carga por defecto en cada mensaje de WhatsApp de las secciones
+const TEMPLATE_PICKERS = {
+    'whatsapp-message': 'reactivacion',
+    'vip-whatsapp-message': 'vip',
+    'segment-whatsapp-message': 'segmento',
+    'expiring-whatsapp-message': 'creditos_por_vencer'
+};
+
+const CHANNEL_LABELS = { whatsapp: 'WhatsApp', email: 'Correo', pdf: 'PDF' };
+
+function setupTemplates() {
+    document.getElementById('template-form').addEventListener('submit', saveTemplate);
+    document.getElementById('template-cancel').addEventListener('click', resetTemplateForm);
+    document.getElementById('template-channel').addEventListener('change', renderTemplateVariables);
+    document.getElementById('template-preview-btn').addEventListener('click', previewTemplate);
+
+    Object.keys(TEMPLATE_PICKERS).forEach(textareaId => {
+        document.getElementById(`${textareaId}-template`).addEventListener('change', e => applyPickerTemplate(textareaId, e.target.value));
+        document.getElementById(`${textareaId}-save`).addEventListener('click', () => savePickerTemplate(textareaId));
+    });
+    if (can('campaigns')) loadTemplatePickers();
+}
+
+async function fetchTemplates() {
+    const result = await apiGet('/api/templates');
+    if (!result.success) return false;
+
+    templateState.templates = result.data;
+    templateState.channels = result.channels;
+    return true;
+}
+
+// Selectores de plantilla junto a cada mensaje; un mensaje editado y sin guardar no se pisa
+async function loadTemplatePickers() {
+    if (!await fetchTemplates()) return;
+    const whatsapp = templateState.templates.filter(t => t.channel === 'whatsapp');
+
+    Object.entries(TEMPLATE_PICKERS).forEach(([textareaId, defaultKey]) => {
+        const select = document.getElementById(`${textareaId}-template`);
+        const textarea = document.getElementById(textareaId);
+        const selected = select.value || defaultKey;
+
+        select.innerHTML = '';
+        whatsapp.forEach(t => select.add(new Option(t.name, t.key)));
+        select.value = whatsapp.some(t => t.key === selected) ? selected : (whatsapp[0]?.key || '');
+
+        if (textarea.value === (textarea.dataset.templateBody || '')) applyPickerTemplate(textareaId, select.value);
+    });
+}
+
+function applyPickerTemplate(textareaId, key) {
+    const template = templateState.templates.find(t => t.key === key);
+    if (!template) return;
+
+    const textarea = document.getElementById(textareaId);
+    textarea.value = template.body;
+    textarea.dataset.templateBody = template.body;
+}
+
+async function savePickerTemplate(textareaId) {
+    const key = document.getElementById(`${textareaId}-template`).value;
+    const template = templateState.templates.find(t => t.key === key);
+    if (!template) return;
+
+    const textarea = document.getElementById(textareaId);
+    const result = await apiSend('PUT', `/api/templates/${template.id}`, { body: textarea.value });
+    if (!result.success) {
+        showToast(result.error, 'error');
+        return;
+    }
+
+    textarea.dataset.templateBody = textarea.value;
+    showToast(`💾 Plantilla "${template.name}" guardada`, 'success');
+    await loadTemplatePickers();
+}
+
+// Renderizar el mensaje con las variables de la clienta y abrir su WhatsApp.
+// vars reemplaza variables con los datos de la lista en pantalla (p. ej. los días del filtro)
+async function sendTemplateWhatsApp(textareaId, client, vars = {}) {
+    const result = await apiCall('/api/templates/render', {
+        body: document.getElementById(textareaId).value,
+        userId: client.user_id,
+        vars
+    });
+
+    if (!result.success) {
+        showToast(result.error, 'error');
+        return;
+    }
+    openWhatsApp(client.phone, result.data.text);
+}
+
+async function loadTemplates() {
+    const [loaded, clients] = await Promise.all([
+        fetchTemplates(),
+        templateState.clients.length === 0 ? apiGet('/api/templates/clients') : null
+    ]);
+
+    if (clients?.success) {
+        templateState.clients = clients.data;
+        const select = document.getElementById('template-preview-client');
+        select.innerHTML = '';
+        select.add(new Option('Sin clienta (variables vacías)', ''));
+        clients.data.forEach(c => select.add(new Option(c.full_name, c.user_id)));
+    }
+    if (!loaded) return;
+
+    renderTemplateVariables();
+
+    const el = document.getElementById('template-list');
+    el.innerHTML = `
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Plantilla</th>
+                    <th>Clave</th>
+                    <th>Canal</th>
+                    <th>Actualizada</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${templateState.templates.map(t => `
+                    <tr class="${t.id === templateState.editing ? 'row-active' : ''}">
+                        <td><strong>${t.name}</strong></td>
+                        <td><code>${t.key}</code></td>
+                        <td>${CHANNEL_LABELS[t.channel] || t.channel}</td>
+                        <td>${t.updated_at ? formatDateTime(t.updated_at) : '<span class="muted">Por defecto</span>'}</td>
+                        <td>
+                            <button class="btn btn-primary" onclick="editTemplate(${t.id})">Editar</button>
+                            ${t.builtin ? '' : `<button class="btn btn-warning" onclick="deleteTemplate(${t.id})">Eliminar</button>`}
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Variables del canal elegido; clic para insertarla en el texto
+function renderTemplateVariables() {
+    const channel = document.getElementById('template-channel').value;
+    const variables = templateState.channels[channel]?.variables || {};
+
+    document.getElementById('template-preview-client').hidden = channel !== 'whatsapp';
+    document.getElementById('template-variables').innerHTML = Object.entries(variables).map(([name, description]) => `
+        <button type="button" class="template-variable" title="${description}" onclick="insertTemplateVariable('${name}')">{${name}}</button>
+    `).join('');
+}
+
+function insertTemplateVariable(name) {
+    const textarea = document.getElementById('template-body');
+    const start = textarea.selectionStart ?? textarea.value.length;
+    const tag = `{${name}}`;
+
+    textarea.value = textarea.value.slice(0, start) + tag + textarea.value.slice(textarea.selectionEnd ?? start);
+    textarea.focus();
+    textarea.selectionStart = textarea.selectionEnd = start + tag.length;
+}
+
+async function previewTemplate() {
+    const channel = document.getElementById('template-channel').value;
+    const output = document.getElementById('template-preview');
+
+    const result = await apiCall('/api/templates/render', {
+        body: document.getElementById('template-body').value,
+        channel,
+        userId: channel === 'whatsapp' ? (document.getElementById('template-preview-client').value || null) : null
+    });
+
+    output.classList.toggle('template-error', !result.success);
+    output.textContent = result.success ? (result.data.text || '(mensaje vacío)') : `⚠️ ${result.error}`;
+}
+
+async function saveTemplate(e) {
+    e.preventDefault();
+
+    const body = {
+        name: document.getElementById('template-name').value,
+        channel: document.getElementById('template-channel').value,
+        body: document.getElementById('template-body').value
+    };
+
+    const result = templateState.editing ?
+        await apiSend('PUT', `/api/templates/${templateState.editing}`, body) :
+        await apiSend('POST', '/api/templates', { key: document.getElementById('template-key').value.trim(), ...body });
+
+    if (!result.success) {
+        showToast(result.error, 'error');
+        return;
+    }
+
+    showToast('💾 Plantilla guardada', 'success');
+    resetTemplateForm();
+    await loadTemplates();
+    await loadTemplatePickers();
+}
+
+function editTemplate(id) {
+    const template = templateState.templates.find(t => t.id === id);
+    if (!template) return;
+
+    templateState.editing = id;
+    document.getElementById('template-key').value = template.key;
+    document.getElementById('template-key').disabled = true;
+    document.getElementById('template-name').value = template.name;
+    document.getElementById('template-channel').value = template.channel;
+    document.getElementById('template-channel').disabled = template.builtin;
+    document.getElementById('template-body').value = template.body;
+    document.getElementById('template-form-title').textContent = `✏️ Editar ${template.name}`;
+    document.getElementById('template-cancel').hidden = false;
+    document.getElementById('template-preview').textContent = '';
+
+    renderTemplateVariables();
+    document.querySelectorAll('#template-list tbody tr').forEach((row, i) => {
+        row.classList.toggle('row-active', templateState.templates[i]?.id === id);
+    });
+}
+
+function resetTemplateForm() {
+    templateState.editing = null;
+    document.getElementById('template-form').reset();
+    document.getElementById('template-key').disabled = false;
+    document.getElementById('template-channel').disabled = false;
+    document.getElementById('template-form-title').textContent = '➕ Nueva Plantilla';
+    document.getElementById('template-cancel').hidden = true;
+    document.getElementById('template-preview').textContent = '';
+    document.querySelectorAll('#template-list tr.row-active').forEach(row => row.classList.remove('row-active'));
+    renderTemplateVariables();
+}
+
+async function deleteTemplate(id) {
+    const template = templateState.templates.find(t => t.id === id);
+    if (!template || !confirm(`¿Eliminar la plantilla "${template.name}"?`)) return;
+
+    const result = await apiSend('DELETE', `/api/templates/${id}`);
+    if (!result.success) {
+        showToast(result.error, 'error');
+        return;
+    }
+
+    showToast('Plantilla eliminada', 'success');
+    if (templateState.editing === id) resetTemplateForm();
+    await loadTemplates();
+    await loadTemplatePickers();
+}
+
+window.editTemplate = editTemplate;
+window.deleteTemplate = deleteTemplate;
+window.insertTemplateVariable = insertTemplateVariable;
+
+// ============ USERS ============
+function setupUsers() {
+    document.getElementById('user-form').addEventListener('submit', saveUser);
+    document.getElementById('user-cancel').addEventListener('click', resetUserForm);
+    document.getElementById('user-role').addEventListener('change', renderRolePermissions);
+}
+
+async function loadUsers() {
+    const result = await apiGet('/api/users');
+    if (!result.success) {
+        showToast(result.error, 'error');
+        return;
+    }
+
+    userState.users = result.data;
+    userState.roles = result.roles;
+    userState.permissions = result.permissions;
+    // Usuarios definidos en el entorno del servidor: solo se listan
+    document.getElementById('user-form-card').style.display = result.editable ? '' : 'none';
+
+    const roleSelect = document.getElementById('user-role');
+    if (roleSelect.options.length === 0) {
+        Object.entries(result.roles).forEach(([id, role]) => roleSelect.add(new Option(role.label, id)));
+        renderRolePermissions();
+    }
+
+    document.getElementById('user-list').innerHTML = `
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Nombre</th>
+                    <th>Usuario</th>
+                    <th>Rol</th>
+                    <th>Último acceso</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${result.data.map(user => `
+                    <tr class="${user.id === userState.editing ? 'row-active' : ''}">
+                        <td><strong>${user.name}</strong>${user.active ? '' : ' <span class="muted">(desactivado)</span>'}</td>
+                        <td><code>${user.username}</code></td>
+                        <td>${user.role_label}</td>
+                        <td>${user.last_login_at ? formatDateTime(user.last_login_at) : '<span class="muted">Nunca</span>'}</td>
+                        <td>${result.editable ? `
+                            <button class="btn btn-primary" onclick="editUser(${user.id})">Editar</button>
+                            <button class="btn" onclick="toggleUser(${user.id}, ${!user.active})">${user.active ? 'Desactivar' : 'Activar'}</button>
+                            ${user.id === authState.user.id ? '' : `<button class="btn btn-warning" onclick="deleteUser(${user.id})">Eliminar</button>`}
+                        ` : '<span class="muted">Definido en AUTH_USERS</span>'}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Lo que puede hacer el rol elegido en el formulario
+function renderRolePermissions() {
+    const role = userState.roles[document.getElementById('user-role').value];
+    if (!role) return;
+
+    const allowed = role.permissions.map(p => userState.permissions[p]);
+    document.getElementById('role-permissions').innerHTML = allowed.length === 0 ?
+        '<p class="card-helper">Solo consulta: sin teléfonos, ingresos, reportes ni campañas</p>' :
+        `<p class="card-helper">Puede: ${allowed.join(' · ')}</p>`;
+}
+
+async function saveUser(e) {
+    e.preventDefault();
+
+    const password = document.getElementById('user-password').value;
+    const body = {
+        name: document.getElementById('user-name').value,
+        role: document.getElementById('user-role').value
+    };
+    // Al editar, la contraseña vacía se conserva
+    if (password !== '' || !userState.editing) body.password = password;
+
+    const result = userState.editing ?
+        await apiSend('PUT', `/api/users/${userState.editing}`, body) :
+        await apiSend('POST', '/api/users', { username: document.getElementById('user-username').value.trim(), ...body });
+
+    if (!result.success) {
+        showToast(result.error, 'error');
+        return;
+    }
+
+    showToast('💾 Usuario guardado', 'success');
+    resetUserForm();
+    await loadUsers();
+}
+
+function editUser(id) {
+    const user = userState.users.find(u => u.id === id);
+    if (!user) return;
+
+    userState.editing = id;
+    document.getElementById('user-username').value = user.username;
+    document.getElementById('user-username').disabled = true;
+    document.getElementById('user-name').value = user.name;
+    document.getElementById('user-role').value = user.role;
+    document.getElementById('user-password').value = '';
+    document.getElementById('user-password-label').textContent = 'Nueva contraseña (opcional)';
+    document.getElementById('user-form-title').textContent = `✏️ Editar ${user.name}`;
+    document.getElementById('user-cancel').hidden = false;
+
+    renderRolePermissions();
+    document.querySelectorAll('#user-list tbody tr').forEach((row, i) => {
+        row.classList.toggle('row-active', userState.users[i]?.id === id);
+    });
+}
+
+function resetUserForm() {
+    userState.editing = null;
+    document.getElementById('user-form').reset();
+    document.getElementById('user-username').disabled = false;
+    document.getElementById('user-password-label').textContent = 'Contraseña';
+    document.getElementById('user-form-title').textContent = '➕ Nuevo Usuario';
+    document.getElementById('user-cancel').hidden = true;
+    document.querySelectorAll('#user-list tr.row-active').forEach(row => row.classList.remove('row-active'));
+    renderRolePermissions();
+}
+
+async function toggleUser(id, active) {
+    const result = await apiSend('PUT', `/api/users/${id}`, { active });
+    if (!result.success) {
+        showToast(result.error, 'error');
+        return;
+    }
+    showToast(active ? 'Usuario activado' : 'Usuario desactivado; sus sesiones se cerraron', 'success');
+    await loadUsers();
+}
+
+async function deleteUser(id) {
+    const user = userState.users.find(u => u.id === id);
+    if (!user || !confirm(`¿Eliminar al usuario "${user.name}"?`)) return;
+
+    const result = await apiSend('DELETE', `/api/users/${id}`);
+    if (!result.success) {
+        showToast(result.error, 'error');
+        return;
+    }
+
+    showToast('Usuario eliminado', 'success');
+    if (userState.editing === id) resetUserForm();
+    await loadUsers();
+}
+
+window.editUser = editUser;
+window.toggleUser = toggleUser;
+window.deleteUser = deleteUser;
+
+// ============ AUDIT ============
+const AUDIT_SOURCES = { api: 'API', schedule: 'Programada', cli: 'Línea de comandos' };
+
+function setupAudit() {
+    document.getElementById('audit-filters').addEventListener('submit', e => {
+        e.preventDefault();
+        loadAudit();
+    });
+}
+
+async function loadAudit() {
+    const params = new URLSearchParams();
+    [['user_id', 'audit-user'], ['action', 'audit-action'], ['from', 'audit-from'], ['to', 'audit-to']].forEach(([key, id]) => {
+        const value = document.getElementById(id).value;
+        if (value) params.set(key, value);
+    });
+
+    const [result, users] = await Promise.all([
+        apiGet(`/api/audit?${params}`),
+        document.getElementById('audit-user').options.length > 1 ? null : apiGet('/api/users')
+    ]);
+    if (!result.success) {
+        showToast(result.error, 'error');
+        return;
+    }
+
+    if (users?.success) {
+        const userSelect = document.getElementById('audit-user');
+        users.data.forEach(user => userSelect.add(new Option(`${user.name} (${user.username})`, user.id)));
+    }
+    const actionSelect = document.getElementById('audit-action');
+    if (actionSelect.options.length === 1) {
+        Object.entries(result.actions).forEach(([id, label]) => actionSelect.add(new Option(label, id)));
+    }
+
+    const container = document.getElementById('audit-list');
+    if (result.data.length === 0) {
+        container.innerHTML = '<p class="info-message">Sin registros para estos filtros</p>';
+        return;
+    }
+
+    container.innerHTML = `
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Fecha</th>
+                    <th>Usuario</th>
+                    <th>Acción</th>
+                    <th>Ruta / archivo</th>
+                    <th>Parámetros</th>
+                    <th>Clientas</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${result.data.map(entry => `
+                    <tr>
+                        <td>${formatDateTime(entry.at)}</td>
+                        <td>${entry.user ? `<strong>${entry.user.username}</strong>` : `<span class="muted">${AUDIT_SOURCES[entry.source] || entry.source}</span>`}</td>
+                        <td>
+                            ${result.actions[entry.action] || entry.action}
+                            ${entry.format ? `<div class="muted">Exportación ${entry.format.toUpperCase()}</div>` : ''}
+                            ${entry.privacy === 'masked' ? '<div class="muted">🔒 Enmascarado</div>' : ''}
+                        </td>
+                        <td>${entry.route ? `<code>${entry.method} ${entry.route}</code>` : ''}${entry.filename ? `<div class="muted">${entry.filename}</div>` : ''}</td>
+                        <td>${formatAuditParams(entry.params)}</td>
+                        <td>${entry.records}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+function formatAuditParams(params = {}) {
+    const entries = Object.entries(params);
+    if (entries.length === 0) return '<span class="muted">-</span>';
+    return entries
+        .map(([key, value]) => `<code>${key}=${typeof value === 'object' ? JSON.stringify(value) : value}</code>`)
+        .join(' ');
+}
+
+// ============ EXPORTS ============
+// Datos exportables por sección, con los mismos filtros que la pantalla
+const SECTION_EXPORTS = {
+    dashboard: [
+        { label: 'Retención', endpoint: '/api/analytics/retention' },
+        { label: 'Ventas', endpoint: '/api/analytics/sales', body: () => dateFilters() },
+        { label: 'Proyección', endpoint: '/api/analytics/forecast', body: () => ({ months: 3 }), permission: 'revenue' },
+        { label: 'Metas del mes', endpoint: '/api/analytics/goals-progress' },
+        { label: 'Horario semanal', endpoint: '/api/analytics/weekly-schedule', body: () => dateFilters() },
+        { label: 'Inactivas 30+ días', endpoint: '/api/analytics/dormant', body: () => ({ daysInactive: 30 }) },
+        { label: 'Cohortes', endpoint: '/api/analytics/cohorts', body: () => ({ monthsBack: 12 }) },
+        { label: 'Cancelaciones', endpoint: '/api/analytics/cancellations', body: () => dateFilters() },
+        { label: 'Clases populares', endpoint: '/api/analytics/popular-classes' },
+        { label: 'Asistencia', endpoint: '/api/analytics/attendance' }
+    ],
+    sales: [
+        { label: 'Ventas', endpoint: '/api/analytics/sales', body: () => dateFilters() }
+    ],
+    clients: [
+        { label: 'Top 25 VIP', endpoint: '/api/analytics/top-buyers', body: () => ({ ...dateFilters(), limit: 25 }) },
+        { label: 'Valor de vida (LTV)', endpoint: '/api/analytics/ltv', permission: 'revenue' }
+    ],
+    compare: [
+        { label: 'Ventas por período', endpoint: '/api/analytics/compare', body: () => comparePeriods(), permission: 'revenue' },
+        { label: 'Créditos por período', endpoint: '/api/analytics/credits-compare', body: () => comparePeriods() }
+    ],
+    segments: [
+        { label: 'Segmentos', endpoint: '/api/analytics/segments' },
+        {
+            label: 'Clientas del segmento',
+            endpoint: '/api/analytics/segments',
+            body: () => ({ segment: segmentState.segment }),
+            available: () => Boolean(segmentState.segment)
+        }
+    ],
+    coaches: [
+        { label: 'Coaches', endpoint: '/api/analytics/coaches', body: () => ({ monthsBack: getCoachMonths() }) },
+        {
+            label: 'Detalle del coach',
+            endpoint: '/api/analytics/coaches',
+            body: () => ({ coachId: coachState.coachId, monthsBack: getCoachMonths() }),
+            available: () => coachState.coachId !== null
+        }
+    ],
+    goals: [
+        { label: 'Avance del mes', endpoint: '/api/analytics/goals-progress' }
+    ],
+    dormant: [
+        { label: 'Inactivas', endpoint: '/api/analytics/dormant-paginated', body: () => ({ daysInactive: parseInt(document.getElementById('dormant-days').value) }) },
+        { label: 'En riesgo de abandono', endpoint: '/api/analytics/churn-risk', body: () => ({ dormantDays: parseInt(document.getElementById('dormant-days').value), minLevel: 'medio' }) },
+        { label: 'Créditos por vencer', endpoint: '/api/analytics/credits-expiration', body: () => ({ contactDays: parseInt(document.getElementById('expiring-days').value) }) }
+    ],
+    campaigns: [
+        { label: 'Resultados de campañas', endpoint: '/api/analytics/campaign-attribution', permission: 'campaigns', body: () => ({ windowDays: parseInt(document.getElementById('attribution-window').value, 10) }) }
+    ]
+};
+
+const dateFilters = () => ({ startDate: currentFilters.startDate, endDate: currentFilters.endDate });
+
+const comparePeriods = () => ({
+    period1Start: document.getElementById('period1-start').value,
+    period1End: document.getElementById('period1-end').value,
+    period2Start: document.getElementById('period2-start').value,
+    period2End: document.getElementById('period2-end').value
+});
+
+function setupExports() {
+    document.querySelectorAll('.export-bar').forEach(bar => {
+        const section = bar.dataset.exportSection;
+        bar.innerHTML = `
+            <select class="filter-input" aria-label="Datos a exportar">
+                ${SECTION_EXPORTS[section].map((item, i) => (item.permission && !can(item.permission) ? '' :
+                    `<option value="${i}">${item.label}</option>`)).join('')}
+            </select>
+            <button type="button" class="btn" data-format="csv">⬇️ CSV</button>
+            <button type="button" class="btn" data-format="xlsx">⬇️ Excel</button>
+        `;
+        bar.querySelectorAll('button').forEach(button => {
+            button.addEventListener('click', () => exportSection(section, Number(bar.querySelector('select').value), button.dataset.format));
+        });
+    });
+}
+
+async function exportSection(section, index, format) {
+    const item = SECTION_EXPORTS[section][index];
+    if (!item) return;
+    if (item.available && !item.available()) {
+        showToast(`Primero selecciona ${section === 'segments' ? 'un segmento' : 'un coach'}`, 'error');
+        return;
+    }
+
+    showLoading(true);
+    const ok = await apiDownload(item.endpoint, { ...(item.body ? item.body() : {}), format });
+    showLoading(false);
+    if (ok) showToast(`⬇️ ${item.label} exportado`, 'success');
+}
+
+// ============ GENERATE PDF ============
+async function generatePDF() {
+    showLoading(true);
+
+    const result = await apiCall('/api/generate-pdf', {
+        startDate: currentFilters.startDate,
+        endDate: currentFilters.endDate
+    });
+
+    showLoading(false);
+
+    if (result.success) {
+        showToast('✅ PDF generado exitosamente', 'success');
+        window.open(result.downloadUrl, '_blank');
+        await loadReports();
+        navigateToSection('reports');
+    } else {
+        showToast('❌ Error generando PDF: ' + result.error, 'error');
+    }
+}
+
+// Descartar la caché de datos del servidor y recargar la sección actual
+async function refreshData() {
+    showLoading(true);
+    const result = await apiCall('/api/cache/refresh');
+    showLoading(false);
+
+    if (!result.success) {
+        showToast('❌ Error actualizando datos: ' + result.error, 'error');
+        return;
+    }
+
+    showToast('🔄 Datos actualizados', 'success');
+    await loadDashboardData();
+    if (currentSection !== 'dashboard') navigateToSection(currentSection);
+}
+
+// ============ UTILITIES ============
+function openWhatsApp(phone, message) {
+    // Clean phone number
+    let cleanPhone = phone.replace(/[^0-9]/g, '');
+    if (cleanPhone.startsWith('52') && cleanPhone.length === 12) {
+        // Already has country code
+    } else if (cleanPhone.length === 10) {
+        cleanPhone = '52' + cleanPhone;
+    }
+
+    const url = `https://wa.me/${cleanPhone}?text=${encodeURIComponent(message)}`;
+    window.open(url, '_blank');
+}
+
+// null = dato oculto para el rol de la sesión
+function formatNumber(num) {
+    if (num === null) return '—';
+    return new Intl.NumberFormat('es-MX').format(num || 0);
+}
+
+function formatPhone(phone) {
+    return phone ?? '🔒 Oculto';
 }
 
 function showLoading(show) {
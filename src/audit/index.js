@@ -0,0 +1,170 @@
+/**
+ * Audit Log
+ * Quién consultó datos de clientas y quién generó o descargó reportes
+ *
+ * - Solo se agregan entradas: una línea JSON por evento en DATA_DIR/audit-log.jsonl
+ *   (a diferencia de los demás logs, no se recorta ni se reescribe)
+ * - data_access: respuestas de la API con registros de clientas (nombre o teléfono),
+ *   incluidas las exportaciones CSV/XLSX
+ * - report_generated / report_downloaded: PDF generados (API, tareas programadas, CLI) y descargas de /reports
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { storageConfig } from '../config/storage.js';
+
+export const AUDIT_ACTIONS = {
+    data_access: 'Consulta de clientas',
+    report_generated: 'Reporte generado',
+    report_downloaded: 'Reporte descargado'
+};
+
+// Campos que no se guardan en los parámetros
+const SECRET_PARAMS = ['password', 'token'];
+const CLIENT_FIELDS = ['full_name', 'phone'];
+
+const logPath = () => path.join(storageConfig.dataDir, 'audit-log.jsonl');
+
+/**
+ * Usuario tal como queda en el log (null para tareas programadas y CLI)
+ */
+function auditUser(user) {
+    return user ? { id: user.id, username: user.username, role: user.role } : null;
+}
+
+function auditParams(params = {}) {
+    return Object.fromEntries(Object.entries(params).filter(([key]) => !SECRET_PARAMS.includes(key)));
+}
+
+/**
+ * Clientas distintas en un resultado: objetos con nombre o teléfono, por user_id si lo tienen
+ */
+export function countClientRecords(value) {
+    const ids = new Set();
+    let anonymous = 0;
+
+    const walk = item => {
+        if (Array.isArray(item)) return item.forEach(walk);
+        if (item === null || typeof item !== 'object') return;
+        if (CLIENT_FIELDS.some(field => field in item)) {
+            if (item.user_id) ids.add(item.user_id);
+            else anonymous++;
+        }
+        Object.values(item).forEach(walk);
+    };
+
+    walk(value);
+    return ids.size + anonymous;
+}
+
+/**
+ * Agregar una entrada al log
+ * @param {Object} entry
+ * @param {string} entry.action - Clave de AUDIT_ACTIONS
+ * @param {Object} entry.user - Usuario de la sesión (null si no hay)
+ * @param {string} entry.source - 'api' | 'schedule' | 'cli'
+ */
+export function recordAudit({ action, user = null, source = 'api', method = null, route = null, params = {}, records = 0, ...rest }) {
+    const entry = {
+        at: new Date().toISOString(),
+        action,
+        source,
+        user: auditUser(user),
+        method,
+        route,
+        params: auditParams(params),
+        records,
+        ...rest
+    };
+
+    fs.mkdirSync(storageConfig.dataDir, { recursive: true });
+    fs.appendFileSync(logPath(), `${JSON.stringify(entry)}\n`);
+    return entry;
+}
+
+/**
+ * Consultar el log (más recientes primero)
+ * @param {Object} filters
+ * @param {number} filters.userId - Solo las de este usuario
+ * @param {string} filters.action - Clave de AUDIT_ACTIONS
+ * @param {string} filters.from - Desde (YYYY-MM-DD, inclusive)
+ * @param {string} filters.to - Hasta (YYYY-MM-DD, inclusive)
+ */
+export function listAudit({ userId, action, from, to, limit = 200 } = {}) {
+    if (!fs.existsSync(logPath())) return [];
+
+    return fs.readFileSync(logPath(), 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .map(line => JSON.parse(line))
+        .filter(entry =>
+            (userId === undefined || entry.user?.id === Number(userId)) &&
+            (!action || entry.action === action) &&
+            (!from || entry.at.slice(0, 10) >= from) &&
+            (!to || entry.at.slice(0, 10) <= to)
+        )
+        .reverse()
+        .slice(0, limit);
+}
+
+/**
+ * Middleware (después de authenticate): registra las respuestas exitosas con datos de clientas
+ * Va después de exportación, redacción y privacidad para contar los registros que devuelve la ruta
+ */
+export function auditAccessMiddleware(req, res, next) {
+    const params = { ...req.query, ...req.body };
+    // La exportación pide todas las filas (page/pageSize no son de quien consulta)
+    if (req.exportFormat) {
+        delete params.page;
+        delete params.pageSize;
+    }
+    let records = 0;
+
+    const sendJson = res.json.bind(res);
+    res.json = payload => {
+        if (payload?.success && payload.data !== undefined) records = countClientRecords(payload.data);
+        return sendJson(payload);
+    };
+
+    res.on('finish', () => {
+        if (res.statusCode >= 400 || records === 0) return;
+        recordAudit({
+            action: 'data_access',
+            user: req.user,
+            method: req.method,
+            route: req.originalUrl.split('?')[0],
+            params,
+            records,
+            privacy: req.privacy || null,
+            format: req.exportFormat || null
+        });
+    });
+
+    next();
+}
+
+/**
+ * Middleware para /reports: registra cada archivo descargado
+ */
+export function auditDownloadMiddleware(req, res, next) {
+    res.on('finish', () => {
+        if (res.statusCode >= 400) return;
+        recordAudit({
+            action: 'report_downloaded',
+            user: req.user,
+            method: req.method,
+            route: req.originalUrl.split('?')[0],
+            filename: path.basename(req.path)
+        });
+    });
+    next();
+}
+
+export default {
+    AUDIT_ACTIONS,
+    countClientRecords,
+    recordAudit,
+    listAudit,
+    auditAccessMiddleware,
+    auditDownloadMiddleware
+};
@@ -0,0 +1,460 @@
+/**
+ * Authentication & Roles
+ * Usuarios, sesiones y permisos por rol para el dashboard y la API
+ *
+ * - Usuarios en DATA_DIR/users.json con contraseña scrypt (salt por usuario); con AUTH_USERS,
+ *   o en serverless, salen del entorno y no se editan desde la API (ver USERS_FROM_ENV)
+ * - Sesiones sin estado: el token lleva usuario y vencimiento firmados con HMAC (AUTH_SECRET),
+ *   así que cualquier instancia lo valida sin disco compartido
+ * - Cada petición vuelve a leer al usuario: desactivarlo o cambiarle el rol aplica de inmediato;
+ *   cambiar la contraseña o desactivarlo invalida los tokens emitidos antes (sessions_valid_after)
+ * - Roles: owner, manager, front_desk y coach (ver ROLES)
+ * - privacy: modo de privacidad con el que cada rol ve nombres y teléfonos (ver privacy/index.js)
+ */
+
+import crypto from 'crypto';
+import { authConfig } from '../config/auth.js';
+import { storageConfig } from '../config/storage.js';
+import { JsonStore } from '../storage/json-store.js';
+import { ApiError } from '../errors/index.js';
+
+export const PERMISSIONS = {
+    contacts: 'Ver teléfonos de las clientas',
+    revenue: 'Ver ingresos, precios y montos',
+    reports: 'Generar, descargar, enviar y programar reportes PDF',
+    campaigns: 'Campañas y plantillas de WhatsApp',
+    settings: 'Editar metas y recargar la caché de datos',
+    users: 'Administrar usuarios'
+};
+
+export const ROLES = {
+    owner: { label: 'Dueña', permissions: Object.keys(PERMISSIONS), privacy: 'full' },
+    manager: { label: 'Gerente', permissions: ['contacts', 'revenue', 'reports', 'campaigns', 'settings'], privacy: 'full' },
+    front_desk: { label: 'Recepción', permissions: ['contacts', 'campaigns'], privacy: 'full' },
+    coach: { label: 'Coach', permissions: [], privacy: 'masked' }
+};
+
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const SCRYPT_KEYLEN = 64;
+
+// Sin disco compartido los usuarios no se pueden guardar: se definen en el entorno
+export const USERS_FROM_ENV = authConfig.users !== null || storageConfig.serverless;
+
+const userStore = new JsonStore('users', { next_id: 1, users: [] });
+const secretStore = new JsonStore('auth-secret', { secret: null });
+// Intentos fallidos de inicio de sesión por IP (en memoria)
+const failedLogins = new Map();
+// Tokens cerrados con logout en esta instancia, hasta que vencen
+const revokedTokens = new Map();
+
+let envUsers = null;
+let sessionSecret = null;
+
+export function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+export function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+export function getPermissions(user) {
+    return ROLES[user?.role]?.permissions || [];
+}
+
+export function hasPermission(user, permission) {
+    return getPermissions(user).includes(permission);
+}
+
+/**
+ * Usuario sin la contraseña, con sus permisos y su modo de privacidad
+ */
+export function publicUser(user) {
+    if (!user) return null;
+    const { password_hash, sessions_valid_after, ...rest } = user;
+    return {
+        ...rest,
+        role_label: ROLES[user.role]?.label || user.role,
+        permissions: getPermissions(user),
+        privacy: ROLES[user.role]?.privacy || 'masked'
+    };
+}
+
+// ===================== USUARIOS =====================
+
+/**
+ * Usuarios de AUTH_USERS más la dueña de AUTH_OWNER_USERNAME / AUTH_OWNER_PASSWORD;
+ * el id es su posición, así que es el mismo en todas las instancias
+ */
+function loadEnvUsers() {
+    if (envUsers) return envUsers;
+
+    const entries = [...(authConfig.users || [])];
+    const ownerUsername = authConfig.ownerUsername?.toLowerCase();
+    if (ownerUsername && authConfig.ownerPassword && !entries.some(u => String(u.username).toLowerCase() === ownerUsername)) {
+        entries.unshift({ username: ownerUsername, name: authConfig.ownerUsername, role: 'owner', password: authConfig.ownerPassword });
+    }
+
+    envUsers = entries.flatMap((entry, index) => {
+        const username = String(entry.username || '').toLowerCase();
+        if (!USERNAME_PATTERN.test(username) || !ROLES[entry.role] || !(entry.password || entry.password_hash)) {
+            console.log(`   ⚠️  AUTH_USERS: "${entry.username}" sin username válido, rol conocido o contraseña; se ignora`);
+            return [];
+        }
+        return [{
+            id: index + 1,
+            username,
+            name: entry.name || username,
+            role: entry.role,
+            active: entry.active ?? true,
+            password_hash: entry.password_hash || hashPassword(String(entry.password)),
+            created_at: null,
+            updated_at: null,
+            last_login_at: null
+        }];
+    });
+    return envUsers;
+}
+
+const readUsers = () => (USERS_FROM_ENV ? loadEnvUsers() : userStore.read().users);
+
+function assertEditableUsers() {
+    if (USERS_FROM_ENV) {
+        throw new ApiError('Users are defined with AUTH_USERS / AUTH_OWNER_* and cannot be edited here', { status: 409 });
+    }
+}
+
+/**
+ * Validar un usuario recibido por la API; devuelve la lista de errores
+ * @param {Object} current - Usuario actual (en actualizaciones)
+ */
+export function validateUserInput(input = {}, { current = null } = {}) {
+    const errors = [];
+    const has = key => input[key] !== undefined;
+
+    if (current && has('username') && input.username !== current.username) errors.push('username cannot be changed');
+    if (!current && (typeof input.username !== 'string' || !USERNAME_PATTERN.test(input.username))) {
+        errors.push('username is required (3-32 lowercase letters, numbers, ".", "_" or "-")');
+    }
+    if (!current || has('name')) {
+        if (typeof input.name !== 'string' || input.name.trim() === '') errors.push('name is required');
+    }
+    if (!current || has('role')) {
+        if (!ROLES[input.role]) errors.push(`role must be one of: ${Object.keys(ROLES).join(', ')}`);
+    }
+    if (!current || has('password')) {
+        if (typeof input.password !== 'string' || input.password.length < MIN_PASSWORD_LENGTH) {
+            errors.push(`password must have at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+    }
+    if (has('active') && typeof input.active !== 'boolean') errors.push('active must be a boolean');
+
+    return errors;
+}
+
+export function listUsers() {
+    return readUsers().map(publicUser);
+}
+
+export function getUser(id) {
+    return publicUser(readUsers().find(u => u.id === Number(id)));
+}
+
+/**
+ * ¿Quitarle el rol de dueña o desactivar a este usuario dejaría el sistema sin dueñas?
+ */
+export function isLastOwner(id) {
+    const owners = readUsers().filter(u => u.role === 'owner' && u.active);
+    return owners.length === 1 && owners[0].id === Number(id);
+}
+
+/**
+ * Crear un usuario; null si el username ya existe
+ */
+export function createUser(input) {
+    assertEditableUsers();
+    return userStore.update(data => {
+        if (data.users.some(u => u.username === input.username)) return null;
+        const now = new Date().toISOString();
+        const user = {
+            id: data.next_id++,
+            username: input.username,
+            name: input.name.trim(),
+            role: input.role,
+            active: input.active ?? true,
+            password_hash: hashPassword(input.password),
+            created_at: now,
+            updated_at: now,
+            last_login_at: null
+        };
+        data.users.push(user);
+        return publicUser(user);
+    });
+}
+
+export function updateUser(id, input) {
+    assertEditableUsers();
+    const user = userStore.update(data => {
+        const user = data.users.find(u => u.id === Number(id));
+        if (!user) return null;
+
+        if (input.name !== undefined) user.name = input.name.trim();
+        if (input.role !== undefined) user.role = input.role;
+        if (input.active !== undefined) user.active = input.active;
+        if (input.password !== undefined) user.password_hash = hashPassword(input.password);
+        user.updated_at = new Date().toISOString();
+        return user;
+    });
+
+    // Con contraseña nueva o desactivado, sus sesiones abiertas dejan de servir
+    if (user && (input.password !== undefined || input.active === false)) revokeUserSessions(user.id);
+    return publicUser(user);
+}
+
+/**
+ * Eliminar un usuario; sus tokens dejan de servir porque ya no se encuentra
+ */
+export function deleteUser(id) {
+    assertEditableUsers();
+    return userStore.update(data => {
+        const index = data.users.findIndex(u => u.id === Number(id));
+        if (index === -1) return false;
+        data.users.splice(index, 1);
+        return true;
+    });
+}
+
+/**
+ * Crear la dueña con AUTH_OWNER_USERNAME / AUTH_OWNER_PASSWORD si no hay usuarios
+ * (con USERS_FROM_ENV la dueña ya es uno de los usuarios del entorno)
+ * @returns {Object|null} Usuario creado
+ */
+export function ensureOwner() {
+    if (USERS_FROM_ENV) return null;
+    if (userStore.read().users.length > 0 || !authConfig.ownerUsername || !authConfig.ownerPassword) return null;
+    return createUser({
+        username: authConfig.ownerUsername.toLowerCase(),
+        name: authConfig.ownerUsername,
+        role: 'owner',
+        password: authConfig.ownerPassword
+    });
+}
+
+export function hasUsers() {
+    return readUsers().length > 0;
+}
+
+// ===================== SESIONES =====================
+
+/**
+ * Validar usuario y contraseña; devuelve el usuario o null
+ */
+export function authenticateUser(username, password) {
+    const user = readUsers().find(u => u.username === username && u.active);
+    // Sin usuario también se calcula un hash para no revelar cuáles existen por el tiempo de respuesta
+    const valid = verifyPassword(password, user?.password_hash || hashPassword('-'));
+    return user && valid ? user : null;
+}
+
+/**
+ * Clave de firma: AUTH_SECRET; sin ella, una generada y guardada en DATA_DIR (un solo host)
+ * o, si los usuarios vienen del entorno, una por proceso (las sesiones no pasan entre instancias)
+ */
+function getSessionSecret() {
+    if (sessionSecret) return sessionSecret;
+    if (authConfig.secret) {
+        sessionSecret = authConfig.secret;
+    } else if (USERS_FROM_ENV) {
+        console.log('   ⚠️  Sin AUTH_SECRET: las sesiones solo valen en esta instancia');
+        sessionSecret = crypto.randomBytes(32).toString('hex');
+    } else {
+        sessionSecret = secretStore.update(data => {
+            data.secret ??= crypto.randomBytes(32).toString('hex');
+            return data.secret;
+        });
+    }
+    return sessionSecret;
+}
+
+const sign = payload => crypto.createHmac('sha256', getSessionSecret()).update(payload).digest('base64url');
+
+/**
+ * Token firmado: base64url({ sub, usr, iat, exp }).firma
+ */
+export function createSession(user) {
+    const now = Date.now();
+    const expiresAt = now + authConfig.sessionHours * 60 * 60 * 1000;
+    const payload = Buffer.from(JSON.stringify({ sub: user.id, usr: user.username, iat: now, exp: expiresAt })).toString('base64url');
+    const token = `${payload}.${sign(payload)}`;
+
+    if (!USERS_FROM_ENV) {
+        userStore.update(data => {
+            const stored = data.users.find(u => u.id === user.id);
+            if (stored) stored.last_login_at = new Date(now).toISOString();
+        });
+    }
+
+    return { token, expires_at: new Date(expiresAt).toISOString() };
+}
+
+function readToken(token) {
+    const [payload, signature, extra] = String(token || '').split('.');
+    if (!payload || !signature || extra !== undefined) return null;
+
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    try {
+        return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Usuario de una sesión vigente (null si la firma no es válida, expiró, se cerró,
+ * el usuario ya no existe o está inactivo, o cambió su contraseña después)
+ */
+export function getSessionUser(token) {
+    const session = readToken(token);
+    if (!session || session.exp <= Date.now() || revokedTokens.has(token)) return null;
+
+    const user = readUsers().find(u => u.id === session.sub && u.username === session.usr);
+    if (!user?.active) return null;
+    if (user.sessions_valid_after && session.iat < new Date(user.sessions_valid_after).getTime()) return null;
+    return user;
+}
+
+/**
+ * Cerrar un token en esta instancia (la cookie se borra en el navegador; en otras
+ * instancias el token sigue valiendo hasta que vence)
+ */
+export function revokeSession(token) {
+    const session = readToken(token);
+    if (!session) return;
+    const now = Date.now();
+    revokedTokens.forEach((exp, key) => {
+        if (exp <= now) revokedTokens.delete(key);
+    });
+    revokedTokens.set(token, session.exp);
+}
+
+function revokeUserSessions(userId) {
+    userStore.update(data => {
+        const stored = data.users.find(u => u.id === userId);
+        if (stored) stored.sessions_valid_after = new Date().toISOString();
+    });
+}
+
+// ===================== INTENTOS DE INICIO DE SESIÓN =====================
+
+/**
+ * Minutos que le quedan de bloqueo a una IP (0 si no está bloqueada)
+ */
+export function getLockoutMinutes(key) {
+    const entry = failedLogins.get(key);
+    if (!entry) return 0;
+    const remaining = entry.first_at + authConfig.lockoutMinutes * 60 * 1000 - Date.now();
+    if (remaining <= 0) {
+        failedLogins.delete(key);
+        return 0;
+    }
+    return entry.count >= authConfig.maxLoginAttempts ? Math.ceil(remaining / 60000) : 0;
+}
+
+export function recordFailedLogin(key) {
+    const entry = failedLogins.get(key);
+    if (!entry || entry.first_at + authConfig.lockoutMinutes * 60 * 1000 <= Date.now()) {
+        failedLogins.set(key, { count: 1, first_at: Date.now() });
+    } else {
+        entry.count++;
+    }
+}
+
+export function clearFailedLogins(key) {
+    failedLogins.delete(key);
+}
+
+// ===================== MIDDLEWARE =====================
+
+function parseCookies(header = '') {
+    return Object.fromEntries(header
+        .split(';')
+        .map(part => part.trim().split('='))
+        .filter(([name, value]) => name && value !== undefined)
+        .map(([name, ...value]) => [name, decodeURIComponent(value.join('='))]));
+}
+
+export function readSessionToken(req) {
+    const header = req.get('authorization');
+    if (header?.startsWith('Bearer ')) return header.slice(7).trim();
+    return parseCookies(req.get('cookie'))[authConfig.cookieName] || null;
+}
+
+/**
+ * Exigir una sesión vigente; deja el usuario en req.user
+ */
+export function authenticate(req, res, next) {
+    const token = readSessionToken(req);
+    const user = getSessionUser(token);
+    if (!user) {
+        return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+    req.user = user;
+    req.sessionToken = token;
+    next();
+}
+
+/**
+ * Exigir uno o más permisos (después de authenticate)
+ */
+export function requirePermission(...permissions) {
+    const middleware = (req, res, next) => {
+        const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+        if (missing.length > 0) {
+            return res.status(403).json({ success: false, error: `Missing permission: ${missing.join(', ')}` });
+        }
+        next();
+    };
+    // La especificación OpenAPI lee de aquí los permisos de cada ruta
+    middleware.permissions = permissions;
+    return middleware;
+}
+
+export default {
+    PERMISSIONS,
+    ROLES,
+    USERS_FROM_ENV,
+    hashPassword,
+    verifyPassword,
+    getPermissions,
+    hasPermission,
+    publicUser,
+    validateUserInput,
+    listUsers,
+    getUser,
+    isLastOwner,
+    createUser,
+    updateUser,
+    deleteUser,
+    ensureOwner,
+    hasUsers,
+    authenticateUser,
+    createSession,
+    getSessionUser,
+    revokeSession,
+    getLockoutMinutes,
+    recordFailedLogin,
+    clearFailedLogins,
+    readSessionToken,
+    authenticate,
+    requirePermission
+};
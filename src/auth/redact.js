@@ -0,0 +1,69 @@
+/**
+ * Response Redaction
+ * Quitar de las respuestas JSON los datos que el rol de la sesión no puede ver
+ *
+ * - Sin permiso contacts: teléfonos en null
+ * - Sin permiso revenue: ingresos, precios y montos en null (si el campo es un objeto, el objeto completo)
+ * - Se aplica también a las exportaciones CSV/XLSX, que se arman a partir del mismo JSON
+ */
+
+import { hasPermission } from './index.js';
+
+export const CONTACT_FIELDS = ['phone'];
+
+export const REVENUE_FIELDS = [
+    'revenue', 'total_revenue', 'paid_revenue', 'list_revenue', 'list_price_fallback_revenue',
+    'discount', 'discount_pct', 'price', 'list_price', 'total_list_price', 'total_spent',
+    'monetary', 'avg_monetary', 'avg_ltv', 'avg_order_value', 'avg_projected_ltv', 'projected_ltv',
+    'value_expired', 'revenue_recovered', 'revenue_per_client', 'revenue_lift_per_client',
+    'revenue_pct', 'amount'
+];
+
+/**
+ * Copia de un valor con los campos indicados en null
+ * @param {*} value
+ * @param {Set<string>} fields
+ */
+export function redactFields(value, fields) {
+    if (Array.isArray(value)) return value.map(item => redactFields(item, fields));
+    if (value === null || typeof value !== 'object') return value;
+
+    return Object.fromEntries(Object.entries(value).map(([key, child]) => [
+        key,
+        fields.has(key) ? null : redactFields(child, fields)
+    ]));
+}
+
+/**
+ * Campos ocultos para un usuario (vacío si puede ver todo)
+ */
+export function hiddenFields(user) {
+    const fields = [];
+    if (!hasPermission(user, 'contacts')) fields.push(...CONTACT_FIELDS);
+    if (!hasPermission(user, 'revenue')) fields.push(...REVENUE_FIELDS);
+    return new Set(fields);
+}
+
+/**
+ * Middleware (después de authenticate): redacta el `data` de cada respuesta exitosa
+ */
+export function redactMiddleware(req, res, next) {
+    const fields = hiddenFields(req.user);
+    if (fields.size === 0) return next();
+
+    const sendJson = res.json.bind(res);
+    res.json = payload => {
+        if (!payload?.success || payload.data === undefined) return sendJson(payload);
+        return sendJson({ ...payload, data: redactFields(payload.data, fields) });
+    };
+
+    next();
+}
+
+export default {
+    CONTACT_FIELDS,
+    REVENUE_FIELDS,
+    redactFields,
+    hiddenFields,
+    redactMiddleware
+};
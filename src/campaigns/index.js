@@ -0,0 +1,319 @@
+/**
+ * WhatsApp Campaigns
+ * Campañas de mensajes con lista de clientas y seguimiento de quién fue contactada
+ *
+ * - Al crear la campaña se guarda la lista de clientas del objetivo (inactivas, VIP o
+ *   un segmento RFM); la lista no cambia aunque cambien los datos después
+ * - Cada clienta tiene estado pending / sent / skipped, con fecha y quién la contactó
+ * - El mensaje usa el motor de plantillas (templates/engine.js); las variables de cada
+ *   clienta se guardan al crear la campaña
+ * - Las campañas se guardan en DATA_DIR/campaigns.json
+ * - El historial de contacto (getContactHistory) se muestra en las listas de inactivas
+ *   y VIP para que dos personas del equipo no le escriban a la misma clienta
+ */
+
+import { JsonStore } from '../storage/json-store.js';
+import { campaignConfig } from '../config/campaigns.js';
+import analytics from '../queries/analytics.js';
+import segments, { SEGMENTS } from '../queries/segments.js';
+import { renderTemplate, validateTemplate } from '../templates/engine.js';
+import { CLIENT_VARIABLES, buildClientContexts } from '../templates/context.js';
+import dayjs from 'dayjs';
+
+const campaignStore = new JsonStore('campaigns', { next_id: 1, campaigns: [] });
+
+export const CAMPAIGN_TARGETS = {
+    dormant: { label: 'Clientas inactivas' },
+    vip: { label: 'Clientas VIP' },
+    segment: { label: 'Segmento RFM' }
+};
+
+export const CLIENT_STATUSES = ['pending', 'sent', 'skipped'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const money = value => `$${new Intl.NumberFormat('es-MX').format(Math.round(value || 0))}`;
+const firstName = fullName => String(fullName || '').split(' ')[0];
+
+/**
+ * Validar una campaña recibida por la API; devuelve la lista de errores
+ * { name, template, target: { type, days | limit, startDate, endDate | segment } }
+ */
+export function validateCampaignInput(input = {}) {
+    const errors = [];
+
+    if (typeof input.name !== 'string' || input.name.trim() === '') errors.push('name is required');
+    if (typeof input.template !== 'string' || input.template.trim() === '') {
+        errors.push('template is required');
+    } else {
+        errors.push(...validateTemplate(input.template, Object.keys(CLIENT_VARIABLES)).map(error => `template: ${error}`));
+    }
+
+    const target = input.target;
+    if (!target || typeof target !== 'object') {
+        errors.push('target is required');
+        return errors;
+    }
+
+    if (!CAMPAIGN_TARGETS[target.type]) {
+        errors.push(`target.type must be one of: ${Object.keys(CAMPAIGN_TARGETS).join(', ')}`);
+        return errors;
+    }
+
+    if (target.type === 'dormant' && target.days !== undefined) {
+        if (!Number.isInteger(target.days) || target.days < 1) errors.push('target.days must be a positive integer');
+    }
+
+    if (target.type === 'vip') {
+        if (target.limit !== undefined && (!Number.isInteger(target.limit) || target.limit < 1 || target.limit > campaignConfig.maxClients)) {
+            errors.push(`target.limit must be an integer between 1 and ${campaignConfig.maxClients}`);
+        }
+        if ((target.startDate == null) !== (target.endDate == null)) {
+            errors.push('target.startDate and target.endDate go together');
+        } else if (target.startDate != null && (!DATE_PATTERN.test(target.startDate) || !DATE_PATTERN.test(target.endDate))) {
+            errors.push('target.startDate and target.endDate must have the format YYYY-MM-DD');
+        }
+    }
+
+    if (target.type === 'segment' && !SEGMENTS.some(s => s.id === target.segment)) {
+        errors.push(`target.segment must be one of: ${SEGMENTS.map(s => s.id).join(', ')}`);
+    }
+
+    return errors;
+}
+
+/**
+ * Mensaje de una clienta con sus variables (ver templates/context.js)
+ */
+export function renderCampaignMessage(template, vars = {}) {
+    return renderTemplate(template, vars).trim();
+}
+
+function describeTarget(target) {
+    if (target.type === 'dormant') return `Inactivas ${target.days}+ días`;
+    if (target.type === 'vip') {
+        const range = target.startDate ? `${target.startDate} a ${target.endDate}` : target.year;
+        return `Top ${target.limit} VIP (${range})`;
+    }
+    return `Segmento ${SEGMENTS.find(s => s.id === target.segment).label}`;
+}
+
+/**
+ * Clientas del objetivo con las variables de su mensaje
+ * (los perfiles ya deben estar cargados, ver analytics.loadProfiles)
+ */
+async function resolveTarget(target) {
+    if (target.type === 'dormant') {
+        const result = await analytics.getDormantClients(target.days);
+        return result.clients.map(c => ({
+            user_id: c.user_id,
+            full_name: c.full_name,
+            phone: c.phone,
+            vars: { nombre: firstName(c.full_name), dias: c.days_inactive }
+        }));
+    }
+
+    if (target.type === 'vip') {
+        const buyers = target.startDate ?
+            await analytics.getTopBuyersByDateRange(target.startDate, target.endDate, target.limit) :
+            await analytics.getTopBuyers(target.year, target.limit);
+        return buyers.map(b => ({
+            user_id: b.user_id,
+            full_name: b.full_name,
+            phone: b.phone,
+            vars: {
+                nombre: firstName(b.full_name),
+                total: money(b.total_spent),
+                paquete: b.favorite_package,
+                compras: b.total_purchases
+            }
+        }));
+    }
+
+    const result = await segments.getSegments(target.segment, 1, campaignConfig.maxClients);
+    return result.clients.map(c => ({
+        user_id: c.user_id,
+        full_name: c.full_name,
+        phone: c.phone,
+        vars: { nombre: firstName(c.full_name), dias: c.recency_days }
+    }));
+}
+
+const countStatuses = clients => {
+    const counts = { total: clients.length, pending: 0, sent: 0, skipped: 0 };
+    clients.forEach(c => counts[c.status]++);
+    return counts;
+};
+
+const summarize = campaign => {
+    const { clients, ...rest } = campaign;
+    const counts = countStatuses(clients);
+    return { ...rest, counts, completed: counts.pending === 0 };
+};
+
+const withMessages = campaign => ({
+    ...summarize(campaign),
+    clients: campaign.clients.map(c => ({ ...c, message: renderCampaignMessage(campaign.template, c.vars) }))
+});
+
+export function listCampaigns() {
+    return campaignStore.read().campaigns.map(summarize);
+}
+
+/**
+ * Campaña con sus clientas y el mensaje ya personalizado de cada una
+ */
+export function getCampaign(id) {
+    const campaign = campaignStore.read().campaigns.find(c => c.id === Number(id));
+    return campaign ? withMessages(campaign) : null;
+}
+
+export function getCampaignClient(id, userId) {
+    const campaign = campaignStore.read().campaigns.find(c => c.id === Number(id));
+    return campaign?.clients.find(c => c.user_id === userId) || null;
+}
+
+/**
+ * CREAR CAMPAÑA
+ * Sin teléfono o contactadas hace menos de CAMPAIGN_COOLDOWN_DAYS días → skipped
+ */
+export async function createCampaign(input, { staff = null } = {}) {
+    const target = { type: input.target.type };
+    if (target.type === 'dormant') target.days = input.target.days || 30;
+    if (target.type === 'vip') {
+        target.limit = input.target.limit || 25;
+        if (input.target.startDate) {
+            target.startDate = input.target.startDate;
+            target.endDate = input.target.endDate;
+        } else {
+            target.year = dayjs().year();
+        }
+    }
+    if (target.type === 'segment') target.segment = input.target.segment;
+
+    const resolved = (await resolveTarget(target)).slice(0, campaignConfig.maxClients);
+    const contexts = await buildClientContexts(resolved.map(c => c.user_id));
+    resolved.forEach(client => {
+        client.vars = { ...contexts.get(client.user_id), ...client.vars };
+    });
+    const history = getContactHistory();
+    const cooldownStart = dayjs().subtract(campaignConfig.cooldownDays, 'day');
+
+    return campaignStore.update(data => {
+        const now = new Date().toISOString();
+        const clients = resolved.map(client => {
+            const lastContact = history.get(client.user_id);
+            let skipReason = null;
+            if (client.phone === 'Sin teléfono') {
+                skipReason = 'no phone';
+            } else if (campaignConfig.cooldownDays > 0 && lastContact && dayjs(lastContact.contacted_at).isAfter(cooldownStart)) {
+                skipReason = `contacted on ${dayjs(lastContact.contacted_at).format('YYYY-MM-DD')} (${lastContact.campaign_name})`;
+            }
+            return {
+                ...client,
+                status: skipReason ? 'skipped' : 'pending',
+                skip_reason: skipReason,
+                contacted_by: null,
+                contacted_at: null,
+                updated_at: now
+            };
+        });
+
+        const campaign = {
+            id: data.next_id++,
+            name: input.name.trim(),
+            template: input.template,
+            target,
+            target_label: describeTarget(target),
+            created_by: staff,
+            created_at: now,
+            clients
+        };
+        data.campaigns.unshift(campaign);
+        return withMessages(campaign);
+    });
+}
+
+/**
+ * Cambiar el estado de una clienta de la campaña
+ * @param {Object} change - { status, staff, reason }
+ */
+export function updateCampaignClient(id, userId, { status, staff = null, reason = null }) {
+    return campaignStore.update(data => {
+        const campaign = data.campaigns.find(c => c.id === Number(id));
+        const client = campaign?.clients.find(c => c.user_id === userId);
+        if (!client) return null;
+
+        const now = new Date().toISOString();
+        client.status = status;
+        client.updated_at = now;
+        client.contacted_by = status === 'sent' ? staff : null;
+        client.contacted_at = status === 'sent' ? now : null;
+        client.skip_reason = status === 'skipped' ? (reason || 'skipped by staff') : null;
+
+        return { ...client, message: renderCampaignMessage(campaign.template, client.vars) };
+    });
+}
+
+export function deleteCampaign(id) {
+    return campaignStore.update(data => {
+        const index = data.campaigns.findIndex(c => c.id === Number(id));
+        if (index === -1) return false;
+        data.campaigns.splice(index, 1);
+        return true;
+    });
+}
+
+/**
+ * HISTORIAL DE CONTACTO
+ * Último mensaje enviado a cada clienta en cualquier campaña
+ * @param {string[]} userIds - Limitar a estas clientas (opcional)
+ * @returns {Map<string, {contacted_at, contacted_by, campaign_id, campaign_name, times_contacted}>}
+ */
+export function getContactHistory(userIds = null) {
+    const wanted = userIds ? new Set(userIds) : null;
+    const history = new Map();
+
+    campaignStore.read().campaigns.forEach(campaign => {
+        campaign.clients.forEach(client => {
+            if (client.status !== 'sent' || (wanted && !wanted.has(client.user_id))) return;
+
+            const current = history.get(client.user_id);
+            if (!current || client.contacted_at > current.contacted_at) {
+                history.set(client.user_id, {
+                    contacted_at: client.contacted_at,
+                    contacted_by: client.contacted_by,
+                    campaign_id: campaign.id,
+                    campaign_name: campaign.name,
+                    times_contacted: (current?.times_contacted || 0) + 1
+                });
+            } else {
+                current.times_contacted++;
+            }
+        });
+    });
+
+    return history;
+}
+
+/**
+ * Agregar last_contact (o null) a una lista de clientas con user_id
+ */
+export function attachLastContact(clients) {
+    const history = getContactHistory(clients.map(c => c.user_id));
+    return clients.map(c => ({ ...c, last_contact: history.get(c.user_id) || null }));
+}
+
+export default {
+    CAMPAIGN_TARGETS,
+    CLIENT_STATUSES,
+    validateCampaignInput,
+    renderCampaignMessage,
+    listCampaigns,
+    getCampaign,
+    getCampaignClient,
+    createCampaign,
+    updateCampaignClient,
+    deleteCampaign,
+    getContactHistory,
+    attachLastContact
+};
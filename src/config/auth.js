@@ -0,0 +1,49 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Acceso al dashboard y a la API
+ * Las sesiones duran AUTH_SESSION_HOURS y viajan en una cookie HttpOnly (navegador)
+ * o como "Authorization: Bearer <token>" (scripts)
+ *
+ * Si no hay usuarios, al arrancar se crea la dueña con AUTH_OWNER_USERNAME y
+ * AUTH_OWNER_PASSWORD. CORS_ORIGINS lista los orígenes de otros dominios que pueden
+ * llamar a la API (vacío = solo el mismo dominio)
+ *
+ * Las sesiones son tokens firmados con AUTH_SECRET (HMAC): cualquier instancia los valida
+ * sin guardar nada. AUTH_USERS define los usuarios por entorno (hosts sin disco compartido):
+ *   AUTH_USERS=[{"username":"recepcion","name":"Recepción","role":"front_desk","password":"..."}]
+ * (password o password_hash con el formato de hashPassword)
+ */
+const parseList = raw => (raw || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+
+function parseUsers(raw) {
+    if (!raw) return null;
+    try {
+        const users = JSON.parse(raw);
+        if (Array.isArray(users)) return users;
+    } catch {
+        // se avisa abajo
+    }
+    console.log('   ⚠️  AUTH_USERS debe ser una lista JSON de usuarios, se ignora');
+    return null;
+}
+
+export const authConfig = {
+    sessionHours: parseInt(process.env.AUTH_SESSION_HOURS, 10) || 12,
+    cookieName: 'rage_session',
+    secureCookies: (process.env.AUTH_SECURE_COOKIES || (process.env.NODE_ENV === 'production' ? 'true' : 'false')).toLowerCase() === 'true',
+    ownerUsername: process.env.AUTH_OWNER_USERNAME || null,
+    ownerPassword: process.env.AUTH_OWNER_PASSWORD || null,
+    maxLoginAttempts: parseInt(process.env.AUTH_MAX_LOGIN_ATTEMPTS, 10) || 10,
+    lockoutMinutes: parseInt(process.env.AUTH_LOCKOUT_MINUTES, 10) || 15,
+    corsOrigins: parseList(process.env.CORS_ORIGINS),
+    secret: process.env.AUTH_SECRET || null,
+    users: parseUsers(process.env.AUTH_USERS)
+};
+
+export default authConfig;
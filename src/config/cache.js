@@ -0,0 +1,43 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Caché de datos
+ * Las lecturas de tablas se guardan en memoria por consulta y parámetros (ver datasources/cached-source.js)
+ *
+ * CACHE_TTL_SECONDS es la vigencia por defecto; CACHE_TABLE_TTL_SECONDS la cambia por tabla:
+ *   CACHE_TABLE_TTL_SECONDS={"bookings":120,"packages":3600}
+ * CACHE_INVALIDATION elige cómo se detectan cambios antes de que venza el TTL:
+ *   poll (default) revisa cada CACHE_POLL_SECONDS el número de filas y, si se configura, la columna
+ *   de CACHE_CHANGE_COLUMNS de cada tabla ({"profiles":"updated_at"}) para notar ediciones
+ *   realtime usa los cambios de Supabase Realtime (las tablas deben tener Realtime activado)
+ *   none solo usa el TTL
+ */
+function parseJson(name, raw) {
+    if (!raw) return {};
+    try {
+        return JSON.parse(raw);
+    } catch {
+        console.log(`   ⚠️  ${name} no es JSON válido, se ignora`);
+        return {};
+    }
+}
+
+export const cacheConfig = {
+    enabled: (process.env.CACHE_ENABLED || 'true').toLowerCase() !== 'false',
+    ttlSeconds: parseInt(process.env.CACHE_TTL_SECONDS, 10) || 300,
+    // El catálogo cambia poco
+    tableTtlSeconds: {
+        packages: 3600,
+        sessions: 3600,
+        coaches: 3600,
+        ...parseJson('CACHE_TABLE_TTL_SECONDS', process.env.CACHE_TABLE_TTL_SECONDS)
+    },
+    invalidation: (process.env.CACHE_INVALIDATION || 'poll').toLowerCase(),
+    pollSeconds: parseInt(process.env.CACHE_POLL_SECONDS, 10) || 60,
+    changeColumns: parseJson('CACHE_CHANGE_COLUMNS', process.env.CACHE_CHANGE_COLUMNS),
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 200
+};
+
+export default cacheConfig;
@@ -0,0 +1,24 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Campañas de WhatsApp
+ * Al crear una campaña, las clientas contactadas en los últimos CAMPAIGN_COOLDOWN_DAYS
+ * días (en cualquier campaña) entran como omitidas para no escribirles dos veces
+ * (0 desactiva la regla)
+ *
+ * Atribución: una clienta contactada "regresa" si reserva o compra dentro de los
+ * CAMPAIGN_ATTRIBUTION_DAYS días siguientes al mensaje. Las campañas de inactivas se
+ * comparan con un grupo de control: las clientas inactivas al crear la campaña (mismos
+ * días) a las que nadie les escribió
+ */
+const cooldown = parseInt(process.env.CAMPAIGN_COOLDOWN_DAYS, 10);
+
+export const campaignConfig = {
+    cooldownDays: Number.isInteger(cooldown) && cooldown >= 0 ? cooldown : 7,
+    maxClients: parseInt(process.env.CAMPAIGN_MAX_CLIENTS, 10) || 1000,
+    attributionDays: parseInt(process.env.CAMPAIGN_ATTRIBUTION_DAYS, 10) || 14
+};
+
+export default campaignConfig;
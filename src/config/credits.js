@@ -0,0 +1,29 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Vigencia de créditos
+ * Se usa cuando el credit_batch no trae expires_at. Un paquete listado en
+ * CREDIT_VALIDITY_DAYS usa ese valor aunque tenga validity_days (p. ej. una
+ * promoción); CREDIT_VALIDITY_DEFAULT_DAYS solo aplica si no hay ninguno de los dos.
+ *
+ * CREDIT_VALIDITY_DAYS acepta JSON por id o por nombre de paquete:
+ *   CREDIT_VALIDITY_DAYS={"1":15,"Paquete 10 Clases":45}
+ */
+function parseValidity(raw) {
+    if (!raw) return {};
+    try {
+        return JSON.parse(raw);
+    } catch {
+        console.log('   ⚠️  CREDIT_VALIDITY_DAYS no es JSON válido, se ignora');
+        return {};
+    }
+}
+
+export const creditsConfig = {
+    validityByPackage: parseValidity(process.env.CREDIT_VALIDITY_DAYS),
+    defaultValidityDays: parseInt(process.env.CREDIT_VALIDITY_DEFAULT_DAYS, 10) || 30
+};
+
+export default creditsConfig;
@@ -0,0 +1,17 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Configuración de la fuente de datos
+ * DATA_SOURCE=supabase (default) usa la base en vivo
+ * DATA_SOURCE=fixture lee un dataset JSON guardado (FIXTURE_PATH)
+ * SUPABASE_PAGE_SIZE debe coincidir con el max-rows del proyecto (1000 por defecto)
+ */
+export const dataSourceConfig = {
+    type: (process.env.DATA_SOURCE || 'supabase').toLowerCase(),
+    fixturePath: process.env.FIXTURE_PATH || './fixtures/sample-dataset.json',
+    pageSize: parseInt(process.env.SUPABASE_PAGE_SIZE, 10) || 1000
+};
+
+export default dataSourceConfig;
@@ -0,0 +1,32 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Envío de reportes por correo (SMTP)
+ * Sin SMTP_HOST el envío queda desactivado. Para probar en local basta un sink
+ * SMTP sin TLS ni usuario (SMTP_HOST=localhost SMTP_PORT=1025)
+ *
+ * El asunto sale de la plantilla email_asunto (ver templates/); EMAIL_SUBJECT la
+ * reemplaza y acepta las mismas variables ({period}, {date}, {revenue}, {name}...)
+ */
+const parseList = raw => (raw || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+
+export const emailConfig = {
+    host: process.env.SMTP_HOST || null,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: (process.env.SMTP_SECURE || 'false').toLowerCase() === 'true',
+    user: process.env.SMTP_USER || null,
+    pass: process.env.SMTP_PASS || null,
+    from: process.env.EMAIL_FROM || 'Rage Analytics <reportes@localhost>',
+    recipients: parseList(process.env.EMAIL_RECIPIENTS),
+    subject: process.env.EMAIL_SUBJECT || null,
+    maxAttempts: parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 3,
+    retryDelayMs: parseInt(process.env.EMAIL_RETRY_DELAY_MS, 10) || 2000,
+    maxLogEntries: parseInt(process.env.EMAIL_MAX_LOG_ENTRIES, 10) || 500
+};
+
+export default emailConfig;
@@ -0,0 +1,15 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Modo de privacidad de los reportes
+ * REPORT_PRIVACY (full | masked) es el modo de `npm run generate` y de los reportes
+ * programados que no eligen uno. En el dashboard y la API el modo depende del rol
+ * y de cada petición (ver privacy/index.js)
+ */
+export const privacyConfig = {
+    reportPrivacy: process.env.REPORT_PRIVACY === 'masked' ? 'masked' : 'full'
+};
+
+export default privacyConfig;
@@ -0,0 +1,27 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Status de las compras
+ * Una compra con status en PURCHASE_UNPAID_STATUSES no es ingreso (vale 0).
+ * Cualquier otra cuenta como pagada, incluso sin status; las que no están en
+ * PURCHASE_PAID_STATUSES se reportan en pricing.unknown_statuses para revisarlas.
+ *
+ * Ambas variables aceptan una lista separada por comas:
+ *   PURCHASE_PAID_STATUSES=completed,paid,approved
+ *   PURCHASE_UNPAID_STATUSES=pending,failed,refunded
+ */
+function parseStatuses(raw, fallback) {
+    if (!raw) return fallback;
+    return raw.split(',').map(status => status.trim().toLowerCase()).filter(Boolean);
+}
+
+export const revenueConfig = {
+    paidStatuses: parseStatuses(process.env.PURCHASE_PAID_STATUSES,
+        ['completed', 'paid', 'approved', 'succeeded']),
+    unpaidStatuses: parseStatuses(process.env.PURCHASE_UNPAID_STATUSES,
+        ['pending', 'failed', 'refunded', 'cancelled', 'canceled', 'expired', 'rejected'])
+};
+
+export default revenueConfig;
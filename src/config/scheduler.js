@@ -0,0 +1,19 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Reportes programados
+ * SCHEDULER_ENABLED=false apaga el reloj interno (p. ej. en serverless, donde un cron
+ * externo llama a /api/scheduler/tick)
+ * SCHEDULER_TOKEN protege ese endpoint: se envía como "Authorization: Bearer <token>"
+ * (también se acepta CRON_SECRET, el token que envía Vercel Cron)
+ */
+export const schedulerConfig = {
+    enabled: (process.env.SCHEDULER_ENABLED || 'true').toLowerCase() !== 'false',
+    token: process.env.SCHEDULER_TOKEN || process.env.CRON_SECRET || null,
+    tickSeconds: parseInt(process.env.SCHEDULER_TICK_SECONDS, 10) || 60,
+    maxRuns: parseInt(process.env.SCHEDULER_MAX_RUNS, 10) || 500
+};
+
+export default schedulerConfig;
@@ -0,0 +1,23 @@
+import dotenv from 'dotenv';
+import os from 'os';
+import path from 'path';
+
+dotenv.config();
+
+/**
+ * Persistencia local
+ * Metas y demás datos propios del dashboard se guardan
+ * como archivos JSON en DATA_DIR (no en Supabase)
+ *
+ * En serverless (Vercel, AWS Lambda) solo se puede escribir en el directorio temporal y
+ * cada instancia tiene el suyo: DATA_DIR apunta ahí por defecto y lo guardado no se comparte
+ * (los usuarios salen del entorno, ver auth/index.js)
+ */
+const serverless = Boolean(process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME);
+
+export const storageConfig = {
+    dataDir: process.env.DATA_DIR || (serverless ? path.join(os.tmpdir(), 'rage-data') : './data'),
+    serverless
+};
+
+export default storageConfig;
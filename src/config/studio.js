@@ -0,0 +1,28 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Estudio
+ * STUDIO_TIMEZONE es la zona horaria de los horarios: sessions.time y
+ * bookings.session_time se guardan como hora local del estudio, sin zona, y
+ * el servidor (p. ej. en Vercel) suele correr en UTC
+ */
+const DEFAULT_TIMEZONE = 'America/Mexico_City';
+
+function parseTimezone(raw) {
+    if (!raw) return DEFAULT_TIMEZONE;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: raw });
+        return raw;
+    } catch {
+        console.log(`   ⚠️  STUDIO_TIMEZONE "${raw}" no es una zona horaria válida, se usa ${DEFAULT_TIMEZONE}`);
+        return DEFAULT_TIMEZONE;
+    }
+}
+
+export const studioConfig = {
+    timezone: parseTimezone(process.env.STUDIO_TIMEZONE)
+};
+
+export default studioConfig;
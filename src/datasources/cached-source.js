@@ -0,0 +1,198 @@
+/**
+ * Cached Data Source
+ * Envuelve otra fuente de datos y guarda en memoria el resultado de cada lectura
+ *
+ * - La clave es la consulta y sus parámetros: listBookings({ statuses: ['active'] }) y
+ *   listBookings({ from, to }) son entradas distintas de la tabla bookings
+ * - Cada entrada vence a los CACHE_TTL_SECONDS (o el TTL de su tabla)
+ * - Dos lecturas iguales al mismo tiempo comparten la misma consulta
+ * - Cada lectura recibe su propia copia de las filas: una consulta puede ordenar la lista
+ *   o modificar una fila sin cambiar lo que lee la siguiente
+ * - invalidate(table) descarta las entradas de una tabla (o de todas); lo llaman el
+ *   refresh manual, el sondeo de versiones y los cambios de Supabase Realtime (startWatching)
+ */
+
+import { cacheConfig } from '../config/cache.js';
+
+// Método de la interfaz → tabla que lee
+export const CACHED_METHODS = {
+    listProfiles: 'profiles',
+    listBookings: 'bookings',
+    listCreditBatches: 'credit_batches',
+    listPurchases: 'purchases',
+    listPackages: 'packages',
+    listSessions: 'sessions',
+    listCoaches: 'coaches'
+};
+
+export const CACHED_TABLES = [...new Set(Object.values(CACHED_METHODS))];
+
+// Parámetros en orden estable y sin undefined, para que la misma consulta dé la misma clave
+function cacheKey(method, params = {}) {
+    const normalized = Object.keys(params)
+        .filter(key => params[key] !== undefined)
+        .sort()
+        .map(key => [key, params[key]]);
+    return `${method}:${JSON.stringify(normalized)}`;
+}
+
+export class CachedDataSource {
+    constructor(source, config = cacheConfig) {
+        this.source = source;
+        this.name = source.name;
+        this.config = config;
+        this.entries = new Map();
+        this.stats = new Map(CACHED_TABLES.map(table => [table, { table, hits: 0, misses: 0, invalidations: 0 }]));
+        this.versions = new Map();
+        this.watching = null;
+        this.lastInvalidation = null;
+
+        Object.entries(CACHED_METHODS).forEach(([method, table]) => {
+            this[method] = params => this.read(method, table, params);
+        });
+    }
+
+    ttlMs(table) {
+        return (this.config.tableTtlSeconds[table] ?? this.config.ttlSeconds) * 1000;
+    }
+
+    async read(method, table, params) {
+        const key = cacheKey(method, params);
+        const stats = this.stats.get(table);
+        const cached = this.entries.get(key);
+
+        if (cached && cached.expiresAt > Date.now()) {
+            stats.hits++;
+            return cached.promise.then(rows => structuredClone(rows));
+        }
+
+        stats.misses++;
+        const entry = {
+            table,
+            loadedAt: Date.now(),
+            expiresAt: Date.now() + this.ttlMs(table),
+            promise: this.source[method](params)
+        };
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.evict();
+
+        // Un error no se guarda: la siguiente lectura vuelve a intentar
+        entry.promise.catch(() => {
+            if (this.entries.get(key) === entry) this.entries.delete(key);
+        });
+        return entry.promise.then(rows => structuredClone(rows));
+    }
+
+    // Las más antiguas primero (el Map conserva el orden de inserción)
+    evict() {
+        for (const key of this.entries.keys()) {
+            if (this.entries.size <= this.config.maxEntries) break;
+            this.entries.delete(key);
+        }
+    }
+
+    /**
+     * Descartar las entradas de una tabla, o todas sin tabla
+     * @returns {number} Entradas descartadas
+     */
+    invalidate(table = null, reason = 'manual') {
+        let removed = 0;
+        for (const [key, entry] of this.entries) {
+            if (table && entry.table !== table) continue;
+            this.entries.delete(key);
+            removed++;
+        }
+
+        (table ? [table] : CACHED_TABLES).forEach(t => {
+            const stats = this.stats.get(t);
+            if (stats) stats.invalidations++;
+        });
+        this.lastInvalidation = { table, reason, at: new Date().toISOString(), removed };
+        return removed;
+    }
+
+    getStats() {
+        const now = Date.now();
+        const tables = [...this.stats.values()].map(stats => {
+            const entries = [...this.entries.values()].filter(e => e.table === stats.table);
+            const total = stats.hits + stats.misses;
+            return {
+                ...stats,
+                hit_rate: total > 0 ? Math.round((stats.hits / total) * 1000) / 10 : 0,
+                entries: entries.length,
+                oldest_entry_seconds: entries.length > 0 ? Math.round((now - Math.min(...entries.map(e => e.loadedAt))) / 1000) : null,
+                ttl_seconds: this.ttlMs(stats.table) / 1000
+            };
+        });
+        const hits = tables.reduce((sum, t) => sum + t.hits, 0);
+        const misses = tables.reduce((sum, t) => sum + t.misses, 0);
+
+        return {
+            enabled: true,
+            invalidation: this.watching,
+            entries: this.entries.size,
+            max_entries: this.config.maxEntries,
+            hits,
+            misses,
+            hit_rate: hits + misses > 0 ? Math.round((hits / (hits + misses)) * 1000) / 10 : 0,
+            last_invalidation: this.lastInvalidation,
+            tables
+        };
+    }
+
+    /**
+     * Empezar a detectar cambios según CACHE_INVALIDATION
+     * realtime sin soporte en la fuente pasa a poll; poll sin soporte se queda solo con el TTL
+     * @returns {string} Modo activo: 'realtime' | 'poll' | 'none'
+     */
+    async startWatching() {
+        if (this.watching) return this.watching;
+        let mode = this.config.invalidation;
+
+        if (mode === 'realtime') {
+            if (this.source.subscribeChanges) {
+                this.stopWatching = await this.source.subscribeChanges(CACHED_TABLES, table => this.invalidate(table, 'realtime'));
+                this.watching = 'realtime';
+                return this.watching;
+            }
+            console.log(`   ⚠️  La fuente ${this.name} no tiene cambios en tiempo real; se usa sondeo`);
+            mode = 'poll';
+        }
+
+        if (mode === 'poll' && this.source.getTableVersion) {
+            await this.pollVersions();
+            const timer = setInterval(() => {
+                this.pollVersions().catch(error => console.error('   ⚠️  Error revisando cambios para la caché:', error.message));
+            }, this.config.pollSeconds * 1000);
+            // Un script no debe quedarse vivo por el sondeo
+            timer.unref?.();
+            this.stopWatching = () => clearInterval(timer);
+            this.watching = 'poll';
+            return this.watching;
+        }
+
+        this.watching = 'none';
+        return this.watching;
+    }
+
+    /**
+     * Comparar la versión de cada tabla con la anterior e invalidar las que cambiaron
+     * @returns {string[]} Tablas invalidadas
+     */
+    async pollVersions() {
+        const changed = [];
+        for (const table of CACHED_TABLES) {
+            const version = await this.source.getTableVersion(table, this.config.changeColumns[table]);
+            const previous = this.versions.get(table);
+            this.versions.set(table, version);
+            if (previous !== undefined && previous !== version) {
+                this.invalidate(table, 'poll');
+                changed.push(table);
+            }
+        }
+        return changed;
+    }
+}
+
+export default CachedDataSource;
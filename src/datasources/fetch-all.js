@@ -0,0 +1,70 @@
+/**
+ * Lectura paginada de tablas
+ * PostgREST corta cada respuesta en 1000 filas (max-rows); fetchAll pide
+ * páginas con range() hasta agotar la tabla y lleva la cuenta de lo leído
+ */
+
+import { dataSourceConfig } from '../config/datasource.js';
+import { UpstreamError } from '../errors/index.js';
+
+export const PAGE_SIZE = dataSourceConfig.pageSize;
+
+// Estadísticas de lectura por tabla desde el último reset
+const fetchStats = new Map();
+
+/**
+ * Leer todas las filas de una consulta
+ * buildQuery debe devolver una consulta nueva en cada llamada y con un orden
+ * estable (p. ej. columna de fecha + id) para que las páginas no se solapen
+ */
+export async function fetchAll(table, buildQuery, { pageSize = PAGE_SIZE } = {}) {
+    const rows = [];
+    let pages = 0;
+
+    for (let from = 0; ; from += pageSize) {
+        const { data, error } = await buildQuery().range(from, from + pageSize - 1);
+        if (error) throw new UpstreamError(`Supabase error reading ${table}: ${error.message}`, { cause: error });
+
+        pages++;
+        data?.forEach(row => rows.push(row));
+
+        if (!data || data.length < pageSize) break;
+    }
+
+    recordFetch(table, pages, rows.length);
+
+    if (pages > 1) {
+        console.log(`   📄 ${table}: ${rows.length} filas en ${pages} páginas`);
+    }
+
+    return rows;
+}
+
+/**
+ * Registrar una lectura (también lo usan las fuentes sin paginación)
+ */
+export function recordFetch(table, pages, rows) {
+    const stats = fetchStats.get(table) || { table, queries: 0, pages: 0, rows: 0, max_pages: 0 };
+    stats.queries++;
+    stats.pages += pages;
+    stats.rows += rows;
+    stats.max_pages = Math.max(stats.max_pages, pages);
+    fetchStats.set(table, stats);
+}
+
+export function getFetchStats() {
+    const tables = [...fetchStats.values()];
+    return {
+        page_size: PAGE_SIZE,
+        total_queries: tables.reduce((sum, t) => sum + t.queries, 0),
+        total_pages: tables.reduce((sum, t) => sum + t.pages, 0),
+        total_rows: tables.reduce((sum, t) => sum + t.rows, 0),
+        tables
+    };
+}
+
+export function resetFetchStats() {
+    fetchStats.clear();
+}
+
+export default fetchAll;
@@ -0,0 +1,106 @@
+/**
+ * Fixture Data Source
+ * Lee un dataset JSON guardado localmente para trabajar sin conexión
+ *
+ * Formato: un objeto con una lista de registros por tabla
+ * { "profiles": [...], "bookings": [...], "credit_batches": [...], ... }
+ */
+
+import fs from 'fs';
+import dayjs from 'dayjs';
+import { recordFetch } from './fetch-all.js';
+import { exclusiveEnd } from './range.js';
+
+export class FixtureDataSource {
+    constructor(fixturePath) {
+        this.name = 'fixture';
+        this.fixturePath = fixturePath;
+        this.tables = null;
+        this.loadedVersion = null;
+    }
+
+    // Si el archivo cambió desde la última lectura se vuelve a leer
+    load() {
+        const version = this.getTableVersion();
+        if (!this.tables || version !== this.loadedVersion) {
+            this.tables = JSON.parse(fs.readFileSync(this.fixturePath, 'utf8'));
+            this.loadedVersion = version;
+        }
+        return this.tables;
+    }
+
+    /**
+     * Versión para la caché: la fecha de modificación del archivo (la misma para todas las tablas)
+     */
+    getTableVersion() {
+        if (!fs.existsSync(this.fixturePath)) {
+            throw new Error(`Fixture not found: ${this.fixturePath}. Check FIXTURE_PATH in your .env file.`);
+        }
+        return String(fs.statSync(this.fixturePath).mtimeMs);
+    }
+
+    table(name) {
+        return [...(this.load()[name] || [])];
+    }
+
+    // Un dataset local se lee completo: una "página" por consulta
+    result(name, rows) {
+        recordFetch(name, 1, rows.length);
+        return rows;
+    }
+
+    async listProfiles() {
+        return this.result('profiles', this.table('profiles'));
+    }
+
+    async listBookings({ statuses, from, to, userId } = {}) {
+        return this.result('bookings', this.table('bookings')
+            .filter(b => !statuses?.length || statuses.includes(b.status))
+            .filter(b => inRange(b.session_date, from, to))
+            .filter(b => !userId || b.user_id === userId)
+            .sort((a, b) => String(a.session_date).localeCompare(String(b.session_date))));
+    }
+
+    async listCreditBatches({ from, to, userId, withCreditsRemaining = false } = {}) {
+        return this.result('credit_batches', this.table('credit_batches')
+            .filter(c => inRange(c.created_at, from, to))
+            .filter(c => !userId || c.user_id === userId)
+            .filter(c => !withCreditsRemaining || c.credits_remaining > 0)
+            .sort((a, b) => dayjs(a.created_at).valueOf() - dayjs(b.created_at).valueOf()));
+    }
+
+    async listPurchases({ from, to, userId, ids } = {}) {
+        return this.result('purchases', this.table('purchases')
+            .filter(p => inRange(p.created_at, from, to))
+            .filter(p => !userId || p.user_id === userId)
+            .filter(p => !ids || ids.includes(p.id))
+            .sort((a, b) => dayjs(a.created_at).valueOf() - dayjs(b.created_at).valueOf()));
+    }
+
+    async listPackages() {
+        return this.result('packages', this.table('packages'));
+    }
+
+    async listSessions() {
+        return this.result('sessions', this.table('sessions'));
+    }
+
+    async listCoaches() {
+        return this.result('coaches', this.table('coaches'));
+    }
+}
+
+// Mismo criterio que la fuente de Supabase: `to` sin hora incluye el día completo (ver range.js)
+function inRange(value, from, to) {
+    if (!from && !to) return true;
+    if (!value) return false;
+    const date = dayjs(value);
+    if (from && date.isBefore(dayjs(from))) return false;
+    if (to) {
+        const end = exclusiveEnd(to);
+        if (end ? !date.isBefore(dayjs(end)) : date.isAfter(dayjs(to))) return false;
+    }
+    return true;
+}
+
+export default FixtureDataSource;
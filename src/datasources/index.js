@@ -0,0 +1,73 @@
+/**
+ * Data Source Layer
+ * Punto único de acceso a los datos (Supabase o fixture local)
+ *
+ * Todas las tablas se consultan a través de la misma interfaz:
+ * listProfiles, listBookings, listCreditBatches, listPurchases,
+ * listPackages, listSessions, listCoaches
+ *
+ * La fuente de Supabase lee página por página (ver fetch-all.js)
+ * Con CACHE_ENABLED (default) la fuente activa guarda las lecturas en memoria (ver cached-source.js)
+ */
+
+import { dataSourceConfig } from '../config/datasource.js';
+import { cacheConfig } from '../config/cache.js';
+import SupabaseDataSource from './supabase-source.js';
+import FixtureDataSource from './fixture-source.js';
+import CachedDataSource from './cached-source.js';
+
+let activeSource = null;
+
+/**
+ * Crear una fuente de datos a partir de la configuración
+ */
+export function createDataSource(config = dataSourceConfig) {
+    switch (config.type) {
+        case 'supabase':
+            return new SupabaseDataSource();
+        case 'fixture':
+            return new FixtureDataSource(config.fixturePath);
+        default:
+            throw new Error(`Unknown DATA_SOURCE "${config.type}". Use "supabase" or "fixture".`);
+    }
+}
+
+/**
+ * Fuente de datos activa (se crea en el primer uso)
+ */
+export function getDataSource() {
+    if (!activeSource) {
+        const source = createDataSource();
+        activeSource = cacheConfig.enabled ? new CachedDataSource(source) : source;
+    }
+    return activeSource;
+}
+
+/**
+ * Estadísticas de la caché de la fuente activa
+ */
+export function getCacheStats() {
+    const source = getDataSource();
+    return source.getStats ? source.getStats() : { enabled: false };
+}
+
+/**
+ * Descartar lo guardado de una tabla (o de todas); 0 si la caché está apagada
+ */
+export function invalidateCache(table = null, reason = 'manual') {
+    const source = getDataSource();
+    return source.invalidate ? source.invalidate(table, reason) : 0;
+}
+
+/**
+ * Reemplazar la fuente de datos activa (scripts y pruebas con datasets propios)
+ */
+export function setDataSource(source) {
+    activeSource = source;
+}
+
+export { SupabaseDataSource, FixtureDataSource, CachedDataSource };
+export { CACHED_TABLES } from './cached-source.js';
+export { fetchAll, getFetchStats, resetFetchStats } from './fetch-all.js';
+
+export default getDataSource;
@@ -0,0 +1,30 @@
+/**
+ * Rangos de fechas de las consultas
+ * `to` es inclusivo: una fecha sin hora (YYYY-MM-DD) cubre el día completo, así que
+ * sobre columnas timestamp se compara con `< día siguiente` en lugar de `<= to`
+ * (lte('created_at', '2026-03-31') deja fuera todo lo registrado ese día después de las 00:00)
+ */
+
+import dayjs from 'dayjs';
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Límite exclusivo para `to`: el día siguiente si es solo fecha, null si trae hora
+ */
+export function exclusiveEnd(to) {
+    return DATE_ONLY.test(to) ? dayjs(to).add(1, 'day').format('YYYY-MM-DD') : null;
+}
+
+/**
+ * Filtro de fin de rango sobre una consulta de PostgREST
+ */
+export function applyRangeEnd(query, column, to) {
+    const end = exclusiveEnd(to);
+    return end ? query.lt(column, end) : query.lte(column, to);
+}
+
+export default {
+    exclusiveEnd,
+    applyRangeEnd
+};
@@ -0,0 +1,168 @@
+/**
+ * Supabase Data Source
+ * Implementación de la capa de datos sobre el proyecto de Supabase en vivo
+ *
+ * Todas las lecturas pasan por fetchAll para no quedarse en las primeras
+ * 1000 filas que devuelve PostgREST
+ */
+
+import { fetchAll } from './fetch-all.js';
+import { applyRangeEnd } from './range.js';
+import { UpstreamError } from '../errors/index.js';
+
+export class SupabaseDataSource {
+    constructor(client = null) {
+        this.name = 'supabase';
+        this.client = client;
+    }
+
+    /**
+     * El cliente se importa de forma diferida para que el modo fixture
+     * funcione sin variables de entorno de Supabase
+     */
+    async getClient() {
+        if (!this.client) {
+            const { supabase } = await import('../config/supabase.js');
+            this.client = supabase;
+        }
+        return this.client;
+    }
+
+    async listProfiles() {
+        const client = await this.getClient();
+        return fetchAll('profiles', () => client
+            .from('profiles')
+            .select('*')
+            .order('id', { ascending: true }));
+    }
+
+    /**
+     * Reservaciones, opcionalmente filtradas por status y rango de session_date
+     */
+    async listBookings({ statuses, from, to, userId } = {}) {
+        const client = await this.getClient();
+        return fetchAll('bookings', () => {
+            let query = client
+                .from('bookings')
+                .select('*');
+
+            if (statuses?.length) query = query.in('status', statuses);
+            if (from) query = query.gte('session_date', from);
+            if (to) query = applyRangeEnd(query, 'session_date', to);
+            if (userId) query = query.eq('user_id', userId);
+
+            return query
+                .order('session_date', { ascending: true })
+                .order('id', { ascending: true });
+        });
+    }
+
+    /**
+     * Lotes de créditos, opcionalmente filtrados por rango de created_at,
+     * usuario o solo con créditos restantes
+     */
+    async listCreditBatches({ from, to, userId, withCreditsRemaining = false } = {}) {
+        const client = await this.getClient();
+        return fetchAll('credit_batches', () => {
+            let query = client
+                .from('credit_batches')
+                .select('*');
+
+            if (from) query = query.gte('created_at', from);
+            if (to) query = applyRangeEnd(query, 'created_at', to);
+            if (userId) query = query.eq('user_id', userId);
+            if (withCreditsRemaining) query = query.gt('credits_remaining', 0);
+
+            return query
+                .order('created_at', { ascending: true })
+                .order('id', { ascending: true });
+        });
+    }
+
+    /**
+     * Compras (pagos) registradas, opcionalmente filtradas por rango de created_at,
+     * usuario o ids (las compras enlazadas por credit_batches.purchase_id)
+     */
+    async listPurchases({ from, to, userId, ids } = {}) {
+        const client = await this.getClient();
+        return fetchAll('purchases', () => {
+            let query = client
+                .from('purchases')
+                .select('*');
+
+            if (from) query = query.gte('created_at', from);
+            if (to) query = applyRangeEnd(query, 'created_at', to);
+            if (userId) query = query.eq('user_id', userId);
+            if (ids) query = query.in('id', ids);
+
+            return query
+                .order('created_at', { ascending: true })
+                .order('id', { ascending: true });
+        });
+    }
+
+    async listPackages() {
+        const client = await this.getClient();
+        return fetchAll('packages', () => client
+            .from('packages')
+            .select('*')
+            .order('id', { ascending: true }));
+    }
+
+    async listSessions() {
+        const client = await this.getClient();
+        return fetchAll('sessions', () => client
+            .from('sessions')
+            .select('*')
+            .order('id', { ascending: true }));
+    }
+
+    async listCoaches() {
+        const client = await this.getClient();
+        return fetchAll('coaches', () => client
+            .from('coaches')
+            .select('*')
+            .order('id', { ascending: true }));
+    }
+
+    /**
+     * Versión de una tabla para la caché: número de filas y, con changeColumn,
+     * su valor más reciente (p. ej. updated_at, para notar ediciones)
+     */
+    async getTableVersion(table, changeColumn = null) {
+        const client = await this.getClient();
+        const { count, error } = await client
+            .from(table)
+            .select('*', { count: 'exact', head: true });
+        if (error) throw new UpstreamError(`Supabase error counting ${table}: ${error.message}`, { cause: error });
+        if (!changeColumn) return String(count);
+
+        const { data, error: columnError } = await client
+            .from(table)
+            .select(changeColumn)
+            .order(changeColumn, { ascending: false, nullsFirst: false })
+            .limit(1);
+        if (columnError) throw new UpstreamError(`Supabase error reading ${table}.${changeColumn}: ${columnError.message}`, { cause: columnError });
+        return `${count}:${data?.[0]?.[changeColumn] ?? ''}`;
+    }
+
+    /**
+     * Avisar de cada cambio (insert, update, delete) en las tablas con Supabase Realtime
+     * @returns {Function} Cancela la suscripción
+     */
+    async subscribeChanges(tables, onChange) {
+        const client = await this.getClient();
+        const channel = client.channel('rage-analytics-cache');
+        tables.forEach(table => {
+            channel.on('postgres_changes', { event: '*', schema: 'public', table }, () => onChange(table));
+        });
+        channel.subscribe((status, error) => {
+            if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+                console.log(`   ⚠️  Realtime (${status}): ${error?.message || 'sin conexión'}; la caché queda solo con TTL`);
+            }
+        });
+        return () => client.removeChannel(channel);
+    }
+}
+
+export default SupabaseDataSource;
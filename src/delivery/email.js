@@ -0,0 +1,239 @@
+/**
+ * Email Delivery
+ * Envío del PDF por SMTP con un resumen de KPIs en el cuerpo del correo
+ *
+ * - Asunto e introducción con las plantillas email_asunto y email_cuerpo (ver templates/);
+ *   EMAIL_SUBJECT o el subject de la petición reemplazan a email_asunto
+ * - Reintentos con espera exponencial (EMAIL_MAX_ATTEMPTS, EMAIL_RETRY_DELAY_MS);
+ *   los rechazos permanentes del servidor (códigos 5xx) no se reintentan
+ * - Cada envío queda en el log DATA_DIR/email-deliveries.json con sus intentos
+ */
+
+import nodemailer from 'nodemailer';
+import fs from 'fs';
+import path from 'path';
+import { emailConfig } from '../config/email.js';
+import { JsonStore } from '../storage/json-store.js';
+import { renderTemplate } from '../templates/engine.js';
+import { buildReportContext } from '../templates/context.js';
+import { getTemplateBody, renderStoredTemplate } from '../templates/index.js';
+import { PRIVACY_MODES } from '../privacy/index.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const deliveryLog = new JsonStore('email-deliveries', { next_id: 1, deliveries: [] });
+let transport = null;
+
+const money = value => `$${new Intl.NumberFormat('es-MX').format(Math.round(value || 0))}`;
+const escapeHtml = value => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export function isValidEmail(address) {
+    return typeof address === 'string' && EMAIL_PATTERN.test(address);
+}
+
+export function isEmailConfigured() {
+    return Boolean(emailConfig.host);
+}
+
+function getTransport() {
+    if (!transport) {
+        transport = nodemailer.createTransport({
+            host: emailConfig.host,
+            port: emailConfig.port,
+            secure: emailConfig.secure,
+            auth: emailConfig.user ? { user: emailConfig.user, pass: emailConfig.pass } : undefined
+        });
+    }
+    return transport;
+}
+
+/**
+ * Comprobar la conexión con el servidor SMTP
+ */
+export async function verifyConnection() {
+    return getTransport().verify();
+}
+
+/**
+ * Datos del reporte guardados junto al PDF (mismo nombre, .json)
+ */
+export function readReportData(pdfPath) {
+    const jsonPath = pdfPath.replace(/\.pdf$/, '.json');
+    if (!fs.existsSync(jsonPath)) return null;
+    return JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+}
+
+/**
+ * RESUMEN DE KPIs para el cuerpo del correo
+ * @returns {{rows: Array<[string, string]>, text: string, html: string}}
+ */
+export function buildKpiSummary(data) {
+    if (!data) return { rows: [], text: '', html: '' };
+
+    const rows = [];
+    if (data.period) rows.push(['Período', data.period]);
+    if (PRIVACY_MODES[data.privacy]) rows.push(['Datos de clientas', PRIVACY_MODES[data.privacy].label]);
+    if (data.sales) {
+        rows.push(['Ingresos', money(data.sales.total_revenue)]);
+        rows.push(['Paquetes vendidos', new Intl.NumberFormat('es-MX').format(data.sales.total_packages)]);
+    }
+    if (data.retention) {
+        rows.push(['Tasa de retención (30 días)', `${data.retention.retention_rate}%`]);
+        rows.push(['Clientas activas (30 días)', String(data.retention.active_users_30_days)]);
+        rows.push(['Créditos pendientes', String(data.retention.total_credits_pending)]);
+    }
+    if (data.dormant_clients) {
+        rows.push(['Clientas inactivas 30+ días', String(data.dormant_clients['30_days'])]);
+    }
+    if (data.goals?.has_goals) {
+        Object.entries(data.goals.metrics)
+            .filter(([, metric]) => metric.target !== null)
+            .forEach(([key, metric]) => {
+                const format = key === 'revenue' ? money : key === 'occupancy' ? v => `${v}%` : String;
+                rows.push([
+                    `Meta: ${metric.label}`,
+                    `${format(metric.actual)} de ${format(metric.target)} (${metric.progress_pct}%), cierre proyectado ${format(metric.projected)}`
+                ]);
+            });
+    }
+    const nextMonth = data.forecast?.forecast?.[0];
+    if (nextMonth) {
+        rows.push([`Proyección ${nextMonth.label}`, `${money(nextMonth.revenue.value)} (${money(nextMonth.revenue.lower)} - ${money(nextMonth.revenue.upper)})`]);
+    }
+
+    const text = rows.map(([label, value]) => `${label}: ${value}`).join('\n');
+    const html = `
+        <table style="border-collapse: collapse; font-family: Arial, sans-serif; font-size: 14px;">
+            ${rows.map(([label, value]) => `
+                <tr>
+                    <td style="padding: 4px 16px 4px 0; color: #6B7280;">${escapeHtml(label)}</td>
+                    <td style="padding: 4px 0; font-weight: bold; color: #1F2937;">${escapeHtml(value)}</td>
+                </tr>
+            `).join('')}
+        </table>
+    `;
+
+    return { rows, text, html };
+}
+
+function saveDelivery(entry) {
+    deliveryLog.update(data => {
+        const index = data.deliveries.findIndex(d => d.id === entry.id);
+        if (index === -1) {
+            entry.id = data.next_id++;
+            data.deliveries.unshift(entry);
+        } else {
+            data.deliveries[index] = entry;
+        }
+        data.deliveries = data.deliveries.slice(0, emailConfig.maxLogEntries);
+    });
+    return entry;
+}
+
+/**
+ * ENVIAR UN REPORTE POR CORREO
+ * No lanza errores de envío: el resultado (sent/failed) queda en la entrada del log
+ * @param {Object} options
+ * @param {string} options.pdfPath - Ruta del PDF a adjuntar
+ * @param {Object} options.data - Datos del reporte (para el resumen); por defecto el .json junto al PDF
+ * @param {string[]} options.recipients - Destinatarios (por defecto EMAIL_RECIPIENTS)
+ * @param {string} options.subject - Plantilla del asunto (por defecto EMAIL_SUBJECT o email_asunto)
+ * @param {string} options.name - Nombre del reporte programado ({name})
+ * @param {string} options.source - 'manual' | 'schedule' | 'cli'
+ * @param {Object} options.meta - Campos extra para el log (job_id, run_id...)
+ */
+export async function sendReportEmail({
+    pdfPath,
+    data,
+    recipients = emailConfig.recipients,
+    subject = emailConfig.subject,
+    name = '',
+    source = 'manual',
+    meta = {}
+}) {
+    if (!isEmailConfigured()) throw new Error('SMTP is not configured (set SMTP_HOST)');
+    if (!recipients || recipients.length === 0) throw new Error('No recipients (set EMAIL_RECIPIENTS or send a list)');
+
+    const reportData = data === undefined ? readReportData(pdfPath) : data;
+    const summary = buildKpiSummary(reportData);
+    const filename = path.basename(pdfPath);
+    const context = buildReportContext(reportData, { name });
+    const renderedSubject = renderTemplate(subject || getTemplateBody('email_asunto'), context)
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    const entry = saveDelivery({
+        id: null,
+        created_at: new Date().toISOString(),
+        source,
+        ...meta,
+        recipients,
+        subject: renderedSubject,
+        filename,
+        status: 'sending',
+        attempts: [],
+        message_id: null,
+        rejected: [],
+        error: null
+    });
+
+    const intro = renderStoredTemplate('email_cuerpo', context).trim();
+    const message = {
+        from: emailConfig.from,
+        to: recipients.join(', '),
+        subject: renderedSubject,
+        text: `${intro}\n\n${summary.text}`.trim(),
+        html: `<p style="font-family: Arial, sans-serif;">${escapeHtml(intro).replace(/\n/g, '<br>')}</p>${summary.html}`,
+        attachments: [{ filename, path: pdfPath, contentType: 'application/pdf' }]
+    };
+
+    for (let attempt = 1; attempt <= emailConfig.maxAttempts; attempt++) {
+        try {
+            const info = await getTransport().sendMail(message);
+            entry.status = 'sent';
+            entry.message_id = info.messageId;
+            entry.rejected = info.rejected || [];
+            entry.error = null;
+            entry.attempts.push({ at: new Date().toISOString(), ok: true });
+            break;
+        } catch (error) {
+            entry.status = 'failed';
+            entry.error = error.message;
+            entry.attempts.push({ at: new Date().toISOString(), ok: false, error: error.message });
+
+            const permanent = error.responseCode >= 500 && error.responseCode < 600;
+            if (permanent || attempt === emailConfig.maxAttempts) break;
+            await sleep(emailConfig.retryDelayMs * 2 ** (attempt - 1));
+        }
+    }
+
+    saveDelivery(entry);
+    console.log(entry.status === 'sent' ?
+        `✉️  Reporte ${filename} enviado a ${recipients.join(', ')}` :
+        `✉️  No se pudo enviar ${filename}: ${entry.error}`);
+
+    return entry;
+}
+
+/**
+ * Log de envíos (más recientes primero)
+ */
+export function listDeliveries({ status, limit = 50 } = {}) {
+    return deliveryLog.read().deliveries
+        .filter(d => !status || d.status === status)
+        .slice(0, limit);
+}
+
+export default {
+    isValidEmail,
+    isEmailConfigured,
+    verifyConnection,
+    readReportData,
+    buildKpiSummary,
+    sendReportEmail,
+    listDeliveries
+};
@@ -0,0 +1,127 @@
+/**
+ * API Errors
+ * Contrato único de error de la API: { success: false, error, code, fields? }
+ *
+ * - code es estable (ver ERROR_CODES); el texto de error puede cambiar
+ * - fields lista los campos inválidos de una petición: [{ field, message }]
+ * - 400 validación, 502 falla de Supabase u otro servicio externo, 500 error interno
+ *   (el detalle de un 500 solo queda en el log del servidor)
+ */
+
+export const ERROR_CODES = {
+    VALIDATION_ERROR: 400,
+    INVALID_JSON: 400,
+    UNAUTHENTICATED: 401,
+    FORBIDDEN: 403,
+    NOT_FOUND: 404,
+    CONFLICT: 409,
+    RATE_LIMITED: 429,
+    INTERNAL_ERROR: 500,
+    UPSTREAM_ERROR: 502
+};
+
+// Código por defecto de cada status (las respuestas que no traen el suyo)
+const STATUS_CODES = {
+    400: 'VALIDATION_ERROR',
+    401: 'UNAUTHENTICATED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    429: 'RATE_LIMITED',
+    502: 'UPSTREAM_ERROR'
+};
+
+export function codeForStatus(status) {
+    return STATUS_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'VALIDATION_ERROR');
+}
+
+export class ApiError extends Error {
+    constructor(message, { status = 500, code = codeForStatus(status), fields = null, cause } = {}) {
+        super(message, { cause });
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.fields = fields;
+    }
+}
+
+export class ValidationError extends ApiError {
+    /**
+     * @param {Array<{field: string|null, message: string}>} fields
+     */
+    constructor(fields) {
+        super(fields.map(f => f.message).join('; '), { status: 400, code: 'VALIDATION_ERROR', fields });
+        this.name = 'ValidationError';
+    }
+
+    /**
+     * A partir de los mensajes de los validadores del repo ("cron never matches a date"):
+     * el campo es la primera palabra si es uno de los campos conocidos ("target.days" cuenta como target)
+     */
+    static fromMessages(messages, knownFields = []) {
+        return new ValidationError(messages.map(message => {
+            const [first] = message.split(/[\s:.]/);
+            return { field: knownFields.includes(first) ? first : null, message };
+        }));
+    }
+}
+
+export class UpstreamError extends ApiError {
+    constructor(message, { cause } = {}) {
+        super(message, { status: 502, code: 'UPSTREAM_ERROR', cause });
+        this.name = 'UpstreamError';
+    }
+}
+
+/**
+ * Responder un error con el contrato de la API
+ */
+export function sendError(res, error) {
+    if (!(error instanceof ApiError)) {
+        console.error(`❌ ${res.req?.method || ''} ${res.req?.originalUrl || ''}:`, error);
+        error = new ApiError('Internal server error', { status: 500, cause: error });
+    } else if (error.status >= 500) {
+        console.error(`❌ ${res.req?.method || ''} ${res.req?.originalUrl || ''}: ${error.message}`);
+    }
+
+    const body = { success: false, error: error.message, code: error.code };
+    if (error.fields) body.fields = error.fields;
+    return res.status(error.status).json(body);
+}
+
+/**
+ * Middleware para /api: agrega el code a las respuestas de error que no lo traen
+ * (rutas que responden su propio 404/409, autenticación, permisos)
+ */
+export function errorContract(req, res, next) {
+    const sendJson = res.json.bind(res);
+    res.json = payload => {
+        if (res.statusCode >= 400 && payload?.success === false && !payload.code) {
+            return sendJson({ ...payload, code: codeForStatus(res.statusCode) });
+        }
+        return sendJson(payload);
+    };
+    next();
+}
+
+/**
+ * Manejador final de Express: JSON mal formado y errores no atrapados por las rutas
+ */
+export function errorHandler(error, req, res, next) {
+    if (res.headersSent) return next(error);
+    if (error.type === 'entity.parse.failed') {
+        return sendError(res, new ApiError('Request body is not valid JSON', { status: 400, code: 'INVALID_JSON' }));
+    }
+    return sendError(res, error);
+}
+
+export default {
+    ERROR_CODES,
+    codeForStatus,
+    ApiError,
+    ValidationError,
+    UpstreamError,
+    sendError,
+    errorContract,
+    errorHandler
+};
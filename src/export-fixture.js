@@ -0,0 +1,51 @@
+/**
+ * Exporta las tablas de Supabase a un dataset JSON local
+ * para usarlo con DATA_SOURCE=fixture
+ *
+ * Uso: npm run export-fixture [-- ruta/salida.json]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import dayjs from 'dayjs';
+import { SupabaseDataSource } from './datasources/index.js';
+
+async function exportFixture() {
+    const outputPath = process.argv[2] || `./fixtures/dataset_${dayjs().format('YYYY-MM-DD')}.json`;
+    const source = new SupabaseDataSource();
+
+    console.log('📦 Exportando dataset desde Supabase...\n');
+    await source.getClient();
+
+    const tables = {
+        profiles: () => source.listProfiles(),
+        packages: () => source.listPackages(),
+        purchases: () => source.listPurchases(),
+        credit_batches: () => source.listCreditBatches(),
+        bookings: () => source.listBookings(),
+        sessions: () => source.listSessions(),
+        coaches: () => source.listCoaches()
+    };
+
+    const dataset = {};
+    for (const [name, load] of Object.entries(tables)) {
+        try {
+            dataset[name] = await load();
+            console.log(`   ✅ ${name}: ${dataset[name].length} registros`);
+        } catch (error) {
+            console.log(`   ⚠️  ${name}: ${error.message}`);
+            dataset[name] = [];
+        }
+    }
+
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, JSON.stringify(dataset, null, 2));
+
+    console.log(`\n📁 Dataset guardado en: ${outputPath}`);
+    console.log(`💡 Úsalo con: DATA_SOURCE=fixture FIXTURE_PATH=${outputPath}`);
+}
+
+exportFixture().catch(error => {
+    console.error('❌ Error exportando dataset:', error.message);
+    process.exit(1);
+});
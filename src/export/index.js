@@ -0,0 +1,214 @@
+/**
+ * Data Export
+ * Exportar cualquier resultado de /api/analytics/* como CSV o Excel (XLSX)
+ *
+ * - Se pide con format: 'csv' | 'xlsx' (en el body o en la query)
+ * - Cada lista de objetos del resultado es una hoja; los valores sueltos van a la hoja "Resumen"
+ * - Las listas paginadas se exportan completas (page 1 con todas las filas) y las rutas
+ *   con limit usan el máximo de su esquema (top-buyers exporta hasta 1000 filas, no 10)
+ * - En el CSV las hojas van una tras otra, cada una con su nombre en la primera fila
+ */
+
+import ExcelJS from 'exceljs';
+import dayjs from 'dayjs';
+import { ValidationError, sendError } from '../errors/index.js';
+import { ROUTE_SCHEMAS } from '../validation/schemas.js';
+
+// Rutas donde se monta exportMiddleware
+export const EXPORT_ROUTES = ['/api/analytics'];
+
+export const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+const SUMMARY_SHEET = 'Resumen';
+// Campos que solo tienen sentido en la API (la exportación no se pagina)
+const SKIPPED_KEYS = ['pagination'];
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isObjectList = value => Array.isArray(value) && value.length > 0 && value.every(isPlainObject);
+
+function cellValue(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) {
+        return value.every(v => !isPlainObject(v)) ? value.join(', ') : JSON.stringify(value);
+    }
+    if (isPlainObject(value)) return JSON.stringify(value);
+    return value;
+}
+
+/**
+ * Fila plana: los objetos anidados se vuelven columnas con punto (last_contact.contacted_at)
+ */
+function flattenRow(row, prefix = '', target = {}) {
+    Object.entries(row).forEach(([key, value]) => {
+        const column = prefix ? `${prefix}.${key}` : key;
+        if (isPlainObject(value)) flattenRow(value, column, target);
+        else target[column] = cellValue(value);
+    });
+    return target;
+}
+
+/**
+ * Convertir un resultado en hojas
+ * @param {*} data - Resultado de la API (objeto o lista)
+ * @param {string} name - Nombre de la hoja si el resultado es una lista
+ * @returns {Array<{name: string, columns: string[], rows: Object[]}>}
+ */
+export function toSheets(data, name = 'Datos') {
+    const summary = [];
+    const sheets = [];
+
+    const addSheet = (sheetName, list) => {
+        const rows = list.map(item => flattenRow(item));
+        const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+        sheets.push({ name: sheetName, columns, rows });
+    };
+
+    const walk = (value, path) => {
+        if (isObjectList(value)) {
+            addSheet(path || name, value);
+        } else if (isPlainObject(value)) {
+            Object.entries(value).forEach(([key, child]) => {
+                if (!path && SKIPPED_KEYS.includes(key)) return;
+                walk(child, path ? `${path}.${key}` : key);
+            });
+        } else if (Array.isArray(value) && value.length === 0) {
+            // Una lista vacía también se exporta, para que se vea que no hubo filas
+            sheets.push({ name: path || name, columns: [], rows: [] });
+        } else {
+            summary.push({ field: path || name, value: cellValue(value) });
+        }
+    };
+
+    walk(data, '');
+
+    if (summary.length > 0) {
+        sheets.unshift({ name: SUMMARY_SHEET, columns: ['field', 'value'], rows: summary });
+    }
+    return sheets;
+}
+
+function addSummaryRow(sheets, field, value) {
+    let summary = sheets.find(sheet => sheet.name === SUMMARY_SHEET);
+    if (!summary) {
+        summary = { name: SUMMARY_SHEET, columns: ['field', 'value'], rows: [] };
+        sheets.unshift(summary);
+    }
+    summary.rows.push({ field, value });
+}
+
+// Evitar que Excel interprete un texto como fórmula (=, +, -, @), salvo los números como "-12.5"
+function csvCell(value) {
+    let text = String(value ?? '');
+    if (typeof value === 'string' && /^[=+\-@]/.test(text) && Number.isNaN(Number(text))) text = `'${text}`;
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV con BOM para que Excel respete los acentos
+ */
+export function toCsv(sheets) {
+    const single = sheets.length === 1;
+    const sections = sheets.map(sheet => {
+        const lines = [];
+        if (!single) lines.push(csvCell(sheet.name));
+        lines.push(sheet.columns.map(csvCell).join(','));
+        sheet.rows.forEach(row => lines.push(sheet.columns.map(column => csvCell(row[column])).join(',')));
+        return lines.join('\r\n');
+    });
+    return `\uFEFF${sections.join('\r\n\r\n')}\r\n`;
+}
+
+// Excel limita los nombres de hoja a 31 caracteres, sin []:*?/\ y sin repetir
+function sheetName(name, used) {
+    const base = name.replace(/[[\]:*?/\\]/g, '_').slice(0, 31) || 'Hoja';
+    let candidate = base;
+    for (let i = 2; used.has(candidate.toLowerCase()); i++) {
+        const suffix = ` (${i})`;
+        candidate = `${base.slice(0, 31 - suffix.length)}${suffix}`;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+}
+
+/**
+ * Libro de Excel con una hoja por lista
+ * @returns {Promise<Buffer>}
+ */
+export async function toXlsx(sheets) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'Rage Analytics';
+    workbook.created = new Date();
+    const used = new Set();
+
+    sheets.forEach(sheet => {
+        const worksheet = workbook.addWorksheet(sheetName(sheet.name, used));
+        worksheet.columns = sheet.columns.map(column => ({
+            header: column,
+            key: column,
+            width: Math.min(Math.max(column.length, ...sheet.rows.map(row => String(row[column] ?? '').length)) + 2, 60)
+        }));
+        sheet.rows.forEach(row => worksheet.addRow(row));
+        worksheet.getRow(1).font = { bold: true };
+        worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+    });
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * Middleware para /api/analytics: con format=csv|xlsx responde un archivo en lugar de JSON.
+ * Las respuestas de error siguen siendo JSON
+ */
+export function exportMiddleware(req, res, next) {
+    const format = req.body?.format ?? req.query.format;
+    if (format === undefined) return next();
+
+    if (!EXPORT_FORMATS[format]) {
+        const message = `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`;
+        return sendError(res, new ValidationError([{ field: 'format', message }]));
+    }
+
+    req.body = { ...req.body, page: 1, pageSize: Number.MAX_SAFE_INTEGER };
+    const limitSpec = ROUTE_SCHEMAS[`${req.method} ${req.baseUrl}${req.path}`]?.body?.limit;
+    if (limitSpec) req.body.limit = limitSpec.max ?? Number.MAX_SAFE_INTEGER;
+    delete req.body.format;
+    req.exportFormat = format;
+
+    const name = req.path.split('/').filter(Boolean).pop() || 'analytics';
+    const sendJson = res.json.bind(res);
+
+    res.json = payload => {
+        if (!payload?.success || res.statusCode >= 400) return sendJson(payload);
+
+        const sheets = toSheets(payload.data, name);
+        // El modo de privacidad (ver privacy/index.js) queda anotado en la hoja Resumen
+        if (payload.privacy) addSummaryRow(sheets, 'privacy', payload.privacy);
+        const filename = `rage_${name}_${dayjs().format('YYYY-MM-DD_HHmm')}.${EXPORT_FORMATS[format].extension}`;
+        res.set('Content-Type', EXPORT_FORMATS[format].contentType);
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+        if (format === 'csv') return res.send(toCsv(sheets));
+        toXlsx(sheets)
+            .then(buffer => res.send(buffer))
+            .catch(error => {
+                res.removeHeader('Content-Disposition');
+                res.json = sendJson;
+                sendError(res, error);
+            });
+        return res;
+    };
+
+    next();
+}
+
+export default {
+    EXPORT_ROUTES,
+    EXPORT_FORMATS,
+    toSheets,
+    toCsv,
+    toXlsx,
+    exportMiddleware
+};
@@ -8,9 +8,14 @@
  * - Campañas de reactivación
  */
 
-import analytics from './queries/analytics.js';
+import { buildDashboardData } from './generators/dashboard-data.js';
 import DashboardPDFGenerator from './generators/pdf-generator.js';
+import { isEmailConfigured, sendReportEmail } from './delivery/email.js';
+import { emailConfig } from './config/email.js';
+import { privacyConfig } from './config/privacy.js';
+import { recordAudit, countClientRecords } from './audit/index.js';
 import fs from 'fs';
+import path from 'path';
 import dayjs from 'dayjs';
 import 'dayjs/locale/es.js';
 
@@ -28,24 +33,35 @@ async function generateDashboard() {
     console.log('');
     console.log('─'.repeat(60));
 
-    try {
-        // PRIMERO: Cargar todos los perfiles para tener nombres y teléfonos
-        await analytics.loadProfiles();
+    const year = dayjs().year();
 
-        // 1. Obtener métricas de retención
-        console.log('\n📊 Obteniendo métricas de retención...');
-        const retention = await analytics.getRetentionMetrics();
+    try {
+        // Los mismos datos que el reporte del servidor y los programados
+        // (REPORT_PRIVACY=masked enmascara nombres y teléfonos en el PDF, el JSON y esta salida)
+        console.log(`\n📊 Reuniendo datos del reporte ${year}...`);
+        const dashboardData = await buildDashboardData({ year, privacy: privacyConfig.reportPrivacy });
+        const {
+            retention, sales, top_buyers: topBuyers, popular_classes: popularClasses, attendance,
+            weekly_schedule: weeklySchedule, cohorts: cohortRetention, ltv: lifetimeValue,
+            credit_expiration: creditExpiration, coaches: coachPerformance, cancellations: cancellationStats,
+            forecast: salesForecast, goals: goalProgress, dormant_clients: dormant
+        } = dashboardData;
+
+        // 1. Métricas de retención
+        console.log('\n📊 Métricas de retención');
         console.log(`   ✅ ${retention.total_unique_users} usuarios únicos con actividad`);
         console.log(`   ✅ ${retention.active_users_30_days} activos (últimos 30 días)`);
         console.log(`   ✅ Tasa de retención: ${retention.retention_rate}%`);
         console.log(`   ✅ ${retention.users_with_credits} usuarios con créditos disponibles`);
         console.log(`   ✅ ${retention.total_credits_pending} créditos pendientes de usar`);
 
-        // 2. Obtener ventas por mes
-        console.log('\n💰 Analizando ventas 2026...');
-        const sales = await analytics.getPackageSalesByMonth(2026);
+        // 2. Ventas por mes
+        console.log(`\n💰 Ventas ${year}`);
         console.log(`   ✅ ${sales.total_packages} paquetes vendidos`);
         console.log(`   ✅ $${new Intl.NumberFormat('es-MX').format(sales.total_revenue)} en ingresos`);
+        if (sales.pricing.batches_list_price_fallback > 0) {
+            console.log(`   ⚠️  ${sales.pricing.batches_list_price_fallback} paquetes sin compra registrada (a precio de lista)`);
+        }
 
         if (sales.by_package_type.length > 0) {
             console.log('\n   📦 Desglose por tipo de paquete:');
@@ -55,28 +71,23 @@ async function generateDashboard() {
         }
 
         // 3. Top compradoras
-        console.log('\n👑 Identificando Top 5 clientas VIP...');
-        const topBuyers = await analytics.getTopBuyers(2026, 5);
+        console.log('\n👑 Top 5 clientas VIP');
         if (topBuyers.length > 0) {
             topBuyers.forEach((buyer, i) => {
                 console.log(`   ${i + 1}. ${buyer.full_name} - $${new Intl.NumberFormat('es-MX').format(buyer.total_spent)} (${buyer.total_purchases} compras)`);
             });
         } else {
-            console.log('   ⚠️  No hay compras registradas en 2026');
+            console.log(`   ⚠️  No hay compras registradas en ${year}`);
         }
 
         // 4. Clases populares
-        console.log('\n🧘 Analizando clases populares...');
-        const popularClasses = await analytics.getPopularClasses();
-        if (popularClasses.length > 0) {
-            popularClasses.slice(0, 5).forEach((cls, i) => {
-                console.log(`   ${i + 1}. ${cls.name} (${cls.day}) - ${cls.attendees} asistentes en ${cls.count} reservaciones`);
-            });
-        }
+        console.log('\n🧘 Clases populares');
+        popularClasses.forEach((cls, i) => {
+            console.log(`   ${i + 1}. ${cls.name} (${cls.day}) - ${cls.attendees} asistentes en ${cls.count} reservaciones`);
+        });
 
         // 5. Estadísticas de asistencia
-        console.log('\n📈 Analizando estadísticas de asistencia...');
-        const attendance = await analytics.getAttendanceStats();
+        console.log('\n📈 Estadísticas de asistencia');
         console.log(`   ✅ Total reservaciones: ${attendance.total_bookings}`);
         console.log(`   ✅ Total asistentes: ${attendance.total_attendees}`);
 
@@ -88,22 +99,17 @@ async function generateDashboard() {
         }
 
         // 6. Clientas dormidas
-        console.log('\n😴 Buscando clientas inactivas...');
-        const dormant30 = await analytics.getDormantClients(30);
-        const dormant60 = await analytics.getDormantClients(60);
-        const dormant90 = await analytics.getDormantClients(90);
-        console.log(`   ⚠️  ${dormant30.total} inactivas 30+ días`);
-        console.log(`   ⚠️  ${dormant60.total} inactivas 60+ días`);
-        console.log(`   ⚠️  ${dormant90.total} inactivas 90+ días`);
+        console.log('\n😴 Clientas inactivas');
+        console.log(`   ⚠️  ${dormant['30_days']} inactivas 30+ días`);
+        console.log(`   ⚠️  ${dormant['60_days']} inactivas 60+ días`);
+        console.log(`   ⚠️  ${dormant['90_days']} inactivas 90+ días`);
 
         // 7. Horario Semanal
-        console.log('\n📅 Analizando ocupación por horario...');
-        const weeklySchedule = await analytics.getWeeklySchedule();
-        const scheduleDays = Object.keys(weeklySchedule);
+        console.log('\n📅 Ocupación por horario');
         let totalSlots = 0;
         let avgOccupancy = 0;
-        scheduleDays.forEach(day => {
-            weeklySchedule[day].forEach(slot => {
+        Object.values(weeklySchedule).forEach(slots => {
+            slots.forEach(slot => {
                 totalSlots++;
                 avgOccupancy += slot.occupancy_rate;
             });
@@ -114,24 +120,59 @@ async function generateDashboard() {
             console.log(`   ✅ Ocupación promedio: ${avgOccupancy}%`);
         }
 
-        // Compilar datos
-        const dashboardData = {
-            generated_at: new Date().toISOString(),
-            retention,
-            sales,
-            top_buyers: topBuyers,
-            popular_classes: popularClasses.slice(0, 5),
-            attendance,
-            weekly_schedule: weeklySchedule,
-            dormant_clients: {
-                '30_days': dormant30.total,
-                '60_days': dormant60.total,
-                '90_days': dormant90.total,
-                clients_30_days: dormant30.clients.slice(0, 10)
-            }
-        };
-
-        // 7. Generar PDF
+        // 8. Cohortes de retención
+        console.log('\n🧩 Retención por cohorte');
+        const lastMonth = cohortRetention.average.find(a => a.offset === 1);
+        console.log(`   ✅ ${cohortRetention.total_clients} clientas en ${cohortRetention.cohorts.length} cohortes`);
+        if (lastMonth) {
+            console.log(`   ✅ Retención promedio al mes 1: ${lastMonth.rate}%`);
+        }
+
+        // 9. Valor de vida (LTV)
+        console.log('\n💎 Valor de vida de clientas');
+        console.log(`   ✅ LTV promedio: $${new Intl.NumberFormat('es-MX').format(lifetimeValue.avg_ltv)}`);
+        console.log(`   ✅ LTV proyectado promedio: $${new Intl.NumberFormat('es-MX').format(lifetimeValue.avg_projected_ltv)}`);
+        if (lifetimeValue.by_first_package.length > 0) {
+            const best = lifetimeValue.by_first_package[0];
+            console.log(`   ✅ Mejor paquete de entrada: ${best.name} ($${new Intl.NumberFormat('es-MX').format(best.avg_projected_ltv)} por clienta)`);
+        }
+
+        // 10. Vencimiento de créditos
+        console.log('\n⏳ Vencimiento de créditos');
+        console.log(`   ⚠️  ${creditExpiration.breakage.credits_expired} créditos vencidos sin usar (${creditExpiration.breakage.breakage_rate}% breakage)`);
+        console.log(`   ⚠️  ${creditExpiration.expiring['14_days'].credits} créditos vencen en los próximos 14 días`);
+
+        // 11. Desempeño de coaches
+        console.log('\n🏋️ Desempeño de coaches');
+        coachPerformance.coaches.forEach(coach => {
+            console.log(`   - ${coach.name}: ${coach.classes_taught} clases, ${coach.avg_occupancy}% ocupación, ${coach.repeat_client_rate}% recurrentes`);
+        });
+
+        // 12. Cancelaciones y no-shows
+        console.log('\n🚫 Cancelaciones y no-shows');
+        console.log(`   ⚠️  ${cancellationStats.totals.cancel_rate}% cancelaciones (${cancellationStats.totals.late_cancel_rate}% tardías)`);
+        console.log(`   ⚠️  ${cancellationStats.totals.no_show_rate}% no-shows`);
+        console.log(`   ⚠️  ${cancellationStats.repeat_late_cancellers.length} clientas reincidentes`);
+
+        // 13. Pronóstico
+        console.log('\n🔮 Próximos meses');
+        salesForecast.forecast.forEach(month => {
+            console.log(`   - ${month.label}: $${new Intl.NumberFormat('es-MX').format(month.revenue.value)} ($${new Intl.NumberFormat('es-MX').format(month.revenue.lower)} - $${new Intl.NumberFormat('es-MX').format(month.revenue.upper)}), ${month.packages.value} paquetes, ${month.bookings.value} reservaciones`);
+        });
+
+        // 14. Metas del mes
+        console.log('\n🎯 Metas del mes');
+        if (goalProgress.has_goals) {
+            Object.values(goalProgress.metrics)
+                .filter(metric => metric.target !== null)
+                .forEach(metric => {
+                    console.log(`   - ${metric.label}: ${metric.actual} de ${metric.target} (${metric.progress_pct}%), cierre proyectado ${metric.projected}`);
+                });
+        } else {
+            console.log(`   ⚠️  No hay metas registradas para ${goalProgress.month}`);
+        }
+
+        // Generar PDF
         console.log('\n─'.repeat(60));
         console.log('\n📄 Generando reporte PDF...');
         const pdfGenerator = new DashboardPDFGenerator('./reports');
@@ -146,6 +187,20 @@ async function generateDashboard() {
         const jsonPath = pdfPath.replace('.pdf', '.json');
         fs.writeFileSync(jsonPath, JSON.stringify(dashboardData, null, 2));
         console.log(`📋 Datos JSON guardados en: ${jsonPath}`);
+        recordAudit({
+            action: 'report_generated',
+            source: 'cli',
+            params: { year },
+            records: countClientRecords(dashboardData),
+            privacy: privacyConfig.reportPrivacy,
+            filename: path.basename(pdfPath)
+        });
+
+        // Enviar por correo si hay SMTP y destinatarios configurados
+        if (isEmailConfigured() && emailConfig.recipients.length > 0) {
+            const delivery = await sendReportEmail({ pdfPath, data: dashboardData, source: 'cli' });
+            if (delivery.status !== 'sent') process.exitCode = 1;
+        }
 
         console.log('\n💡 Próximos pasos sugeridos:');
         console.log('   1. Abre el PDF para revisar el reporte completo');
@@ -0,0 +1,126 @@
+/**
+ * Dashboard Data
+ * Reúne los datos del reporte PDF para un período
+ *
+ * La portada, retención, ventas, clientas inactivas y recomendaciones siempre se
+ * incluyen; el resto de las páginas son secciones opcionales (REPORT_SECTIONS)
+ *
+ * Con privacy 'masked' los nombres y teléfonos de las clientas salen enmascarados
+ */
+
+import analytics from '../queries/analytics.js';
+import cohorts from '../queries/cohorts.js';
+import ltv from '../queries/ltv.js';
+import credits from '../queries/credits.js';
+import coaches from '../queries/coaches.js';
+import cancellations from '../queries/cancellations.js';
+import forecast from '../queries/forecast.js';
+import goals from '../queries/goals.js';
+import { applyPrivacy } from '../privacy/index.js';
+import dayjs from 'dayjs';
+
+export const REPORT_SECTIONS = {
+    top_buyers: 'Top Clientas VIP',
+    weekly_schedule: 'Ocupación por Horario',
+    attendance: 'Asistencia y Clases Populares',
+    cohorts: 'Retención por Cohorte',
+    ltv: 'Valor de Vida (LTV)',
+    credit_expiration: 'Vencimiento de Créditos',
+    coaches: 'Desempeño de Coaches',
+    cancellations: 'Cancelaciones y No-Shows',
+    forecast: 'Pronóstico',
+    goals: 'Metas del Mes'
+};
+
+/**
+ * DATOS DEL REPORTE
+ * @param {Object} options
+ * @param {number} options.year - Año de ventas (si no hay rango)
+ * @param {string} options.startDate - Inicio del rango (YYYY-MM-DD)
+ * @param {string} options.endDate - Fin del rango (YYYY-MM-DD)
+ * @param {string[]} options.sections - Secciones opcionales a incluir (todas por defecto)
+ * @param {string} options.period - Texto del período para la portada y encabezados
+ * @param {string} options.privacy - Modo de privacidad: 'full' | 'masked'
+ */
+export async function buildDashboardData({
+    year = dayjs().year(),
+    startDate,
+    endDate,
+    sections = Object.keys(REPORT_SECTIONS),
+    period,
+    privacy = 'full'
+} = {}) {
+    await analytics.loadProfiles();
+
+    const hasRange = Boolean(startDate && endDate);
+    const include = new Set(sections);
+    const optional = (section, load) => include.has(section) ? load() : null;
+
+    const [retention, sales, dormant30, dormant60, dormant90, topBuyers, weeklySchedule, attendance, popularClasses,
+        cohortRetention, lifetimeValue, creditExpiration, coachPerformance, cancellationStats, salesForecast, goalProgress] =
+        await Promise.all([
+            analytics.getRetentionMetrics(),
+            hasRange ?
+                analytics.getPackageSalesByDateRange(startDate, endDate) :
+                analytics.getPackageSalesByMonth(year),
+            analytics.getDormantClients(30),
+            analytics.getDormantClients(60),
+            analytics.getDormantClients(90),
+            optional('top_buyers', () => hasRange ?
+                analytics.getTopBuyersByDateRange(startDate, endDate, 5) :
+                analytics.getTopBuyers(year, 5)),
+            optional('weekly_schedule', () => analytics.getWeeklySchedule({ startDate, endDate })),
+            optional('attendance', () => analytics.getAttendanceStats()),
+            optional('attendance', () => analytics.getPopularClasses()),
+            optional('cohorts', () => cohorts.getCohortRetention(12)),
+            optional('ltv', () => ltv.getLifetimeValue(10)),
+            optional('credit_expiration', () => credits.getCreditExpiration(14)),
+            optional('coaches', () => coaches.getCoachPerformance(6)),
+            optional('cancellations', () => cancellations.getCancellationStats({ startDate, endDate })),
+            optional('forecast', () => forecast.getForecast(3)),
+            optional('goals', () => goals.getGoalProgress())
+        ]);
+
+    const data = {
+        generated_at: new Date().toISOString(),
+        period: period || (hasRange ?
+            `${dayjs(startDate).format('DD/MM/YYYY')} - ${dayjs(endDate).format('DD/MM/YYYY')}` :
+            `Año ${year}`),
+        sections: [...include].filter(section => REPORT_SECTIONS[section]),
+        privacy,
+        retention,
+        sales,
+        dormant_clients: {
+            '30_days': dormant30.total,
+            '60_days': dormant60.total,
+            '90_days': dormant90.total,
+            clients_30_days: dormant30.clients.slice(0, 10)
+        }
+    };
+
+    if (topBuyers) data.top_buyers = topBuyers;
+    if (weeklySchedule) {
+        data.weekly_schedule = weeklySchedule;
+        data.weekly_schedule_period = hasRange ?
+            `del ${dayjs(startDate).format('DD/MM/YYYY')} al ${dayjs(endDate).format('DD/MM/YYYY')}` :
+            'en los últimos 30 días';
+    }
+    if (attendance) {
+        data.attendance = attendance;
+        data.popular_classes = popularClasses.slice(0, 5);
+    }
+    if (cohortRetention) data.cohorts = cohortRetention;
+    if (lifetimeValue) data.ltv = lifetimeValue;
+    if (creditExpiration) data.credit_expiration = creditExpiration;
+    if (coachPerformance) data.coaches = coachPerformance;
+    if (cancellationStats) data.cancellations = cancellationStats;
+    if (salesForecast) data.forecast = salesForecast;
+    if (goalProgress) data.goals = goalProgress;
+
+    return applyPrivacy(data, privacy);
+}
+
+export default {
+    REPORT_SECTIONS,
+    buildDashboardData
+};
@@ -8,6 +8,9 @@ import fs from 'fs';
 import path from 'path';
 import dayjs from 'dayjs';
 import 'dayjs/locale/es.js';
+import { buildReportContext } from '../templates/context.js';
+import { renderStoredTemplate } from '../templates/index.js';
+import { PRIVACY_MODES } from '../privacy/index.js';
 
 dayjs.locale('es');
 
@@ -38,9 +41,11 @@ export class DashboardPDFGenerator {
 
     /**
      * Genera el reporte completo del dashboard
+     * Las páginas opcionales solo se agregan si `data` trae su sección
+     * @param {string} options.prefix - Prefijo del archivo (reportes programados)
      */
-    async generateFullReport(data) {
-        const filename = `rage_dashboard_${dayjs().format('YYYY-MM-DD_HHmm')}.pdf`;
+    async generateFullReport(data, { prefix = 'rage_dashboard' } = {}) {
+        const filename = `${prefix}_${dayjs().format('YYYY-MM-DD_HHmm')}.pdf`;
         const filepath = path.join(this.outputDir, filename);
 
         const doc = new PDFDocument({
@@ -62,15 +67,41 @@ export class DashboardPDFGenerator {
         doc.addPage();
         this.renderRetentionPage(doc, data.retention);
         doc.addPage();
-        this.renderSalesPage(doc, data.sales);
-        doc.addPage();
-        this.renderTopBuyersPage(doc, data.top_buyers);
-        doc.addPage();
-        this.renderWeeklySchedulePage(doc, data.weekly_schedule);
-        doc.addPage();
-        this.renderAttendancePage(doc, data.attendance, data.popular_classes);
+        this.renderSalesPage(doc, data.sales, data.forecast, data.period);
+        if (data.top_buyers) {
+            doc.addPage();
+            this.renderTopBuyersPage(doc, data.top_buyers, data.period);
+        }
+        if (data.weekly_schedule) {
+            doc.addPage();
+            this.renderWeeklySchedulePage(doc, data.weekly_schedule, data.weekly_schedule_period);
+        }
+        if (data.attendance) {
+            doc.addPage();
+            this.renderAttendancePage(doc, data.attendance, data.popular_classes);
+        }
         doc.addPage();
         this.renderDormantClientsPage(doc, data.dormant_clients);
+        if (data.cohorts) {
+            doc.addPage();
+            this.renderCohortsPage(doc, data.cohorts);
+        }
+        if (data.ltv) {
+            doc.addPage();
+            this.renderLifetimeValuePage(doc, data.ltv);
+        }
+        if (data.credit_expiration) {
+            doc.addPage();
+            this.renderCreditExpirationPage(doc, data.credit_expiration);
+        }
+        if (data.coaches) {
+            doc.addPage();
+            this.renderCoachesPage(doc, data.coaches);
+        }
+        if (data.cancellations) {
+            doc.addPage();
+            this.renderCancellationsPage(doc, data.cancellations);
+        }
         doc.addPage();
         this.renderRecommendationsPage(doc, data);
 
@@ -118,18 +149,82 @@ export class DashboardPDFGenerator {
             .fillColor(COLORS.white)
             .text(dayjs().format('MMMM YYYY').toUpperCase(), 50, 400, { align: 'center' });
 
+        if (data.period) {
+            doc.fontSize(11)
+                .fillColor(COLORS.muted)
+                .text(`Período: ${data.period}`, 50, 425, { align: 'center' });
+        }
+
+        // Modo de privacidad con el que se generó (los reportes anteriores no lo guardan)
+        const privacy = PRIVACY_MODES[data.privacy];
+        if (privacy) {
+            doc.fontSize(10)
+                .fillColor(COLORS.muted)
+                .text(`Privacidad: ${privacy.label} · ${privacy.description}`, 50, 445, { align: 'center' });
+        }
+
         // Métricas destacadas al pie
         const y = 500;
         this.renderMetricBox(doc, 80, y, 'Usuarios', data.retention.total_registered_users, COLORS.primary);
-        this.renderMetricBox(doc, 230, y, 'Ventas 2026', data.sales.total_packages, COLORS.success);
+        this.renderMetricBox(doc, 230, y, 'Paquetes Vendidos', data.sales.total_packages, COLORS.success);
         this.renderMetricBox(doc, 380, y, 'Ingresos', `$${this.formatNumber(data.sales.total_revenue)}`, COLORS.secondary);
 
+        if (data.goals?.has_goals) {
+            this.renderGoalsSummary(doc, data.goals, 600);
+        }
+
         // Footer
         doc.fontSize(10)
             .fillColor(COLORS.muted)
             .text(`Generado: ${dayjs().format('DD/MM/YYYY HH:mm')}`, 50, 720, { align: 'center' });
     }
 
+    /**
+     * Avance de las metas del mes (portada): real vs. meta, ritmo y cierre proyectado
+     */
+    renderGoalsSummary(doc, goals, y) {
+        const statusColors = { achieved: COLORS.success, on_track: COLORS.success, behind: COLORS.warning };
+        const format = (key, value) => {
+            if (key === 'revenue') return `$${this.formatNumber(value)}`;
+            if (key === 'occupancy') return `${value}%`;
+            return this.formatNumber(value);
+        };
+
+        doc.fontSize(11)
+            .fillColor(COLORS.white)
+            .font('Helvetica-Bold')
+            .text(`METAS DEL MES (${goals.days_elapsed} de ${goals.days_in_month} días)`, 80, y);
+
+        y += 20;
+
+        Object.entries(goals.metrics)
+            .filter(([, metric]) => metric.target !== null)
+            .forEach(([key, metric]) => {
+                const barWidth = 110;
+                const filled = Math.min(metric.progress_pct || 0, 100) / 100 * barWidth;
+
+                doc.fontSize(9)
+                    .fillColor(COLORS.muted)
+                    .font('Helvetica')
+                    .text(metric.label, 80, y, { width: 110 });
+
+                doc.rect(190, y + 2, barWidth, 7).fill('#374151');
+                if (filled > 0) {
+                    doc.rect(190, y + 2, filled, 7).fill(statusColors[metric.status] || COLORS.primary);
+                }
+
+                const pace = metric.pace_pct !== null ? ` · ritmo ${metric.pace_pct}%` : '';
+                doc.fontSize(9)
+                    .fillColor(COLORS.white)
+                    .text(
+                        `${format(key, metric.actual)} de ${format(key, metric.target)}${pace} · cierre proyectado ${format(key, metric.projected)}`,
+                        310, y, { width: 260 }
+                    );
+
+                y += 18;
+            });
+    }
+
     /**
      * Página de métricas de retención
      */
@@ -197,8 +292,8 @@ export class DashboardPDFGenerator {
     /**
      * Página de ventas
      */
-    renderSalesPage(doc, sales) {
-        this.renderPageHeader(doc, '💰 Ventas de Paquetes 2026');
+    renderSalesPage(doc, sales, forecast = null, period = null) {
+        this.renderPageHeader(doc, '💰 Ventas de Paquetes', period);
 
         let y = 120;
 
@@ -220,6 +315,20 @@ export class DashboardPDFGenerator {
             .font('Helvetica')
             .text(`${sales.total_packages} paquetes vendidos`, 50, y + 40);
 
+        if (sales.pricing) {
+            const pricing = sales.pricing;
+            doc.fontSize(10)
+                .fillColor(COLORS.muted)
+                .text(`Precio de lista: $${this.formatNumber(pricing.list_revenue)} · Descuentos: $${this.formatNumber(pricing.discount)} (${pricing.discount_pct}%)`, 50, y + 58);
+
+            if (pricing.batches_list_price_fallback > 0) {
+                doc.fillColor(COLORS.warning)
+                    .text(`${pricing.batches_list_price_fallback} paquete(s) sin compra registrada se cuentan a precio de lista ($${this.formatNumber(pricing.list_price_fallback_revenue)})`, 50, y + 72);
+                y += 14;
+            }
+            y += 18;
+        }
+
         y += 80;
 
         // Ventas por mes
@@ -261,26 +370,74 @@ export class DashboardPDFGenerator {
 
         y += 25;
 
-        const packageRows = [['Paquete', 'Cantidad', 'Ingresos']];
+        const packageRows = [['Paquete', 'Cantidad', 'Precio Lista', 'Ingresos']];
         sales.by_package_type.forEach(pkg => {
-            packageRows.push([pkg.name, pkg.count, `$${this.formatNumber(pkg.revenue)}`]);
+            packageRows.push([
+                pkg.name,
+                pkg.count,
+                `$${this.formatNumber(pkg.list_revenue ?? pkg.revenue)}`,
+                `$${this.formatNumber(pkg.revenue)}${pkg.list_price_fallbacks > 0 ? ' *' : ''}`
+            ]);
         });
 
-        this.renderTable(doc, 50, y, packageRows, [250, 80, 120]);
+        this.renderTable(doc, 50, y, packageRows, [200, 70, 120, 120]);
+
+        y += (packageRows.length * 22) + 30;
+
+        if (forecast?.forecast.length > 0) {
+            this.renderForecastSummary(doc, forecast, y);
+        }
+    }
+
+    /**
+     * Resumen del pronóstico (continúa en otra página si no cabe)
+     */
+    renderForecastSummary(doc, forecast, y) {
+        const needed = 45 + ((forecast.forecast.length + 1) * 22);
+        if (y + needed > 740) {
+            doc.addPage();
+            this.renderPageHeader(doc, '🔮 Pronóstico de Ventas');
+            y = 110;
+        }
+
+        doc.fontSize(14)
+            .fillColor(COLORS.dark)
+            .font('Helvetica-Bold')
+            .text('Pronóstico Próximos Meses', 50, y);
+
+        doc.fontSize(9)
+            .fillColor(COLORS.muted)
+            .font('Helvetica')
+            .text(`Tendencia${forecast.method === 'trend_seasonal' ? ' y estacionalidad' : ''} de ${forecast.history_months} meses · banda de confianza ${Math.round(forecast.confidence * 100)}%`, 50, y + 18);
+
+        y += 35;
+
+        const rows = [['Mes', 'Ingresos', 'Rango', 'Paquetes', 'Reservaciones']];
+        forecast.forecast.forEach(month => {
+            rows.push([
+                month.label,
+                `$${this.formatNumber(month.revenue.value)}`,
+                `$${this.formatNumber(month.revenue.lower)} - $${this.formatNumber(month.revenue.upper)}`,
+                `${month.packages.value} (${month.packages.lower}-${month.packages.upper})`,
+                `${month.bookings.value} (${month.bookings.lower}-${month.bookings.upper})`
+            ]);
+        });
+
+        this.renderTable(doc, 50, y, rows, [70, 90, 150, 100, 100]);
     }
 
     /**
      * Página de top compradoras
      */
-    renderTopBuyersPage(doc, topBuyers) {
-        this.renderPageHeader(doc, '👑 Top 5 Clientas VIP - 2026');
+    renderTopBuyersPage(doc, topBuyers, period = null) {
+        this.renderPageHeader(doc, '👑 Top 5 Clientas VIP', period);
 
         let y = 120;
 
         doc.fontSize(12)
             .fillColor(COLORS.muted)
             .font('Helvetica')
-            .text('Clientas con mayor inversión en el año', 50, y);
+            .text('Clientas con mayor inversión en el período', 50, y);
 
         y += 30;
 
@@ -344,7 +501,7 @@ export class DashboardPDFGenerator {
     /**
      * Página de ocupación por horario semanal
      */
-    renderWeeklySchedulePage(doc, schedule) {
+    renderWeeklySchedulePage(doc, schedule, period = 'en los últimos 30 días') {
         this.renderPageHeader(doc, '📅 Ocupación por Horario Semanal');
 
         let y = 110;
@@ -352,7 +509,7 @@ export class DashboardPDFGenerator {
         doc.fontSize(12)
             .fillColor(COLORS.muted)
             .font('Helvetica')
-            .text('Promedio de asistencia por clase en los últimos 30 días', 50, y);
+            .text(`Promedio de asistencia por clase ${period} (semanas sin reservas cuentan como 0)`, 50, y);
 
         y += 30;
 
@@ -592,6 +749,376 @@ export class DashboardPDFGenerator {
         );
     }
 
+    /**
+     * Página de retención por cohorte (heatmap)
+     */
+    renderCohortsPage(doc, cohorts) {
+        this.renderPageHeader(doc, '🧩 Retención por Cohorte');
+
+        let y = 110;
+
+        doc.fontSize(12)
+            .fillColor(COLORS.muted)
+            .font('Helvetica')
+            .text('% de clientas que siguen reservando o comprando N meses después de su primera compra', 50, y);
+
+        y += 30;
+
+        const labelWidth = 60;
+        const sizeWidth = 35;
+        const cellWidth = Math.floor((510 - labelWidth - sizeWidth) / cohorts.months_back);
+        const rowHeight = 20;
+
+        // Encabezado: Mes 0, Mes 1, ...
+        doc.rect(50, y, 510, rowHeight).fill(COLORS.dark);
+        doc.fontSize(8)
+            .fillColor(COLORS.white)
+            .font('Helvetica-Bold')
+            .text('Cohorte', 55, y + 6, { width: labelWidth - 5 })
+            .text('N', 50 + labelWidth, y + 6, { width: sizeWidth, align: 'center' });
+
+        for (let offset = 0; offset < cohorts.months_back; offset++) {
+            doc.text(`M${offset}`, 50 + labelWidth + sizeWidth + offset * cellWidth, y + 6, { width: cellWidth, align: 'center' });
+        }
+
+        y += rowHeight;
+
+        cohorts.cohorts.forEach(cohort => {
+            doc.fontSize(8)
+                .fillColor(COLORS.dark)
+                .font('Helvetica')
+                .text(cohort.label, 55, y + 6, { width: labelWidth - 5 })
+                .text(String(cohort.size), 50 + labelWidth, y + 6, { width: sizeWidth, align: 'center' });
+
+            cohort.retention.forEach(cell => {
+                if (cell.rate === null) return;
+                const x = 50 + labelWidth + sizeWidth + cell.offset * cellWidth;
+                doc.rect(x + 1, y + 1, cellWidth - 2, rowHeight - 2)
+                    .fill(this.heatColor(cell.rate));
+                doc.fontSize(7)
+                    .fillColor(cell.rate >= 50 ? COLORS.white : COLORS.dark)
+                    .text(`${Math.round(cell.rate)}%`, x, y + 7, { width: cellWidth, align: 'center' });
+            });
+
+            y += rowHeight;
+        });
+
+        y += 30;
+
+        // Insight con el promedio al mes 1 y mes 3
+        const month1 = cohorts.average.find(a => a.offset === 1);
+        const month3 = cohorts.average.find(a => a.offset === 3);
+        if (month1) {
+            this.renderInsightBox(doc, 50, Math.min(y, 580), 510,
+                '🔁 Retención de Nuevas Clientas',
+                `En promedio, ${month1.rate}% de las clientas vuelve a reservar o comprar el mes siguiente a su primera compra` +
+                `${month3 ? ` y ${month3.rate}% sigue activa al tercer mes` : ''}. ` +
+                `Las cohortes con mayor caída al mes 1 son las que más se benefician de un seguimiento de bienvenida.`
+            );
+        }
+    }
+
+    /**
+     * Página de valor de vida (LTV)
+     */
+    renderLifetimeValuePage(doc, ltv) {
+        this.renderPageHeader(doc, '💎 Valor de Vida de Clientas (LTV)');
+
+        let y = 110;
+
+        const kpis = [
+            { label: 'LTV Promedio', value: `$${this.formatNumber(ltv.avg_ltv)}`, color: COLORS.success },
+            { label: 'LTV Proyectado', value: `$${this.formatNumber(ltv.avg_projected_ltv)}`, color: COLORS.primary },
+            { label: 'Vida Esperada (meses)', value: ltv.expected_lifetime_months, color: COLORS.secondary },
+            { label: 'Clientas Compradoras', value: ltv.total_clients, color: COLORS.warning }
+        ];
+
+        kpis.forEach((kpi, i) => {
+            const x = 50 + (i * 135);
+            this.renderKPIBox(doc, x, y, 120, 70, kpi.label, kpi.value, kpi.color);
+        });
+
+        y += 100;
+
+        // Por primer paquete
+        doc.fontSize(14)
+            .fillColor(COLORS.dark)
+            .font('Helvetica-Bold')
+            .text('LTV por Paquete de Entrada', 50, y);
+
+        y += 25;
+
+        const packageRows = [['Primer Paquete', 'Clientas', 'LTV Promedio', 'LTV Proyectado']];
+        ltv.by_first_package.slice(0, 6).forEach(pkg => {
+            packageRows.push([pkg.name, pkg.clients, `$${this.formatNumber(pkg.avg_ltv)}`, `$${this.formatNumber(pkg.avg_projected_ltv)}`]);
+        });
+
+        this.renderTable(doc, 50, y, packageRows, [200, 80, 110, 110]);
+
+        y += (packageRows.length * 22) + 30;
+
+        // Por mes de adquisición (últimos 8 meses)
+        doc.fontSize(14)
+            .fillColor(COLORS.dark)
+            .font('Helvetica-Bold')
+            .text('LTV por Mes de Adquisición', 50, y);
+
+        y += 25;
+
+        const monthRows = [['Mes', 'Clientas', 'Ingresos', 'LTV Promedio', 'LTV Proyectado']];
+        ltv.by_acquisition_month.slice(-8).forEach(month => {
+            monthRows.push([
+                month.label,
+                month.clients,
+                `$${this.formatNumber(month.total_revenue)}`,
+                `$${this.formatNumber(month.avg_ltv)}`,
+                `$${this.formatNumber(month.avg_projected_ltv)}`
+            ]);
+        });
+
+        this.renderTable(doc, 50, y, monthRows, [90, 70, 110, 110, 110]);
+
+        y += (monthRows.length * 22) + 30;
+
+        if (ltv.by_first_package.length > 0) {
+            const best = ltv.by_first_package[0];
+            this.renderInsightBox(doc, 50, Math.min(y, 580), 510,
+                '🎯 Paquete de Entrada Más Valioso',
+                `Las clientas que empiezan con "${best.name}" valen en promedio $${this.formatNumber(best.avg_projected_ltv)} a lo largo de su vida. ` +
+                `Una clienta promedio se queda ${ltv.expected_lifetime_months} meses. ` +
+                `Considera promocionar este paquete como primera compra.`
+            );
+        }
+    }
+
+    /**
+     * Página de vencimiento de créditos (breakage)
+     */
+    renderCreditExpirationPage(doc, expiration) {
+        this.renderPageHeader(doc, '⏳ Vencimiento de Créditos');
+
+        let y = 110;
+
+        const kpis = [
+            { label: 'Créditos Vencidos sin Usar', value: this.formatNumber(expiration.breakage.credits_expired), color: COLORS.danger },
+            { label: 'Tasa de Breakage', value: `${expiration.breakage.breakage_rate}%`, color: COLORS.warning },
+            { label: 'Vencen en 7 días', value: expiration.expiring['7_days'].credits, color: COLORS.secondary },
+            { label: 'Vencen en 30 días', value: expiration.expiring['30_days'].credits, color: COLORS.primary }
+        ];
+
+        kpis.forEach((kpi, i) => {
+            const x = 50 + (i * 135);
+            this.renderKPIBox(doc, x, y, 120, 70, kpi.label, kpi.value, kpi.color);
+        });
+
+        y += 100;
+
+        doc.fontSize(14)
+            .fillColor(COLORS.dark)
+            .font('Helvetica-Bold')
+            .text('Breakage por Paquete', 50, y);
+
+        y += 25;
+
+        const packageRows = [['Paquete', 'Lotes Vencidos', 'Créditos sin Usar', 'Breakage', 'Valor']];
+        expiration.by_package.forEach(pkg => {
+            packageRows.push([
+                pkg.name,
+                pkg.batches,
+                `${pkg.credits_expired}/${pkg.credits_total}`,
+                `${pkg.breakage_rate}%`,
+                `$${this.formatNumber(pkg.value_expired)}`
+            ]);
+        });
+
+        this.renderTable(doc, 50, y, packageRows, [170, 80, 100, 70, 90]);
+
+        y += (packageRows.length * 22) + 30;
+
+        doc.fontSize(14)
+            .fillColor(COLORS.dark)
+            .font('Helvetica-Bold')
+            .text(`Clientas con Créditos por Vencer (${expiration.contact_days} días)`, 50, y);
+
+        y += 25;
+
+        if (expiration.contacts.length > 0) {
+            const rows = [['Nombre', 'Teléfono', 'Créditos', 'Vence']];
+            expiration.contacts.slice(0, 8).forEach(client => {
+                rows.push([
+                    client.full_name,
+                    client.phone,
+                    client.credits_expiring,
+                    `${dayjs(client.expires_at).format('DD/MM/YYYY')} (${client.days_left} días)`
+                ]);
+            });
+
+            this.renderTable(doc, 50, y, rows, [170, 110, 70, 160]);
+
+            y += (rows.length * 22) + 30;
+        } else {
+            doc.fontSize(12)
+                .fillColor(COLORS.success)
+                .font('Helvetica')
+                .text('No hay créditos por vencer en este período.', 50, y);
+            y += 40;
+        }
+
+        this.renderInsightBox(doc, 50, Math.min(y, 580), 510,
+            '📱 Recordatorio de Créditos',
+            `Se han perdido $${this.formatNumber(expiration.breakage.value_expired)} en créditos que vencieron sin usarse. ` +
+            `Un recordatorio por WhatsApp unos días antes del vencimiento ayuda a que las clientas usen sus clases ` +
+            `y vuelvan a comprar.`
+        );
+    }
+
+    /**
+     * Página de desempeño por coach
+     */
+    renderCoachesPage(doc, performance) {
+        this.renderPageHeader(doc, '🏋️ Desempeño de Coaches');
+
+        let y = 110;
+
+        const coaches = performance.coaches.filter(c => c.classes_taught > 0);
+        const totalClasses = coaches.reduce((sum, c) => sum + c.classes_taught, 0);
+        const avgOccupancy = totalClasses > 0 ?
+            Math.round(coaches.reduce((sum, c) => sum + c.avg_occupancy * c.classes_taught, 0) / totalClasses) : 0;
+
+        const kpis = [
+            { label: 'Coaches con Clases', value: coaches.length, color: COLORS.primary },
+            { label: 'Clases Impartidas', value: this.formatNumber(totalClasses), color: COLORS.secondary },
+            { label: 'Ocupación Promedio', value: `${avgOccupancy}%`, color: COLORS.success },
+            { label: 'Meses Analizados', value: performance.months_back, color: COLORS.warning }
+        ];
+
+        kpis.forEach((kpi, i) => {
+            const x = 50 + (i * 135);
+            this.renderKPIBox(doc, x, y, 120, 70, kpi.label, kpi.value, kpi.color);
+        });
+
+        y += 100;
+
+        doc.fontSize(14)
+            .fillColor(COLORS.dark)
+            .font('Helvetica-Bold')
+            .text('Resumen por Coach', 50, y);
+
+        y += 25;
+
+        const coachRows = [['Coach', 'Clases', 'Ocupación', 'Clientas', 'Recurrentes', 'Inactivas']];
+        coaches.forEach(coach => {
+            coachRows.push([
+                coach.name,
+                coach.classes_taught,
+                `${coach.avg_occupancy}%`,
+                coach.unique_clients,
+                `${coach.repeat_client_rate}%`,
+                `${coach.dormant_clients} (${coach.dormant_rate}%)`
+            ]);
+        });
+
+        this.renderTable(doc, 50, y, coachRows, [150, 60, 75, 65, 80, 80]);
+
+        y += (coachRows.length * 22) + 30;
+
+        // Tendencia de ocupación mensual (hasta 4 coaches)
+        const trendCoaches = coaches.slice(0, 4);
+        if (trendCoaches.length > 0) {
+            doc.fontSize(14)
+                .fillColor(COLORS.dark)
+                .font('Helvetica-Bold')
+                .text('Ocupación Mensual por Coach', 50, y);
+
+            y += 25;
+
+            const colWidth = Math.floor(410 / trendCoaches.length);
+            const trendRows = [['Mes', ...trendCoaches.map(c => c.name.split(' ')[0])]];
+            trendCoaches[0].trend.forEach((month, i) => {
+                trendRows.push([
+                    month.label,
+                    ...trendCoaches.map(c => c.trend[i].classes > 0 ? `${c.trend[i].avg_occupancy}% (${c.trend[i].classes})` : '-')
+                ]);
+            });
+
+            this.renderTable(doc, 50, y, trendRows, [100, ...trendCoaches.map(() => colWidth)]);
+
+            y += (trendRows.length * 22) + 30;
+        }
+
+        const watch = [...coaches].sort((a, b) => b.dormant_rate - a.dormant_rate)[0];
+        if (watch && watch.dormant_clients > 0) {
+            this.renderInsightBox(doc, 50, Math.min(y, 620), 510,
+                '🔍 Clientas que Dejaron de Venir',
+                `${watch.dormant_clients} de las ${watch.unique_clients} clientas de ${watch.name} (${watch.dormant_rate}%) llevan ` +
+                `${performance.dormant_days}+ días sin reservar. Revisa sus horarios y considera una campaña de reactivación dirigida.`
+            );
+        }
+    }
+
+    /**
+     * Página de cancelaciones y no-shows
+     */
+    renderCancellationsPage(doc, stats) {
+        this.renderPageHeader(doc, '🚫 Cancelaciones y No-Shows');
+
+        let y = 110;
+
+        doc.fontSize(10)
+            .fillColor(COLORS.muted)
+            .font('Helvetica')
+            .text(`Clases del ${dayjs(stats.from).format('DD/MM/YYYY')} al ${dayjs(stats.to).format('DD/MM/YYYY')}. Cancelación tardía: menos de ${stats.late_cancel_hours} h antes de la clase.`, 50, y);
+
+        y += 25;
+
+        const kpis = [
+            { label: 'Reservas', value: this.formatNumber(stats.totals.bookings), color: COLORS.primary },
+            { label: 'Cancelaciones', value: `${stats.totals.cancel_rate}%`, color: COLORS.warning },
+            { label: 'Cancel. Tardías', value: `${stats.totals.late_cancel_rate}%`, color: COLORS.danger },
+            { label: 'No-Shows', value: `${stats.totals.no_show_rate}%`, color: COLORS.danger }
+        ];
+
+        kpis.forEach((kpi, i) => {
+            const x = 50 + (i * 135);
+            this.renderKPIBox(doc, x, y, 120, 70, kpi.label, kpi.value, kpi.color);
+        });
+
+        y += 95;
+
+        const rateRow = (label, row) => [label, row.bookings, `${row.cancel_rate}%`, `${row.late_cancel_rate}%`, `${row.no_show_rate}%`];
+        const header = ['', 'Reservas', 'Cancelan', 'Tardías', 'No-show'];
+        const widths = [190, 80, 80, 80, 80];
+
+        const section = (title, rows) => {
+            doc.fontSize(13)
+                .fillColor(COLORS.dark)
+                .font('Helvetica-Bold')
+                .text(title, 50, y);
+            y += 20;
+            this.renderTable(doc, 50, y, [header, ...rows], widths);
+            y += ((rows.length + 1) * 22) + 20;
+        };
+
+        section('Por Coach', stats.by_coach.map(c => rateRow(c.name, c)));
+        section('Por Anticipación de la Reserva', stats.by_lead_time
+            .filter(b => b.bookings > 0)
+            .map(b => rateRow(b.label, b)));
+        section('Horarios con Más Pérdidas', stats.by_slot
+            .slice(0, 5)
+            .map(s => rateRow(`${s.day.substring(0, 3)} ${s.time} ${s.class_name}`, s)));
+
+        if (stats.repeat_late_cancellers.length > 0) {
+            const names = stats.repeat_late_cancellers.slice(0, 5)
+                .map(c => `${c.full_name} (${c.late_cancelled + c.no_show})`)
+                .join(', ');
+            this.renderInsightBox(doc, 50, Math.min(y, 660), 510,
+                '🔁 Reincidentes',
+                `${stats.repeat_late_cancellers.length} clientas cancelan tarde o no llegan de forma repetida: ${names}. ` +
+                `Considera recordatorios el día anterior o una política de cancelación.`
+            );
+        }
+    }
+
     /**
      * Página de recomendaciones
      */
@@ -667,24 +1194,54 @@ export class DashboardPDFGenerator {
             y += boxHeight + 10;
         });
 
+        // Resumen con la plantilla pdf_resumen (editable en Plantillas)
+        const summary = renderStoredTemplate('pdf_resumen', buildReportContext(data)).trim();
+        if (summary) {
+            doc.fontSize(10).font('Helvetica');
+            const textHeight = Math.min(doc.heightOfString(summary, { width: 480 }), 90);
+            doc.roundedRect(50, y + 10, 510, textHeight + 40, 8)
+                .fill(COLORS.primary);
+
+            doc.fontSize(11)
+                .fillColor(COLORS.white)
+                .font('Helvetica-Bold')
+                .text('Resumen', 65, y + 20);
+
+            doc.fontSize(10)
+                .font('Helvetica')
+                .text(summary, 65, y + 38, { width: 480, height: 90, ellipsis: true });
+        }
+
         // Footer con contacto
         y = 680;
         doc.fontSize(10)
             .fillColor(COLORS.muted)
             .font('Helvetica')
             .text('Generado automáticamente por Rage Web Analytics', 50, y, { align: 'center' });
+
+        if (PRIVACY_MODES[data.privacy]) {
+            doc.fontSize(9)
+                .text(`Datos de clientas: modo ${PRIVACY_MODES[data.privacy].label.toLowerCase()}`, 50, y + 15, { align: 'center' });
+        }
     }
 
     // ============ HELPERS ============
 
-    renderPageHeader(doc, title) {
+    renderPageHeader(doc, title, subtitle = null) {
         doc.rect(0, 0, doc.page.width, 80)
             .fill(COLORS.dark);
 
         doc.fontSize(20)
             .fillColor(COLORS.white)
             .font('Helvetica-Bold')
-            .text(title, 50, 30);
+            .text(title, 50, subtitle ? 22 : 30);
+
+        if (subtitle) {
+            doc.fontSize(10)
+                .fillColor(COLORS.muted)
+                .font('Helvetica')
+                .text(subtitle, 50, 50);
+        }
 
         doc.fontSize(10)
             .fillColor(COLORS.muted)
@@ -771,6 +1328,13 @@ export class DashboardPDFGenerator {
             .text(text, x + padding, y + padding + 18, { width: width - (padding * 2) });
     }
 
+    // Interpola de blanco al color primario según el porcentaje
+    heatColor(rate) {
+        const ratio = Math.max(0, Math.min(100, rate)) / 100;
+        const [r, g, b] = [0x63, 0x66, 0xF1].map(c => Math.round(255 - (255 - c) * ratio));
+        return `#${[r, g, b].map(c => c.toString(16).padStart(2, '0')).join('')}`;
+    }
+
     formatNumber(num) {
         return new Intl.NumberFormat('es-MX').format(num || 0);
     }
@@ -0,0 +1,312 @@
+/**
+ * OpenAPI
+ * Especificación OpenAPI 3 de la API, armada a partir de las rutas registradas en Express
+ *
+ * - Entradas: el esquema de cada ruta (validation/schemas.js)
+ * - Resumen, respuesta y errores: ROUTE_DOCS (openapi/routes.js)
+ * - Permisos: los de requirePermission de cada ruta
+ * - privacy y format se agregan a las rutas donde se montan privacyMiddleware y exportMiddleware
+ * findRouteProblems(app) lista las rutas sin esquema o sin documentar (npm test)
+ */
+
+import fs from 'fs';
+import { ERROR_CODES } from '../errors/index.js';
+import { ROUTE_SCHEMAS } from '../validation/schemas.js';
+import { MONTH_PATTERN } from '../validation/index.js';
+import { ROUTE_DOCS } from './routes.js';
+import { PRIVACY_ROUTES, PRIVACY_MODES } from '../privacy/index.js';
+import { EXPORT_ROUTES, EXPORT_FORMATS } from '../export/index.js';
+import { authConfig } from '../config/auth.js';
+
+const { version } = JSON.parse(fs.readFileSync(new URL('../../package.json', import.meta.url), 'utf8'));
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Errores del contrato (ver errors/index.js) que se documentan como respuestas reutilizables
+const ERROR_RESPONSES = {
+    400: { name: 'ValidationError', description: 'Campos inválidos (VALIDATION_ERROR) o JSON mal formado (INVALID_JSON)' },
+    401: { name: 'Unauthenticated', description: 'Sin sesión o token inválido' },
+    403: { name: 'Forbidden', description: 'Falta un permiso del rol' },
+    404: { name: 'NotFound', description: 'No existe' },
+    409: { name: 'Conflict', description: 'Ya existe, ya está en curso o no se puede hacer' },
+    429: { name: 'RateLimited', description: 'Demasiados intentos' },
+    500: { name: 'InternalError', description: 'Error inesperado (el detalle queda en el log del servidor)' },
+    502: { name: 'UpstreamError', description: 'Supabase u otro servicio externo respondió con error' }
+};
+
+const matchesMount = (path, mounts) => mounts.some(mount => path === mount || path.startsWith(`${mount}/`));
+
+// /api/users/:id → /api/users/{id}
+const toOpenApiPath = path => path.replace(/:(\w+)/g, '{$1}');
+
+/**
+ * Rutas /api/* registradas en la app, con sus permisos y el esquema que validan
+ * @returns {Array<{key: string, method: string, path: string, permissions: string[], schemaRoute: string|null}>}
+ */
+export function listAppRoutes(app) {
+    return app.router.stack
+        .filter(layer => layer.route && typeof layer.route.path === 'string' && layer.route.path.startsWith('/api/'))
+        .flatMap(({ route }) => {
+            const handlers = route.stack.map(layer => layer.handle);
+            return Object.keys(route.methods).map(method => ({
+                key: `${method.toUpperCase()} ${route.path}`,
+                method,
+                path: route.path,
+                permissions: handlers.flatMap(handler => handler.permissions || []),
+                schemaRoute: handlers.find(handler => handler.schemaRoute)?.schemaRoute || null
+            }));
+        });
+}
+
+/**
+ * Rutas registradas dentro de un express.Router() montado con app.use (a cualquier profundidad)
+ * Express 5 no guarda la ruta de montaje, así que no se pueden unir con su esquema ni documentar
+ * @returns {Array<{key: string, path: string}>}
+ */
+export function listMountedRoutes(app) {
+    const walk = (stack, nested) => stack.flatMap(layer => {
+        if (layer.route) {
+            if (!nested || typeof layer.route.path !== 'string') return [];
+            return Object.keys(layer.route.methods).map(method => ({ key: `${method.toUpperCase()} ${layer.route.path}`, path: layer.route.path }));
+        }
+        return Array.isArray(layer.handle?.stack) ? walk(layer.handle.stack, true) : [];
+    });
+    return walk(app.router.stack, false);
+}
+
+/**
+ * Rutas sin esquema, sin documentar o que validan con el esquema de otra ruta;
+ * esquemas o documentación de rutas que ya no existen; y rutas dentro de un router montado
+ * @returns {string[]}
+ */
+export function findRouteProblems(app) {
+    const routes = listAppRoutes(app);
+    const keys = new Set(routes.map(route => route.key));
+    const problems = [];
+
+    listMountedRoutes(app).forEach(route => problems.push(
+        `${route.key}: registered in a mounted express.Router(); register /api routes on app so they can be documented`
+    ));
+
+    routes.forEach(route => {
+        if (!ROUTE_SCHEMAS[route.key]) problems.push(`${route.key}: no schema in validation/schemas.js`);
+        if (!ROUTE_DOCS[route.key]) problems.push(`${route.key}: no entry in openapi/routes.js`);
+        if (!route.schemaRoute) problems.push(`${route.key}: no validate() middleware`);
+        else if (route.schemaRoute !== route.key) problems.push(`${route.key}: validates with the schema of ${route.schemaRoute}`);
+    });
+    Object.keys(ROUTE_SCHEMAS).filter(key => !keys.has(key)).forEach(key => problems.push(`${key}: schema for a route that does not exist`));
+    Object.keys(ROUTE_DOCS).filter(key => !keys.has(key)).forEach(key => problems.push(`${key}: docs for a route that does not exist`));
+
+    return problems;
+}
+
+/**
+ * Campo (formato de los esquemas de validación) → JSON Schema de OpenAPI 3.0
+ */
+export function toJsonSchema(spec = {}) {
+    if (Array.isArray(spec.type)) {
+        const { type, ...rest } = spec;
+        return clean({ oneOf: type.map(t => toJsonSchema({ ...rest, type: t, description: undefined })), description: spec.description });
+    }
+
+    let schema;
+    switch (spec.type) {
+        case 'date':
+            schema = { type: 'string', format: 'date' };
+            break;
+        case 'month':
+            schema = { type: 'string', pattern: MONTH_PATTERN.source, example: '2026-01' };
+            break;
+        case 'integer':
+        case 'number':
+            schema = { type: spec.type, minimum: spec.min, maximum: spec.max };
+            break;
+        case 'string':
+            schema = { type: 'string', minLength: spec.minLength, maxLength: spec.maxLength, pattern: spec.pattern?.source };
+            break;
+        case 'boolean':
+            schema = { type: 'boolean' };
+            break;
+        case 'enum':
+            schema = { type: spec.values.every(value => typeof value === 'number') ? 'number' : 'string', enum: spec.values };
+            break;
+        case 'array':
+            schema = { type: 'array', items: spec.items ? toJsonSchema(spec.items) : {}, minItems: spec.minItems, maxItems: spec.maxItems };
+            break;
+        case 'object':
+            schema = {
+                type: 'object',
+                properties: spec.properties ? mapValues(spec.properties, toJsonSchema) : undefined,
+                required: requiredFields(spec.properties),
+                additionalProperties: spec.additionalProperties ? toJsonSchema(spec.additionalProperties) : undefined
+            };
+            break;
+        default:
+            throw new Error(`Unknown schema type "${spec.type}"`);
+    }
+
+    return clean({ ...schema, nullable: spec.nullable, default: spec.default, description: spec.description });
+}
+
+function mapValues(object, fn) {
+    return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, fn(value)]));
+}
+
+function requiredFields(fields = {}) {
+    const required = Object.keys(fields).filter(name => fields[name].required);
+    return required.length > 0 ? required : undefined;
+}
+
+// Sin claves undefined (el JSON queda más limpio)
+function clean(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+// Entradas de la ruta más las que agregan privacyMiddleware y exportMiddleware
+function routeInputs(route) {
+    const schema = ROUTE_SCHEMAS[route.key] || {};
+    const inputs = { params: { ...schema.params }, query: { ...schema.query }, body: { ...schema.body } };
+    const location = route.method === 'get' ? 'query' : 'body';
+
+    if (matchesMount(route.path, PRIVACY_ROUTES) && !inputs[location].privacy) {
+        inputs[location].privacy = { type: 'enum', values: Object.keys(PRIVACY_MODES), description: 'Modo de privacidad (por defecto el del rol)' };
+    }
+    if (matchesMount(route.path, EXPORT_ROUTES)) {
+        inputs[location].format = { type: 'enum', values: Object.keys(EXPORT_FORMATS), description: 'Descargar el resultado como archivo en lugar de JSON' };
+    }
+    return inputs;
+}
+
+function buildOperation(route) {
+    const docs = ROUTE_DOCS[route.key] || { summary: route.key, response: {} };
+    const schema = ROUTE_SCHEMAS[route.key] || {};
+    const inputs = routeInputs(route);
+    const hasInput = LOCATIONS.some(location => Object.keys(inputs[location]).length > 0);
+    const exportable = matchesMount(route.path, EXPORT_ROUTES);
+    const privacy = matchesMount(route.path, PRIVACY_ROUTES);
+
+    const parameters = ['params', 'query'].flatMap(location =>
+        Object.entries(inputs[location]).map(([name, spec]) => clean({
+            name,
+            in: location === 'params' ? 'path' : 'query',
+            required: location === 'params' || Boolean(spec.required),
+            description: spec.description,
+            schema: toJsonSchema({ ...spec, description: undefined })
+        }))
+    );
+
+    const notes = [
+        docs.description,
+        schema.refine?.description,
+        route.permissions.length > 0 ? `Permiso: ${route.permissions.join(', ')}` : null
+    ].filter(Boolean);
+
+    const operation = {
+        tags: [docs.tag || 'Otros'],
+        summary: docs.summary,
+        description: notes.length > 0 ? notes.join('. ') : undefined,
+        operationId: route.key.toLowerCase().split(/[^a-z0-9]+/).map((word, i) => (i === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1))).join(''),
+        parameters: parameters.length > 0 ? parameters : undefined,
+        requestBody: Object.keys(inputs.body).length > 0 ? {
+            required: Boolean(requiredFields(inputs.body)),
+            content: { 'application/json': { schema: toJsonSchema({ type: 'object', properties: inputs.body }) } }
+        } : undefined,
+        responses: {
+            [docs.status || 200]: successResponse(docs, { exportable, privacy })
+        }
+    };
+
+    if (docs.security === 'public') operation.security = [];
+    if (docs.security === 'scheduler') operation.security = [{ schedulerToken: [] }, { bearerAuth: [] }, { cookieAuth: [] }];
+
+    const errors = [500];
+    if (hasInput || route.method !== 'get') errors.push(400);
+    if (docs.security !== 'public') errors.push(401);
+    if (route.permissions.length > 0 || privacy || docs.forbidden) errors.push(403);
+    if (Object.keys(inputs.params).length > 0 || docs.notFound) errors.push(404);
+    if (docs.conflict) errors.push(409);
+    if (docs.rateLimited) errors.push(429);
+    if (docs.upstream || route.path.startsWith('/api/analytics/')) errors.push(502);
+    errors.sort((a, b) => a - b).forEach(status => {
+        operation.responses[status] = { $ref: `#/components/responses/${ERROR_RESPONSES[status].name}` };
+    });
+
+    return clean(operation);
+}
+
+function successResponse(docs, { exportable, privacy }) {
+    const properties = docs.envelope === false ? { ...docs.response } : { success: { type: 'boolean' }, ...docs.response };
+    if (privacy) properties.privacy = { type: 'enum', values: Object.keys(PRIVACY_MODES), description: 'Modo usado' };
+
+    const content = { 'application/json': { schema: toJsonSchema({ type: 'object', properties }) } };
+    if (exportable) {
+        Object.values(EXPORT_FORMATS).forEach(format => {
+            content[format.contentType.split(';')[0]] = { schema: { type: 'string', format: 'binary' } };
+        });
+    }
+    return { description: 'OK', content };
+}
+
+/**
+ * Especificación completa de las rutas /api/* de la app
+ */
+export function buildOpenApiSpec(app, { serverUrl = '/' } = {}) {
+    const paths = {};
+    listAppRoutes(app).forEach(route => {
+        const path = toOpenApiPath(route.path);
+        paths[path] = { ...paths[path], [route.method]: buildOperation(route) };
+    });
+    const tags = [...new Set(Object.values(ROUTE_DOCS).map(docs => docs.tag))].map(name => ({ name }));
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'Rage Analytics API',
+            version,
+            description: 'API del dashboard de Rage Studios. Todas las respuestas de error tienen la forma ' +
+                '{ success: false, error, code, fields? }; code es estable y fields lista los campos inválidos.'
+        },
+        servers: [{ url: serverUrl }],
+        tags,
+        paths,
+        security: [{ bearerAuth: [] }, { cookieAuth: [] }],
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', description: 'Token de POST /api/auth/login' },
+                cookieAuth: { type: 'apiKey', in: 'cookie', name: authConfig.cookieName },
+                schedulerToken: { type: 'http', scheme: 'bearer', description: 'SCHEDULER_TOKEN (o CRON_SECRET de Vercel)' }
+            },
+            schemas: {
+                Error: {
+                    type: 'object',
+                    required: ['success', 'error', 'code'],
+                    properties: {
+                        success: { type: 'boolean', enum: [false] },
+                        error: { type: 'string', description: 'Mensaje legible (puede cambiar)' },
+                        code: { type: 'string', enum: Object.keys(ERROR_CODES), description: 'Código estable' },
+                        fields: {
+                            type: 'array',
+                            description: 'Campos inválidos (solo VALIDATION_ERROR)',
+                            items: {
+                                type: 'object',
+                                properties: { field: { type: 'string', nullable: true }, message: { type: 'string' } }
+                            }
+                        }
+                    }
+                }
+            },
+            responses: Object.fromEntries(Object.values(ERROR_RESPONSES).map(({ name, description }) => [
+                name,
+                { description, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+            ]))
+        }
+    };
+}
+
+export default {
+    listAppRoutes,
+    listMountedRoutes,
+    findRouteProblems,
+    toJsonSchema,
+    buildOpenApiSpec
+};
@@ -0,0 +1,899 @@
+/**
+ * Route Docs
+ * Resumen, respuesta y errores especiales de cada ruta de la API, por "MÉTODO /ruta"
+ * (las mismas claves que validation/schemas.js)
+ *
+ * - response: campos de la respuesta exitosa además de success (y de privacy, que se agrega solo)
+ * - envelope: false si la respuesta no lleva success (health)
+ * - security: 'public' (sin sesión) | 'scheduler' (token del programador o sesión)
+ * - status: código de la respuesta exitosa (default 200)
+ * - notFound / conflict / forbidden / rateLimited / upstream: errores 404 / 409 / 403 / 429 / 502 que
+ *   no se deducen de la ruta (los parámetros, los permisos y /api/analytics ya los agregan)
+ * Los campos usan el formato de los esquemas de validación, más properties (object),
+ * additionalProperties (mapa) y nullable
+ */
+
+import { AUDIT_ACTIONS } from '../audit/index.js';
+import { PRIVACY_MODES } from '../privacy/index.js';
+
+// ===================== TIPOS =====================
+
+const string = description => ({ type: 'string', description });
+const integer = description => ({ type: 'integer', description });
+const number = description => ({ type: 'number', description });
+const boolean = description => ({ type: 'boolean', description });
+const date = description => ({ type: 'date', description });
+const month = description => ({ type: 'month', description });
+const nullable = spec => ({ ...spec, nullable: true });
+const object = (properties, description) => ({ type: 'object', properties, description });
+const list = (items, description) => ({ type: 'array', items, description });
+const map = (values, description) => ({ type: 'object', additionalProperties: values, description });
+const labels = description => map(string(), description);
+
+// ===================== FORMAS COMUNES =====================
+
+const privacyMode = { type: 'enum', values: Object.keys(PRIVACY_MODES) };
+const client = {
+    user_id: string(),
+    full_name: nullable(string('Nombre (con inicial del apellido en modo masked)')),
+    phone: nullable(string('null si el rol no ve teléfonos; últimos 4 dígitos en modo masked'))
+};
+const lastContact = nullable(object({
+    contacted_at: string(),
+    contacted_by: nullable(string()),
+    campaign_id: integer(),
+    campaign_name: string(),
+    times_contacted: integer()
+}, 'Último contacto por campaña de WhatsApp'));
+const pagination = object({ page: integer(), pageSize: integer(), totalPages: integer(), totalItems: integer() });
+
+const user = object({
+    id: integer(),
+    username: string(),
+    name: string(),
+    role: string(),
+    role_label: string(),
+    active: boolean(),
+    permissions: list(string()),
+    privacy: privacyMode,
+    created_at: string(),
+    updated_at: string(),
+    last_login_at: nullable(string())
+});
+const cacheStats = object({
+    enabled: boolean(),
+    invalidation: nullable(string('realtime | poll | none')),
+    entries: integer(),
+    max_entries: integer(),
+    hits: integer(),
+    misses: integer(),
+    hit_rate: number('%'),
+    last_invalidation: nullable(object({ table: nullable(string()), reason: string(), at: string(), removed: integer() })),
+    tables: list(object({
+        table: string(),
+        hits: integer(),
+        misses: integer(),
+        invalidations: integer(),
+        hit_rate: number(),
+        entries: integer(),
+        oldest_entry_seconds: nullable(integer()),
+        ttl_seconds: integer()
+    }))
+});
+const auditEntry = object({
+    at: string(),
+    action: { type: 'enum', values: Object.keys(AUDIT_ACTIONS) },
+    source: string('api | schedule | cli'),
+    user: nullable(object({ id: integer(), username: string(), role: string() })),
+    method: nullable(string()),
+    route: nullable(string()),
+    params: object({}, 'Parámetros de la consulta (sin contraseñas ni tokens)'),
+    records: integer('Clientas incluidas'),
+    privacy: string(),
+    filename: string()
+});
+
+const sales = {
+    total_packages: integer(),
+    total_revenue: number('Monto pagado'),
+    pricing: object({
+        paid_revenue: number(),
+        list_revenue: number(),
+        discount: number(),
+        discount_pct: number(),
+        batches_with_purchase: integer(),
+        batches_list_price_fallback: integer(),
+        list_price_fallback_revenue: number(),
+        batches_unpaid: integer('Lotes cuya compra tiene un status de PURCHASE_UNPAID_STATUSES (valen 0)'),
+        unknown_statuses: map(integer(), 'Lotes por status de compra desconocido (cuentan como pagados)'),
+        comps: integer()
+    }),
+    by_month: list(object({ month: string(), count: integer(), revenue: number(), list_revenue: number(), credits: integer() })),
+    by_package_type: list(object({
+        name: string(),
+        count: integer(),
+        revenue: number(),
+        list_revenue: number(),
+        credits: integer(),
+        price: number(),
+        list_price_fallbacks: integer()
+    }))
+};
+const topBuyer = object({
+    rank: integer(),
+    ...client,
+    total_purchases: integer(),
+    total_spent: number(),
+    total_list_price: number(),
+    total_credits: integer(),
+    packages: list(string()),
+    favorite_package: string(),
+    last_contact: lastContact
+});
+const dormantClient = object({
+    ...client,
+    last_activity: string(),
+    last_activity_type: string(),
+    days_inactive: integer(),
+    last_contact: lastContact
+});
+const slot = object({
+    session_id: integer(),
+    day: string(),
+    time: string(),
+    class_name: string(),
+    subtitle: string(),
+    max_capacity: integer(),
+    total_classes: integer(),
+    zero_attendance_classes: integer(),
+    total_attendees: integer(),
+    avg_attendance: number(),
+    occupancy_rate: number('%')
+});
+const cancelRates = {
+    bookings: integer(),
+    cancelled: integer(),
+    late_cancelled: integer(),
+    no_show: integer(),
+    cancel_rate: number('%'),
+    late_cancel_rate: number('%'),
+    no_show_rate: number('%')
+};
+const coachSummary = {
+    coach_id: integer(),
+    name: string(),
+    active: boolean(),
+    classes_taught: integer(),
+    total_attendees: integer(),
+    avg_attendance: number(),
+    avg_occupancy: number(),
+    unique_clients: integer(),
+    repeat_clients: integer(),
+    repeat_client_rate: number(),
+    dormant_clients: integer(),
+    dormant_rate: number(),
+    trend: list(object({ month: string(), label: string(), classes: integer(), attendees: integer(), avg_occupancy: number(), unique_clients: integer() }))
+};
+const forecastValue = object({ value: number(), lower: number(), upper: number() });
+const goalMetric = object({
+    label: string(),
+    target: nullable(number()),
+    actual: number(),
+    progress_pct: nullable(number()),
+    expected_to_date: nullable(number()),
+    pace_pct: nullable(number()),
+    projected: number(),
+    projected_pct: nullable(number()),
+    status: nullable(string())
+});
+const attributionGroup = object({
+    clients: integer(),
+    reactivated: integer(),
+    reactivation_rate: number(),
+    revenue_recovered: number(),
+    revenue_per_client: number(),
+    avg_days_to_return: nullable(number()),
+    median_days_to_return: nullable(number()),
+    open_windows: integer()
+});
+
+const goal = object({
+    month: month(),
+    revenue: number(),
+    packages: number(),
+    new_clients: number(),
+    occupancy: number('%'),
+    created_at: string(),
+    updated_at: string()
+}, 'Solo trae las métricas con meta');
+const report = object({ filename: string(), downloadUrl: string(), createdAt: string(), privacy: nullable(string()) });
+const delivery = object({
+    id: integer(),
+    created_at: string(),
+    source: string('manual | schedule | cli'),
+    recipients: list(string()),
+    subject: string(),
+    filename: string(),
+    status: string('sending | sent | failed'),
+    attempts: list(object({ at: string(), ok: boolean(), error: string() })),
+    message_id: nullable(string()),
+    rejected: list(string()),
+    error: nullable(string())
+});
+const job = object({
+    id: integer(),
+    name: string(),
+    cron: string(),
+    period: string(),
+    sections: list(string()),
+    recipients: list(string()),
+    privacy: privacyMode,
+    active: boolean(),
+    created_at: string(),
+    updated_at: string(),
+    last_run_at: nullable(string()),
+    last_status: nullable(string()),
+    next_run_at: nullable(string()),
+    running: boolean()
+});
+const run = object({
+    id: integer(),
+    job_id: integer(),
+    job_name: string(),
+    trigger: string('manual | schedule | endpoint'),
+    status: string('running | success | failed'),
+    started_at: string(),
+    finished_at: nullable(string()),
+    duration_ms: nullable(integer()),
+    period: object({ start_date: date(), end_date: date(), label: string() }),
+    sections: list(string()),
+    recipients: list(string()),
+    privacy: privacyMode,
+    filename: nullable(string()),
+    download_url: nullable(string()),
+    delivery: nullable(object({}, 'Resumen del envío por correo')),
+    error: nullable(string())
+});
+const campaignSummary = {
+    id: integer(),
+    name: string(),
+    template: string(),
+    target: object({ type: string('dormant | vip | segment') }, 'Objetivo con sus parámetros (days, limit, segment...)'),
+    target_label: string(),
+    created_by: string(),
+    created_at: string(),
+    counts: object({ total: integer(), pending: integer(), sent: integer(), skipped: integer() }),
+    completed: boolean()
+};
+const campaignClient = object({
+    ...client,
+    vars: labels('Variables de la plantilla para esta clienta'),
+    status: string('pending | sent | skipped'),
+    skip_reason: nullable(string()),
+    contacted_by: nullable(string()),
+    contacted_at: nullable(string()),
+    updated_at: string(),
+    message: string('Mensaje ya renderizado')
+});
+const campaign = object({ ...campaignSummary, clients: list(campaignClient) });
+const template = object({
+    id: integer(),
+    key: string(),
+    name: string(),
+    channel: string('whatsapp | email | pdf'),
+    body: string(),
+    builtin: boolean('La usan los reportes: no se puede borrar'),
+    created_at: nullable(string()),
+    updated_at: nullable(string())
+});
+
+export const ROUTE_DOCS = {
+    // ===================== SISTEMA =====================
+    'GET /api/health': {
+        tag: 'Sistema',
+        summary: 'Estado del servidor',
+        security: 'public',
+        envelope: false,
+        response: {
+            status: string('ok'),
+            timestamp: string()
+        }
+    },
+    'GET /api/health/details': {
+        tag: 'Sistema',
+        summary: 'Fuente de datos, lecturas por tabla y caché',
+        response: {
+            data: object({
+                data_source: string('supabase | fixture'),
+                fetch_stats: object({
+                    page_size: integer(),
+                    total_queries: integer(),
+                    total_pages: integer(),
+                    total_rows: integer(),
+                    tables: list(object({ table: string(), queries: integer(), pages: integer(), rows: integer(), max_pages: integer() }))
+                }),
+                cache: cacheStats
+            })
+        }
+    },
+    'GET /api/openapi.json': {
+        tag: 'Sistema',
+        summary: 'Esta especificación (OpenAPI 3)',
+        envelope: false,
+        response: { openapi: string(), info: object({}), paths: object({}) }
+    },
+    'GET /api/cache': {
+        tag: 'Sistema',
+        summary: 'Aciertos y fallos de la caché de datos por tabla',
+        response: { data: cacheStats }
+    },
+    'POST /api/cache/refresh': {
+        tag: 'Sistema',
+        summary: 'Descartar lo guardado en la caché (una tabla o todas) y recargar los perfiles',
+        upstream: true,
+        response: { data: object({ table: nullable(string()), removed: integer(), stats: cacheStats }) }
+    },
+
+    // ===================== SESIÓN Y USUARIOS =====================
+    'POST /api/auth/login': {
+        tag: 'Sesión',
+        summary: 'Iniciar sesión',
+        description: 'Deja la sesión en una cookie HttpOnly y devuelve el token para "Authorization: Bearer"',
+        security: 'public',
+        rateLimited: true,
+        response: { data: object({ token: string(), expires_at: string(), user }) }
+    },
+    'POST /api/auth/logout': {
+        tag: 'Sesión',
+        summary: 'Cerrar la sesión actual',
+        response: {}
+    },
+    'GET /api/auth/me': {
+        tag: 'Sesión',
+        summary: 'Usuario de la sesión con sus permisos',
+        response: { data: user }
+    },
+    'GET /api/users': {
+        tag: 'Usuarios',
+        summary: 'Listar usuarios, roles y permisos',
+        response: {
+            data: list(user),
+            roles: map(object({ label: string(), permissions: list(string()), privacy: privacyMode })),
+            permissions: labels(),
+            editable: boolean('false si los usuarios vienen de AUTH_USERS / AUTH_OWNER_* (crear, editar y eliminar responden 409)')
+        }
+    },
+    'POST /api/users': {
+        tag: 'Usuarios',
+        summary: 'Crear usuario',
+        status: 201,
+        conflict: true,
+        response: { data: user }
+    },
+    'PUT /api/users/:id': {
+        tag: 'Usuarios',
+        summary: 'Actualizar usuario (el username no cambia)',
+        description: 'Cambiar la contraseña o desactivarlo cierra sus sesiones',
+        conflict: true,
+        response: { data: user }
+    },
+    'DELETE /api/users/:id': {
+        tag: 'Usuarios',
+        summary: 'Eliminar usuario (no el propio ni la última dueña)',
+        conflict: true,
+        response: {}
+    },
+    'GET /api/audit': {
+        tag: 'Auditoría',
+        summary: 'Log de auditoría (más recientes primero)',
+        response: { data: list(auditEntry), actions: labels() }
+    },
+
+    // ===================== ANALÍTICA =====================
+    'POST /api/analytics/retention': {
+        tag: 'Analítica',
+        summary: 'Métricas de retención',
+        response: {
+            data: object({
+                total_registered_users: integer(),
+                total_unique_users: integer(),
+                active_users_30_days: integer(),
+                total_buyers_ever: integer(),
+                buyers_last_30_days: integer(),
+                users_with_credits: integer(),
+                total_credits_pending: integer(),
+                retention_rate: string('%'),
+                conversion_rate: string('%')
+            })
+        }
+    },
+    'POST /api/analytics/sales': {
+        tag: 'Analítica',
+        summary: 'Ventas de paquetes por mes y por tipo (año o rango)',
+        response: { data: object({ year: integer(), startDate: date(), endDate: date(), ...sales }) }
+    },
+    'POST /api/analytics/top-buyers': {
+        tag: 'Analítica',
+        summary: 'Top compradoras (año o rango)',
+        response: { data: list(topBuyer) }
+    },
+    'POST /api/analytics/dormant': {
+        tag: 'Analítica',
+        summary: 'Clientas sin actividad',
+        response: { data: object({ total: integer(), cutoff_days: integer(), clients: list(dormantClient) }) }
+    },
+    'POST /api/analytics/popular-classes': {
+        tag: 'Analítica',
+        summary: 'Clases más reservadas',
+        response: { data: list(object({ name: string(), subtitle: string(), day: string(), count: integer(), attendees: integer() })) }
+    },
+    'POST /api/analytics/attendance': {
+        tag: 'Analítica',
+        summary: 'Asistencia por coach y por horario',
+        response: {
+            data: object({
+                by_coach: list(object({ name: string(), classes: integer(), attendees: integer() })),
+                by_time: list(object({ time: string(), count: integer(), attendees: integer() })),
+                total_bookings: integer(),
+                total_attendees: integer()
+            })
+        }
+    },
+    'POST /api/analytics/compare': {
+        tag: 'Analítica',
+        summary: 'Ventas de dos períodos y su diferencia',
+        response: {
+            data: object({
+                period1: object({ range: string(), ...sales }),
+                period2: object({ range: string(), ...sales }),
+                diff: object({ packages: integer(), packages_pct: string(), revenue: number(), revenue_pct: string() })
+            })
+        }
+    },
+    'POST /api/analytics/weekly-schedule': {
+        tag: 'Analítica',
+        summary: 'Horario semanal con ocupación por clase',
+        response: { data: map(list(slot), 'Clases por día (LUNES, MARTES...)') }
+    },
+    'POST /api/analytics/user-history': {
+        tag: 'Analítica',
+        summary: 'Historial de compras de una clienta',
+        response: { data: list(object({}, 'Compra (lote de créditos)')) }
+    },
+    'POST /api/analytics/dormant-paginated': {
+        tag: 'Analítica',
+        summary: 'Clientas sin actividad, paginadas',
+        response: { data: object({ total: integer(), cutoff_days: integer(), clients: list(dormantClient), pagination }) }
+    },
+    'POST /api/analytics/credits-compare': {
+        tag: 'Analítica',
+        summary: 'Créditos comprados y usados en dos períodos',
+        response: {
+            data: object({
+                period1: object({ credits_purchased: integer(), credits_used: integer(), unique_buyers: integer(), active_clients: integer() }),
+                period2: object({ credits_purchased: integer(), credits_used: integer(), unique_buyers: integer(), active_clients: integer() }),
+                recurring_clients: integer(),
+                recurring_percentage: number()
+            })
+        }
+    },
+    'POST /api/analytics/cohorts': {
+        tag: 'Analítica',
+        summary: 'Retención mensual por cohorte de primera compra',
+        response: {
+            data: object({
+                months_back: integer(),
+                total_clients: integer(),
+                cohorts: list(object({
+                    cohort: string('YYYY-MM'),
+                    label: string(),
+                    size: integer(),
+                    retention: list(object({ offset: integer(), active: integer(), rate: number() }))
+                })),
+                average: list(object({ offset: integer(), rate: number() }))
+            })
+        }
+    },
+    'POST /api/analytics/ltv': {
+        tag: 'Analítica',
+        summary: 'Valor de vida por clienta, mes de adquisición y primer paquete',
+        response: {
+            data: object({
+                total_clients: integer(),
+                total_revenue: number(),
+                avg_ltv: number(),
+                avg_projected_ltv: number(),
+                expected_lifetime_months: number(),
+                churn_days: integer(),
+                by_acquisition_month: list(object({ month: string(), label: string(), clients: integer(), total_revenue: number(), avg_ltv: number(), avg_projected_ltv: number() })),
+                by_first_package: list(object({ name: string(), clients: integer(), total_revenue: number(), avg_ltv: number(), avg_projected_ltv: number() })),
+                top_clients: list(object({
+                    rank: integer(),
+                    ...client,
+                    first_purchase: string(),
+                    last_purchase: string(),
+                    first_package: string(),
+                    total_purchases: integer(),
+                    total_revenue: number(),
+                    tenure_months: number(),
+                    churned: boolean(),
+                    projected_ltv: number()
+                }))
+            })
+        }
+    },
+    'POST /api/analytics/segments': {
+        tag: 'Analítica',
+        summary: 'Segmentos RFM (con la lista de clientas si se pide un segmento)',
+        response: {
+            data: object({
+                total_clients: integer(),
+                window_months: integer(),
+                segments: list(object({
+                    id: string(),
+                    label: string(),
+                    description: string(),
+                    count: integer(),
+                    percentage: number(),
+                    avg_recency_days: number(),
+                    avg_frequency: number(),
+                    avg_monetary: number()
+                })),
+                segment: string('Solo con segment'),
+                clients: list(object({
+                    ...client,
+                    last_activity: string(),
+                    frequency: integer(),
+                    monetary: number(),
+                    recency_days: integer(),
+                    rfm: string(),
+                    segment: string(),
+                    segment_label: string(),
+                    last_contact: lastContact
+                }), 'Solo con segment'),
+                pagination
+            })
+        }
+    },
+    'POST /api/analytics/churn-risk': {
+        tag: 'Analítica',
+        summary: 'Clientas en riesgo de abandono antes de quedar dormidas',
+        response: {
+            data: object({
+                dormant_days: integer(),
+                min_level: string(),
+                total_active: integer(),
+                by_level: map(integer(), 'Clientas por nivel (alto, medio, bajo)'),
+                total: integer(),
+                clients: list(object({
+                    ...client,
+                    last_activity: string(),
+                    days_since_last_activity: integer(),
+                    typical_gap_days: number(),
+                    overdue_ratio: number(),
+                    credits_remaining: integer(),
+                    risk_score: number(),
+                    risk_level: string(),
+                    reasons: list(string()),
+                    last_contact: lastContact
+                }))
+            })
+        }
+    },
+    'POST /api/analytics/credits-expiration': {
+        tag: 'Analítica',
+        summary: 'Créditos vencidos (breakage) y por vencer, con lista de contacto',
+        response: {
+            data: object({
+                contact_days: integer(),
+                expiry_sources: map(integer(), 'Lotes por origen de la vigencia (batch, package, config)'),
+                breakage: object({ batches: integer(), credits_total: integer(), credits_expired: integer(), value_expired: number(), breakage_rate: number() }),
+                by_package: list(object({ name: string(), batches: integer(), credits_total: integer(), credits_expired: integer(), value_expired: number(), breakage_rate: number() })),
+                expiring: map(object({ credits: integer(), batches: integer(), clients: integer() }), 'Por vencer en 7, 14 y 30 días'),
+                contacts: list(object({ ...client, credits_expiring: integer(), expires_at: string(), days_left: integer(), packages: list(string()) }))
+            })
+        }
+    },
+    'POST /api/analytics/coaches': {
+        tag: 'Analítica',
+        summary: 'Desempeño por coach (o el detalle de uno con coachId)',
+        notFound: true,
+        response: {
+            data: object({
+                months_back: integer(),
+                dormant_days: integer(),
+                from: string(),
+                unmatched_bookings: integer(),
+                coaches: list(object(coachSummary)),
+                ...coachSummary,
+                slots: list(object({ slot: string(), class_name: string(), capacity: integer(), classes: integer(), attendees: integer(), occupancy: number(), avg_attendance: number() }), 'Solo con coachId'),
+                top_clients: list(object({ ...client, bookings: integer() }), 'Solo con coachId'),
+                dormant_client_list: list(object({ ...client, bookings: integer(), days_inactive: integer() }), 'Solo con coachId')
+            }, 'Sin coachId: months_back, dormant_days, from, unmatched_bookings y coaches; con coachId: el detalle del coach')
+        }
+    },
+    'POST /api/analytics/cancellations': {
+        tag: 'Analítica',
+        summary: 'Cancelaciones, cancelaciones tardías y no-shows',
+        response: {
+            data: object({
+                from: string(),
+                to: string(),
+                late_cancel_hours: number(),
+                totals: object(cancelRates),
+                by_slot: list(object({ day: string(), time: string(), class_name: string(), ...cancelRates })),
+                by_coach: list(object({ coach_id: integer(), name: string(), ...cancelRates })),
+                by_day: list(object({ day: string(), ...cancelRates })),
+                by_lead_time: list(object({ id: string(), label: string(), ...cancelRates })),
+                by_client: list(object({ ...client, last_incident: string(), ...cancelRates })),
+                repeat_late_cancellers: list(object({ ...client, last_incident: string(), ...cancelRates }))
+            })
+        }
+    },
+    'POST /api/analytics/forecast': {
+        tag: 'Analítica',
+        summary: 'Proyección de ingresos, paquetes y reservaciones',
+        response: {
+            data: object({
+                horizon: integer(),
+                confidence: number(),
+                method: string(),
+                history_months: integer(),
+                history: list(object({ month: string(), label: string(), revenue: number(), packages: integer(), bookings: integer() })),
+                forecast: list(object({
+                    month: string(),
+                    label: string(),
+                    revenue: forecastValue,
+                    packages: forecastValue,
+                    bookings: forecastValue,
+                    actual_to_date: object({ revenue: number(), packages: integer(), bookings: integer() })
+                }))
+            })
+        }
+    },
+    'POST /api/analytics/goals-progress': {
+        tag: 'Analítica',
+        summary: 'Avance, ritmo y cierre proyectado de las metas de un mes',
+        response: {
+            data: object({
+                month: month(),
+                has_goals: boolean(),
+                days_in_month: integer(),
+                days_elapsed: integer(),
+                elapsed_pct: number(),
+                metrics: map(goalMetric, 'Por métrica (revenue, packages, new_clients, occupancy)')
+            })
+        }
+    },
+    'POST /api/analytics/campaign-attribution': {
+        tag: 'Analítica',
+        summary: 'Reactivación e ingresos recuperados por campaña contra un grupo de control',
+        notFound: true,
+        response: {
+            data: object({
+                window_days: integer(),
+                totals: object({
+                    contacted: attributionGroup,
+                    control: attributionGroup,
+                    lift_clients: integer('Contactadas de campañas de inactivas, las únicas comparadas con el control'),
+                    lift_pts: nullable(number('null sin control (campañas VIP y de segmento)')),
+                    revenue_lift_per_client: nullable(number())
+                }),
+                campaigns: list(object({}, 'Mismos totales por campaña')),
+                templates: list(object({}, 'Mismos totales por mensaje'))
+            })
+        }
+    },
+
+    // ===================== REPORTES =====================
+    'POST /api/generate-pdf': {
+        tag: 'Reportes',
+        summary: 'Generar el reporte PDF',
+        upstream: true,
+        response: { filename: string(), downloadUrl: string('Descarga en /reports (con sesión)'), data: object({}, 'Datos del reporte por sección') }
+    },
+    'GET /api/reports': {
+        tag: 'Reportes',
+        summary: 'Listar reportes generados',
+        response: {
+            reports: list(report),
+            privacy_modes: map(object({ label: string(), description: string() })),
+            email_enabled: boolean(),
+            default_recipients: list(string())
+        }
+    },
+    'POST /api/reports/email': {
+        tag: 'Reportes',
+        summary: 'Enviar un reporte generado por correo',
+        description: 'Responde 502 con el envío (data) si el SMTP lo rechaza después de los reintentos',
+        notFound: true,
+        upstream: true,
+        response: { data: delivery }
+    },
+    'GET /api/email/deliveries': {
+        tag: 'Reportes',
+        summary: 'Log de envíos por correo',
+        response: { data: list(delivery) }
+    },
+
+    // ===================== METAS =====================
+    'GET /api/goals': {
+        tag: 'Metas',
+        summary: 'Listar metas mensuales',
+        response: { data: list(goal) }
+    },
+    'GET /api/goals/:month': {
+        tag: 'Metas',
+        summary: 'Metas de un mes',
+        response: { data: goal }
+    },
+    'POST /api/goals': {
+        tag: 'Metas',
+        summary: 'Crear las metas de un mes',
+        status: 201,
+        conflict: true,
+        response: { data: goal }
+    },
+    'PUT /api/goals/:month': {
+        tag: 'Metas',
+        summary: 'Actualizar metas de un mes (solo las métricas enviadas)',
+        response: { data: goal }
+    },
+    'DELETE /api/goals/:month': {
+        tag: 'Metas',
+        summary: 'Eliminar las metas de un mes',
+        response: {}
+    },
+
+    // ===================== REPORTES PROGRAMADOS =====================
+    'GET /api/schedules': {
+        tag: 'Reportes programados',
+        summary: 'Listar tareas, con períodos, secciones y modos de privacidad',
+        response: {
+            data: list(job),
+            periods: labels(),
+            sections: labels(),
+            privacy_modes: map(object({ label: string(), description: string() })),
+            default_privacy: privacyMode,
+            scheduler_enabled: boolean()
+        }
+    },
+    'GET /api/schedules/runs': {
+        tag: 'Reportes programados',
+        summary: 'Historial de ejecuciones',
+        response: { data: list(run) }
+    },
+    'POST /api/schedules': {
+        tag: 'Reportes programados',
+        summary: 'Crear tarea',
+        status: 201,
+        response: { data: job }
+    },
+    'PUT /api/schedules/:id': {
+        tag: 'Reportes programados',
+        summary: 'Actualizar tarea ({ active: false } la pausa)',
+        response: { data: job }
+    },
+    'DELETE /api/schedules/:id': {
+        tag: 'Reportes programados',
+        summary: 'Eliminar tarea (el historial se conserva)',
+        response: {}
+    },
+    'POST /api/schedules/:id/run': {
+        tag: 'Reportes programados',
+        summary: 'Ejecutar una tarea ahora (también si está pausada)',
+        description: 'success es false si la ejecución falla; el detalle queda en data.error',
+        conflict: true,
+        upstream: true,
+        response: { data: run }
+    },
+    'GET /api/scheduler/tick': {
+        tag: 'Reportes programados',
+        summary: 'Ejecutar las tareas vencidas (para un cron externo)',
+        security: 'scheduler',
+        upstream: true,
+        response: { data: list(run) }
+    },
+    'POST /api/scheduler/tick': {
+        tag: 'Reportes programados',
+        summary: 'Ejecutar las tareas vencidas (para un cron externo)',
+        security: 'scheduler',
+        upstream: true,
+        response: { data: list(run) }
+    },
+
+    // ===================== CAMPAÑAS =====================
+    'GET /api/campaigns': {
+        tag: 'Campañas',
+        summary: 'Listar campañas con su avance, objetivos y segmentos',
+        response: {
+            data: list(object(campaignSummary)),
+            targets: map(object({ label: string() })),
+            segments: list(object({ id: string(), label: string() })),
+            cooldown_days: integer()
+        }
+    },
+    'POST /api/campaigns/contacts': {
+        tag: 'Campañas',
+        summary: 'Último contacto de cada clienta',
+        response: { data: map(lastContact, 'Por user_id') }
+    },
+    'GET /api/campaigns/:id': {
+        tag: 'Campañas',
+        summary: 'Campaña con sus clientas y el mensaje de cada una',
+        response: { data: campaign }
+    },
+    'POST /api/campaigns': {
+        tag: 'Campañas',
+        summary: 'Crear campaña (a nombre del usuario de la sesión)',
+        status: 201,
+        upstream: true,
+        response: { data: campaign }
+    },
+    'PUT /api/campaigns/:id/clients/:userId': {
+        tag: 'Campañas',
+        summary: 'Marcar clienta como enviada u omitida',
+        description: 'Marcar como enviada a una clienta ya enviada responde 409 (salvo force)',
+        conflict: true,
+        response: { data: campaignClient }
+    },
+    'DELETE /api/campaigns/:id': {
+        tag: 'Campañas',
+        summary: 'Eliminar campaña',
+        response: {}
+    },
+
+    // ===================== PLANTILLAS =====================
+    'GET /api/templates': {
+        tag: 'Plantillas',
+        summary: 'Listar plantillas, canales y variables',
+        response: {
+            data: list(template),
+            channels: map(object({ label: string(), variables: labels() })),
+            builtin_keys: list(string())
+        }
+    },
+    'GET /api/templates/clients': {
+        tag: 'Plantillas',
+        summary: 'Clientas para la vista previa',
+        upstream: true,
+        response: { data: list(object({ user_id: string(), full_name: nullable(string()) })) }
+    },
+    'POST /api/templates/render': {
+        tag: 'Plantillas',
+        summary: 'Renderizar una plantilla guardada o un texto',
+        description: 'WhatsApp usa las variables de la clienta userId; correo y PDF, las del último reporte',
+        notFound: true,
+        forbidden: true,
+        upstream: true,
+        response: { data: object({ text: string(), variables: labels() }) }
+    },
+    'GET /api/templates/:id': {
+        tag: 'Plantillas',
+        summary: 'Una plantilla',
+        response: { data: template }
+    },
+    'POST /api/templates': {
+        tag: 'Plantillas',
+        summary: 'Crear plantilla',
+        status: 201,
+        forbidden: true,
+        conflict: true,
+        response: { data: template }
+    },
+    'PUT /api/templates/:id': {
+        tag: 'Plantillas',
+        summary: 'Actualizar plantilla (key y canal no cambian)',
+        forbidden: true,
+        response: { data: template }
+    },
+    'DELETE /api/templates/:id': {
+        tag: 'Plantillas',
+        summary: 'Eliminar plantilla (no las que usan los reportes)',
+        forbidden: true,
+        conflict: true,
+        response: {}
+    }
+};
+
+export default ROUTE_DOCS;
@@ -0,0 +1,118 @@
+/**
+ * Privacy Mode
+ * Nombres y teléfonos de las clientas enmascarados en la API, las exportaciones y los PDF
+ *
+ * - full: nombre completo y teléfono tal cual
+ * - masked: nombre con la inicial del apellido ("Ana L.") y solo los últimos 4 dígitos del teléfono
+ * - Se pide con privacy: 'full' | 'masked' (en el body o en la query); sin pedirlo se usa el modo del rol
+ * - Un rol con modo masked no puede pedir full
+ */
+
+import { ROLES } from '../auth/index.js';
+import { ApiError, sendError } from '../errors/index.js';
+
+// Rutas cuyas respuestas pasan por privacyMiddleware (aceptan privacy)
+export const PRIVACY_ROUTES = ['/api/analytics', '/api/campaigns', '/api/goals', '/api/templates/clients', '/api/templates/render'];
+
+export const PRIVACY_MODES = {
+    full: { label: 'Completo', description: 'Nombres completos y teléfonos' },
+    masked: { label: 'Enmascarado', description: 'Nombre con inicial del apellido y teléfono con sus últimos 4 dígitos' }
+};
+
+// Campos de la API (full_name, phone) y variables de plantilla (nombre_completo, telefono)
+const NAME_FIELDS = new Set(['full_name', 'nombre_completo']);
+const PHONE_FIELDS = new Set(['phone', 'telefono']);
+
+/**
+ * "55 1234 5678" → "** **** 5678" (los textos con menos de 4 dígitos, como "Sin teléfono", quedan igual)
+ */
+export function maskPhone(phone) {
+    if (typeof phone !== 'string') return phone;
+    let visible = phone.replace(/\D/g, '').length;
+    if (visible < 4) return phone;
+    // Se cambian por * los dígitos que no están entre los últimos 4; espacios y guiones se conservan
+    return phone.replace(/\d/g, digit => (visible-- > 4 ? '*' : digit));
+}
+
+/**
+ * "Ana López García" → "Ana L."
+ */
+export function shortenName(name) {
+    if (typeof name !== 'string') return name;
+    const [first, second] = name.trim().split(/\s+/);
+    return second ? `${first} ${second.charAt(0).toUpperCase()}.` : first;
+}
+
+/**
+ * Copia de un resultado con nombres y teléfonos enmascarados (igual si mode es full)
+ */
+export function applyPrivacy(value, mode) {
+    if (mode !== 'masked') return value;
+    if (Array.isArray(value)) return value.map(item => applyPrivacy(item, mode));
+    if (value === null || typeof value !== 'object') return value;
+
+    return Object.fromEntries(Object.entries(value).map(([key, child]) => {
+        if (NAME_FIELDS.has(key)) return [key, shortenName(child)];
+        if (PHONE_FIELDS.has(key)) return [key, maskPhone(child)];
+        return [key, applyPrivacy(child, mode)];
+    }));
+}
+
+export function getRolePrivacy(user) {
+    return ROLES[user?.role]?.privacy || 'masked';
+}
+
+/**
+ * Modo de una petición: el pedido o, si no se pide, el del rol
+ * @returns {{mode: string}|{status: number, error: string}}
+ */
+export function resolvePrivacy(user, requested) {
+    const roleMode = getRolePrivacy(user);
+    if (requested === undefined || requested === null || requested === '') return { mode: roleMode };
+    if (!PRIVACY_MODES[requested]) {
+        return { status: 400, error: `privacy must be one of: ${Object.keys(PRIVACY_MODES).join(', ')}` };
+    }
+    if (requested === 'full' && roleMode === 'masked') {
+        return { status: 403, error: `privacy=full is not allowed for role ${user.role}` };
+    }
+    return { mode: requested };
+}
+
+/**
+ * Error de la API para un modo que no se puede usar (400 inválido, 403 no permitido al rol)
+ */
+export function privacyError(resolved) {
+    return new ApiError(resolved.error, { status: resolved.status, fields: [{ field: 'privacy', message: resolved.error }] });
+}
+
+/**
+ * Middleware (después de authenticate): enmascara el `data` de cada respuesta exitosa
+ * e indica el modo usado en `privacy`
+ */
+export function privacyMiddleware(req, res, next) {
+    const resolved = resolvePrivacy(req.user, req.body?.privacy ?? req.query.privacy);
+    if (resolved.error) {
+        return sendError(res, privacyError(resolved));
+    }
+    req.privacy = resolved.mode;
+
+    const sendJson = res.json.bind(res);
+    res.json = payload => {
+        if (!payload?.success || payload.data === undefined) return sendJson(payload);
+        return sendJson({ ...payload, data: applyPrivacy(payload.data, resolved.mode), privacy: resolved.mode });
+    };
+
+    next();
+}
+
+export default {
+    PRIVACY_ROUTES,
+    PRIVACY_MODES,
+    maskPhone,
+    shortenName,
+    applyPrivacy,
+    getRolePrivacy,
+    resolvePrivacy,
+    privacyError,
+    privacyMiddleware
+};
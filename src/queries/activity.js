@@ -0,0 +1,52 @@
+/**
+ * Client Activity
+ * Una sola definición de la última actividad de una clienta, para que las inactivas,
+ * el riesgo de abandono, los segmentos, la atribución de campañas y la variable {dias}
+ * de las plantillas cuenten lo mismo
+ *
+ * Cuenta como actividad:
+ * - Una reserva activa o completada, en la fecha de la clase (o en la que se hizo si no la trae)
+ * - Una compra de créditos, en credit_batches.created_at
+ */
+
+import dayjs from 'dayjs';
+
+export const ACTIVITY_BOOKING_STATUSES = ['active', 'completed'];
+
+export function isActivityBooking(booking) {
+    return ACTIVITY_BOOKING_STATUSES.includes(booking.status);
+}
+
+export function bookingActivityDate(booking) {
+    return booking.session_date || booking.created_at;
+}
+
+export function purchaseActivityDate(batch) {
+    return batch.created_at;
+}
+
+/**
+ * Última actividad de cada clienta
+ * @returns {Map<string, {date: string, type: 'booking'|'purchase'}>}
+ */
+export function getLastActivity(bookings = [], creditBatches = []) {
+    const lastActivity = new Map();
+    const touch = (userId, date, type) => {
+        const current = lastActivity.get(userId);
+        if (date && (!current || dayjs(date).isAfter(dayjs(current.date)))) {
+            lastActivity.set(userId, { date, type });
+        }
+    };
+
+    bookings.filter(isActivityBooking).forEach(b => touch(b.user_id, bookingActivityDate(b), 'booking'));
+    creditBatches.forEach(c => touch(c.user_id, purchaseActivityDate(c), 'purchase'));
+    return lastActivity;
+}
+
+export default {
+    ACTIVITY_BOOKING_STATUSES,
+    isActivityBooking,
+    bookingActivityDate,
+    purchaseActivityDate,
+    getLastActivity
+};
@@ -3,33 +3,38 @@
  * Consultas analíticas para el dashboard de Rage Web
  * 
  * IMPORTANTE: Requiere SUPABASE_SERVICE_ROLE_KEY para acceder a profiles
+ * Los datos se leen a través de la capa de datos (ver src/datasources)
  */
 
-import supabase from '../config/supabase.js';
+import { getDataSource } from '../datasources/index.js';
+import { loadRevenueResolver, createPricingSummary, addToPricingSummary } from './revenue.js';
+import { canonicalDayName, createSessionMatcher, dayNameOf, slotKey } from './sessions.js';
+import { ACTIVITY_BOOKING_STATUSES, getLastActivity } from './activity.js';
 import dayjs from 'dayjs';
 
-// Caché global de perfiles para evitar múltiples consultas
+// Caché global de perfiles; se rearma con cada lectura de profiles
 let profilesCache = null;
 
 /**
- * Cargar todos los perfiles al inicio (requiere service_role key para bypasear RLS)
+ * Cargar los perfiles (requiere service_role key para bypasear RLS)
+ * Se puede llamar en cada petición: la lectura sale de la caché de la capa de datos
  */
 export async function loadProfiles() {
-    if (profilesCache) return profilesCache;
+    if (!profilesCache) console.log('   📇 Cargando perfiles de usuarios...');
 
-    console.log('   📇 Cargando perfiles de usuarios...');
-
-    const { data, error } = await supabase
-        .from('profiles')
-        .select('id, full_name, phone');
-
-    if (error) {
+    let data;
+    try {
+        data = await getDataSource().listProfiles();
+    } catch (error) {
         console.log(`   ⚠️  No se pudieron cargar perfiles: ${error.message}`);
         console.log('   💡 Tip: Agrega SUPABASE_SERVICE_ROLE_KEY al archivo .env');
-        profilesCache = new Map();
+        // Mejor los perfiles anteriores que ninguno
+        profilesCache = profilesCache || new Map();
         return profilesCache;
     }
 
+    const previousSize = profilesCache?.size;
+
     if (!data || data.length === 0) {
         console.log('   ⚠️  No se encontraron perfiles (posible RLS bloqueando acceso)');
         console.log('   💡 Tip: Usa la service_role key para bypasear RLS');
@@ -38,14 +43,18 @@ export async function loadProfiles() {
     }
 
     profilesCache = new Map(data.map(p => [p.id, p]));
-    console.log(`   ✅ ${profilesCache.size} perfiles cargados exitosamente`);
+    if (previousSize === undefined) {
+        console.log(`   ✅ ${profilesCache.size} perfiles cargados exitosamente`);
+    } else if (previousSize !== profilesCache.size) {
+        console.log(`   🔄 Perfiles actualizados: ${previousSize} → ${profilesCache.size}`);
+    }
     return profilesCache;
 }
 
 /**
  * Obtener perfil de usuario desde caché
  */
-function getProfile(userId) {
+export function getProfile(userId) {
     if (!profilesCache) return null;
     return profilesCache.get(userId);
 }
@@ -53,7 +62,7 @@ function getProfile(userId) {
 /**
  * Formatear nombre de usuario (con fallback a ID truncado)
  */
-function formatUserName(userId, profile) {
+export function formatUserName(userId, profile) {
     if (profile?.full_name && profile.full_name.trim()) {
         return profile.full_name;
     }
@@ -63,7 +72,7 @@ function formatUserName(userId, profile) {
 /**
  * Formatear teléfono (con fallback)
  */
-function formatPhone(profile) {
+export function formatPhone(profile) {
     if (profile?.phone && profile.phone.trim()) {
         return profile.phone;
     }
@@ -75,40 +84,16 @@ function formatPhone(profile) {
  * Encuentra clientas que reservaron pero no han vuelto recientemente
  */
 export async function getDormantClients(daysInactive = 30) {
-    // Obtener última reserva de cada usuario
-    const { data: bookings, error: bookingsError } = await supabase
-        .from('bookings')
-        .select('user_id, session_date, created_at')
-        .eq('status', 'active')
-        .order('session_date', { ascending: false });
-
-    if (bookingsError) throw bookingsError;
+    const db = getDataSource();
 
-    // Obtener última compra de créditos
-    const { data: creditBatches, error: batchesError } = await supabase
-        .from('credit_batches')
-        .select('user_id, created_at')
-        .order('created_at', { ascending: false });
-
-    if (batchesError) throw batchesError;
-
-    // Combinar actividad y encontrar última fecha por usuario
-    const userActivity = new Map();
-
-    bookings?.forEach(b => {
-        const current = userActivity.get(b.user_id);
-        const bookingDate = b.session_date || b.created_at;
-        if (!current || dayjs(bookingDate).isAfter(dayjs(current.date))) {
-            userActivity.set(b.user_id, { date: bookingDate, type: 'booking' });
-        }
-    });
+    // Obtener reservas y compras de créditos de cada usuario
+    const [bookings, creditBatches] = await Promise.all([
+        db.listBookings({ statuses: ACTIVITY_BOOKING_STATUSES }),
+        db.listCreditBatches()
+    ]);
 
-    creditBatches?.forEach(c => {
-        const current = userActivity.get(c.user_id);
-        if (!current || dayjs(c.created_at).isAfter(dayjs(current.date))) {
-            userActivity.set(c.user_id, { date: c.created_at, type: 'purchase' });
-        }
-    });
+    // Última actividad por usuario (ver activity.js)
+    const userActivity = getLastActivity(bookings, creditBatches);
 
     // Filtrar inactivos
     const cutoffDate = dayjs().subtract(daysInactive, 'day');
@@ -147,33 +132,17 @@ export async function getDormantClients(daysInactive = 30) {
  * Basado en credit_batches ya que es lo que representa las ventas
  */
 export async function getPackageSalesByMonth(year = 2026) {
-    const { data: creditBatches, error: batchesError } = await supabase
-        .from('credit_batches')
-        .select(`
-      id,
-      user_id,
-      package_id,
-      credits_total,
-      created_at
-    `)
-        .gte('created_at', `${year}-01-01`)
-        .lte('created_at', `${year}-12-31`)
-        .order('created_at', { ascending: true });
-
-    if (batchesError) throw batchesError;
-
-    // Obtener paquetes para mapear nombres y precios
-    const { data: packages, error: pkgError } = await supabase
-        .from('packages')
-        .select('id, title, price, classes_count');
-
-    if (pkgError) throw pkgError;
-
-    const packageMap = new Map(packages?.map(p => [p.id, p]) || []);
+    const db = getDataSource();
+    const creditBatches = await db.listCreditBatches({ from: `${year}-01-01`, to: `${year}-12-31` });
+
+    // Paquetes y compras para saber cuánto se pagó realmente por cada lote
+    const revenue = await loadRevenueResolver({ from: `${year}-01-01`, to: `${year}-12-31`, batches: creditBatches });
+    const packageMap = revenue.packageMap;
 
     // Agrupar por mes
     const salesByMonth = {};
     const salesByPackageType = {};
+    const pricing = createPricingSummary();
     let totalRevenue = 0;
     let totalPackages = 0;
 
@@ -184,18 +153,21 @@ export async function getPackageSalesByMonth(year = 2026) {
 
     // Inicializar meses
     months.forEach((month, i) => {
-        salesByMonth[i + 1] = { month, count: 0, revenue: 0, credits: 0 };
+        salesByMonth[i + 1] = { month, count: 0, revenue: 0, list_revenue: 0, credits: 0 };
     });
 
     creditBatches?.forEach(batch => {
         const month = dayjs(batch.created_at).month() + 1;
         const pkg = packageMap.get(batch.package_id);
         const packageName = pkg?.title || 'Paquete Desconocido';
-        const amount = pkg?.price || 0;
+        const sale = revenue.resolve(batch);
+        const amount = sale.amount;
+        addToPricingSummary(pricing, sale);
 
         // Por mes
         salesByMonth[month].count++;
         salesByMonth[month].revenue += amount;
+        salesByMonth[month].list_revenue += sale.list_price;
         salesByMonth[month].credits += batch.credits_total || 0;
 
         // Por tipo
@@ -203,13 +175,17 @@ export async function getPackageSalesByMonth(year = 2026) {
             salesByPackageType[packageName] = {
                 count: 0,
                 revenue: 0,
+                list_revenue: 0,
                 credits: 0,
-                price: pkg?.price || 0
+                price: pkg?.price || 0,
+                list_price_fallbacks: 0
             };
         }
         salesByPackageType[packageName].count++;
         salesByPackageType[packageName].revenue += amount;
+        salesByPackageType[packageName].list_revenue += sale.list_price;
         salesByPackageType[packageName].credits += batch.credits_total || 0;
+        if (sale.price_source === 'list_price') salesByPackageType[packageName].list_price_fallbacks++;
 
         totalRevenue += amount;
         totalPackages++;
@@ -219,6 +195,7 @@ export async function getPackageSalesByMonth(year = 2026) {
         year,
         total_packages: totalPackages,
         total_revenue: totalRevenue,
+        pricing,
         by_month: Object.values(salesByMonth),
         by_package_type: Object.entries(salesByPackageType)
             .map(([name, data]) => ({ name, ...data }))
@@ -230,38 +207,28 @@ export async function getPackageSalesByMonth(year = 2026) {
  * 3. TOP CLIENTAS CON MÁS COMPRAS
  */
 export async function getTopBuyers(year = 2026, limit = 5) {
-    const { data: creditBatches, error: batchesError } = await supabase
-        .from('credit_batches')
-        .select(`
-      user_id,
-      package_id,
-      credits_total,
-      created_at
-    `)
-        .gte('created_at', `${year}-01-01`)
-        .lte('created_at', `${year}-12-31`);
-
-    if (batchesError) throw batchesError;
-
-    // Obtener paquetes
-    const { data: packages } = await supabase
-        .from('packages')
-        .select('id, title, price');
-
-    const packageMap = new Map(packages?.map(p => [p.id, p]) || []);
+    const db = getDataSource();
+    const creditBatches = await db.listCreditBatches({ from: `${year}-01-01`, to: `${year}-12-31` });
+
+    // Paquetes y compras para saber cuánto pagó cada clienta
+    const revenue = await loadRevenueResolver({ from: `${year}-01-01`, to: `${year}-12-31`, batches: creditBatches });
+    const packageMap = revenue.packageMap;
 
     // Agrupar por usuario
     const userStats = {};
 
     creditBatches?.forEach(batch => {
         const pkg = packageMap.get(batch.package_id);
-        const amount = pkg?.price || 0;
+        const sale = revenue.resolve(batch);
+        const amount = sale.amount;
 
         if (!userStats[batch.user_id]) {
             userStats[batch.user_id] = {
                 user_id: batch.user_id,
                 total_purchases: 0,
                 total_spent: 0,
+                total_list_price: 0,
+                list_price_fallbacks: 0,
                 total_credits: 0,
                 packages: []
             };
@@ -269,6 +236,8 @@ export async function getTopBuyers(year = 2026, limit = 5) {
 
         userStats[batch.user_id].total_purchases++;
         userStats[batch.user_id].total_spent += amount;
+        userStats[batch.user_id].total_list_price += sale.list_price;
+        if (sale.price_source === 'list_price') userStats[batch.user_id].list_price_fallbacks++;
         userStats[batch.user_id].total_credits += batch.credits_total || 0;
         userStats[batch.user_id].packages.push(pkg?.title || 'Desconocido');
     });
@@ -295,28 +264,22 @@ export async function getTopBuyers(year = 2026, limit = 5) {
  * 4. MÉTRICAS DE RETENCIÓN
  */
 export async function getRetentionMetrics() {
+    const db = getDataSource();
     const now = dayjs();
     const thirtyDaysAgo = now.subtract(30, 'day').format('YYYY-MM-DD');
 
     // Total de usuarios únicos con actividad
-    const { data: allBookings } = await supabase
-        .from('bookings')
-        .select('user_id');
+    const allBookings = await db.listBookings();
 
     const totalUniqueUsers = new Set(allBookings?.map(b => b.user_id)).size;
 
     // Activos en últimos 30 días (con reservas)
-    const { data: recentBookings } = await supabase
-        .from('bookings')
-        .select('user_id')
-        .gte('session_date', thirtyDaysAgo);
+    const recentBookings = await db.listBookings({ from: thirtyDaysAgo });
 
     const activeUsers30 = new Set(recentBookings?.map(b => b.user_id)).size;
 
     // Usuarios con compras
-    const { data: allBatches } = await supabase
-        .from('credit_batches')
-        .select('user_id, created_at');
+    const allBatches = await db.listCreditBatches();
 
     const buyersTotal = new Set(allBatches?.map(b => b.user_id)).size;
     const buyers30 = new Set(
@@ -325,10 +288,7 @@ export async function getRetentionMetrics() {
     ).size;
 
     // Usuarios con créditos disponibles
-    const { data: activeBatches } = await supabase
-        .from('credit_batches')
-        .select('user_id, credits_remaining')
-        .gt('credits_remaining', 0);
+    const activeBatches = await db.listCreditBatches({ withCreditsRemaining: true });
 
     const usersWithCredits = new Set(activeBatches?.map(b => b.user_id)).size;
     const totalCreditsAvailable = activeBatches?.reduce((sum, b) => sum + b.credits_remaining, 0) || 0;
@@ -353,39 +313,30 @@ export async function getRetentionMetrics() {
  * 5. ANÁLISIS DE CLASES MÁS POPULARES
  */
 export async function getPopularClasses() {
+    const db = getDataSource();
+
     // Obtener sessions
-    const { data: sessions } = await supabase
-        .from('sessions')
-        .select('id, class_name, class_subtitle, day_name');
+    const sessions = await db.listSessions();
 
     // Contar bookings por horario
-    const { data: bookings } = await supabase
-        .from('bookings')
-        .select('session_date, total_attendees, status')
-        .eq('status', 'active');
+    const bookings = await db.listBookings({ statuses: ['active'] });
 
     // Agrupar por día de la semana
     const dayStats = {};
 
     sessions?.forEach(s => {
-        dayStats[s.day_name] = {
+        const day = canonicalDayName(s.day_name);
+        dayStats[day] = {
             name: s.class_name,
             subtitle: s.class_subtitle,
-            day: s.day_name,
+            day,
             count: 0,
             attendees: 0
         };
     });
 
-    // Mapear días de la semana
-    const dayMap = {
-        0: 'DOMINGO', 1: 'LUNES', 2: 'MARTES', 3: 'MIÉRCOLES',
-        4: 'JUEVES', 5: 'VIERNES', 6: 'SÁBADO'
-    };
-
     bookings?.forEach(b => {
-        const dayOfWeek = dayjs(b.session_date).day();
-        const dayName = dayMap[dayOfWeek];
+        const dayName = dayNameOf(b.session_date);
         if (dayStats[dayName]) {
             dayStats[dayName].count++;
             dayStats[dayName].attendees += b.total_attendees || 1;
@@ -401,10 +352,7 @@ export async function getPopularClasses() {
  * 6. ESTADÍSTICAS DE ASISTENCIA
  */
 export async function getAttendanceStats() {
-    const { data: bookings } = await supabase
-        .from('bookings')
-        .select('session_date, session_time, total_attendees, status, coach_name')
-        .eq('status', 'active');
+    const bookings = await getDataSource().listBookings({ statuses: ['active'] });
 
     // Agrupar por coach
     const coachStats = {};
@@ -472,8 +420,8 @@ export async function getDashboardSummary() {
     };
 }
 
-// Helper function
-function getMostFrequent(arr) {
+// Helper function (compartida con los demás módulos de queries)
+export function getMostFrequent(arr) {
     if (!arr || arr.length === 0) return 'N/A';
     const counts = {};
     arr.forEach(item => {
@@ -486,31 +434,15 @@ function getMostFrequent(arr) {
  * VENTAS POR RANGO DE FECHAS
  */
 export async function getPackageSalesByDateRange(startDate, endDate) {
-    const { data: creditBatches, error: batchesError } = await supabase
-        .from('credit_batches')
-        .select(`
-            id,
-            user_id,
-            package_id,
-            credits_total,
-            created_at
-        `)
-        .gte('created_at', startDate)
-        .lte('created_at', endDate)
-        .order('created_at', { ascending: true });
-
-    if (batchesError) throw batchesError;
-
-    const { data: packages, error: pkgError } = await supabase
-        .from('packages')
-        .select('id, title, price, classes_count');
+    const db = getDataSource();
+    const creditBatches = await db.listCreditBatches({ from: startDate, to: endDate });
 
-    if (pkgError) throw pkgError;
-
-    const packageMap = new Map(packages?.map(p => [p.id, p]) || []);
+    const revenue = await loadRevenueResolver({ from: startDate, to: endDate, batches: creditBatches });
+    const packageMap = revenue.packageMap;
 
     const salesByMonth = {};
     const salesByPackageType = {};
+    const pricing = createPricingSummary();
     let totalRevenue = 0;
     let totalPackages = 0;
 
@@ -524,7 +456,9 @@ export async function getPackageSalesByDateRange(startDate, endDate) {
         const monthKey = `${dayjs(batch.created_at).year()}-${monthIndex}`;
         const pkg = packageMap.get(batch.package_id);
         const packageName = pkg?.title || 'Paquete Desconocido';
-        const amount = pkg?.price || 0;
+        const sale = revenue.resolve(batch);
+        const amount = sale.amount;
+        addToPricingSummary(pricing, sale);
 
         if (!salesByMonth[monthKey]) {
             salesByMonth[monthKey] = {
@@ -532,24 +466,30 @@ export async function getPackageSalesByDateRange(startDate, endDate) {
                 year: dayjs(batch.created_at).year(),
                 count: 0,
                 revenue: 0,
+                list_revenue: 0,
                 credits: 0
             };
         }
         salesByMonth[monthKey].count++;
         salesByMonth[monthKey].revenue += amount;
+        salesByMonth[monthKey].list_revenue += sale.list_price;
         salesByMonth[monthKey].credits += batch.credits_total || 0;
 
         if (!salesByPackageType[packageName]) {
             salesByPackageType[packageName] = {
                 count: 0,
                 revenue: 0,
+                list_revenue: 0,
                 credits: 0,
-                price: pkg?.price || 0
+                price: pkg?.price || 0,
+                list_price_fallbacks: 0
             };
         }
         salesByPackageType[packageName].count++;
         salesByPackageType[packageName].revenue += amount;
+        salesByPackageType[packageName].list_revenue += sale.list_price;
         salesByPackageType[packageName].credits += batch.credits_total || 0;
+        if (sale.price_source === 'list_price') salesByPackageType[packageName].list_price_fallbacks++;
 
         totalRevenue += amount;
         totalPackages++;
@@ -560,6 +500,7 @@ export async function getPackageSalesByDateRange(startDate, endDate) {
         endDate,
         total_packages: totalPackages,
         total_revenue: totalRevenue,
+        pricing,
         by_month: Object.values(salesByMonth).sort((a, b) => {
             if (a.year !== b.year) return a.year - b.year;
             return months.indexOf(a.month) - months.indexOf(b.month);
@@ -574,36 +515,27 @@ export async function getPackageSalesByDateRange(startDate, endDate) {
  * TOP COMPRADORAS POR RANGO DE FECHAS
  */
 export async function getTopBuyersByDateRange(startDate, endDate, limit = 5) {
-    const { data: creditBatches, error: batchesError } = await supabase
-        .from('credit_batches')
-        .select(`
-            user_id,
-            package_id,
-            credits_total,
-            created_at
-        `)
-        .gte('created_at', startDate)
-        .lte('created_at', endDate);
-
-    if (batchesError) throw batchesError;
-
-    const { data: packages } = await supabase
-        .from('packages')
-        .select('id, title, price');
+    const db = getDataSource();
+    const creditBatches = await db.listCreditBatches({ from: startDate, to: endDate });
 
-    const packageMap = new Map(packages?.map(p => [p.id, p]) || []);
+    // Paquetes y compras para saber cuánto pagó cada clienta
+    const revenue = await loadRevenueResolver({ from: startDate, to: endDate, batches: creditBatches });
+    const packageMap = revenue.packageMap;
 
     const userStats = {};
 
     creditBatches?.forEach(batch => {
         const pkg = packageMap.get(batch.package_id);
-        const amount = pkg?.price || 0;
+        const sale = revenue.resolve(batch);
+        const amount = sale.amount;
 
         if (!userStats[batch.user_id]) {
             userStats[batch.user_id] = {
                 user_id: batch.user_id,
                 total_purchases: 0,
                 total_spent: 0,
+                total_list_price: 0,
+                list_price_fallbacks: 0,
                 total_credits: 0,
                 packages: []
             };
@@ -611,6 +543,8 @@ export async function getTopBuyersByDateRange(startDate, endDate, limit = 5) {
 
         userStats[batch.user_id].total_purchases++;
         userStats[batch.user_id].total_spent += amount;
+        userStats[batch.user_id].total_list_price += sale.list_price;
+        if (sale.price_source === 'list_price') userStats[batch.user_id].list_price_fallbacks++;
         userStats[batch.user_id].total_credits += batch.credits_total || 0;
         userStats[batch.user_id].packages.push(pkg?.title || 'Desconocido');
     });
@@ -633,111 +567,118 @@ export async function getTopBuyersByDateRange(startDate, endDate, limit = 5) {
 
 /**
  * HORARIO SEMANAL CON OCUPACIÓN
- * Analiza los bookings de los últimos 30 días para determinar ocupación promedio por horario
- * 
+ * Ocupación promedio de cada sesión del horario en una ventana de fechas
+ *
  * Lógica:
- * 1. Agrupar todos los bookings por fecha+hora específica (ej: 2026-01-15 a las 09:00)
- * 2. Sumar total de asistentes por cada clase específica
- * 3. Luego promediar por día de la semana + hora
+ * 1. Cada sesión (día + hora) genera una clase por cada vez que su día cae en la ventana;
+ *    las semanas sin reservas cuentan como clases con 0 asistentes
+ * 2. Cada booking se asigna a su sesión por session_id, o por día de la semana + hora
+ * 3. Se promedian los asistentes por clase contra el max_spots de esa sesión
+ *
+ * @param {Object} options
+ * @param {number} options.days - Días hacia atrás desde hoy (si no hay rango)
+ * @param {string} options.startDate - Inicio del rango (YYYY-MM-DD)
+ * @param {string} options.endDate - Fin del rango (YYYY-MM-DD)
  */
-export async function getWeeklySchedule() {
-    // Obtener bookings de los últimos 30 días (solo activos/completados)
-    const thirtyDaysAgo = dayjs().subtract(30, 'day').format('YYYY-MM-DD');
-    const { data: bookings, error: bookErr } = await supabase
-        .from('bookings')
-        .select('session_date, session_time, total_attendees, status, coach_name')
-        .in('status', ['active', 'completed'])
-        .gte('session_date', thirtyDaysAgo);
-
-    if (bookErr) {
+export async function getWeeklySchedule({ days = 30, startDate, endDate } = {}) {
+    const db = getDataSource();
+    const today = dayjs().startOf('day');
+    const from = startDate ? dayjs(startDate).startOf('day') : today.subtract(days, 'day');
+    const to = endDate ? dayjs(endDate).startOf('day') : today;
+    // Las clases futuras del rango todavía no ocurren: no cuentan como vacías
+    const lastDay = to.isAfter(today) ? today : to;
+
+    let bookings;
+    try {
+        bookings = await db.listBookings({
+            statuses: ['active', 'completed'],
+            from: from.format('YYYY-MM-DD'),
+            to: lastDay.format('YYYY-MM-DD')
+        });
+    } catch (bookErr) {
         console.error('Error fetching bookings:', bookErr);
         return {};
     }
 
-    // Obtener sesiones para metadata de clases
-    const { data: sessions } = await supabase
-        .from('sessions')
-        .select('day_name, class_name, class_subtitle, max_spots');
+    const sessions = await db.listSessions();
+
+    const dayOrder = ['LUNES', 'MARTES', 'MIÉRCOLES', 'JUEVES', 'VIERNES', 'SÁBADO', 'DOMINGO'];
+
+    // PASO 1: Un horario por sesión, con una clase (fecha → asistentes) por cada semana de la ventana
+    const scheduleStats = {};
 
-    // Crear mapa de clase por día desde sessions
-    const sessionMap = new Map();
     sessions?.forEach(s => {
-        if (!sessionMap.has(s.day_name)) {
-            sessionMap.set(s.day_name, {
-                class_name: s.class_name,
-                subtitle: s.class_subtitle,
-                max_capacity: s.max_spots || 14
-            });
-        }
+        const day = canonicalDayName(s.day_name);
+        const time = s.time?.substring(0, 5);
+        const key = slotKey(day, time);
+        if (scheduleStats[key]) return;
+
+        scheduleStats[key] = {
+            session_id: s.id,
+            day,
+            time,
+            class_name: s.class_name || 'Clase',
+            subtitle: s.class_subtitle || '',
+            max_capacity: s.max_spots || 14,
+            classes: new Map()
+        };
     });
 
-    // Mapear días
-    const dayOrder = ['LUNES', 'MARTES', 'MIÉRCOLES', 'JUEVES', 'VIERNES', 'SÁBADO'];
-    const dayMap = { 0: 'DOMINGO', 1: 'LUNES', 2: 'MARTES', 3: 'MIÉRCOLES', 4: 'JUEVES', 5: 'VIERNES', 6: 'SÁBADO' };
-
-    // PASO 1: Agrupar bookings por fecha+hora específica
-    // Esto nos da el total de reservas por cada clase individual
-    const classesByDatetime = {};
+    for (let date = from; !date.isAfter(lastDay); date = date.add(1, 'day')) {
+        const dayName = dayNameOf(date);
+        Object.values(scheduleStats)
+            .filter(slot => slot.day === dayName)
+            .forEach(slot => slot.classes.set(date.format('YYYY-MM-DD'), 0));
+    }
 
+    // PASO 2: Sumar asistentes de cada booking a la clase de su sesión (ver sessions.js)
+    const matchSession = createSessionMatcher(sessions || []);
     bookings?.forEach(b => {
         const time = b.session_time?.substring(0, 5) || b.session_time;
-        const key = `${b.session_date}-${time}`;
-
-        if (!classesByDatetime[key]) {
-            classesByDatetime[key] = {
-                date: b.session_date,
-                time: time,
-                total_attendees: 0
-            };
-        }
-        classesByDatetime[key].total_attendees += b.total_attendees || 1;
-    });
-
-    // PASO 2: Agrupar por día de la semana + hora y promediar
-    const scheduleStats = {};
-
-    Object.values(classesByDatetime).forEach(cls => {
-        const dayOfWeek = dayjs(cls.date).day();
-        const dayName = dayMap[dayOfWeek];
-        const key = `${dayName}-${cls.time}`;
+        const dayName = dayNameOf(b.session_date);
+        const session = matchSession(b);
+        const key = session ? slotKey(session.day_name, session.time) : slotKey(dayName, time);
 
+        // Reservas de un horario que ya no existe en sessions
         if (!scheduleStats[key]) {
-            const sessionInfo = sessionMap.get(dayName) || {};
             scheduleStats[key] = {
+                session_id: null,
                 day: dayName,
-                time: cls.time,
-                class_name: sessionInfo.class_name || 'Clase',
-                subtitle: sessionInfo.subtitle || '',
-                max_capacity: sessionInfo.max_capacity || 14,
-                total_classes: 0, // Número de clases (semanas) analizadas
-                total_attendees: 0, // Suma total de asistentes
-                attendees_per_class: [], // Lista de asistentes por cada clase
-                avg_attendance: 0,
-                occupancy_rate: 0
+                time,
+                class_name: 'Clase',
+                subtitle: '',
+                max_capacity: 14,
+                classes: new Map()
             };
         }
 
-        scheduleStats[key].total_classes++;
-        scheduleStats[key].total_attendees += cls.total_attendees;
-        scheduleStats[key].attendees_per_class.push(cls.total_attendees);
+        const classes = scheduleStats[key].classes;
+        classes.set(b.session_date, (classes.get(b.session_date) || 0) + (b.total_attendees || 1));
     });
 
     // PASO 3: Calcular promedios
-    Object.values(scheduleStats).forEach(s => {
-        if (s.total_classes > 0) {
-            s.avg_attendance = Math.round(s.total_attendees / s.total_classes * 10) / 10;
-            s.occupancy_rate = Math.round((s.avg_attendance / s.max_capacity) * 100);
-        }
-        // Eliminar el array temporal para no enviarlo al frontend
-        delete s.attendees_per_class;
+    const slots = Object.values(scheduleStats).map(({ classes, ...slot }) => {
+        const attendees = [...classes.values()];
+        const totalAttendees = attendees.reduce((sum, n) => sum + n, 0);
+        const avgAttendance = attendees.length > 0 ? Math.round(totalAttendees / attendees.length * 10) / 10 : 0;
+
+        return {
+            ...slot,
+            total_classes: attendees.length, // Clases (semanas) analizadas, incluidas las vacías
+            zero_attendance_classes: attendees.filter(n => n === 0).length,
+            total_attendees: totalAttendees,
+            avg_attendance: avgAttendance,
+            occupancy_rate: Math.round((avgAttendance / slot.max_capacity) * 100)
+        };
     });
 
-    // Organizar por día
+    // Organizar por día (domingo solo si hay clases)
     const byDay = {};
     dayOrder.forEach(day => {
-        byDay[day] = Object.values(scheduleStats)
-            .filter(s => s.day === day)
+        const daySlots = slots
+            .filter(s => s.day === day && s.total_classes > 0)
             .sort((a, b) => a.time.localeCompare(b.time));
+        if (day !== 'DOMINGO' || daySlots.length > 0) byDay[day] = daySlots;
     });
 
     return byDay;
@@ -747,28 +688,24 @@ export async function getWeeklySchedule() {
  * HISTORIAL DE COMPRAS DE UN USUARIO
  */
 export async function getUserPurchaseHistory(userId) {
-    const { data: creditBatches, error } = await supabase
-        .from('credit_batches')
-        .select('id, package_id, credits_total, credits_remaining, created_at')
-        .eq('user_id', userId)
-        .order('created_at', { ascending: false });
-
-    if (error) throw error;
+    const db = getDataSource();
+    // Más recientes primero
+    const creditBatches = [...await db.listCreditBatches({ userId })].reverse();
 
-    // Obtener paquetes
-    const { data: packages } = await supabase
-        .from('packages')
-        .select('id, title, price');
-
-    const packageMap = new Map(packages?.map(p => [p.id, p]) || []);
+    // Paquetes y compras de la clienta
+    const revenue = await loadRevenueResolver({ userId });
+    const packageMap = revenue.packageMap;
 
     return creditBatches?.map(batch => {
         const pkg = packageMap.get(batch.package_id);
+        const sale = revenue.resolve(batch);
         return {
             id: batch.id,
             date: batch.created_at,
             package_name: pkg?.title || 'Desconocido',
-            price: pkg?.price || 0,
+            price: sale.amount,
+            list_price: sale.list_price,
+            price_source: sale.price_source,
             credits_total: batch.credits_total,
             credits_remaining: batch.credits_remaining
         };
@@ -779,33 +716,15 @@ export async function getUserPurchaseHistory(userId) {
  * COMPARATIVA DE CRÉDITOS Y CLIENTAS RECURRENTES
  */
 export async function getCreditsComparison(period1Start, period1End, period2Start, period2End) {
+    const db = getDataSource();
+
     // Period 1
-    const { data: batches1 } = await supabase
-        .from('credit_batches')
-        .select('user_id, credits_total, created_at')
-        .gte('created_at', period1Start)
-        .lte('created_at', period1End);
-
-    const { data: bookings1 } = await supabase
-        .from('bookings')
-        .select('user_id, total_attendees')
-        .eq('status', 'active')
-        .gte('session_date', period1Start)
-        .lte('session_date', period1End);
+    const batches1 = await db.listCreditBatches({ from: period1Start, to: period1End });
+    const bookings1 = await db.listBookings({ statuses: ['active'], from: period1Start, to: period1End });
 
     // Period 2
-    const { data: batches2 } = await supabase
-        .from('credit_batches')
-        .select('user_id, credits_total, created_at')
-        .gte('created_at', period2Start)
-        .lte('created_at', period2End);
-
-    const { data: bookings2 } = await supabase
-        .from('bookings')
-        .select('user_id, total_attendees')
-        .eq('status', 'active')
-        .gte('session_date', period2Start)
-        .lte('session_date', period2End);
+    const batches2 = await db.listCreditBatches({ from: period2Start, to: period2End });
+    const bookings2 = await db.listBookings({ statuses: ['active'], from: period2Start, to: period2End });
 
     // Calculate stats
     const users1 = new Set(batches1?.map(b => b.user_id) || []);
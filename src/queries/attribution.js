@@ -0,0 +1,252 @@
+/**
+ * Campaign Attribution Module
+ * ¿Las campañas de WhatsApp hacen que las clientas regresen?
+ *
+ * - Contactadas: clientas marcadas como enviadas en una campaña; la ventana de
+ *   atribución empieza en el momento del mensaje (contacted_at)
+ * - Regreso: la primera reserva (fecha en que se hizo, activa o completada) o compra
+ *   de créditos dentro de la ventana; los ingresos recuperados son las compras de la ventana
+ * - Control: solo en campañas de inactivas, las clientas inactivas al crear la campaña
+ *   (mismo umbral de días) a las que ninguna campaña les escribió en la ventana antes o
+ *   después; su ventana empieza al crear la campaña
+ * - La diferencia contra el control (lift) estima el efecto real del mensaje. Una campaña
+ *   VIP o de segmento no tiene control comparable (no se puede reconstruir quién era VIP
+ *   o de un segmento en otra fecha): su lift es null y no entra al lift de los totales
+ */
+
+import { getDataSource } from '../datasources/index.js';
+import { loadRevenueResolver } from './revenue.js';
+import { bookingActivityDate, isActivityBooking, purchaseActivityDate } from './activity.js';
+import campaigns from '../campaigns/index.js';
+import { campaignConfig } from '../config/campaigns.js';
+import dayjs from 'dayjs';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const rate = (part, total) => total > 0 ? Math.round((part / total) * 1000) / 10 : 0;
+const round1 = value => Math.round(value * 10) / 10;
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Resumen de un grupo de resultados individuales
+ * @param {Array<{returned: boolean, days_to_return: number|null, revenue: number, window_open: boolean}>} outcomes
+ */
+function summarizeOutcomes(outcomes) {
+    const returned = outcomes.filter(o => o.returned);
+    const days = returned.map(o => o.days_to_return);
+    const revenue = outcomes.reduce((sum, o) => sum + o.revenue, 0);
+
+    return {
+        clients: outcomes.length,
+        reactivated: returned.length,
+        reactivation_rate: rate(returned.length, outcomes.length),
+        revenue_recovered: Math.round(revenue),
+        revenue_per_client: outcomes.length > 0 ? Math.round(revenue / outcomes.length) : 0,
+        avg_days_to_return: days.length > 0 ? round1(days.reduce((a, b) => a + b, 0) / days.length) : null,
+        median_days_to_return: days.length > 0 ? round1(median(days)) : null,
+        open_windows: outcomes.filter(o => o.window_open).length
+    };
+}
+
+/**
+ * Contactadas contra el control; el lift se mide solo con las contactadas de campañas
+ * con control (measured), que al sumar campañas pueden ser menos que contacted
+ */
+const compare = (contacted, control, measured = contacted) => {
+    const comparable = control.clients > 0 && measured.clients > 0;
+    return {
+        contacted,
+        control,
+        lift_clients: comparable ? measured.clients : 0,
+        lift_pts: comparable ? round1(measured.reactivation_rate - control.reactivation_rate) : null,
+        revenue_lift_per_client: comparable ? measured.revenue_per_client - control.revenue_per_client : null
+    };
+};
+
+/**
+ * Actividad por clienta: fechas de actividad (para saber si estaba inactiva)
+ * y eventos de regreso (reservas hechas y compras con su monto)
+ */
+async function loadClientActivity() {
+    const db = getDataSource();
+    const [bookings, creditBatches, revenue] = await Promise.all([
+        db.listBookings(),
+        db.listCreditBatches(),
+        loadRevenueResolver()
+    ]);
+
+    const clients = new Map();
+    const getClient = userId => {
+        if (!clients.has(userId)) clients.set(userId, { activity: [], events: [] });
+        return clients.get(userId);
+    };
+
+    bookings?.forEach(b => {
+        if (!isActivityBooking(b)) return;
+        const client = getClient(b.user_id);
+        // Misma definición de actividad que las clientas inactivas (ver activity.js)
+        client.activity.push(dayjs(bookingActivityDate(b)).valueOf());
+        client.events.push({ at: dayjs(b.created_at || b.session_date).valueOf(), type: 'booking', amount: 0 });
+    });
+
+    creditBatches?.forEach(c => {
+        const client = getClient(c.user_id);
+        const at = dayjs(purchaseActivityDate(c)).valueOf();
+        client.activity.push(at);
+        client.events.push({ at, type: 'purchase', amount: revenue.resolve(c).amount });
+    });
+
+    return clients;
+}
+
+/**
+ * Resultado de una clienta en la ventana (start, start + windowDays]
+ */
+function measureOutcome(client, start, windowDays, now) {
+    const end = start + windowDays * DAY_MS;
+    const inWindow = (client?.events || []).filter(e => e.at > start && e.at <= end);
+    const first = inWindow.reduce((min, e) => (min === null || e.at < min ? e.at : min), null);
+
+    return {
+        returned: first !== null,
+        days_to_return: first !== null ? round1((first - start) / DAY_MS) : null,
+        revenue: inWindow.reduce((sum, e) => sum + e.amount, 0),
+        window_open: end > now
+    };
+}
+
+/**
+ * Una inactiva no contactada entra al control de cada campaña en que califica; al sumar
+ * campañas cuenta una sola vez, con la medición de la campaña más antigua
+ */
+function uniqueControl(outcomes) {
+    const byClient = new Map();
+    outcomes.forEach(outcome => {
+        const current = byClient.get(outcome.user_id);
+        if (!current || outcome.start < current.start) byClient.set(outcome.user_id, outcome);
+    });
+    return [...byClient.values()];
+}
+
+function lastActivityBefore(client, at) {
+    return (client?.activity || []).reduce((max, date) => (date <= at && (max === null || date > max) ? date : max), null);
+}
+
+/**
+ * ATRIBUCIÓN DE CAMPAÑAS
+ * Tasa de reactivación, ingresos recuperados y días al regreso por campaña y por mensaje,
+ * contra un grupo de control de inactivas no contactadas
+ * @param {Object} options
+ * @param {number} options.windowDays - Días después del mensaje en que cuenta un regreso
+ * @param {number} options.campaignId - Solo esta campaña (opcional)
+ */
+export async function getCampaignAttribution({ windowDays = campaignConfig.attributionDays, campaignId = null } = {}) {
+    const now = dayjs().valueOf();
+    const windowMs = windowDays * DAY_MS;
+    const activity = await loadClientActivity();
+
+    const allCampaigns = campaigns.listCampaigns().map(c => campaigns.getCampaign(c.id));
+
+    // Mensajes enviados por clienta (cualquier campaña), para excluirlas del control
+    const contactsByClient = new Map();
+    allCampaigns.forEach(campaign => {
+        campaign.clients
+            .filter(c => c.status === 'sent')
+            .forEach(c => {
+                if (!contactsByClient.has(c.user_id)) contactsByClient.set(c.user_id, []);
+                contactsByClient.get(c.user_id).push(dayjs(c.contacted_at).valueOf());
+            });
+    });
+
+    const wasContactedNear = (userId, at) =>
+        (contactsByClient.get(userId) || []).some(date => Math.abs(date - at) <= windowMs);
+
+    const selected = allCampaigns.filter(c => campaignId === null || c.id === Number(campaignId));
+
+    const results = selected.map(campaign => {
+        const createdAt = dayjs(campaign.created_at).valueOf();
+        const hasControl = campaign.target.type === 'dormant';
+        const dormantCutoff = hasControl ? createdAt - campaign.target.days * DAY_MS : null;
+
+        const contacted = campaign.clients
+            .filter(c => c.status === 'sent')
+            .map(c => ({
+                user_id: c.user_id,
+                full_name: c.full_name,
+                contacted_at: c.contacted_at,
+                ...measureOutcome(activity.get(c.user_id), dayjs(c.contacted_at).valueOf(), windowDays, now)
+            }));
+
+        const control = [];
+        if (hasControl) {
+            activity.forEach((client, userId) => {
+                const last = lastActivityBefore(client, createdAt);
+                if (last === null || last >= dormantCutoff || wasContactedNear(userId, createdAt)) return;
+                control.push({ user_id: userId, start: createdAt, ...measureOutcome(client, createdAt, windowDays, now) });
+            });
+        }
+
+        return {
+            campaign_id: campaign.id,
+            name: campaign.name,
+            target_label: campaign.target_label,
+            template: campaign.template,
+            created_at: campaign.created_at,
+            control_dormant_days: hasControl ? campaign.target.days : null,
+            ...compare(summarizeOutcomes(contacted), summarizeOutcomes(control)),
+            reactivated_clients: contacted
+                .filter(c => c.returned)
+                .map(({ user_id, full_name, contacted_at, days_to_return, revenue }) => ({
+                    user_id,
+                    full_name,
+                    contacted_at,
+                    days_to_return,
+                    revenue: Math.round(revenue)
+                })),
+            _outcomes: { contacted, control, measured: hasControl ? contacted : [] }
+        };
+    });
+
+    // Por mensaje: las campañas con el mismo texto se suman
+    const byTemplate = new Map();
+    results.forEach(result => {
+        const key = result.template.trim();
+        if (!byTemplate.has(key)) byTemplate.set(key, { template: key, campaigns: [], contacted: [], control: [], measured: [] });
+        const group = byTemplate.get(key);
+        group.campaigns.push(result.name);
+        group.contacted.push(...result._outcomes.contacted);
+        group.control.push(...result._outcomes.control);
+        group.measured.push(...result._outcomes.measured);
+    });
+
+    const allContacted = results.flatMap(r => r._outcomes.contacted);
+    const allControl = uniqueControl(results.flatMap(r => r._outcomes.control));
+    const allMeasured = results.flatMap(r => r._outcomes.measured);
+
+    return {
+        window_days: windowDays,
+        totals: compare(summarizeOutcomes(allContacted), summarizeOutcomes(allControl), summarizeOutcomes(allMeasured)),
+        campaigns: results.map(({ _outcomes, ...result }) => result),
+        templates: [...byTemplate.values()]
+            .map(group => ({
+                template: group.template,
+                campaigns: group.campaigns,
+                ...compare(
+                    summarizeOutcomes(group.contacted),
+                    summarizeOutcomes(uniqueControl(group.control)),
+                    summarizeOutcomes(group.measured)
+                )
+            }))
+            .sort((a, b) => b.contacted.reactivation_rate - a.contacted.reactivation_rate)
+    };
+}
+
+export default {
+    getCampaignAttribution
+};
@@ -0,0 +1,164 @@
+/**
+ * Cancellations Module
+ * Cancelaciones y no-shows por horario, coach, día, clienta y anticipación de la reserva
+ *
+ * - Cancelación tardía: cancelled_at dentro de las `lateCancelHours` previas al inicio
+ *   de la clase (session_date + session_time en la zona horaria STUDIO_TIMEZONE)
+ * - Anticipación: horas entre created_at de la reserva y el inicio de la clase
+ * - Solo se analizan clases ya ocurridas: una reserva futura todavía puede cancelarse
+ */
+
+import { getDataSource } from '../datasources/index.js';
+import { getProfile, formatUserName, formatPhone } from './analytics.js';
+import { createCoachResolver } from './coaches.js';
+import { dayNameOf } from './sessions.js';
+import { studioConfig } from '../config/studio.js';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const CANCELLED_STATUSES = ['cancelled', 'canceled'];
+const NO_SHOW_STATUSES = ['no_show', 'no-show'];
+const ATTENDED_STATUSES = ['active', 'completed'];
+const DAY_ORDER = ['LUNES', 'MARTES', 'MIÉRCOLES', 'JUEVES', 'VIERNES', 'SÁBADO', 'DOMINGO'];
+
+// Rangos de anticipación de la reserva (horas antes de la clase)
+export const LEAD_TIME_BUCKETS = [
+    { id: 'same_day', label: 'Menos de 24 h', max: 24 },
+    { id: '1_3_days', label: '1 a 3 días', max: 72 },
+    { id: '3_7_days', label: '3 a 7 días', max: 168 },
+    { id: '7_plus_days', label: 'Más de 7 días', max: Infinity }
+];
+
+const rate = (part, total) => total > 0 ? Math.round((part / total) * 1000) / 10 : 0;
+
+const emptyCounter = extra => ({ ...extra, bookings: 0, cancelled: 0, late_cancelled: 0, no_show: 0 });
+
+const withRates = counter => ({
+    ...counter,
+    cancel_rate: rate(counter.cancelled, counter.bookings),
+    late_cancel_rate: rate(counter.late_cancelled, counter.bookings),
+    no_show_rate: rate(counter.no_show, counter.bookings)
+});
+
+/**
+ * ANÁLISIS DE CANCELACIONES Y NO-SHOWS
+ * @param {Object} options
+ * @param {number} options.days - Días hacia atrás desde hoy (si no hay rango)
+ * @param {string} options.startDate - Inicio del rango (YYYY-MM-DD)
+ * @param {string} options.endDate - Fin del rango (YYYY-MM-DD)
+ * @param {number} options.lateCancelHours - Horas antes de la clase que definen una cancelación tardía
+ * @param {number} options.minLateCancels - Cancelaciones tardías + no-shows para entrar a la lista de reincidentes
+ */
+export async function getCancellationStats({ days = 90, startDate, endDate, lateCancelHours = 12, minLateCancels = 2 } = {}) {
+    const db = getDataSource();
+    const now = dayjs();
+    const from = startDate ? dayjs(startDate) : now.subtract(days, 'day');
+    const to = endDate && dayjs(endDate).isBefore(now) ? dayjs(endDate) : now;
+
+    const [bookings, coaches, sessions] = await Promise.all([
+        db.listBookings({ from: from.format('YYYY-MM-DD'), to: to.format('YYYY-MM-DD') }),
+        db.listCoaches(),
+        db.listSessions()
+    ]);
+
+    const resolve = createCoachResolver(coaches, sessions);
+
+    const totals = emptyCounter();
+    const bySlot = {};
+    const byCoach = {};
+    const byDay = {};
+    const byLeadTime = Object.fromEntries(LEAD_TIME_BUCKETS.map(b => [b.id, emptyCounter({ id: b.id, label: b.label })]));
+    const byClient = {};
+
+    bookings.forEach(b => {
+        const time = b.session_time?.substring(0, 5) || '00:00';
+        // La hora de la clase es la del estudio, no la del servidor
+        const classStart = dayjs.tz(`${String(b.session_date).substring(0, 10)}T${time}`, studioConfig.timezone);
+        if (classStart.isAfter(now)) return;
+
+        const isCancelled = CANCELLED_STATUSES.includes(b.status);
+        const isNoShow = NO_SHOW_STATUSES.includes(b.status);
+        if (!isCancelled && !isNoShow && !ATTENDED_STATUSES.includes(b.status)) return;
+
+        const isLate = isCancelled && b.cancelled_at &&
+            classStart.diff(dayjs(b.cancelled_at), 'hour', true) < lateCancelHours;
+        const leadHours = classStart.diff(dayjs(b.created_at), 'hour', true);
+        const leadBucket = LEAD_TIME_BUCKETS.find(bucket => leadHours < bucket.max);
+
+        const { session, coach } = resolve(b);
+        const dayName = dayNameOf(b.session_date);
+        const slotKey = `${dayName}-${time}`;
+        const coachName = coach?.name || b.coach_name || 'Sin asignar';
+
+        if (!bySlot[slotKey]) {
+            bySlot[slotKey] = emptyCounter({ day: dayName, time, class_name: session?.class_name || 'Clase' });
+        }
+        if (!byCoach[coachName]) byCoach[coachName] = emptyCounter({ coach_id: coach?.id ?? null, name: coachName });
+        if (!byDay[dayName]) byDay[dayName] = emptyCounter({ day: dayName });
+        if (!byClient[b.user_id]) byClient[b.user_id] = emptyCounter({ user_id: b.user_id, last_incident: null });
+
+        const counters = [totals, bySlot[slotKey], byCoach[coachName], byDay[dayName], byClient[b.user_id]];
+        if (leadBucket) counters.push(byLeadTime[leadBucket.id]);
+
+        counters.forEach(counter => {
+            counter.bookings++;
+            if (isCancelled) counter.cancelled++;
+            if (isLate) counter.late_cancelled++;
+            if (isNoShow) counter.no_show++;
+        });
+
+        if (isLate || isNoShow) {
+            const client = byClient[b.user_id];
+            if (!client.last_incident || b.session_date > client.last_incident) {
+                client.last_incident = b.session_date;
+            }
+        }
+    });
+
+    const describeClient = client => {
+        const profile = getProfile(client.user_id);
+        return {
+            ...withRates(client),
+            full_name: formatUserName(client.user_id, profile),
+            phone: formatPhone(profile)
+        };
+    };
+
+    const clients = Object.values(byClient);
+    const lossRate = c => c.cancel_rate + c.no_show_rate;
+
+    return {
+        from: from.format('YYYY-MM-DD'),
+        to: to.format('YYYY-MM-DD'),
+        late_cancel_hours: lateCancelHours,
+        totals: withRates(totals),
+        by_slot: Object.values(bySlot)
+            .map(withRates)
+            .sort((a, b) => lossRate(b) - lossRate(a)),
+        by_coach: Object.values(byCoach)
+            .map(withRates)
+            .sort((a, b) => lossRate(b) - lossRate(a)),
+        by_day: DAY_ORDER
+            .filter(day => byDay[day])
+            .map(day => withRates(byDay[day])),
+        by_lead_time: Object.values(byLeadTime).map(withRates),
+        // Clientas con al menos 3 reservas, para que una sola cancelación no domine la tasa
+        by_client: clients
+            .filter(c => c.bookings >= 3)
+            .map(describeClient)
+            .sort((a, b) => lossRate(b) - lossRate(a))
+            .slice(0, 20),
+        repeat_late_cancellers: clients
+            .filter(c => c.late_cancelled + c.no_show >= minLateCancels)
+            .map(describeClient)
+            .sort((a, b) => (b.late_cancelled + b.no_show) - (a.late_cancelled + a.no_show))
+    };
+}
+
+export default {
+    getCancellationStats
+};
@@ -0,0 +1,174 @@
+/**
+ * Churn Risk Module
+ * Riesgo de abandono según el ritmo propio de cada clienta
+ *
+ * En lugar de un corte fijo de días, compara los días desde su última visita
+ * contra su intervalo típico entre reservas/compras, y suma señales de
+ * desaceleración en el uso de créditos y de créditos agotados.
+ *
+ * Puntaje (0-100):
+ * - Atraso vs. su ritmo: hasta 60 pts (1× su intervalo = 0, 3× o más = 60)
+ * - Desaceleración: hasta 25 pts (reservas/semana últimos 30 días vs. histórico)
+ * - Sin créditos restantes: 15 pts
+ */
+
+import { getDataSource } from '../datasources/index.js';
+import { getProfile, formatUserName, formatPhone } from './analytics.js';
+import { ACTIVITY_BOOKING_STATUSES, bookingActivityDate, purchaseActivityDate } from './activity.js';
+import dayjs from 'dayjs';
+
+export const RISK_LEVELS = { alto: 70, medio: 40, bajo: 0 };
+
+const RECENT_DAYS = 30;
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function riskLevel(score) {
+    if (score >= RISK_LEVELS.alto) return 'alto';
+    if (score >= RISK_LEVELS.medio) return 'medio';
+    return 'bajo';
+}
+
+/**
+ * Puntaje de riesgo de cada clienta con actividad
+ */
+export async function getChurnScores() {
+    const db = getDataSource();
+    const now = dayjs();
+
+    const [bookings, creditBatches] = await Promise.all([
+        db.listBookings({ statuses: ACTIVITY_BOOKING_STATUSES }),
+        db.listCreditBatches()
+    ]);
+
+    // Fechas de actividad, reservas y créditos por usuario
+    const clients = new Map();
+    const getClient = userId => {
+        if (!clients.has(userId)) {
+            clients.set(userId, { user_id: userId, dates: new Set(), bookings: [], credits_remaining: 0, last_purchase: null });
+        }
+        return clients.get(userId);
+    };
+
+    bookings?.forEach(b => {
+        const client = getClient(b.user_id);
+        const date = dayjs(bookingActivityDate(b)).format('YYYY-MM-DD');
+        client.dates.add(date);
+        client.bookings.push(date);
+    });
+
+    creditBatches?.forEach(batch => {
+        const client = getClient(batch.user_id);
+        client.dates.add(dayjs(purchaseActivityDate(batch)).format('YYYY-MM-DD'));
+        client.credits_remaining += batch.credits_remaining || 0;
+        client.last_purchase = batch.created_at;
+    });
+
+    // Intervalo de cada clienta (días entre actividades consecutivas)
+    const scored = [...clients.values()].map(client => {
+        const dates = [...client.dates].sort();
+        const gaps = [];
+        for (let i = 1; i < dates.length; i++) {
+            gaps.push(dayjs(dates[i]).diff(dayjs(dates[i - 1]), 'day'));
+        }
+        return {
+            ...client,
+            first_activity: dates[0],
+            last_activity: dates[dates.length - 1],
+            typical_gap: median(gaps)
+        };
+    });
+
+    // Clientas con una sola visita usan el intervalo típico del estudio
+    const studioGap = median(scored.map(c => c.typical_gap).filter(g => g !== null)) || 7;
+
+    return scored.map(client => {
+        const typicalGap = Math.max(client.typical_gap ?? studioGap, 1);
+        const daysSinceLast = now.diff(dayjs(client.last_activity), 'day');
+        const overdueRatio = daysSinceLast / typicalGap;
+        const reasons = [];
+
+        // 1. Atraso respecto a su propio ritmo
+        const cadencePoints = Math.min(Math.max((overdueRatio - 1) / 2, 0), 1) * 60;
+        if (overdueRatio > 1.5) {
+            reasons.push(`${daysSinceLast} días sin venir (suele venir cada ${Math.round(typicalGap)})`);
+        }
+
+        // 2. Desaceleración en el uso de créditos
+        const tenureWeeks = Math.max(now.diff(dayjs(client.first_activity), 'day') / 7, 1);
+        const historicalPerWeek = client.bookings.length / tenureWeeks;
+        const recentStart = now.subtract(RECENT_DAYS, 'day');
+        const recentPerWeek = client.bookings.filter(d => dayjs(d).isAfter(recentStart)).length / (RECENT_DAYS / 7);
+        const slowdown = historicalPerWeek > 0 ? Math.min(Math.max(1 - recentPerWeek / historicalPerWeek, 0), 1) : 0;
+        const slowdownPoints = slowdown * 25;
+        if (slowdown >= 0.5 && tenureWeeks > RECENT_DAYS / 7) {
+            reasons.push(`Reserva ${Math.round(slowdown * 100)}% menos que su promedio`);
+        }
+
+        // 3. Sin créditos para seguir reservando
+        const creditPoints = client.credits_remaining === 0 ? 15 : 0;
+        if (creditPoints > 0) reasons.push('Sin créditos disponibles');
+
+        const score = Math.round(cadencePoints + slowdownPoints + creditPoints);
+
+        return {
+            user_id: client.user_id,
+            last_activity: client.last_activity,
+            days_since_last_activity: daysSinceLast,
+            typical_gap_days: Math.round(typicalGap * 10) / 10,
+            overdue_ratio: Math.round(overdueRatio * 10) / 10,
+            bookings_per_week: Math.round(historicalPerWeek * 10) / 10,
+            recent_bookings_per_week: Math.round(recentPerWeek * 10) / 10,
+            credits_remaining: client.credits_remaining,
+            risk_score: score,
+            risk_level: riskLevel(score),
+            reasons
+        };
+    });
+}
+
+/**
+ * CLIENTAS EN RIESGO - antes de que pasen a estar dormidas
+ * @param {number} dormantDays - Corte de "dormida"; quienes ya lo pasaron se excluyen
+ * @param {string} minLevel - Nivel mínimo a incluir ('alto' | 'medio' | 'bajo')
+ */
+export async function getChurnRisk(dormantDays = 30, minLevel = 'medio') {
+    const scores = await getChurnScores();
+    const threshold = RISK_LEVELS[minLevel] ?? RISK_LEVELS.medio;
+
+    const notDormant = scores.filter(c => c.days_since_last_activity < dormantDays);
+
+    const byLevel = { alto: 0, medio: 0, bajo: 0 };
+    notDormant.forEach(c => byLevel[c.risk_level]++);
+
+    const atRisk = notDormant
+        .filter(c => c.risk_score >= threshold)
+        .sort((a, b) => b.risk_score - a.risk_score)
+        .map(c => {
+            const profile = getProfile(c.user_id);
+            return {
+                ...c,
+                full_name: formatUserName(c.user_id, profile),
+                phone: formatPhone(profile)
+            };
+        });
+
+    return {
+        dormant_days: dormantDays,
+        min_level: minLevel,
+        total_active: notDormant.length,
+        by_level: byLevel,
+        total: atRisk.length,
+        clients: atRisk
+    };
+}
+
+export default {
+    getChurnScores,
+    getChurnRisk
+};
@@ -0,0 +1,271 @@
+/**
+ * Coach Performance Module
+ * Desempeño de cada coach a partir de la tabla `coaches`
+ *
+ * Cada reservación se asigna a un coach por:
+ * 1. Su sesión (ver sessions.js) → sessions.coach_id
+ * 2. bookings.coach_name comparado con coaches.name (sin acentos ni mayúsculas)
+ *
+ * Una clase es una sesión en una fecha concreta; su capacidad es sessions.max_spots.
+ * Las clases de cada coach salen del horario (cada sesión con coach_id, en cada fecha de
+ * la ventana), así que una clase sin reservaciones cuenta con 0 asistentes
+ */
+
+import { getDataSource } from '../datasources/index.js';
+import { getProfile, formatUserName, formatPhone } from './analytics.js';
+import { createSessionMatcher, dayKey, dayNameOf } from './sessions.js';
+import dayjs from 'dayjs';
+
+const DEFAULT_CAPACITY = 14;
+const MONTH_LABELS = ['Ene', 'Feb', 'Mar', 'Abr', 'May', 'Jun', 'Jul', 'Ago', 'Sep', 'Oct', 'Nov', 'Dic'];
+
+const normalizeName = name => (name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .toLowerCase();
+
+const pct = (part, total) => total > 0 ? Math.round((part / total) * 1000) / 10 : 0;
+
+/**
+ * Resolver la sesión y el coach de una reservación (ver orden en el encabezado)
+ */
+export function createCoachResolver(coaches = [], sessions = []) {
+    const coachById = new Map(coaches.map(c => [c.id, c]));
+    const coachByName = new Map(coaches.map(c => [normalizeName(c.name), c]));
+    const matchSession = createSessionMatcher(sessions);
+
+    return booking => {
+        const session = matchSession(booking);
+        const coach = coachById.get(session?.coach_id) || coachByName.get(normalizeName(booking.coach_name));
+        return { session, coach };
+    };
+}
+
+/**
+ * Clases (horario × fechas) y reservaciones de la ventana agrupadas por coach
+ */
+async function collectCoachStats(monthsBack) {
+    const db = getDataSource();
+    const now = dayjs();
+    const windowStart = now.subtract(monthsBack - 1, 'month').startOf('month');
+
+    const [coaches, sessions, bookings] = await Promise.all([
+        db.listCoaches(),
+        db.listSessions(),
+        db.listBookings({ statuses: ['active', 'completed'] })
+    ]);
+
+    const resolve = createCoachResolver(coaches, sessions);
+
+    // Última actividad de cada clienta con cualquier coach
+    const lastActivity = new Map();
+    bookings.forEach(b => {
+        const date = dayjs(b.session_date || b.created_at);
+        const current = lastActivity.get(b.user_id);
+        if (!current || date.isAfter(current)) lastActivity.set(b.user_id, date);
+    });
+
+    const stats = new Map();
+    const getStats = coach => {
+        const key = coach?.id ?? 'unassigned';
+        if (!stats.has(key)) {
+            stats.set(key, {
+                coach_id: coach?.id ?? null,
+                name: coach?.name || 'Sin asignar',
+                active: coach ? coach.active !== false : false,
+                classes: new Map(),
+                clients: new Map(),
+                months: new Map()
+            });
+        }
+        return stats.get(key);
+    };
+
+    const addClass = (coachStats, date, time, session) => {
+        const classKey = `${date.format('YYYY-MM-DD')}-${time}`;
+        if (!coachStats.classes.has(classKey)) {
+            coachStats.classes.set(classKey, {
+                date: date.format('YYYY-MM-DD'),
+                month: date.format('YYYY-MM'),
+                slot: `${dayNameOf(date)} ${time}`,
+                class_name: session?.class_name || 'Clase',
+                capacity: session?.max_spots || DEFAULT_CAPACITY,
+                attendees: 0
+            });
+        }
+        return coachStats.classes.get(classKey);
+    };
+
+    // Los coaches sin clases en la ventana también aparecen
+    coaches.forEach(c => getStats(c));
+
+    // Cada sesión con coach es una clase en cada fecha de su día, aunque nadie reserve
+    const coachById = new Map(coaches.map(c => [c.id, c]));
+    const scheduled = sessions.filter(s => coachById.has(s.coach_id));
+    for (let date = windowStart; !date.isAfter(now, 'day'); date = date.add(1, 'day')) {
+        const day = dayKey(dayNameOf(date));
+        scheduled
+            .filter(s => dayKey(s.day_name) === day)
+            .forEach(s => addClass(getStats(coachById.get(s.coach_id)), date, s.time?.substring(0, 5), s));
+    }
+
+    let unmatched = 0;
+
+    bookings.forEach(b => {
+        const date = dayjs(b.session_date);
+        if (date.isBefore(windowStart) || date.isAfter(now, 'day')) return;
+
+        const { session, coach } = resolve(b);
+        if (!coach) unmatched++;
+
+        // La hora de la sesión, para sumar a la misma clase que armó el horario
+        const time = (session?.time || b.session_time)?.substring(0, 5);
+        const coachStats = getStats(coach);
+        addClass(coachStats, date, time, session).attendees += b.total_attendees || 1;
+        coachStats.clients.set(b.user_id, (coachStats.clients.get(b.user_id) || 0) + 1);
+
+        const monthKey = date.format('YYYY-MM');
+        if (!coachStats.months.has(monthKey)) coachStats.months.set(monthKey, new Set());
+        coachStats.months.get(monthKey).add(b.user_id);
+    });
+
+    return { now, windowStart, stats, lastActivity, unmatched };
+}
+
+/**
+ * Resumen de un coach a partir de sus clases y clientas
+ */
+function summarizeCoach(coachStats, { now, windowStart, lastActivity }, monthsBack, dormantDays) {
+    const classes = [...coachStats.classes.values()];
+    const clients = [...coachStats.clients.entries()];
+    const totalAttendees = classes.reduce((sum, c) => sum + c.attendees, 0);
+    const occupancy = cls => Math.min(cls.attendees / cls.capacity, 1);
+
+    const repeatClients = clients.filter(([, count]) => count >= 2).length;
+    const dormantClients = clients
+        .filter(([userId]) => now.diff(lastActivity.get(userId), 'day') >= dormantDays)
+        .map(([userId]) => userId);
+
+    const trend = [];
+    for (let i = 0; i < monthsBack; i++) {
+        const month = windowStart.add(i, 'month');
+        const key = month.format('YYYY-MM');
+        const monthClasses = classes.filter(c => c.month === key);
+        trend.push({
+            month: key,
+            label: `${MONTH_LABELS[month.month()]} ${month.format('YY')}`,
+            classes: monthClasses.length,
+            attendees: monthClasses.reduce((sum, c) => sum + c.attendees, 0),
+            avg_occupancy: monthClasses.length > 0 ?
+                pct(monthClasses.reduce((sum, c) => sum + occupancy(c), 0), monthClasses.length) : 0,
+            unique_clients: coachStats.months.get(key)?.size || 0
+        });
+    }
+
+    return {
+        coach_id: coachStats.coach_id,
+        name: coachStats.name,
+        active: coachStats.active,
+        classes_taught: classes.length,
+        total_attendees: totalAttendees,
+        avg_attendance: classes.length > 0 ? Math.round((totalAttendees / classes.length) * 10) / 10 : 0,
+        avg_occupancy: classes.length > 0 ?
+            pct(classes.reduce((sum, c) => sum + occupancy(c), 0), classes.length) : 0,
+        unique_clients: clients.length,
+        repeat_clients: repeatClients,
+        repeat_client_rate: pct(repeatClients, clients.length),
+        dormant_clients: dormantClients.length,
+        dormant_rate: pct(dormantClients.length, clients.length),
+        trend,
+        _classes: classes,
+        _clients: clients,
+        _dormant: dormantClients
+    };
+}
+
+const stripInternal = ({ _classes, _clients, _dormant, ...summary }) => summary;
+
+/**
+ * DESEMPEÑO DE COACHES
+ * @param {number} monthsBack - Meses analizados (incluye el actual)
+ * @param {number} dormantDays - Días sin reservar para considerar inactiva a una clienta
+ */
+export async function getCoachPerformance(monthsBack = 6, dormantDays = 30) {
+    const context = await collectCoachStats(monthsBack);
+
+    const coaches = [...context.stats.values()]
+        .map(s => stripInternal(summarizeCoach(s, context, monthsBack, dormantDays)))
+        .filter(c => c.coach_id !== null || c.classes_taught > 0)
+        .sort((a, b) => b.classes_taught - a.classes_taught);
+
+    return {
+        months_back: monthsBack,
+        dormant_days: dormantDays,
+        from: context.windowStart.format('YYYY-MM-DD'),
+        unmatched_bookings: context.unmatched,
+        coaches
+    };
+}
+
+/**
+ * DETALLE DE UN COACH
+ * Horarios que imparte, clientas frecuentes y clientas que dejaron de venir
+ */
+export async function getCoachDetail(coachId, monthsBack = 6, dormantDays = 30) {
+    const context = await collectCoachStats(monthsBack);
+    const coachStats = [...context.stats.values()].find(s => String(s.coach_id) === String(coachId));
+    if (!coachStats) return null;
+
+    const summary = summarizeCoach(coachStats, context, monthsBack, dormantDays);
+
+    const slots = {};
+    summary._classes.forEach(cls => {
+        const key = `${cls.slot}-${cls.class_name}`;
+        if (!slots[key]) {
+            slots[key] = { slot: cls.slot, class_name: cls.class_name, capacity: cls.capacity, classes: 0, attendees: 0, occupancy: 0 };
+        }
+        slots[key].classes++;
+        slots[key].attendees += cls.attendees;
+        slots[key].occupancy += Math.min(cls.attendees / cls.capacity, 1);
+    });
+
+    const describeClient = userId => {
+        const profile = getProfile(userId);
+        return {
+            user_id: userId,
+            full_name: formatUserName(userId, profile),
+            phone: formatPhone(profile)
+        };
+    };
+
+    return {
+        ...stripInternal(summary),
+        months_back: monthsBack,
+        dormant_days: dormantDays,
+        slots: Object.values(slots)
+            .map(s => ({
+                ...s,
+                avg_attendance: Math.round((s.attendees / s.classes) * 10) / 10,
+                occupancy: pct(s.occupancy, s.classes)
+            }))
+            .sort((a, b) => b.occupancy - a.occupancy),
+        top_clients: summary._clients
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 10)
+            .map(([userId, bookings]) => ({ ...describeClient(userId), bookings })),
+        dormant_client_list: summary._dormant
+            .map(userId => ({
+                ...describeClient(userId),
+                bookings: coachStats.clients.get(userId),
+                days_inactive: context.now.diff(context.lastActivity.get(userId), 'day')
+            }))
+            .sort((a, b) => b.bookings - a.bookings)
+    };
+}
+
+export default {
+    createCoachResolver,
+    getCoachPerformance,
+    getCoachDetail
+};
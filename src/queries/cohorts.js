@@ -0,0 +1,109 @@
+/**
+ * Cohort Analysis Module
+ * Retención mensual por cohorte de primera compra
+ *
+ * Cada clienta pertenece a la cohorte del mes de su primer credit_batch.
+ * Para cada mes posterior se mide qué porcentaje de la cohorte siguió
+ * reservando o comprando.
+ */
+
+import { getDataSource } from '../datasources/index.js';
+import dayjs from 'dayjs';
+
+const MONTH_LABELS = ['Ene', 'Feb', 'Mar', 'Abr', 'May', 'Jun', 'Jul', 'Ago', 'Sep', 'Oct', 'Nov', 'Dic'];
+
+/**
+ * MATRIZ DE RETENCIÓN POR COHORTE
+ * @param {number} monthsBack - Número de cohortes (meses) a incluir, contando el actual
+ */
+export async function getCohortRetention(monthsBack = 12) {
+    const db = getDataSource();
+    const now = dayjs();
+    const firstCohort = now.startOf('month').subtract(monthsBack - 1, 'month');
+
+    const [creditBatches, bookings] = await Promise.all([
+        db.listCreditBatches(),
+        db.listBookings({ statuses: ['active', 'completed'], from: firstCohort.format('YYYY-MM-DD') })
+    ]);
+
+    // Primera compra por usuario (credit_batches viene ordenado por created_at)
+    const firstPurchase = new Map();
+    creditBatches?.forEach(batch => {
+        if (!firstPurchase.has(batch.user_id)) {
+            firstPurchase.set(batch.user_id, dayjs(batch.created_at).startOf('month'));
+        }
+    });
+
+    // Meses con actividad (reserva o compra) por usuario
+    const activeMonths = new Map();
+    const markActive = (userId, date) => {
+        if (!date) return;
+        if (!activeMonths.has(userId)) activeMonths.set(userId, new Set());
+        activeMonths.get(userId).add(dayjs(date).format('YYYY-MM'));
+    };
+
+    creditBatches?.forEach(batch => markActive(batch.user_id, batch.created_at));
+    bookings?.forEach(b => markActive(b.user_id, b.session_date || b.created_at));
+
+    // Agrupar clientas por cohorte
+    const cohortMembers = new Map();
+    firstPurchase.forEach((month, userId) => {
+        if (month.isBefore(firstCohort)) return;
+        const key = month.format('YYYY-MM');
+        if (!cohortMembers.has(key)) cohortMembers.set(key, []);
+        cohortMembers.get(key).push(userId);
+    });
+
+    const cohorts = [];
+    for (let i = 0; i < monthsBack; i++) {
+        const cohortMonth = firstCohort.add(i, 'month');
+        const key = cohortMonth.format('YYYY-MM');
+        const members = cohortMembers.get(key) || [];
+        const observableMonths = now.startOf('month').diff(cohortMonth, 'month');
+
+        const retention = [];
+        for (let offset = 0; offset <= observableMonths; offset++) {
+            const monthKey = cohortMonth.add(offset, 'month').format('YYYY-MM');
+            const active = members.filter(userId => activeMonths.get(userId)?.has(monthKey)).length;
+            retention.push({
+                offset,
+                active,
+                rate: members.length > 0 ? Math.round((active / members.length) * 1000) / 10 : null
+            });
+        }
+
+        cohorts.push({
+            cohort: key,
+            label: `${MONTH_LABELS[cohortMonth.month()]} ${cohortMonth.year()}`,
+            size: members.length,
+            retention
+        });
+    }
+
+    // Promedio ponderado por tamaño de cohorte para cada mes posterior
+    const average = [];
+    for (let offset = 0; offset < monthsBack; offset++) {
+        let active = 0;
+        let size = 0;
+        cohorts.forEach(c => {
+            const cell = c.retention[offset];
+            if (cell && c.size > 0) {
+                active += cell.active;
+                size += c.size;
+            }
+        });
+        if (size === 0) continue;
+        average.push({ offset, rate: Math.round((active / size) * 1000) / 10 });
+    }
+
+    return {
+        months_back: monthsBack,
+        total_clients: cohorts.reduce((sum, c) => sum + c.size, 0),
+        cohorts,
+        average
+    };
+}
+
+export default {
+    getCohortRetention
+};
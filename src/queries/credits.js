@@ -0,0 +1,160 @@
+/**
+ * Credit Expiration Module
+ * Créditos vencidos sin usar (breakage) y créditos próximos a vencer
+ *
+ * Fecha de vencimiento de cada credit_batch, en orden de prioridad:
+ * 1. credit_batches.expires_at
+ * 2. packages.validity_days
+ * 3. CREDIT_VALIDITY_DAYS (por id o nombre de paquete) / CREDIT_VALIDITY_DEFAULT_DAYS
+ */
+
+import { getDataSource } from '../datasources/index.js';
+import { creditsConfig } from '../config/credits.js';
+import { getProfile, formatUserName, formatPhone } from './analytics.js';
+import { loadRevenueResolver } from './revenue.js';
+import dayjs from 'dayjs';
+
+export const EXPIRING_WINDOWS = [7, 14, 30];
+
+/**
+ * Fecha de vencimiento y origen del dato para un lote
+ * expires_at del lote > CREDIT_VALIDITY_DAYS del paquete > validity_days del paquete > default
+ */
+export function getBatchExpiry(batch, pkg, config = creditsConfig) {
+    if (batch.expires_at) {
+        return { expires_at: dayjs(batch.expires_at), expiry_source: 'batch' };
+    }
+
+    // La configuración por paquete gana a validity_days, para cambiar la vigencia de una promoción
+    const configured = config.validityByPackage[batch.package_id] ?? config.validityByPackage[pkg?.title];
+    const fromPackage = configured === undefined && pkg?.validity_days != null;
+    const validityDays = configured ?? (fromPackage ? pkg.validity_days : config.defaultValidityDays);
+
+    return {
+        expires_at: dayjs(batch.created_at).add(validityDays, 'day'),
+        expiry_source: fromPackage ? 'package' : 'config'
+    };
+}
+
+/**
+ * ANÁLISIS DE VENCIMIENTO DE CRÉDITOS
+ * @param {number} contactDays - Ventana (días) para la lista de contacto de recordatorios
+ */
+export async function getCreditExpiration(contactDays = 14) {
+    const db = getDataSource();
+    const now = dayjs();
+
+    const [creditBatches, revenue] = await Promise.all([
+        db.listCreditBatches(),
+        loadRevenueResolver()
+    ]);
+
+    const packageMap = revenue.packageMap;
+
+    const breakage = { batches: 0, credits_total: 0, credits_expired: 0, value_expired: 0 };
+    const byPackage = {};
+    const expiring = {};
+    EXPIRING_WINDOWS.forEach(days => {
+        expiring[`${days}_days`] = { credits: 0, batches: 0, clients: new Set() };
+    });
+    const contacts = new Map();
+    const sources = { batch: 0, package: 0, config: 0 };
+
+    creditBatches?.forEach(batch => {
+        const pkg = packageMap.get(batch.package_id);
+        const packageName = pkg?.title || 'Paquete Desconocido';
+        const { expires_at, expiry_source } = getBatchExpiry(batch, pkg);
+        const remaining = batch.credits_remaining || 0;
+        const total = batch.credits_total || 0;
+        const paid = revenue.resolve(batch).amount;
+        sources[expiry_source]++;
+
+        if (expires_at.isBefore(now)) {
+            // Lote vencido: lo que quedó sin usar es breakage
+            const value = total > 0 ? (remaining / total) * paid : 0;
+
+            breakage.batches++;
+            breakage.credits_total += total;
+            breakage.credits_expired += remaining;
+            breakage.value_expired += value;
+
+            if (!byPackage[packageName]) {
+                byPackage[packageName] = { name: packageName, batches: 0, credits_total: 0, credits_expired: 0, value_expired: 0 };
+            }
+            byPackage[packageName].batches++;
+            byPackage[packageName].credits_total += total;
+            byPackage[packageName].credits_expired += remaining;
+            byPackage[packageName].value_expired += value;
+            return;
+        }
+
+        if (remaining === 0) return;
+
+        // Lote vigente con créditos: ¿vence pronto?
+        const daysLeft = expires_at.diff(now, 'day');
+        EXPIRING_WINDOWS.forEach(days => {
+            if (daysLeft <= days) {
+                const bucket = expiring[`${days}_days`];
+                bucket.credits += remaining;
+                bucket.batches++;
+                bucket.clients.add(batch.user_id);
+            }
+        });
+
+        if (daysLeft <= contactDays) {
+            const current = contacts.get(batch.user_id) || {
+                user_id: batch.user_id,
+                credits_expiring: 0,
+                next_expiry: expires_at,
+                packages: []
+            };
+            current.credits_expiring += remaining;
+            if (expires_at.isBefore(current.next_expiry)) current.next_expiry = expires_at;
+            current.packages.push(packageName);
+            contacts.set(batch.user_id, current);
+        }
+    });
+
+    const rate = (expired, total) => total > 0 ? Math.round((expired / total) * 1000) / 10 : 0;
+
+    return {
+        contact_days: contactDays,
+        expiry_sources: sources,
+        breakage: {
+            ...breakage,
+            value_expired: Math.round(breakage.value_expired),
+            breakage_rate: rate(breakage.credits_expired, breakage.credits_total)
+        },
+        by_package: Object.values(byPackage)
+            .map(p => ({
+                ...p,
+                value_expired: Math.round(p.value_expired),
+                breakage_rate: rate(p.credits_expired, p.credits_total)
+            }))
+            .sort((a, b) => b.breakage_rate - a.breakage_rate),
+        expiring: Object.fromEntries(Object.entries(expiring).map(([key, bucket]) => [key, {
+            credits: bucket.credits,
+            batches: bucket.batches,
+            clients: bucket.clients.size
+        }])),
+        contacts: [...contacts.values()]
+            .map(c => {
+                const profile = getProfile(c.user_id);
+                return {
+                    user_id: c.user_id,
+                    full_name: formatUserName(c.user_id, profile),
+                    phone: formatPhone(profile),
+                    credits_expiring: c.credits_expiring,
+                    expires_at: c.next_expiry.toISOString(),
+                    days_left: c.next_expiry.diff(now, 'day'),
+                    packages: [...new Set(c.packages)]
+                };
+            })
+            .sort((a, b) => a.days_left - b.days_left)
+    };
+}
+
+export default {
+    getBatchExpiry,
+    getCreditExpiration
+};
@@ -0,0 +1,183 @@
+/**
+ * Forecast Module
+ * Proyección mensual de ingresos, paquetes vendidos y reservaciones
+ *
+ * Modelo (por serie):
+ * 1. Historia mensual de meses completos (el mes en curso no se usa para ajustar)
+ * 2. Estacionalidad: índice por mes del año (valor / tendencia), solo con al menos dos
+ *    años de historia; el índice se acerca a 1 según cuántas veces se ha observado ese mes
+ * 3. Tendencia: regresión lineal sobre los últimos TREND_MONTHS meses desestacionalizados
+ * 4. Banda de confianza: intervalo de predicción de la regresión (80% por defecto)
+ */
+
+import { getDataSource } from '../datasources/index.js';
+import { loadRevenueResolver } from './revenue.js';
+import dayjs from 'dayjs';
+
+const MAX_HISTORY_MONTHS = 36;
+const TREND_MONTHS = 12;
+const MIN_SEASONAL_MONTHS = 24;
+const MONTH_LABELS = ['Ene', 'Feb', 'Mar', 'Abr', 'May', 'Jun', 'Jul', 'Ago', 'Sep', 'Oct', 'Nov', 'Dic'];
+export const MAX_FORECAST_MONTHS = 3;
+export const Z_SCORES = { 0.8: 1.2816, 0.9: 1.6449, 0.95: 1.96 };
+const SERIES = ['revenue', 'packages', 'bookings'];
+
+/**
+ * Regresión lineal simple y = a + b·x
+ */
+function linearFit(values) {
+    const n = values.length;
+    const xs = values.map((_, i) => i);
+    const meanX = xs.reduce((s, x) => s + x, 0) / n;
+    const meanY = values.reduce((s, y) => s + y, 0) / n;
+    const sxx = xs.reduce((s, x) => s + (x - meanX) ** 2, 0);
+    const slope = sxx > 0 ? xs.reduce((s, x, i) => s + (x - meanX) * (values[i] - meanY), 0) / sxx : 0;
+    const intercept = meanY - slope * meanX;
+
+    const residuals = values.map((y, i) => y - (intercept + slope * i));
+    const sd = n > 2 ? Math.sqrt(residuals.reduce((s, r) => s + r ** 2, 0) / (n - 2)) : 0;
+
+    return { intercept, slope, sd, n, meanX, sxx };
+}
+
+/**
+ * Índices estacionales por mes del año (0-11), normalizados a promedio 1
+ */
+function seasonalIndices(history, key) {
+    const indices = new Array(12).fill(1);
+    if (history.length < MIN_SEASONAL_MONTHS) return indices;
+
+    const fit = linearFit(history.map(m => m[key]));
+    const ratios = Array.from({ length: 12 }, () => []);
+    history.forEach((m, i) => {
+        const trend = fit.intercept + fit.slope * i;
+        if (trend > 0) ratios[m.date.month()].push(m[key] / trend);
+    });
+
+    ratios.forEach((values, month) => {
+        if (values.length === 0) return;
+        const raw = values.reduce((s, r) => s + r, 0) / values.length;
+        // Dos años observados pesan dos tercios, tres años tres cuartos, etc.
+        const weight = values.length / (values.length + 1);
+        indices[month] = 1 + (raw - 1) * weight;
+    });
+
+    const mean = indices.reduce((s, v) => s + v, 0) / 12;
+    return indices.map(v => v / mean);
+}
+
+/**
+ * Proyección de una serie para los meses indicados
+ */
+function forecastSeries(history, key, futureDates, z) {
+    const seasons = seasonalIndices(history, key);
+    const recent = history.slice(-TREND_MONTHS);
+    const deseasonalized = recent.map(m => m[key] / seasons[m.date.month()]);
+    const fit = linearFit(deseasonalized);
+
+    return futureDates.map((date, h) => {
+        const x = fit.n + h;
+        const season = seasons[date.month()];
+        const value = Math.max((fit.intercept + fit.slope * x) * season, 0);
+        const spread = fit.sxx > 0 ?
+            z * fit.sd * Math.sqrt(1 + 1 / fit.n + ((x - fit.meanX) ** 2) / fit.sxx) * season : 0;
+
+        return {
+            value: Math.round(value),
+            lower: Math.round(Math.max(value - spread, 0)),
+            upper: Math.round(value + spread)
+        };
+    });
+}
+
+/**
+ * PRONÓSTICO DE INGRESOS, PAQUETES Y RESERVACIONES
+ * @param {number} months - Meses a proyectar (1-3), empezando por el mes en curso
+ * @param {number} confidence - Nivel de la banda (0.8, 0.9 o 0.95)
+ */
+export async function getForecast(months = 3, confidence = 0.8) {
+    const db = getDataSource();
+    const horizon = Math.min(Math.max(parseInt(months, 10) || MAX_FORECAST_MONTHS, 1), MAX_FORECAST_MONTHS);
+    const z = Z_SCORES[confidence] || Z_SCORES[0.8];
+    const currentMonth = dayjs().startOf('month');
+    const historyStart = currentMonth.subtract(MAX_HISTORY_MONTHS, 'month');
+
+    const [creditBatches, bookings] = await Promise.all([
+        db.listCreditBatches({ from: historyStart.format('YYYY-MM-DD') }),
+        db.listBookings({ statuses: ['active', 'completed'], from: historyStart.format('YYYY-MM-DD') })
+    ]);
+    const revenue = await loadRevenueResolver({ from: historyStart.format('YYYY-MM-DD'), batches: creditBatches });
+
+    // Totales por mes (YYYY-MM), incluido el mes en curso
+    const totals = new Map();
+    const bucket = date => {
+        const key = dayjs(date).format('YYYY-MM');
+        if (!totals.has(key)) totals.set(key, { revenue: 0, packages: 0, bookings: 0 });
+        return totals.get(key);
+    };
+
+    creditBatches.forEach(batch => {
+        const month = bucket(batch.created_at);
+        month.revenue += revenue.resolve(batch).amount;
+        month.packages++;
+    });
+    bookings.forEach(b => {
+        bucket(b.session_date).bookings += b.total_attendees || 1;
+    });
+
+    // Historia continua desde el primer mes con datos hasta el último mes completo
+    const firstKey = [...totals.keys()].sort()[0];
+    const history = [];
+    if (firstKey) {
+        for (let date = dayjs(`${firstKey}-01`); date.isBefore(currentMonth); date = date.add(1, 'month')) {
+            const key = date.format('YYYY-MM');
+            history.push({ date, month: key, ...(totals.get(key) || { revenue: 0, packages: 0, bookings: 0 }) });
+        }
+    }
+
+    const futureDates = Array.from({ length: horizon }, (_, i) => currentMonth.add(i, 'month'));
+    const label = date => `${MONTH_LABELS[date.month()]} ${date.format('YY')}`;
+
+    if (history.length < 3) {
+        return {
+            horizon,
+            confidence,
+            method: 'insufficient_history',
+            history_months: history.length,
+            history: [],
+            forecast: []
+        };
+    }
+
+    const projections = Object.fromEntries(SERIES.map(key => [key, forecastSeries(history, key, futureDates, z)]));
+    const currentTotals = totals.get(currentMonth.format('YYYY-MM')) || { revenue: 0, packages: 0, bookings: 0 };
+
+    return {
+        horizon,
+        confidence,
+        method: history.length >= MIN_SEASONAL_MONTHS ? 'trend_seasonal' : 'trend',
+        history_months: history.length,
+        history: history.slice(-TREND_MONTHS).map(({ date, ...m }) => ({
+            ...m,
+            revenue: Math.round(m.revenue),
+            label: label(date)
+        })),
+        forecast: futureDates.map((date, i) => ({
+            month: date.format('YYYY-MM'),
+            label: label(date),
+            revenue: projections.revenue[i],
+            packages: projections.packages[i],
+            bookings: projections.bookings[i],
+            // El mes en curso ya tiene ventas/reservas registradas
+            actual_to_date: i === 0 ? {
+                revenue: Math.round(currentTotals.revenue),
+                packages: currentTotals.packages,
+                bookings: currentTotals.bookings
+            } : null
+        }))
+    };
+}
+
+export default {
+    getForecast
+};
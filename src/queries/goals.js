@@ -0,0 +1,219 @@
+/**
+ * Goals Module
+ * Metas mensuales (ingresos, paquetes, clientas nuevas y ocupación) y su avance
+ *
+ * Las metas se guardan localmente en DATA_DIR/goals.json, una por mes (YYYY-MM).
+ * Avance del mes:
+ * - Ritmo (pace): real vs. lo esperado a la fecha si la meta se repartiera parejo en el mes
+ * - Cierre proyectado: real / fracción del mes transcurrida (la ocupación es un promedio
+ *   y se proyecta tal cual)
+ */
+
+import { getDataSource } from '../datasources/index.js';
+import { JsonStore } from '../storage/json-store.js';
+import { loadRevenueResolver } from './revenue.js';
+import { getWeeklySchedule } from './analytics.js';
+import dayjs from 'dayjs';
+
+export const GOAL_METRICS = {
+    revenue: { label: 'Ingresos', type: 'sum' },
+    packages: { label: 'Paquetes Vendidos', type: 'sum' },
+    new_clients: { label: 'Clientas Nuevas', type: 'sum' },
+    occupancy: { label: 'Ocupación (%)', type: 'rate' }
+};
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const store = new JsonStore('goals', { goals: {} });
+
+/**
+ * Validar metas recibidas por la API; devuelve la lista de errores
+ * @param {boolean} partial - true en actualizaciones (no exige ninguna métrica)
+ */
+export function validateGoalInput(input = {}, { partial = false } = {}) {
+    const errors = [];
+
+    if (!partial && !MONTH_PATTERN.test(input.month || '')) {
+        errors.push('month must have the format YYYY-MM');
+    }
+
+    const metrics = Object.keys(GOAL_METRICS).filter(key => input[key] !== undefined && input[key] !== null);
+    if (!partial && metrics.length === 0) {
+        errors.push(`at least one target is required: ${Object.keys(GOAL_METRICS).join(', ')}`);
+    }
+
+    metrics.forEach(key => {
+        const value = input[key];
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+            errors.push(`${key} must be a non-negative number`);
+        } else if (key === 'occupancy' && value > 100) {
+            errors.push('occupancy must be a percentage between 0 and 100');
+        }
+    });
+
+    return errors;
+}
+
+const pickTargets = input => Object.fromEntries(
+    Object.keys(GOAL_METRICS)
+        .filter(key => input[key] !== undefined)
+        .map(key => [key, input[key]])
+);
+
+export function listGoals() {
+    return Object.values(store.read().goals).sort((a, b) => b.month.localeCompare(a.month));
+}
+
+export function getGoal(month) {
+    return store.read().goals[month] || null;
+}
+
+/**
+ * Crear las metas de un mes; null si ya existen
+ */
+export function createGoal(input) {
+    return store.update(data => {
+        if (data.goals[input.month]) return null;
+        const now = new Date().toISOString();
+        data.goals[input.month] = { month: input.month, ...pickTargets(input), created_at: now, updated_at: now };
+        return data.goals[input.month];
+    });
+}
+
+/**
+ * Actualizar (parcialmente) las metas de un mes; null si no existen.
+ * Enviar una métrica en null la elimina
+ */
+export function updateGoal(month, input) {
+    return store.update(data => {
+        const goal = data.goals[month];
+        if (!goal) return null;
+        Object.assign(goal, pickTargets(input), { updated_at: new Date().toISOString() });
+        Object.keys(GOAL_METRICS).forEach(key => {
+            if (goal[key] === null) delete goal[key];
+        });
+        return goal;
+    });
+}
+
+export function deleteGoal(month) {
+    return store.update(data => {
+        if (!data.goals[month]) return false;
+        delete data.goals[month];
+        return true;
+    });
+}
+
+/**
+ * Valores reales de un mes
+ */
+async function getMonthActuals(monthStart) {
+    const db = getDataSource();
+    const monthEnd = monthStart.endOf('month');
+
+    const [creditBatches, schedule] = await Promise.all([
+        db.listCreditBatches(),
+        getWeeklySchedule({ startDate: monthStart.format('YYYY-MM-DD'), endDate: monthEnd.format('YYYY-MM-DD') })
+    ]);
+    const monthBatches = creditBatches.filter(batch => !dayjs(batch.created_at).isBefore(monthStart) && !dayjs(batch.created_at).isAfter(monthEnd));
+    const revenue = await loadRevenueResolver({
+        from: monthStart.format('YYYY-MM-DD'),
+        to: monthEnd.format('YYYY-MM-DD'),
+        batches: monthBatches
+    });
+
+    const actuals = { revenue: 0, packages: 0, new_clients: 0, occupancy: 0 };
+    const seen = new Set();
+
+    // credit_batches viene ordenado por created_at: el primero de cada clienta es su primera compra
+    creditBatches.forEach(batch => {
+        const date = dayjs(batch.created_at);
+        const isFirst = !seen.has(batch.user_id);
+        seen.add(batch.user_id);
+        if (date.isBefore(monthStart) || date.isAfter(monthEnd)) return;
+
+        actuals.revenue += revenue.resolve(batch).amount;
+        actuals.packages++;
+        if (isFirst) actuals.new_clients++;
+    });
+
+    // Ocupación ponderada por clase: asistentes / lugares disponibles
+    let attendees = 0;
+    let spots = 0;
+    Object.values(schedule).flat().forEach(slot => {
+        attendees += slot.total_attendees;
+        spots += slot.total_classes * slot.max_capacity;
+    });
+    actuals.occupancy = spots > 0 ? Math.round((attendees / spots) * 1000) / 10 : 0;
+    actuals.revenue = Math.round(actuals.revenue);
+
+    return actuals;
+}
+
+/**
+ * AVANCE DE METAS DE UN MES
+ * @param {string} month - YYYY-MM (por defecto el mes en curso)
+ */
+export async function getGoalProgress(month = dayjs().format('YYYY-MM')) {
+    const monthStart = dayjs(`${month}-01`);
+    const today = dayjs();
+    const daysInMonth = monthStart.daysInMonth();
+
+    let daysElapsed;
+    if (today.isBefore(monthStart, 'month')) daysElapsed = 0;
+    else if (today.isAfter(monthStart, 'month')) daysElapsed = daysInMonth;
+    else daysElapsed = today.date();
+
+    const elapsed = daysElapsed / daysInMonth;
+    const goal = getGoal(month);
+    const actuals = await getMonthActuals(monthStart);
+    const pct = (part, total) => total > 0 ? Math.round((part / total) * 1000) / 10 : null;
+
+    const metrics = Object.fromEntries(Object.entries(GOAL_METRICS).map(([key, meta]) => {
+        const target = goal?.[key] ?? null;
+        const actual = actuals[key];
+        const isRate = meta.type === 'rate';
+
+        const expected = target === null ? null : isRate ? target : Math.round(target * elapsed * 10) / 10;
+        const projected = isRate ? actual : elapsed > 0 ? Math.round(actual / elapsed) : 0;
+
+        let status = null;
+        if (target !== null) {
+            if (actual >= target && (!isRate || elapsed === 1)) status = 'achieved';
+            else if (projected >= target) status = 'on_track';
+            else status = 'behind';
+        }
+
+        return [key, {
+            label: meta.label,
+            target,
+            actual,
+            progress_pct: pct(actual, target),
+            expected_to_date: expected,
+            pace_pct: pct(actual, expected),
+            projected,
+            projected_pct: pct(projected, target),
+            status
+        }];
+    }));
+
+    return {
+        month,
+        has_goals: Boolean(goal),
+        days_in_month: daysInMonth,
+        days_elapsed: daysElapsed,
+        elapsed_pct: Math.round(elapsed * 1000) / 10,
+        metrics
+    };
+}
+
+export default {
+    GOAL_METRICS,
+    validateGoalInput,
+    listGoals,
+    getGoal,
+    createGoal,
+    updateGoal,
+    deleteGoal,
+    getGoalProgress
+};
@@ -0,0 +1,190 @@
+/**
+ * Lifetime Value Module
+ * Valor de vida (LTV) de cada clienta a partir de todo su historial de compras
+ *
+ * - LTV actual: monto pagado acumulado de todos sus credit_batches
+ * - LTV proyectado: ticket promedio × compras por mes × vida esperada (meses)
+ *   La vida esperada se estima con la permanencia promedio de las clientas
+ *   que ya se dieron de baja (sin actividad en CHURN_DAYS días)
+ */
+
+import { getDataSource } from '../datasources/index.js';
+import { getProfile, formatUserName, formatPhone } from './analytics.js';
+import { loadRevenueResolver } from './revenue.js';
+import dayjs from 'dayjs';
+
+const CHURN_DAYS = 60;
+const DEFAULT_LIFETIME_MONTHS = 12;
+const MONTH_LABELS = ['Ene', 'Feb', 'Mar', 'Abr', 'May', 'Jun', 'Jul', 'Ago', 'Sep', 'Oct', 'Nov', 'Dic'];
+
+/**
+ * LTV por clienta (sin nombres; se agregan en getLifetimeValue)
+ */
+export async function getClientLifetimeValues() {
+    const db = getDataSource();
+    const now = dayjs();
+
+    const [creditBatches, bookings, revenue] = await Promise.all([
+        db.listCreditBatches(),
+        db.listBookings({ statuses: ['active', 'completed'] }),
+        loadRevenueResolver()
+    ]);
+
+    const packageMap = revenue.packageMap;
+
+    // Última actividad (reserva) por usuario
+    const lastBooking = new Map();
+    bookings?.forEach(b => {
+        const date = b.session_date || b.created_at;
+        const current = lastBooking.get(b.user_id);
+        if (!current || dayjs(date).isAfter(current)) {
+            lastBooking.set(b.user_id, dayjs(date));
+        }
+    });
+
+    // Historial de compras por usuario (credit_batches viene ordenado por created_at)
+    const clients = new Map();
+    creditBatches?.forEach(batch => {
+        const pkg = packageMap.get(batch.package_id);
+        const amount = revenue.resolve(batch).amount;
+
+        if (!clients.has(batch.user_id)) {
+            clients.set(batch.user_id, {
+                user_id: batch.user_id,
+                first_purchase: batch.created_at,
+                last_purchase: batch.created_at,
+                first_package: pkg?.title || 'Desconocido',
+                total_purchases: 0,
+                total_revenue: 0,
+                total_credits: 0
+            });
+        }
+
+        const client = clients.get(batch.user_id);
+        client.last_purchase = batch.created_at;
+        client.total_purchases++;
+        client.total_revenue += amount;
+        client.total_credits += batch.credits_total || 0;
+    });
+
+    const result = [...clients.values()].map(client => {
+        const booking = lastBooking.get(client.user_id);
+        const lastPurchase = dayjs(client.last_purchase);
+        const lastActivity = booking && booking.isAfter(lastPurchase) ? booking : lastPurchase;
+
+        // Permanencia mínima de un mes para no inflar la frecuencia de clientas nuevas
+        const tenureMonths = Math.max(lastActivity.diff(dayjs(client.first_purchase), 'day') / 30, 1);
+
+        return {
+            ...client,
+            last_activity: lastActivity.toISOString(),
+            tenure_days: lastActivity.diff(dayjs(client.first_purchase), 'day'),
+            tenure_months: Math.round(tenureMonths * 10) / 10,
+            avg_order_value: Math.round(client.total_revenue / client.total_purchases),
+            purchase_frequency: Math.round((client.total_purchases / tenureMonths) * 100) / 100,
+            churned: now.diff(lastActivity, 'day') > CHURN_DAYS
+        };
+    });
+
+    // Vida esperada: permanencia promedio de las clientas que ya se fueron
+    const churned = result.filter(c => c.churned);
+    const expectedLifetimeMonths = churned.length > 0 ?
+        Math.max(churned.reduce((sum, c) => sum + c.tenure_months, 0) / churned.length, 1) :
+        DEFAULT_LIFETIME_MONTHS;
+
+    result.forEach(client => {
+        // Una clienta que ya se fue no suma más ingresos; una activa se proyecta
+        // al menos hasta su permanencia actual
+        const projected = client.avg_order_value * client.purchase_frequency *
+            Math.max(expectedLifetimeMonths, client.tenure_months);
+        client.projected_ltv = client.churned ?
+            client.total_revenue :
+            Math.round(Math.max(client.total_revenue, projected));
+    });
+
+    return {
+        expected_lifetime_months: Math.round(expectedLifetimeMonths * 10) / 10,
+        churn_days: CHURN_DAYS,
+        clients: result
+    };
+}
+
+/**
+ * LTV: resumen, top clientas y agregados por mes de adquisición y primer paquete
+ */
+export async function getLifetimeValue(limit = 25) {
+    const { expected_lifetime_months, churn_days, clients } = await getClientLifetimeValues();
+
+    const totalRevenue = clients.reduce((sum, c) => sum + c.total_revenue, 0);
+    const totalProjected = clients.reduce((sum, c) => sum + c.projected_ltv, 0);
+
+    // Por mes de adquisición (primera compra)
+    const byMonth = {};
+    clients.forEach(c => {
+        const month = dayjs(c.first_purchase);
+        const key = month.format('YYYY-MM');
+        if (!byMonth[key]) {
+            byMonth[key] = {
+                month: key,
+                label: `${MONTH_LABELS[month.month()]} ${month.year()}`,
+                clients: 0,
+                total_revenue: 0,
+                projected_ltv: 0
+            };
+        }
+        byMonth[key].clients++;
+        byMonth[key].total_revenue += c.total_revenue;
+        byMonth[key].projected_ltv += c.projected_ltv;
+    });
+
+    // Por primer paquete comprado
+    const byPackage = {};
+    clients.forEach(c => {
+        if (!byPackage[c.first_package]) {
+            byPackage[c.first_package] = { name: c.first_package, clients: 0, total_revenue: 0, projected_ltv: 0 };
+        }
+        byPackage[c.first_package].clients++;
+        byPackage[c.first_package].total_revenue += c.total_revenue;
+        byPackage[c.first_package].projected_ltv += c.projected_ltv;
+    });
+
+    const withAverages = group => ({
+        ...group,
+        avg_ltv: Math.round(group.total_revenue / group.clients),
+        avg_projected_ltv: Math.round(group.projected_ltv / group.clients)
+    });
+
+    const topClients = [...clients]
+        .sort((a, b) => b.total_revenue - a.total_revenue)
+        .slice(0, limit)
+        .map((client, index) => {
+            const profile = getProfile(client.user_id);
+            return {
+                rank: index + 1,
+                ...client,
+                full_name: formatUserName(client.user_id, profile),
+                phone: formatPhone(profile)
+            };
+        });
+
+    return {
+        total_clients: clients.length,
+        total_revenue: totalRevenue,
+        avg_ltv: clients.length > 0 ? Math.round(totalRevenue / clients.length) : 0,
+        avg_projected_ltv: clients.length > 0 ? Math.round(totalProjected / clients.length) : 0,
+        expected_lifetime_months,
+        churn_days,
+        by_acquisition_month: Object.values(byMonth)
+            .sort((a, b) => a.month.localeCompare(b.month))
+            .map(withAverages),
+        by_first_package: Object.values(byPackage)
+            .map(withAverages)
+            .sort((a, b) => b.avg_projected_ltv - a.avg_projected_ltv),
+        top_clients: topClients
+    };
+}
+
+export default {
+    getClientLifetimeValues,
+    getLifetimeValue
+};
@@ -0,0 +1,206 @@
+/**
+ * Revenue Module
+ * Monto realmente pagado por cada credit_batch
+ *
+ * Cada lote se une a su compra en `purchases`:
+ * 1. Por credit_batches.purchase_id
+ * 2. Si no trae purchase_id, por la compra del mismo usuario y paquete más
+ *    cercana en el tiempo (máximo MATCH_WINDOW_HOURS)
+ * 3. Si no hay compra, se usa el precio de lista actual del paquete y el lote
+ *    queda marcado con price_source = 'list_price'
+ *
+ * Un lote cuya compra tiene un status de PURCHASE_UNPAID_STATUSES (pendiente, fallida,
+ * reembolsada...) vale 0 y queda marcado con price_source = 'unpaid'. Las compras sin
+ * status o con uno desconocido cuentan como pagadas (ver config/revenue.js)
+ */
+
+import { getDataSource } from '../datasources/index.js';
+import { revenueConfig } from '../config/revenue.js';
+import dayjs from 'dayjs';
+
+const MATCH_WINDOW_HOURS = 24;
+
+// Ids por consulta al buscar compras enlazadas fuera del rango (cada id va en la URL)
+const ID_CHUNK_SIZE = 100;
+
+// Columnas posibles para el monto pagado, en orden de preferencia
+const PAID_AMOUNT_FIELDS = ['amount_paid', 'amount', 'total_amount', 'total'];
+
+export function getPaidAmount(purchase) {
+    const field = PAID_AMOUNT_FIELDS.find(f => purchase[f] !== undefined && purchase[f] !== null);
+    return field ? Number(purchase[field]) || 0 : null;
+}
+
+function normalizeStatus(status) {
+    return status === undefined || status === null ? '' : String(status).trim().toLowerCase();
+}
+
+export function isPaidPurchase(purchase) {
+    return !revenueConfig.unpaidStatuses.includes(normalizeStatus(purchase.status));
+}
+
+/**
+ * Status que no está en ninguna de las dos listas (null si se reconoce o si no hay status)
+ */
+export function getUnknownStatus(purchase) {
+    const status = normalizeStatus(purchase.status);
+    if (!status || revenueConfig.paidStatuses.includes(status) || revenueConfig.unpaidStatuses.includes(status)) {
+        return null;
+    }
+    return status;
+}
+
+/**
+ * Crear un resolvedor de ingresos para un conjunto de paquetes y compras
+ */
+export function createRevenueResolver(packages = [], purchases = []) {
+    const packageMap = new Map(packages.map(p => [p.id, p]));
+    const purchaseMap = new Map(purchases.map(p => [p.id, p]));
+    const used = new Set();
+
+    // Compras sin lote asignado, agrupadas por usuario + paquete
+    const candidates = new Map();
+    purchases.forEach(p => {
+        const key = `${p.user_id}:${p.package_id}`;
+        if (!candidates.has(key)) candidates.set(key, []);
+        candidates.get(key).push(p);
+    });
+
+    const findPurchase = batch => {
+        if (batch.purchase_id && purchaseMap.has(batch.purchase_id)) {
+            return purchaseMap.get(batch.purchase_id);
+        }
+
+        // Una compra pagada gana a un intento fallido o pendiente del mismo paquete, aunque esté más lejos
+        const batchDate = dayjs(batch.created_at);
+        let best = null;
+        let bestDiff = Infinity;
+        (candidates.get(`${batch.user_id}:${batch.package_id}`) || []).forEach(p => {
+            if (used.has(p.id)) return;
+            const diff = Math.abs(dayjs(p.created_at).diff(batchDate, 'hour', true));
+            if (diff > MATCH_WINDOW_HOURS) return;
+            const better = !best ||
+                (isPaidPurchase(p) && !isPaidPurchase(best)) ||
+                (isPaidPurchase(p) === isPaidPurchase(best) && diff < bestDiff);
+            if (better) {
+                best = p;
+                bestDiff = diff;
+            }
+        });
+        return best;
+    };
+
+    return {
+        packageMap,
+
+        /**
+         * Monto de un lote: pagado si hay compra, precio de lista si no
+         */
+        resolve(batch) {
+            const pkg = packageMap.get(batch.package_id);
+            const listPrice = pkg?.price || 0;
+            const purchase = findPurchase(batch);
+            const paid = purchase ? getPaidAmount(purchase) : null;
+
+            if (purchase) used.add(purchase.id);
+
+            if (purchase && !isPaidPurchase(purchase)) {
+                return { amount: 0, list_price: 0, price_source: 'unpaid', purchase_id: purchase.id, unknown_status: null };
+            }
+
+            if (paid === null) {
+                return { amount: listPrice, list_price: listPrice, price_source: 'list_price', purchase_id: null, unknown_status: null };
+            }
+
+            return {
+                amount: paid,
+                list_price: listPrice,
+                price_source: 'purchase',
+                purchase_id: purchase.id,
+                unknown_status: getUnknownStatus(purchase)
+            };
+        }
+    };
+}
+
+/**
+ * Cargar paquetes y compras del rango y devolver el resolvedor
+ * El rango se amplía un día para no perder compras registradas justo antes del lote.
+ * Con batches, las compras enlazadas por purchase_id que quedan fuera del rango
+ * se buscan por id (una compra puede registrarse días antes que su lote)
+ */
+export async function loadRevenueResolver({ from, to, userId, batches } = {}) {
+    const db = getDataSource();
+    const [packages, purchases] = await Promise.all([
+        db.listPackages(),
+        db.listPurchases({
+            from: from ? dayjs(from).subtract(1, 'day').format('YYYY-MM-DD') : undefined,
+            to: to ? dayjs(to).add(2, 'day').format('YYYY-MM-DD') : undefined,
+            userId
+        })
+    ]);
+
+    const loaded = new Set(purchases.map(p => p.id));
+    const missing = [...new Set((batches || [])
+        .map(batch => batch.purchase_id)
+        .filter(id => id && !loaded.has(id)))];
+
+    const linked = [];
+    for (let i = 0; i < missing.length; i += ID_CHUNK_SIZE) {
+        linked.push(...await db.listPurchases({ ids: missing.slice(i, i + ID_CHUNK_SIZE) }));
+    }
+
+    return createRevenueResolver(packages, [...purchases, ...linked]);
+}
+
+/**
+ * Acumulador de precio de lista vs. monto pagado
+ */
+export function createPricingSummary() {
+    return {
+        paid_revenue: 0,
+        list_revenue: 0,
+        discount: 0,
+        discount_pct: 0,
+        batches_with_purchase: 0,
+        batches_list_price_fallback: 0,
+        list_price_fallback_revenue: 0,
+        batches_unpaid: 0,
+        unknown_statuses: {},
+        comps: 0
+    };
+}
+
+export function addToPricingSummary(summary, revenue) {
+    summary.paid_revenue += revenue.amount;
+    summary.list_revenue += revenue.list_price;
+
+    if (revenue.unknown_status) {
+        summary.unknown_statuses[revenue.unknown_status] = (summary.unknown_statuses[revenue.unknown_status] || 0) + 1;
+    }
+
+    if (revenue.price_source === 'purchase') {
+        summary.batches_with_purchase++;
+        if (revenue.amount === 0) summary.comps++;
+    } else if (revenue.price_source === 'unpaid') {
+        summary.batches_unpaid++;
+    } else {
+        summary.batches_list_price_fallback++;
+        summary.list_price_fallback_revenue += revenue.amount;
+    }
+
+    summary.discount = summary.list_revenue - summary.paid_revenue;
+    summary.discount_pct = summary.list_revenue > 0 ?
+        Math.round((summary.discount / summary.list_revenue) * 1000) / 10 : 0;
+    return summary;
+}
+
+export default {
+    getPaidAmount,
+    isPaidPurchase,
+    getUnknownStatus,
+    createRevenueResolver,
+    loadRevenueResolver,
+    createPricingSummary,
+    addToPricingSummary
+};
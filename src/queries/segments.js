@@ -0,0 +1,233 @@
+/**
+ * RFM Segmentation Module
+ * Recencia / Frecuencia / Monto para cada clienta y segmentos con nombre
+ *
+ * - Recencia: días desde su última reserva o compra
+ * - Frecuencia: reservaciones en la ventana de análisis (12 meses)
+ * - Monto: ingresos de sus compras en la ventana de análisis
+ *
+ * Cada dimensión se califica de 1 a 5 por quintiles sobre todas las clientas.
+ */
+
+import { getDataSource } from '../datasources/index.js';
+import { getProfile, formatUserName, formatPhone } from './analytics.js';
+import { loadRevenueResolver } from './revenue.js';
+import { ACTIVITY_BOOKING_STATUSES, bookingActivityDate, purchaseActivityDate } from './activity.js';
+import dayjs from 'dayjs';
+
+const WINDOW_MONTHS = 12;
+const NEW_CLIENT_DAYS = 45;
+
+// Orden de evaluación: la primera regla que cumple define el segmento
+export const SEGMENTS = [
+    {
+        id: 'new',
+        label: 'Nuevas',
+        description: 'Primera compra en los últimos 45 días',
+        matches: c => c.days_since_first_purchase !== null && c.days_since_first_purchase <= NEW_CLIENT_DAYS
+    },
+    {
+        id: 'champions',
+        label: 'Campeonas',
+        description: 'Vienen seguido, hace poco y son las que más invierten',
+        matches: c => c.r_score >= 4 && c.f_score >= 4 && c.m_score >= 4
+    },
+    {
+        id: 'loyal',
+        label: 'Leales',
+        description: 'Reservan con frecuencia y siguen activas',
+        matches: c => c.r_score >= 3 && c.f_score >= 4
+    },
+    {
+        id: 'potential',
+        label: 'Potenciales',
+        description: 'Activas recientemente pero con poca frecuencia',
+        matches: c => c.r_score >= 4
+    },
+    {
+        id: 'at_risk',
+        label: 'En Riesgo',
+        description: 'Eran frecuentes pero hace tiempo que no vienen',
+        matches: c => c.r_score <= 2 && c.f_score >= 3
+    },
+    {
+        id: 'hibernating',
+        label: 'Hibernando',
+        description: 'Poca frecuencia y sin actividad reciente',
+        matches: c => c.r_score <= 2
+    },
+    {
+        id: 'need_attention',
+        label: 'Necesitan Atención',
+        description: 'Actividad y frecuencia a medio camino',
+        matches: () => true
+    }
+];
+
+/**
+ * Calificar de 1 a 5 por posición (quintiles); higherIsBetter invierte el orden
+ * Los empates reciben el puntaje de la primera posición con ese valor, así el orden
+ * de entrada no separa a clientas iguales (muchas tienen frecuencia o monto 0)
+ */
+function quintileScores(clients, field, higherIsBetter = true) {
+    const sorted = [...clients].sort((a, b) =>
+        higherIsBetter ? a[field] - b[field] : b[field] - a[field]
+    );
+    const scores = new Map();
+    let tieScore = null;
+    sorted.forEach((client, index) => {
+        if (index === 0 || client[field] !== sorted[index - 1][field]) {
+            tieScore = Math.min(5, Math.floor((index / sorted.length) * 5) + 1);
+        }
+        scores.set(client.user_id, tieScore);
+    });
+    return scores;
+}
+
+/**
+ * Puntajes RFM y segmento de cada clienta
+ */
+export async function getRFMScores() {
+    const db = getDataSource();
+    const now = dayjs();
+    const windowStart = now.subtract(WINDOW_MONTHS, 'month').format('YYYY-MM-DD');
+
+    const [bookings, creditBatches, revenue] = await Promise.all([
+        db.listBookings({ statuses: ACTIVITY_BOOKING_STATUSES }),
+        db.listCreditBatches(),
+        loadRevenueResolver()
+    ]);
+
+    const clients = new Map();
+
+    const getClient = userId => {
+        if (!clients.has(userId)) {
+            clients.set(userId, {
+                user_id: userId,
+                last_activity: null,
+                first_purchase: null,
+                frequency: 0,
+                monetary: 0
+            });
+        }
+        return clients.get(userId);
+    };
+
+    const touch = (client, date) => {
+        if (date && (!client.last_activity || dayjs(date).isAfter(dayjs(client.last_activity)))) {
+            client.last_activity = date;
+        }
+    };
+
+    bookings?.forEach(b => {
+        const client = getClient(b.user_id);
+        const date = bookingActivityDate(b);
+        touch(client, date);
+        if (!dayjs(date).isBefore(windowStart)) client.frequency++;
+    });
+
+    creditBatches?.forEach(batch => {
+        const client = getClient(batch.user_id);
+        touch(client, purchaseActivityDate(batch));
+        if (!client.first_purchase) client.first_purchase = batch.created_at;
+        // Se resuelve cada lote en orden para que el emparejamiento con compras sea consistente
+        const amount = revenue.resolve(batch).amount;
+        if (!dayjs(batch.created_at).isBefore(windowStart)) {
+            client.monetary += amount;
+        }
+    });
+
+    const list = [...clients.values()].map(c => ({
+        ...c,
+        recency_days: now.diff(dayjs(c.last_activity), 'day'),
+        days_since_first_purchase: c.first_purchase ? now.diff(dayjs(c.first_purchase), 'day') : null
+    }));
+
+    const rScores = quintileScores(list, 'recency_days', false);
+    const fScores = quintileScores(list, 'frequency');
+    const mScores = quintileScores(list, 'monetary');
+
+    return list.map(c => {
+        const scored = {
+            ...c,
+            r_score: rScores.get(c.user_id),
+            f_score: fScores.get(c.user_id),
+            m_score: mScores.get(c.user_id)
+        };
+        const segment = SEGMENTS.find(s => s.matches(scored));
+        return {
+            ...scored,
+            rfm: `${scored.r_score}${scored.f_score}${scored.m_score}`,
+            segment: segment.id,
+            segment_label: segment.label
+        };
+    });
+}
+
+/**
+ * SEGMENTOS RFM
+ * Conteo por segmento y, si se indica un segmento, su lista de clientas paginada
+ */
+export async function getSegments(segmentId = null, page = 1, pageSize = 20) {
+    const scored = await getRFMScores();
+    const total = scored.length;
+
+    const segments = SEGMENTS.map(s => {
+        const members = scored.filter(c => c.segment === s.id);
+        const avg = field => members.length > 0 ?
+            Math.round(members.reduce((sum, c) => sum + c[field], 0) / members.length) : 0;
+        return {
+            id: s.id,
+            label: s.label,
+            description: s.description,
+            count: members.length,
+            percentage: total > 0 ? Math.round((members.length / total) * 1000) / 10 : 0,
+            avg_recency_days: avg('recency_days'),
+            avg_frequency: avg('frequency'),
+            avg_monetary: avg('monetary')
+        };
+    });
+
+    const result = {
+        total_clients: total,
+        window_months: WINDOW_MONTHS,
+        segments
+    };
+
+    if (!segmentId) return result;
+
+    if (!SEGMENTS.some(s => s.id === segmentId)) {
+        throw new Error(`Unknown segment "${segmentId}"`);
+    }
+
+    const members = scored
+        .filter(c => c.segment === segmentId)
+        .sort((a, b) => b.monetary - a.monetary)
+        .map(c => {
+            const profile = getProfile(c.user_id);
+            return {
+                ...c,
+                full_name: formatUserName(c.user_id, profile),
+                phone: formatPhone(profile)
+            };
+        });
+
+    const startIndex = (page - 1) * pageSize;
+
+    return {
+        ...result,
+        segment: segmentId,
+        clients: members.slice(startIndex, startIndex + pageSize),
+        pagination: {
+            page,
+            pageSize,
+            totalPages: Math.ceil(members.length / pageSize),
+            totalItems: members.length
+        }
+    };
+}
+
+export default {
+    getRFMScores,
+    getSegments
+};
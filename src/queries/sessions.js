@@ -0,0 +1,68 @@
+/**
+ * Session Matching
+ * Une cada reservación con su sesión del horario (tabla `sessions`)
+ *
+ * 1. bookings.session_id → sessions.id
+ * 2. La sesión del mismo día de la semana y hora (session_date + session_time)
+ *
+ * sessions.day_name se compara en mayúsculas y sin acentos ('Miércoles' = 'MIERCOLES')
+ */
+
+import dayjs from 'dayjs';
+
+export const DAY_NAMES = ['DOMINGO', 'LUNES', 'MARTES', 'MIÉRCOLES', 'JUEVES', 'VIERNES', 'SÁBADO'];
+
+/**
+ * Día para comparar: mayúsculas y sin acentos ('Miércoles' → 'MIERCOLES')
+ */
+export const dayKey = dayName => (dayName || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .toUpperCase();
+
+/**
+ * Nombre del día como en DAY_NAMES ('miercoles' → 'MIÉRCOLES')
+ */
+export function canonicalDayName(dayName) {
+    return DAY_NAMES.find(day => dayKey(day) === dayKey(dayName)) || dayKey(dayName);
+}
+
+/**
+ * Nombre del día de una fecha ('2026-03-02' → 'LUNES')
+ */
+export function dayNameOf(date) {
+    return DAY_NAMES[dayjs(date).day()];
+}
+
+/**
+ * Clave de horario: día + hora HH:mm
+ */
+export function slotKey(dayName, time) {
+    return `${dayKey(dayName)}-${time?.substring(0, 5)}`;
+}
+
+/**
+ * Resolver la sesión de una reservación (ver orden en el encabezado)
+ */
+export function createSessionMatcher(sessions = []) {
+    const sessionById = new Map(sessions.map(s => [s.id, s]));
+    const sessionBySlot = new Map();
+    sessions.forEach(s => {
+        const key = slotKey(s.day_name, s.time);
+        if (!sessionBySlot.has(key)) sessionBySlot.set(key, s);
+    });
+
+    return booking => sessionById.get(booking.session_id) ||
+        sessionBySlot.get(slotKey(dayNameOf(booking.session_date), booking.session_time)) ||
+        null;
+}
+
+export default {
+    DAY_NAMES,
+    dayKey,
+    canonicalDayName,
+    dayNameOf,
+    slotKey,
+    createSessionMatcher
+};
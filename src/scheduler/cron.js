@@ -0,0 +1,138 @@
+/**
+ * Cron Expressions
+ * Expresiones de 5 campos: minuto hora día-del-mes mes día-de-la-semana
+ *
+ * Cada campo acepta *, números, rangos (1-5), listas (1,15) y pasos (*\/15, 8-18/2).
+ * Día de la semana: 0-7 (0 y 7 son domingo). Si día del mes y día de la semana
+ * están restringidos, basta con que coincida uno (como en cron de Unix).
+ * Las horas son las del servidor (variable TZ).
+ */
+
+import dayjs from 'dayjs';
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+const ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *'
+};
+
+// Límite de búsqueda de la siguiente ejecución (expresiones como "0 0 30 2 *" nunca ocurren)
+const MAX_SEARCH_YEARS = 5;
+
+function parseField(expression, { name, min, max }) {
+    const values = new Set();
+
+    expression.split(',').forEach(part => {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid step "${stepText}" in ${name}`);
+        }
+
+        if (range !== '*' && !/^\d+(-\d+)?$/.test(range)) {
+            throw new Error(`Invalid ${name} "${part}"`);
+        }
+
+        let start;
+        let end;
+        if (range === '*') {
+            start = min;
+            end = max;
+        } else if (range.includes('-')) {
+            [start, end] = range.split('-').map(Number);
+        } else {
+            start = Number(range);
+            end = stepText === undefined ? start : max;
+        }
+
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+            throw new Error(`Invalid ${name} "${part}" (allowed ${min}-${max})`);
+        }
+
+        for (let value = start; value <= end; value += step) values.add(value);
+    });
+
+    return values;
+}
+
+/**
+ * Interpretar una expresión cron; lanza un Error si no es válida
+ */
+export function parseCron(expression) {
+    const normalized = ALIASES[String(expression).trim()] || String(expression).trim();
+    const parts = normalized.split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+        throw new Error(`Cron expression must have ${FIELDS.length} fields (minute hour day month weekday)`);
+    }
+
+    const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+    if (weekdays.has(7)) weekdays.add(0);
+
+    return {
+        expression: normalized,
+        minutes,
+        hours,
+        days,
+        months,
+        weekdays,
+        dayRestricted: parts[2] !== '*',
+        weekdayRestricted: parts[4] !== '*'
+    };
+}
+
+export function isValidCron(expression) {
+    try {
+        parseCron(expression);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+function matchesDay(cron, date) {
+    const day = cron.days.has(date.date());
+    const weekday = cron.weekdays.has(date.day());
+    if (cron.dayRestricted && cron.weekdayRestricted) return day || weekday;
+    return day && weekday;
+}
+
+/**
+ * Siguiente ejecución estrictamente posterior a `from` (null si no ocurre en MAX_SEARCH_YEARS)
+ */
+export function nextCronRun(expression, from = dayjs()) {
+    const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+    const limit = dayjs(from).add(MAX_SEARCH_YEARS, 'year');
+    let date = dayjs(from).startOf('minute').add(1, 'minute');
+
+    while (date.isBefore(limit)) {
+        if (!cron.months.has(date.month() + 1)) {
+            date = date.add(1, 'month').startOf('month');
+        } else if (!matchesDay(cron, date)) {
+            date = date.add(1, 'day').startOf('day');
+        } else if (!cron.hours.has(date.hour())) {
+            date = date.add(1, 'hour').startOf('hour');
+        } else if (!cron.minutes.has(date.minute())) {
+            date = date.add(1, 'minute');
+        } else {
+            return date;
+        }
+    }
+
+    return null;
+}
+
+export default {
+    parseCron,
+    isValidCron,
+    nextCronRun
+};
@@ -0,0 +1,360 @@
+/**
+ * Report Scheduler
+ * Reportes PDF programados: definición de tareas, ejecución e historial
+ *
+ * - Las tareas y el historial se guardan en DATA_DIR (schedules.json, schedule-runs.json): la
+ *   instancia que recibe el tick debe ver las tareas que se crearon en otra, así que DATA_DIR
+ *   tiene que persistir y ser compartido (en serverless es temporal, ver config/storage.js)
+ * - Cada tarea guarda su próxima ejecución (next_run_at); una tarea vencida se ejecuta
+ *   una sola vez aunque se hayan perdido varias ejecuciones con el servidor apagado
+ * - runDueJobs() es el mismo paso para el reloj interno y para /api/scheduler/tick
+ * - Si la tarea tiene destinatarios, el PDF se envía por correo (ver delivery/email.js)
+ */
+
+import { JsonStore } from '../storage/json-store.js';
+import { schedulerConfig } from '../config/scheduler.js';
+import { parseCron, nextCronRun } from './cron.js';
+import { REPORT_PERIODS, resolvePeriod } from './periods.js';
+import { REPORT_SECTIONS, buildDashboardData } from '../generators/dashboard-data.js';
+import DashboardPDFGenerator from '../generators/pdf-generator.js';
+import { isValidEmail, isEmailConfigured, sendReportEmail } from '../delivery/email.js';
+import { PRIVACY_MODES } from '../privacy/index.js';
+import { privacyConfig } from '../config/privacy.js';
+import { recordAudit, countClientRecords } from '../audit/index.js';
+import fs from 'fs';
+import path from 'path';
+import dayjs from 'dayjs';
+
+const jobStore = new JsonStore('schedules', { next_id: 1, jobs: [] });
+const runStore = new JsonStore('schedule-runs', { next_id: 1, runs: [] });
+
+// Tareas ejecutándose en este proceso
+const running = new Set();
+let timer = null;
+let ticking = false;
+
+/**
+ * Validar una tarea recibida por la API; devuelve la lista de errores
+ * @param {boolean} partial - true en actualizaciones
+ */
+export function validateJobInput(input = {}, { partial = false } = {}) {
+    const errors = [];
+    const has = key => input[key] !== undefined;
+
+    if (!partial || has('name')) {
+        if (typeof input.name !== 'string' || input.name.trim() === '') errors.push('name is required');
+    }
+
+    if (!partial || has('cron')) {
+        try {
+            if (!nextCronRun(input.cron || '')) errors.push('cron never matches a date');
+        } catch (error) {
+            errors.push(`cron: ${error.message}`);
+        }
+    }
+
+    if (!partial || has('period')) {
+        if (!REPORT_PERIODS[input.period]) {
+            errors.push(`period must be one of: ${Object.keys(REPORT_PERIODS).join(', ')}`);
+        }
+    }
+
+    if (has('sections')) {
+        if (!Array.isArray(input.sections)) {
+            errors.push('sections must be an array');
+        } else {
+            const unknown = input.sections.filter(section => !REPORT_SECTIONS[section]);
+            if (unknown.length > 0) errors.push(`sections has unknown values: ${unknown.join(', ')}`);
+        }
+    }
+
+    if (has('recipients')) {
+        if (!Array.isArray(input.recipients)) {
+            errors.push('recipients must be an array of emails');
+        } else {
+            const invalid = input.recipients.filter(email => !isValidEmail(email));
+            if (invalid.length > 0) errors.push(`recipients has invalid emails: ${invalid.join(', ')}`);
+        }
+    }
+
+    if (has('privacy') && !PRIVACY_MODES[input.privacy]) {
+        errors.push(`privacy must be one of: ${Object.keys(PRIVACY_MODES).join(', ')}`);
+    }
+
+    if (has('active') && typeof input.active !== 'boolean') {
+        errors.push('active must be a boolean');
+    }
+
+    return errors;
+}
+
+const nextRunAt = job => {
+    if (!job.active) return null;
+    return nextCronRun(job.cron)?.toISOString() || null;
+};
+
+const withStatus = job => ({ ...job, running: running.has(job.id) });
+
+export function listJobs() {
+    return jobStore.read().jobs.map(withStatus);
+}
+
+export function getJob(id) {
+    const job = jobStore.read().jobs.find(j => j.id === Number(id));
+    return job ? withStatus(job) : null;
+}
+
+export function createJob(input) {
+    return jobStore.update(data => {
+        const now = new Date().toISOString();
+        const job = {
+            id: data.next_id++,
+            name: input.name.trim(),
+            cron: parseCron(input.cron).expression,
+            period: input.period,
+            sections: input.sections || Object.keys(REPORT_SECTIONS),
+            recipients: input.recipients || [],
+            privacy: input.privacy || privacyConfig.reportPrivacy,
+            active: input.active !== false,
+            created_at: now,
+            updated_at: now,
+            last_run_at: null,
+            last_status: null
+        };
+        job.next_run_at = nextRunAt(job);
+        data.jobs.push(job);
+        return withStatus(job);
+    });
+}
+
+/**
+ * Actualizar (parcialmente) una tarea; pausar/reanudar con { active }
+ */
+export function updateJob(id, input) {
+    return jobStore.update(data => {
+        const job = data.jobs.find(j => j.id === Number(id));
+        if (!job) return null;
+
+        ['period', 'sections', 'recipients', 'privacy', 'active'].forEach(key => {
+            if (input[key] !== undefined) job[key] = input[key];
+        });
+        if (input.name !== undefined) job.name = input.name.trim();
+        if (input.cron !== undefined) job.cron = parseCron(input.cron).expression;
+
+        job.updated_at = new Date().toISOString();
+        job.next_run_at = nextRunAt(job);
+        return withStatus(job);
+    });
+}
+
+export function deleteJob(id) {
+    return jobStore.update(data => {
+        const index = data.jobs.findIndex(j => j.id === Number(id));
+        if (index === -1) return false;
+        data.jobs.splice(index, 1);
+        return true;
+    });
+}
+
+export function isJobRunning(id) {
+    return running.has(Number(id));
+}
+
+/**
+ * Historial de ejecuciones (más recientes primero)
+ */
+export function listRuns({ jobId, limit = 50 } = {}) {
+    return runStore.read().runs
+        .filter(run => jobId === undefined || run.job_id === Number(jobId))
+        .slice(0, limit);
+}
+
+function saveRun(run) {
+    runStore.update(data => {
+        const index = data.runs.findIndex(r => r.id === run.id);
+        if (index === -1) {
+            run.id = data.next_id++;
+            data.runs.unshift(run);
+        } else {
+            data.runs[index] = run;
+        }
+        data.runs = data.runs.slice(0, schedulerConfig.maxRuns);
+    });
+    return run;
+}
+
+/**
+ * Enviar el PDF de una ejecución a los destinatarios de la tarea
+ */
+async function deliverRun(job, run, pdfPath, data) {
+    if (!isEmailConfigured()) {
+        return { status: 'skipped', delivery_id: null, error: 'SMTP is not configured' };
+    }
+
+    const delivery = await sendReportEmail({
+        pdfPath,
+        data,
+        recipients: job.recipients,
+        name: job.name,
+        source: 'schedule',
+        meta: { job_id: job.id, run_id: run.id }
+    });
+    return { status: delivery.status, delivery_id: delivery.id, error: delivery.error };
+}
+
+/**
+ * EJECUTAR UNA TAREA
+ * Genera el PDF del período relativo de la tarea y registra la ejecución
+ * @param {string} trigger - 'schedule' | 'manual' | 'endpoint'
+ * @param {Object} user - Quien la ejecutó a mano (para el log de auditoría)
+ */
+export async function runJob(id, trigger = 'manual', user = null) {
+    const job = getJob(id);
+    if (!job) return null;
+
+    running.add(job.id);
+    const startedAt = dayjs();
+    // Las tareas creadas antes del modo de privacidad usan REPORT_PRIVACY
+    const privacy = job.privacy || privacyConfig.reportPrivacy;
+    const run = saveRun({
+        id: null,
+        job_id: job.id,
+        job_name: job.name,
+        trigger,
+        status: 'running',
+        started_at: startedAt.toISOString(),
+        finished_at: null,
+        duration_ms: null,
+        period: null,
+        sections: job.sections,
+        recipients: job.recipients,
+        privacy,
+        filename: null,
+        download_url: null,
+        delivery: null,
+        error: null
+    });
+
+    try {
+        const period = resolvePeriod(job.period, startedAt);
+        run.period = { start_date: period.startDate, end_date: period.endDate, label: period.label };
+
+        const data = await buildDashboardData({
+            startDate: period.startDate,
+            endDate: period.endDate,
+            sections: job.sections,
+            period: period.label,
+            privacy
+        });
+
+        const pdfGenerator = new DashboardPDFGenerator('./reports');
+        const pdfPath = await pdfGenerator.generateFullReport(data, { prefix: `rage_schedule_${job.id}` });
+        const filename = path.basename(pdfPath);
+        fs.writeFileSync(pdfPath.replace('.pdf', '.json'), JSON.stringify(data, null, 2));
+
+        run.status = 'success';
+        run.filename = filename;
+        run.download_url = `/reports/${filename}`;
+        console.log(`⏰ Reporte programado "${job.name}" generado: ${filename}`);
+        recordAudit({
+            action: 'report_generated',
+            user,
+            source: 'schedule',
+            params: { job_id: job.id, trigger, period: job.period, sections: job.sections },
+            records: countClientRecords(data),
+            privacy,
+            filename
+        });
+
+        if (job.recipients.length > 0) {
+            run.delivery = await deliverRun(job, run, pdfPath, data);
+        }
+    } catch (error) {
+        run.status = 'error';
+        run.error = error.message;
+        console.error(`⏰ Error en reporte programado "${job.name}":`, error.message);
+    } finally {
+        running.delete(job.id);
+    }
+
+    run.finished_at = new Date().toISOString();
+    run.duration_ms = dayjs(run.finished_at).diff(startedAt);
+    saveRun(run);
+
+    jobStore.update(data => {
+        const stored = data.jobs.find(j => j.id === job.id);
+        if (!stored) return;
+        stored.last_run_at = run.started_at;
+        stored.last_status = run.status;
+    });
+
+    return run;
+}
+
+/**
+ * EJECUTAR LAS TAREAS VENCIDAS
+ * Avanza next_run_at antes de ejecutar, para que dos llamadas seguidas no repitan la tarea
+ */
+export async function runDueJobs(trigger = 'schedule', now = dayjs()) {
+    const due = jobStore.update(data => {
+        const dueJobs = data.jobs.filter(job =>
+            job.active && job.next_run_at && !dayjs(job.next_run_at).isAfter(now) && !running.has(job.id)
+        );
+        dueJobs.forEach(job => {
+            job.next_run_at = nextCronRun(job.cron, now)?.toISOString() || null;
+        });
+        return dueJobs.map(job => job.id);
+    });
+
+    // Una a la vez: cada reporte consulta todas las tablas
+    const runs = [];
+    for (const id of due) {
+        runs.push(await runJob(id, trigger));
+    }
+    return runs;
+}
+
+/**
+ * Reloj interno: revisa las tareas vencidas cada SCHEDULER_TICK_SECONDS
+ */
+export function startScheduler() {
+    if (!schedulerConfig.enabled || timer) return false;
+
+    timer = setInterval(async () => {
+        if (ticking) return;
+        ticking = true;
+        try {
+            await runDueJobs('schedule');
+        } catch (error) {
+            console.error('⏰ Error del programador de reportes:', error.message);
+        } finally {
+            ticking = false;
+        }
+    }, schedulerConfig.tickSeconds * 1000);
+
+    return true;
+}
+
+export function stopScheduler() {
+    clearInterval(timer);
+    timer = null;
+}
+
+export { REPORT_PERIODS, REPORT_SECTIONS };
+
+export default {
+    REPORT_PERIODS,
+    REPORT_SECTIONS,
+    validateJobInput,
+    listJobs,
+    getJob,
+    createJob,
+    updateJob,
+    deleteJob,
+    isJobRunning,
+    listRuns,
+    runJob,
+    runDueJobs,
+    startScheduler,
+    stopScheduler
+};
@@ -0,0 +1,74 @@
+/**
+ * Report Periods
+ * Períodos relativos de los reportes programados, resueltos al momento de ejecutar
+ */
+
+import dayjs from 'dayjs';
+
+const MONTH_NAMES = [
+    'Enero', 'Febrero', 'Marzo', 'Abril', 'Mayo', 'Junio',
+    'Julio', 'Agosto', 'Septiembre', 'Octubre', 'Noviembre', 'Diciembre'
+];
+
+export const REPORT_PERIODS = {
+    previous_month: 'Mes anterior',
+    current_month: 'Mes en curso',
+    previous_week: 'Semana anterior (lunes a domingo)',
+    last_7_days: 'Últimos 7 días',
+    last_30_days: 'Últimos 30 días',
+    previous_quarter: 'Trimestre anterior',
+    year_to_date: 'Año en curso',
+    previous_year: 'Año anterior'
+};
+
+const range = (start, end, label) => ({
+    startDate: start.format('YYYY-MM-DD'),
+    endDate: end.format('YYYY-MM-DD'),
+    label: label || `${start.format('DD/MM/YYYY')} - ${end.format('DD/MM/YYYY')}`
+});
+
+const monthLabel = date => `${MONTH_NAMES[date.month()]} ${date.year()}`;
+
+/**
+ * Fechas de un período relativo a `now`
+ * @returns {{startDate: string, endDate: string, label: string}}
+ */
+export function resolvePeriod(period, now = dayjs()) {
+    const today = dayjs(now).startOf('day');
+
+    switch (period) {
+        case 'previous_month': {
+            const month = today.subtract(1, 'month');
+            return range(month.startOf('month'), month.endOf('month'), monthLabel(month));
+        }
+        case 'current_month':
+            return range(today.startOf('month'), today, `${monthLabel(today)} (al ${today.format('DD/MM')})`);
+        case 'previous_week': {
+            // Lunes de la semana actual, sin depender del locale de dayjs
+            const monday = today.subtract((today.day() + 6) % 7, 'day');
+            return range(monday.subtract(7, 'day'), monday.subtract(1, 'day'));
+        }
+        case 'last_7_days':
+            return range(today.subtract(7, 'day'), today.subtract(1, 'day'));
+        case 'last_30_days':
+            return range(today.subtract(30, 'day'), today.subtract(1, 'day'));
+        case 'previous_quarter': {
+            const quarterStart = today.startOf('year').add(Math.floor(today.month() / 3) * 3, 'month');
+            const start = quarterStart.subtract(3, 'month');
+            return range(start, quarterStart.subtract(1, 'day'), `T${Math.floor(start.month() / 3) + 1} ${start.year()}`);
+        }
+        case 'year_to_date':
+            return range(today.startOf('year'), today, `Año ${today.year()} (al ${today.format('DD/MM')})`);
+        case 'previous_year': {
+            const year = today.subtract(1, 'year');
+            return range(year.startOf('year'), year.endOf('year'), `Año ${year.year()}`);
+        }
+        default:
+            throw new Error(`Unknown period "${period}". Use one of: ${Object.keys(REPORT_PERIODS).join(', ')}`);
+    }
+}
+
+export default {
+    REPORT_PERIODS,
+    resolvePeriod
+};
@@ -7,8 +7,40 @@ import express from 'express';
 import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createRequire } from 'module';
 import analytics from './queries/analytics.js';
+import cohorts from './queries/cohorts.js';
+import ltv from './queries/ltv.js';
+import segments, { SEGMENTS } from './queries/segments.js';
+import churn from './queries/churn.js';
+import credits from './queries/credits.js';
+import coaches from './queries/coaches.js';
+import cancellations from './queries/cancellations.js';
+import forecast from './queries/forecast.js';
+import goals from './queries/goals.js';
+import attribution from './queries/attribution.js';
+import { getDataSource, getFetchStats, getCacheStats, invalidateCache } from './datasources/index.js';
 import DashboardPDFGenerator from './generators/pdf-generator.js';
+import { buildDashboardData } from './generators/dashboard-data.js';
+import scheduler from './scheduler/index.js';
+import { schedulerConfig } from './config/scheduler.js';
+import email from './delivery/email.js';
+import { emailConfig } from './config/email.js';
+import campaigns, { CAMPAIGN_TARGETS } from './campaigns/index.js';
+import { campaignConfig } from './config/campaigns.js';
+import templates, { TEMPLATE_CHANNELS, BUILTIN_KEYS } from './templates/index.js';
+import { renderTemplate } from './templates/engine.js';
+import { buildClientContext, buildReportContext, listPreviewClients } from './templates/context.js';
+import { EXPORT_ROUTES, exportMiddleware } from './export/index.js';
+import auth, { ROLES, PERMISSIONS, authenticate, requirePermission, hasPermission, publicUser } from './auth/index.js';
+import { redactMiddleware } from './auth/redact.js';
+import { PRIVACY_ROUTES, PRIVACY_MODES, privacyMiddleware, resolvePrivacy, privacyError, applyPrivacy } from './privacy/index.js';
+import audit, { auditAccessMiddleware, auditDownloadMiddleware, countClientRecords } from './audit/index.js';
+import { authConfig } from './config/auth.js';
+import { privacyConfig } from './config/privacy.js';
+import { sendError, errorContract, errorHandler } from './errors/index.js';
+import { validate, validationError } from './validation/index.js';
+import { buildOpenApiSpec, listAppRoutes } from './openapi/index.js';
 import fs from 'fs';
 import dayjs from 'dayjs';
 import 'dayjs/locale/es.js';
@@ -17,53 +49,264 @@ dayjs.locale('es');
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
+// Archivos de Swagger UI para /api-docs.html (se sirven desde node_modules, sin CDN)
+const swaggerUiDir = path.dirname(createRequire(import.meta.url).resolve('swagger-ui-dist/package.json'));
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Rutas de la API que no exigen sesión (el tick usa su propio token)
+const PUBLIC_API_ROUTES = ['/health', '/auth/login', '/scheduler/tick'];
+
 // Middleware
-app.use(cors());
+// Sin CORS_ORIGINS solo el mismo dominio puede llamar a la API
+if (authConfig.corsOrigins.length > 0) {
+    app.use(cors({ origin: authConfig.corsOrigins, credentials: true }));
+}
 app.use(express.json());
 app.use(express.static(path.join(__dirname, '../public')));
-app.use('/reports', express.static(path.join(__dirname, '../reports')));
+app.use('/vendor/swagger-ui', express.static(swaggerUiDir));
+// Toda respuesta de error de /api lleva su code (ver errors/index.js)
+app.use('/api', errorContract);
+app.use('/reports', authenticate, requirePermission('reports'), auditDownloadMiddleware, express.static(path.join(__dirname, '../reports')));
+app.use('/api', (req, res, next) => (PUBLIC_API_ROUTES.includes(req.path) ? next() : authenticate(req, res, next)));
+// format=csv|xlsx en cualquier /api/analytics/* descarga el resultado como archivo
+app.use(EXPORT_ROUTES, exportMiddleware);
+// Teléfonos e ingresos según el rol (después de la exportación, para que el archivo también salga redactado)
+app.use(['/api/analytics', '/api/campaigns', '/api/goals'], redactMiddleware);
+// privacy=masked (o el modo del rol) enmascara nombres y teléfonos, también en los archivos exportados
+app.use(PRIVACY_ROUTES, privacyMiddleware);
+// Quién vio datos de clientas (al final, para contar los registros que devuelve cada ruta)
+app.use(['/api/analytics', '/api/campaigns', '/api/templates/clients'], auditAccessMiddleware);
 
-// Variable para cachear perfiles
-let profilesLoaded = false;
+// Primera dueña desde AUTH_OWNER_USERNAME / AUTH_OWNER_PASSWORD
+const seededOwner = auth.ensureOwner();
 
-// Cargar perfiles al inicio
+// Perfiles al día: loadProfiles solo los rearma si la caché de datos trae una lista nueva
 async function ensureProfiles() {
-    if (!profilesLoaded) {
-        await analytics.loadProfiles();
-        profilesLoaded = true;
-    }
+    await analytics.loadProfiles();
 }
 
 // ===================== API ENDPOINTS =====================
 
 /**
- * GET /api/health - Health check
+ * GET /api/health - Health check (público: sin datos de las tablas)
  */
-app.get('/api/health', (req, res) => {
+app.get('/api/health', validate('GET /api/health'), (req, res) => {
     res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+/**
+ * GET /api/health/details - Fuente de datos, páginas/filas leídas por tabla y caché (con sesión)
+ */
+app.get('/api/health/details', validate('GET /api/health/details'), (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            data_source: getDataSource().name,
+            fetch_stats: getFetchStats(),
+            cache: getCacheStats()
+        }
+    });
+});
+
+/**
+ * GET /api/openapi.json - Especificación OpenAPI 3 de la API (documentación interactiva en /api-docs.html)
+ */
+app.get('/api/openapi.json', validate('GET /api/openapi.json'), (req, res) => {
+    try {
+        res.json(buildOpenApiSpec(app));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * GET /api/cache - Aciertos y fallos de la caché de datos por tabla
+ */
+app.get('/api/cache', validate('GET /api/cache'), (req, res) => {
+    res.json({ success: true, data: getCacheStats() });
+});
+
+/**
+ * POST /api/cache/refresh - Descartar lo guardado { table? } (sin tabla, todo) y recargar los perfiles
+ */
+app.post('/api/cache/refresh', requirePermission('settings'), validate('POST /api/cache/refresh'), async (req, res) => {
+    try {
+        const { table = null } = req.body ?? {};
+        const removed = invalidateCache(table);
+        await ensureProfiles();
+        res.json({ success: true, data: { table, removed, stats: getCacheStats() } });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// ===================== SESIÓN Y USUARIOS =====================
+
+/**
+ * POST /api/auth/login - Iniciar sesión { username, password }
+ * Deja la sesión en una cookie HttpOnly y también devuelve el token (para "Authorization: Bearer")
+ */
+app.post('/api/auth/login', validate('POST /api/auth/login'), (req, res) => {
+    try {
+        const lockedMinutes = auth.getLockoutMinutes(req.ip);
+        if (lockedMinutes > 0) {
+            return res.status(429).json({ success: false, error: `Too many failed logins, try again in ${lockedMinutes} min` });
+        }
+
+        const { username, password } = req.body;
+
+        const user = auth.authenticateUser(username.trim().toLowerCase(), password);
+        if (!user) {
+            auth.recordFailedLogin(req.ip);
+            return res.status(401).json({ success: false, error: 'Invalid username or password' });
+        }
+
+        auth.clearFailedLogins(req.ip);
+        const session = auth.createSession(user);
+        res.cookie(authConfig.cookieName, session.token, {
+            httpOnly: true,
+            sameSite: 'strict',
+            secure: authConfig.secureCookies,
+            maxAge: authConfig.sessionHours * 60 * 60 * 1000,
+            path: '/'
+        });
+        res.json({ success: true, data: { ...session, user: publicUser(user) } });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * POST /api/auth/logout - Cerrar la sesión actual
+ */
+app.post('/api/auth/logout', validate('POST /api/auth/logout'), (req, res) => {
+    try {
+        auth.revokeSession(req.sessionToken);
+        res.clearCookie(authConfig.cookieName, { path: '/' });
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * GET /api/auth/me - Usuario de la sesión con sus permisos
+ */
+app.get('/api/auth/me', validate('GET /api/auth/me'), (req, res) => {
+    res.json({ success: true, data: publicUser(req.user) });
+});
+
+/**
+ * GET /api/users - Listar usuarios (incluye roles y permisos disponibles)
+ */
+app.get('/api/users', requirePermission('users'), validate('GET /api/users'), (req, res) => {
+    try {
+        res.json({ success: true, data: auth.listUsers(), roles: ROLES, permissions: PERMISSIONS, editable: !auth.USERS_FROM_ENV });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * POST /api/users - Crear usuario { username, name, role, password, active }
+ */
+app.post('/api/users', requirePermission('users'), validate('POST /api/users'), (req, res) => {
+    try {
+        const errors = auth.validateUserInput(req.body);
+        if (errors.length > 0) {
+            return sendError(res, validationError('POST /api/users', errors));
+        }
+        const user = auth.createUser(req.body);
+        if (!user) {
+            return res.status(409).json({ success: false, error: `User ${req.body.username} already exists` });
+        }
+        res.status(201).json({ success: true, data: user });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * PUT /api/users/:id - Actualizar usuario { name, role, password, active } (el username no cambia)
+ * Cambiar la contraseña o desactivarlo cierra sus sesiones
+ */
+app.put('/api/users/:id', requirePermission('users'), validate('PUT /api/users/:id'), (req, res) => {
+    try {
+        const current = auth.getUser(req.params.id);
+        if (!current) {
+            return res.status(404).json({ success: false, error: `User ${req.params.id} not found` });
+        }
+        const errors = auth.validateUserInput(req.body, { current });
+        if (errors.length > 0) {
+            return sendError(res, validationError('PUT /api/users/:id', errors));
+        }
+        const demoted = (req.body.role !== undefined && req.body.role !== 'owner') || req.body.active === false;
+        if (demoted && auth.isLastOwner(current.id)) {
+            return res.status(409).json({ success: false, error: 'There must be at least one active owner' });
+        }
+        res.json({ success: true, data: auth.updateUser(req.params.id, req.body) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * DELETE /api/users/:id - Eliminar usuario (no el propio ni la última dueña)
+ */
+app.delete('/api/users/:id', requirePermission('users'), validate('DELETE /api/users/:id'), (req, res) => {
+    try {
+        const user = auth.getUser(req.params.id);
+        if (!user) {
+            return res.status(404).json({ success: false, error: `User ${req.params.id} not found` });
+        }
+        if (user.id === req.user.id) {
+            return res.status(409).json({ success: false, error: 'You cannot delete your own user' });
+        }
+        if (auth.isLastOwner(user.id)) {
+            return res.status(409).json({ success: false, error: 'There must be at least one active owner' });
+        }
+        auth.deleteUser(req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * GET /api/audit - Log de auditoría (?user_id=&action=&from=YYYY-MM-DD&to=YYYY-MM-DD&limit=)
+ */
+app.get('/api/audit', requirePermission('users'), validate('GET /api/audit'), (req, res) => {
+    try {
+        const { user_id: userId, action, from, to, limit = 200 } = req.query;
+        res.json({
+            success: true,
+            data: audit.listAudit({ userId, action, from, to, limit: Number(limit) }),
+            actions: audit.AUDIT_ACTIONS
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
 /**
  * POST /api/analytics/retention - Métricas de retención
  */
-app.post('/api/analytics/retention', async (req, res) => {
+app.post('/api/analytics/retention', validate('POST /api/analytics/retention'), async (req, res) => {
     try {
         await ensureProfiles();
         const data = await analytics.getRetentionMetrics();
         res.json({ success: true, data });
     } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        sendError(res, error);
     }
 });
 
 /**
  * POST /api/analytics/sales - Ventas por período
  */
-app.post('/api/analytics/sales', async (req, res) => {
+app.post('/api/analytics/sales', validate('POST /api/analytics/sales'), async (req, res) => {
     try {
         await ensureProfiles();
         const { year = 2026, startDate, endDate } = req.body;
@@ -78,14 +321,14 @@ app.post('/api/analytics/sales', async (req, res) => {
 
         res.json({ success: true, data });
     } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        sendError(res, error);
     }
 });
 
 /**
  * POST /api/analytics/top-buyers - Top compradoras
  */
-app.post('/api/analytics/top-buyers', async (req, res) => {
+app.post('/api/analytics/top-buyers', validate('POST /api/analytics/top-buyers'), async (req, res) => {
     try {
         await ensureProfiles();
         const { year = 2026, limit = 10, startDate, endDate } = req.body;
@@ -97,56 +340,57 @@ app.post('/api/analytics/top-buyers', async (req, res) => {
             data = await analytics.getTopBuyers(year, limit);
         }
 
-        res.json({ success: true, data });
+        res.json({ success: true, data: campaigns.attachLastContact(data) });
     } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        sendError(res, error);
     }
 });
 
 /**
  * POST /api/analytics/dormant - Clientas inactivas
  */
-app.post('/api/analytics/dormant', async (req, res) => {
+app.post('/api/analytics/dormant', validate('POST /api/analytics/dormant'), async (req, res) => {
     try {
         await ensureProfiles();
         const { daysInactive = 30 } = req.body;
         const data = await analytics.getDormantClients(daysInactive);
+        data.clients = campaigns.attachLastContact(data.clients);
         res.json({ success: true, data });
     } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        sendError(res, error);
     }
 });
 
 /**
  * POST /api/analytics/popular-classes - Clases populares
  */
-app.post('/api/analytics/popular-classes', async (req, res) => {
+app.post('/api/analytics/popular-classes', validate('POST /api/analytics/popular-classes'), async (req, res) => {
     try {
         await ensureProfiles();
         const data = await analytics.getPopularClasses();
         res.json({ success: true, data });
     } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        sendError(res, error);
     }
 });
 
 /**
  * POST /api/analytics/attendance - Estadísticas de asistencia
  */
-app.post('/api/analytics/attendance', async (req, res) => {
+app.post('/api/analytics/attendance', validate('POST /api/analytics/attendance'), async (req, res) => {
     try {
         await ensureProfiles();
         const data = await analytics.getAttendanceStats();
         res.json({ success: true, data });
     } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        sendError(res, error);
     }
 });
 
 /**
  * POST /api/analytics/compare - Comparativa de períodos
  */
-app.post('/api/analytics/compare', async (req, res) => {
+app.post('/api/analytics/compare', requirePermission('revenue'), validate('POST /api/analytics/compare'), async (req, res) => {
     try {
         await ensureProfiles();
         const { period1Start, period1End, period2Start, period2End } = req.body;
@@ -177,62 +421,43 @@ app.post('/api/analytics/compare', async (req, res) => {
 
         res.json({ success: true, data: comparison });
     } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        sendError(res, error);
     }
 });
 
 /**
- * POST /api/generate-pdf - Generar reporte PDF
+ * POST /api/generate-pdf - Generar reporte PDF { year?, startDate?, endDate?, privacy? }
  */
-app.post('/api/generate-pdf', async (req, res) => {
+app.post('/api/generate-pdf', requirePermission('reports'), validate('POST /api/generate-pdf'), async (req, res) => {
     try {
+        const { year, startDate, endDate } = req.body ?? {};
+        const resolved = resolvePrivacy(req.user, req.body?.privacy ?? req.query.privacy);
+        if (resolved.error) {
+            return sendError(res, privacyError(resolved));
+        }
         await ensureProfiles();
-        const { year = 2026, startDate, endDate } = req.body;
 
-        console.log('📄 Generando PDF...');
-
-        // Obtener todos los datos
-        const [retention, sales, topBuyers, popularClasses, attendance, dormant30, dormant60, dormant90, weeklySchedule] =
-            await Promise.all([
-                analytics.getRetentionMetrics(),
-                startDate && endDate ?
-                    analytics.getPackageSalesByDateRange(startDate, endDate) :
-                    analytics.getPackageSalesByMonth(year),
-                startDate && endDate ?
-                    analytics.getTopBuyersByDateRange(startDate, endDate, 5) :
-                    analytics.getTopBuyers(year, 5),
-                analytics.getPopularClasses(),
-                analytics.getAttendanceStats(),
-                analytics.getDormantClients(30),
-                analytics.getDormantClients(60),
-                analytics.getDormantClients(90),
-                analytics.getWeeklySchedule()
-            ]);
-
-        const dashboardData = {
-            generated_at: new Date().toISOString(),
-            period: startDate && endDate ?
-                `${dayjs(startDate).format('DD/MM/YYYY')} - ${dayjs(endDate).format('DD/MM/YYYY')}` :
-                `Año ${year}`,
-            retention,
-            sales,
-            top_buyers: topBuyers,
-            popular_classes: popularClasses.slice(0, 5),
-            attendance,
-            weekly_schedule: weeklySchedule,
-            dormant_clients: {
-                '30_days': dormant30.total,
-                '60_days': dormant60.total,
-                '90_days': dormant90.total,
-                clients_30_days: dormant30.clients.slice(0, 10)
-            }
-        };
+        console.log(`📄 Generando PDF (privacidad: ${resolved.mode})...`);
+
+        const dashboardData = await buildDashboardData({ year, startDate, endDate, privacy: resolved.mode });
 
         const pdfGenerator = new DashboardPDFGenerator('./reports');
         const pdfPath = await pdfGenerator.generateFullReport(dashboardData);
         const filename = path.basename(pdfPath);
+        // Los datos quedan junto al PDF para el resumen del correo
+        fs.writeFileSync(pdfPath.replace('.pdf', '.json'), JSON.stringify(dashboardData, null, 2));
 
         console.log(`✅ PDF generado: ${filename}`);
+        audit.recordAudit({
+            action: 'report_generated',
+            user: req.user,
+            method: req.method,
+            route: req.path,
+            params: { year, startDate, endDate },
+            records: countClientRecords(dashboardData),
+            privacy: resolved.mode,
+            filename
+        });
 
         res.json({
             success: true,
@@ -241,15 +466,14 @@ app.post('/api/generate-pdf', async (req, res) => {
             data: dashboardData
         });
     } catch (error) {
-        console.error('Error generando PDF:', error);
-        res.status(500).json({ success: false, error: error.message });
+        sendError(res, error);
     }
 });
 
 /**
  * GET /api/reports - Listar reportes generados
  */
-app.get('/api/reports', (req, res) => {
+app.get('/api/reports', requirePermission('reports'), validate('GET /api/reports'), (req, res) => {
     try {
         const reportsDir = path.join(__dirname, '../reports');
         if (!fs.existsSync(reportsDir)) {
@@ -261,71 +485,753 @@ app.get('/api/reports', (req, res) => {
             .map(f => ({
                 filename: f,
                 downloadUrl: `/reports/${f}`,
-                createdAt: fs.statSync(path.join(reportsDir, f)).mtime
+                createdAt: fs.statSync(path.join(reportsDir, f)).mtime,
+                // Los reportes anteriores al modo de privacidad no lo guardan
+                privacy: email.readReportData(path.join(reportsDir, f))?.privacy || null
             }))
             .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 
-        res.json({ success: true, reports: files });
+        res.json({
+            success: true,
+            reports: files,
+            privacy_modes: PRIVACY_MODES,
+            email_enabled: email.isEmailConfigured(),
+            default_recipients: emailConfig.recipients
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * POST /api/reports/email - Enviar un reporte generado por correo { filename, recipients?, subject? }
+ */
+app.post('/api/reports/email', requirePermission('reports'), validate('POST /api/reports/email'), async (req, res) => {
+    try {
+        const { filename, recipients = emailConfig.recipients, subject = emailConfig.subject } = req.body;
+        const errors = subject ? templates.validateTemplateBody(subject, 'email').map(e => e.replace(/^body/, 'subject')) : [];
+        // Sin recipients en el body se usan los de EMAIL_RECIPIENTS, que el esquema no ve
+        if (!Array.isArray(recipients) || recipients.length === 0) {
+            errors.push('recipients must be a non-empty array of emails');
+        } else {
+            const invalid = recipients.filter(address => !email.isValidEmail(address));
+            if (invalid.length > 0) errors.push(`recipients has invalid emails: ${invalid.join(', ')}`);
+        }
+        if (errors.length > 0) {
+            return sendError(res, validationError('POST /api/reports/email', errors));
+        }
+
+        if (!email.isEmailConfigured()) {
+            return res.status(400).json({ success: false, error: 'SMTP is not configured (set SMTP_HOST)' });
+        }
+
+        const pdfPath = path.join(__dirname, '../reports', filename);
+        if (!fs.existsSync(pdfPath)) {
+            return res.status(404).json({ success: false, error: `Report ${filename} not found` });
+        }
+
+        const delivery = await email.sendReportEmail({ pdfPath, recipients, subject, source: 'manual' });
+        res.status(delivery.status === 'sent' ? 200 : 502).json({
+            success: delivery.status === 'sent',
+            data: delivery,
+            error: delivery.error || undefined
+        });
     } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        sendError(res, error);
     }
 });
 
 /**
- * POST /api/analytics/weekly-schedule - Horario semanal con ocupación
+ * GET /api/email/deliveries - Log de envíos por correo (?status=sent|failed&limit=)
  */
-app.post('/api/analytics/weekly-schedule', async (req, res) => {
+app.get('/api/email/deliveries', requirePermission('reports'), validate('GET /api/email/deliveries'), (req, res) => {
+    try {
+        const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+        res.json({ success: true, data: email.listDeliveries({ status: req.query.status, limit }) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * POST /api/analytics/weekly-schedule - Horario semanal con ocupación (últimos `days` días o rango startDate/endDate)
+ */
+app.post('/api/analytics/weekly-schedule', validate('POST /api/analytics/weekly-schedule'), async (req, res) => {
     try {
         await ensureProfiles();
-        const data = await analytics.getWeeklySchedule();
+        const { days = 30, startDate, endDate } = req.body;
+        const data = await analytics.getWeeklySchedule({ days, startDate, endDate });
         res.json({ success: true, data });
     } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        sendError(res, error);
     }
 });
 
 /**
  * POST /api/analytics/user-history - Historial de compras de usuario
  */
-app.post('/api/analytics/user-history', async (req, res) => {
+app.post('/api/analytics/user-history', validate('POST /api/analytics/user-history'), async (req, res) => {
     try {
         await ensureProfiles();
         const { userId } = req.body;
-        if (!userId) {
-            return res.status(400).json({ success: false, error: 'userId is required' });
-        }
         const data = await analytics.getUserPurchaseHistory(userId);
         res.json({ success: true, data });
     } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        sendError(res, error);
     }
 });
 
 /**
  * POST /api/analytics/dormant-paginated - Clientas inactivas con paginación
  */
-app.post('/api/analytics/dormant-paginated', async (req, res) => {
+app.post('/api/analytics/dormant-paginated', validate('POST /api/analytics/dormant-paginated'), async (req, res) => {
     try {
         await ensureProfiles();
         const { daysInactive = 30, page = 1, pageSize = 20 } = req.body;
         const data = await analytics.getDormantClientsPaginated(daysInactive, page, pageSize);
+        data.clients = campaigns.attachLastContact(data.clients);
         res.json({ success: true, data });
     } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        sendError(res, error);
     }
 });
 
 /**
  * POST /api/analytics/credits-compare - Comparativa de créditos
  */
-app.post('/api/analytics/credits-compare', async (req, res) => {
+app.post('/api/analytics/credits-compare', validate('POST /api/analytics/credits-compare'), async (req, res) => {
     try {
         await ensureProfiles();
         const { period1Start, period1End, period2Start, period2End } = req.body;
         const data = await analytics.getCreditsComparison(period1Start, period1End, period2Start, period2End);
         res.json({ success: true, data });
     } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        sendError(res, error);
+    }
+});
+
+/**
+ * POST /api/analytics/cohorts - Retención mensual por cohorte de primera compra
+ */
+app.post('/api/analytics/cohorts', validate('POST /api/analytics/cohorts'), async (req, res) => {
+    try {
+        const { monthsBack = 12 } = req.body;
+        const data = await cohorts.getCohortRetention(monthsBack);
+        res.json({ success: true, data });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * POST /api/analytics/ltv - Valor de vida por clienta, mes de adquisición y primer paquete
+ */
+app.post('/api/analytics/ltv', requirePermission('revenue'), validate('POST /api/analytics/ltv'), async (req, res) => {
+    try {
+        await ensureProfiles();
+        const { limit = 25 } = req.body;
+        const data = await ltv.getLifetimeValue(limit);
+        res.json({ success: true, data });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * POST /api/analytics/segments - Segmentos RFM (conteos y lista de clientas por segmento)
+ */
+app.post('/api/analytics/segments', validate('POST /api/analytics/segments'), async (req, res) => {
+    try {
+        await ensureProfiles();
+        const { segment = null, page = 1, pageSize = 20 } = req.body;
+        const data = await segments.getSegments(segment, page, pageSize);
+        if (data.clients) data.clients = campaigns.attachLastContact(data.clients);
+        res.json({ success: true, data });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * POST /api/analytics/churn-risk - Clientas en riesgo antes de quedar dormidas
+ */
+app.post('/api/analytics/churn-risk', validate('POST /api/analytics/churn-risk'), async (req, res) => {
+    try {
+        await ensureProfiles();
+        const { dormantDays = 30, minLevel = 'medio' } = req.body;
+        const data = await churn.getChurnRisk(dormantDays, minLevel);
+        data.clients = campaigns.attachLastContact(data.clients);
+        res.json({ success: true, data });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * POST /api/analytics/credits-expiration - Breakage y créditos por vencer (con lista de contacto)
+ */
+app.post('/api/analytics/credits-expiration', validate('POST /api/analytics/credits-expiration'), async (req, res) => {
+    try {
+        await ensureProfiles();
+        const { contactDays = 14 } = req.body;
+        const data = await credits.getCreditExpiration(contactDays);
+        res.json({ success: true, data });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * POST /api/analytics/coaches - Desempeño por coach (con detalle si se envía coachId)
+ */
+app.post('/api/analytics/coaches', validate('POST /api/analytics/coaches'), async (req, res) => {
+    try {
+        await ensureProfiles();
+        const { monthsBack = 6, dormantDays = 30, coachId } = req.body;
+
+        if (coachId !== undefined && coachId !== null) {
+            const data = await coaches.getCoachDetail(coachId, monthsBack, dormantDays);
+            if (!data) {
+                return res.status(404).json({ success: false, error: `Coach "${coachId}" not found` });
+            }
+            return res.json({ success: true, data });
+        }
+
+        const data = await coaches.getCoachPerformance(monthsBack, dormantDays);
+        res.json({ success: true, data });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * POST /api/analytics/cancellations - Cancelaciones y no-shows (últimos `days` días o rango startDate/endDate)
+ */
+app.post('/api/analytics/cancellations', validate('POST /api/analytics/cancellations'), async (req, res) => {
+    try {
+        await ensureProfiles();
+        const { days = 90, startDate, endDate, lateCancelHours = 12, minLateCancels = 2 } = req.body;
+        const data = await cancellations.getCancellationStats({ days, startDate, endDate, lateCancelHours, minLateCancels });
+        res.json({ success: true, data });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * POST /api/analytics/forecast - Proyección de ingresos, paquetes y reservaciones (1-3 meses)
+ */
+app.post('/api/analytics/forecast', requirePermission('revenue'), validate('POST /api/analytics/forecast'), async (req, res) => {
+    try {
+        const { months = 3, confidence = 0.8 } = req.body;
+        const data = await forecast.getForecast(months, confidence);
+        res.json({ success: true, data });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// ===================== METAS =====================
+
+/**
+ * GET /api/goals - Listar metas mensuales
+ */
+app.get('/api/goals', validate('GET /api/goals'), (req, res) => {
+    try {
+        res.json({ success: true, data: goals.listGoals() });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * GET /api/goals/:month - Metas de un mes (YYYY-MM)
+ */
+app.get('/api/goals/:month', validate('GET /api/goals/:month'), (req, res) => {
+    try {
+        const goal = goals.getGoal(req.params.month);
+        if (!goal) {
+            return res.status(404).json({ success: false, error: `No goals for ${req.params.month}` });
+        }
+        res.json({ success: true, data: goal });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * POST /api/goals - Crear metas de un mes { month, revenue, packages, new_clients, occupancy }
+ */
+app.post('/api/goals', requirePermission('settings'), validate('POST /api/goals'), (req, res) => {
+    try {
+        const errors = goals.validateGoalInput(req.body);
+        if (errors.length > 0) {
+            return sendError(res, validationError('POST /api/goals', errors));
+        }
+        const goal = goals.createGoal(req.body);
+        if (!goal) {
+            return res.status(409).json({ success: false, error: `Goals for ${req.body.month} already exist` });
+        }
+        res.status(201).json({ success: true, data: goal });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * PUT /api/goals/:month - Actualizar metas de un mes (solo las métricas enviadas)
+ */
+app.put('/api/goals/:month', requirePermission('settings'), validate('PUT /api/goals/:month'), (req, res) => {
+    try {
+        const errors = goals.validateGoalInput(req.body, { partial: true });
+        if (errors.length > 0) {
+            return sendError(res, validationError('PUT /api/goals/:month', errors));
+        }
+        const goal = goals.updateGoal(req.params.month, req.body);
+        if (!goal) {
+            return res.status(404).json({ success: false, error: `No goals for ${req.params.month}` });
+        }
+        res.json({ success: true, data: goal });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * DELETE /api/goals/:month - Eliminar metas de un mes
+ */
+app.delete('/api/goals/:month', requirePermission('settings'), validate('DELETE /api/goals/:month'), (req, res) => {
+    try {
+        if (!goals.deleteGoal(req.params.month)) {
+            return res.status(404).json({ success: false, error: `No goals for ${req.params.month}` });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * POST /api/analytics/goals-progress - Avance, ritmo y cierre proyectado de las metas de un mes
+ */
+app.post('/api/analytics/goals-progress', validate('POST /api/analytics/goals-progress'), async (req, res) => {
+    try {
+        const { month = dayjs().format('YYYY-MM') } = req.body;
+        const data = await goals.getGoalProgress(month);
+        res.json({ success: true, data });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// ===================== REPORTES PROGRAMADOS =====================
+
+/**
+ * GET /api/schedules - Listar tareas programadas (incluye períodos y secciones disponibles)
+ */
+app.get('/api/schedules', requirePermission('reports'), validate('GET /api/schedules'), (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: scheduler.listJobs(),
+            periods: scheduler.REPORT_PERIODS,
+            sections: scheduler.REPORT_SECTIONS,
+            privacy_modes: PRIVACY_MODES,
+            default_privacy: privacyConfig.reportPrivacy,
+            scheduler_enabled: schedulerConfig.enabled
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * GET /api/schedules/runs - Historial de ejecuciones (?jobId=&limit=)
+ */
+app.get('/api/schedules/runs', requirePermission('reports'), validate('GET /api/schedules/runs'), (req, res) => {
+    try {
+        const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+        res.json({ success: true, data: scheduler.listRuns({ jobId: req.query.jobId, limit }) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * POST /api/schedules - Crear tarea { name, cron, period, sections, recipients, active }
+ */
+app.post('/api/schedules', requirePermission('reports'), validate('POST /api/schedules'), (req, res) => {
+    try {
+        const errors = scheduler.validateJobInput(req.body);
+        if (errors.length > 0) {
+            return sendError(res, validationError('POST /api/schedules', errors));
+        }
+        res.status(201).json({ success: true, data: scheduler.createJob(req.body) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * PUT /api/schedules/:id - Actualizar tarea; { active: false } la pausa
+ */
+app.put('/api/schedules/:id', requirePermission('reports'), validate('PUT /api/schedules/:id'), (req, res) => {
+    try {
+        const errors = scheduler.validateJobInput(req.body, { partial: true });
+        if (errors.length > 0) {
+            return sendError(res, validationError('PUT /api/schedules/:id', errors));
+        }
+        const job = scheduler.updateJob(req.params.id, req.body);
+        if (!job) {
+            return res.status(404).json({ success: false, error: `Schedule ${req.params.id} not found` });
+        }
+        res.json({ success: true, data: job });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * DELETE /api/schedules/:id - Eliminar tarea (el historial se conserva)
+ */
+app.delete('/api/schedules/:id', requirePermission('reports'), validate('DELETE /api/schedules/:id'), (req, res) => {
+    try {
+        if (!scheduler.deleteJob(req.params.id)) {
+            return res.status(404).json({ success: false, error: `Schedule ${req.params.id} not found` });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * POST /api/schedules/:id/run - Ejecutar una tarea ahora (también si está pausada)
+ */
+app.post('/api/schedules/:id/run', requirePermission('reports'), validate('POST /api/schedules/:id/run'), async (req, res) => {
+    try {
+        if (!scheduler.getJob(req.params.id)) {
+            return res.status(404).json({ success: false, error: `Schedule ${req.params.id} not found` });
+        }
+        if (scheduler.isJobRunning(req.params.id)) {
+            return res.status(409).json({ success: false, error: `Schedule ${req.params.id} is already running` });
+        }
+        const run = await scheduler.runJob(req.params.id, 'manual', req.user);
+        res.json({ success: run.status === 'success', data: run, error: run.error || undefined });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * GET|POST /api/scheduler/tick - Ejecutar las tareas vencidas (para un cron externo / serverless)
+ * Si SCHEDULER_TOKEN (o CRON_SECRET de Vercel) está definido se exige "Authorization: Bearer <token>";
+ * si no, una sesión con permiso de reportes
+ */
+const schedulerAuth = (req, res, next) => {
+    if (!schedulerConfig.token) {
+        return authenticate(req, res, () => requirePermission('reports')(req, res, next));
+    }
+    if (req.get('authorization') !== `Bearer ${schedulerConfig.token}`) {
+        return res.status(401).json({ success: false, error: 'Invalid scheduler token' });
+    }
+    next();
+};
+const schedulerTick = async (req, res) => {
+    try {
+        const runs = await scheduler.runDueJobs('endpoint');
+        res.json({ success: true, data: runs });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+app.get('/api/scheduler/tick', schedulerAuth, validate('GET /api/scheduler/tick'), schedulerTick);
+app.post('/api/scheduler/tick', schedulerAuth, validate('POST /api/scheduler/tick'), schedulerTick);
+
+// ===================== CAMPAÑAS DE WHATSAPP =====================
+
+/**
+ * GET /api/campaigns - Listar campañas con su avance (incluye objetivos y segmentos disponibles)
+ */
+app.get('/api/campaigns', requirePermission('campaigns'), validate('GET /api/campaigns'), (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: campaigns.listCampaigns(),
+            targets: CAMPAIGN_TARGETS,
+            segments: SEGMENTS.map(s => ({ id: s.id, label: s.label })),
+            cooldown_days: campaignConfig.cooldownDays
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * POST /api/campaigns/contacts - Último contacto de cada clienta { userIds }
+ */
+app.post('/api/campaigns/contacts', requirePermission('campaigns'), validate('POST /api/campaigns/contacts'), (req, res) => {
+    try {
+        const { userIds } = req.body;
+        const history = campaigns.getContactHistory(userIds);
+        res.json({ success: true, data: Object.fromEntries(history) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * GET /api/campaigns/:id - Campaña con sus clientas y el mensaje de cada una
+ */
+app.get('/api/campaigns/:id', requirePermission('campaigns'), validate('GET /api/campaigns/:id'), (req, res) => {
+    try {
+        const campaign = campaigns.getCampaign(req.params.id);
+        if (!campaign) {
+            return res.status(404).json({ success: false, error: `Campaign ${req.params.id} not found` });
+        }
+        res.json({ success: true, data: campaign });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * POST /api/campaigns - Crear campaña { name, template, target: { type, ... } } (la crea el usuario de la sesión)
+ */
+app.post('/api/campaigns', requirePermission('campaigns'), validate('POST /api/campaigns'), async (req, res) => {
+    try {
+        const errors = campaigns.validateCampaignInput(req.body);
+        if (errors.length > 0) {
+            return sendError(res, validationError('POST /api/campaigns', errors));
+        }
+        await ensureProfiles();
+        const campaign = await campaigns.createCampaign(req.body, { staff: req.user.name });
+        res.status(201).json({ success: true, data: campaign });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * PUT /api/campaigns/:id/clients/:userId - Marcar clienta { status, reason, force } (a nombre del usuario de la sesión)
+ * Marcar como enviada a una clienta que ya está enviada responde 409 (salvo force)
+ */
+app.put('/api/campaigns/:id/clients/:userId', requirePermission('campaigns'), validate('PUT /api/campaigns/:id/clients/:userId'), (req, res) => {
+    try {
+        const { status, reason = null, force = false } = req.body;
+        const current = campaigns.getCampaignClient(req.params.id, req.params.userId);
+        if (!current) {
+            return res.status(404).json({ success: false, error: `Client ${req.params.userId} not found in campaign ${req.params.id}` });
+        }
+        if (status === 'sent' && current.status === 'sent' && !force) {
+            return res.status(409).json({
+                success: false,
+                error: `Already contacted${current.contacted_by ? ` by ${current.contacted_by}` : ''} at ${current.contacted_at}`,
+                data: current
+            });
+        }
+
+        const client = campaigns.updateCampaignClient(req.params.id, req.params.userId, { status, staff: req.user.name, reason });
+        res.json({ success: true, data: client });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * POST /api/analytics/campaign-attribution - Reactivación, ingresos recuperados y días al regreso
+ * por campaña y por mensaje contra un grupo de control { windowDays, campaignId }
+ */
+app.post('/api/analytics/campaign-attribution', requirePermission('campaigns'), validate('POST /api/analytics/campaign-attribution'), async (req, res) => {
+    try {
+        const { windowDays = campaignConfig.attributionDays, campaignId = null } = req.body;
+        if (campaignId !== null && !campaigns.getCampaign(campaignId)) {
+            return res.status(404).json({ success: false, error: `Campaign ${campaignId} not found` });
+        }
+        const data = await attribution.getCampaignAttribution({ windowDays, campaignId });
+        res.json({ success: true, data });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * DELETE /api/campaigns/:id - Eliminar campaña (su historial de contacto se pierde)
+ */
+app.delete('/api/campaigns/:id', requirePermission('campaigns'), validate('DELETE /api/campaigns/:id'), (req, res) => {
+    try {
+        if (!campaigns.deleteCampaign(req.params.id)) {
+            return res.status(404).json({ success: false, error: `Campaign ${req.params.id} not found` });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// ===================== PLANTILLAS DE MENSAJES =====================
+
+// Datos del reporte más reciente, para la vista previa de plantillas de correo y PDF
+function latestReportData() {
+    const reportsDir = path.join(__dirname, '../reports');
+    if (!fs.existsSync(reportsDir)) return null;
+    const latest = fs.readdirSync(reportsDir)
+        .filter(f => f.endsWith('.pdf') && fs.existsSync(path.join(reportsDir, f.replace(/\.pdf$/, '.json'))))
+        .map(f => ({ file: f, mtime: fs.statSync(path.join(reportsDir, f)).mtimeMs }))
+        .sort((a, b) => b.mtime - a.mtime)[0];
+    return latest ? email.readReportData(path.join(reportsDir, latest.file)) : null;
+}
+
+// Las plantillas de correo y PDF usan los datos del reporte: exigen permiso de reportes
+const canUseChannel = (user, channel) => channel === 'whatsapp' || hasPermission(user, 'reports');
+const channelForbidden = res => res.status(403).json({ success: false, error: 'Missing permission: reports' });
+
+/**
+ * GET /api/templates - Listar plantillas (?channel=whatsapp|email|pdf), con canales y variables
+ */
+app.get('/api/templates', requirePermission('campaigns'), validate('GET /api/templates'), (req, res) => {
+    try {
+        const { channel } = req.query;
+        res.json({
+            success: true,
+            data: templates.listTemplates({ channel }),
+            channels: TEMPLATE_CHANNELS,
+            builtin_keys: BUILTIN_KEYS
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * GET /api/templates/clients - Clientas para la vista previa
+ */
+app.get('/api/templates/clients', requirePermission('campaigns'), validate('GET /api/templates/clients'), async (req, res) => {
+    try {
+        await ensureProfiles();
+        res.json({ success: true, data: await listPreviewClients() });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * POST /api/templates/render - Renderizar una plantilla { body | key, channel, userId, vars }
+ * WhatsApp usa las variables de la clienta userId; correo y PDF, las del último reporte.
+ * vars reemplaza variables sueltas (p. ej. los días de una campaña)
+ */
+app.post('/api/templates/render', requirePermission('campaigns'), validate('POST /api/templates/render'), async (req, res) => {
+    try {
+        const { key, userId = null, vars = {} } = req.body;
+        const stored = key !== undefined ? templates.listTemplates().find(t => t.key === key) : null;
+        if (key !== undefined && !stored) {
+            return res.status(404).json({ success: false, error: `Template ${key} not found` });
+        }
+
+        const channel = stored?.channel || req.body.channel || 'whatsapp';
+        const body = stored ? stored.body : req.body.body;
+        if (!canUseChannel(req.user, channel)) return channelForbidden(res);
+        const errors = templates.validateTemplateBody(body, channel);
+        if (errors.length > 0) {
+            return sendError(res, validationError('POST /api/templates/render', errors));
+        }
+
+        let context;
+        if (channel === 'whatsapp') {
+            if (userId === null) {
+                context = {};
+            } else {
+                await ensureProfiles();
+                context = await buildClientContext(String(userId));
+                if (!hasPermission(req.user, 'contacts')) context.telefono = null;
+                if (!hasPermission(req.user, 'revenue')) context.total = null;
+            }
+        } else {
+            context = buildReportContext(latestReportData());
+        }
+        // El texto también sale enmascarado (req.privacy lo deja privacyMiddleware)
+        context = applyPrivacy({ ...context, ...vars }, req.privacy);
+
+        res.json({ success: true, data: { text: renderTemplate(body, context).trim(), variables: context } });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * GET /api/templates/:id - Obtener una plantilla
+ */
+app.get('/api/templates/:id', requirePermission('campaigns'), validate('GET /api/templates/:id'), (req, res) => {
+    try {
+        const template = templates.getTemplate(req.params.id);
+        if (!template) {
+            return res.status(404).json({ success: false, error: `Template ${req.params.id} not found` });
+        }
+        res.json({ success: true, data: template });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * POST /api/templates - Crear plantilla { key, name, channel, body }
+ */
+app.post('/api/templates', requirePermission('campaigns'), validate('POST /api/templates'), (req, res) => {
+    try {
+        const errors = templates.validateTemplateInput(req.body);
+        if (errors.length > 0) {
+            return sendError(res, validationError('POST /api/templates', errors));
+        }
+        if (!canUseChannel(req.user, req.body.channel)) return channelForbidden(res);
+        const template = templates.createTemplate(req.body);
+        if (!template) {
+            return res.status(409).json({ success: false, error: `Template ${req.body.key} already exists` });
+        }
+        res.status(201).json({ success: true, data: template });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * PUT /api/templates/:id - Actualizar plantilla { name, channel, body } (la clave no cambia)
+ */
+app.put('/api/templates/:id', requirePermission('campaigns'), validate('PUT /api/templates/:id'), (req, res) => {
+    try {
+        const current = templates.getTemplate(req.params.id);
+        if (!current) {
+            return res.status(404).json({ success: false, error: `Template ${req.params.id} not found` });
+        }
+        const errors = templates.validateTemplateInput(req.body, { current });
+        if (errors.length > 0) {
+            return sendError(res, validationError('PUT /api/templates/:id', errors));
+        }
+        if (!canUseChannel(req.user, current.channel) || !canUseChannel(req.user, req.body.channel || current.channel)) {
+            return channelForbidden(res);
+        }
+        res.json({ success: true, data: templates.updateTemplate(req.params.id, req.body) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * DELETE /api/templates/:id - Eliminar plantilla (las del correo y el PDF no se eliminan)
+ */
+app.delete('/api/templates/:id', requirePermission('campaigns'), validate('DELETE /api/templates/:id'), (req, res) => {
+    try {
+        const template = templates.getTemplate(req.params.id);
+        if (!template) {
+            return res.status(404).json({ success: false, error: `Template ${req.params.id} not found` });
+        }
+        if (!canUseChannel(req.user, template.channel)) return channelForbidden(res);
+        if (template.builtin) {
+            return res.status(409).json({ success: false, error: `Template ${template.key} is used by reports and cannot be deleted` });
+        }
+        templates.deleteTemplate(req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error);
     }
 });
 
@@ -334,8 +1240,17 @@ app.get(/^\/(?!api).*/, (req, res) => {
     res.sendFile(path.join(__dirname, '../public/index.html'));
 });
 
-// Iniciar servidor (solo en entorno local, no en Vercel)
-if (!process.env.VERCEL) {
+// Rutas de la API que no existen
+app.use('/api', (req, res) => {
+    res.status(404).json({ success: false, error: `Route ${req.method} ${req.originalUrl} not found` });
+});
+
+// JSON mal formado y errores que las rutas no atrapan (siempre con el contrato de error)
+app.use(errorHandler);
+
+// Iniciar servidor (solo al correr este archivo en local; no en Vercel ni al importar la app)
+const isMainModule = process.argv[1] && path.resolve(process.argv[1]) === __filename;
+if (!process.env.VERCEL && isMainModule) {
     app.listen(PORT, () => {
         console.log('');
         console.log('╔══════════════════════════════════════════════════════════╗');
@@ -345,14 +1260,36 @@ if (!process.env.VERCEL) {
         console.log(`🚀 Servidor corriendo en: http://localhost:${PORT}`);
         console.log('');
         console.log('📊 Endpoints disponibles:');
-        console.log('   POST /api/analytics/retention');
-        console.log('   POST /api/analytics/sales');
-        console.log('   POST /api/analytics/top-buyers');
-        console.log('   POST /api/analytics/dormant');
-        console.log('   POST /api/analytics/compare');
-        console.log('   POST /api/generate-pdf');
-        console.log('   GET  /api/reports');
+        // Desde las rutas registradas, para que la lista no quede incompleta
+        const methodsByPath = new Map();
+        listAppRoutes(app).forEach(route => {
+            methodsByPath.set(route.path, [...(methodsByPath.get(route.path) || []), route.method.toUpperCase()]);
+        });
+        methodsByPath.forEach((methods, routePath) => console.log(`   ${methods.join('|').padEnd(10)} ${routePath}`));
+        console.log(`📘 Documentación: http://localhost:${PORT}/api-docs.html (GET /api/openapi.json)`);
         console.log('');
+
+        if (auth.USERS_FROM_ENV) {
+            console.log(`🔐 Usuarios definidos en el entorno: ${auth.listUsers().length}`);
+        } else if (seededOwner) {
+            console.log(`🔐 Usuaria dueña creada: ${seededOwner.username}`);
+        } else if (!auth.hasUsers()) {
+            console.log('⚠️  No hay usuarios: define AUTH_OWNER_USERNAME y AUTH_OWNER_PASSWORD para crear la dueña');
+        }
+
+        if (scheduler.startScheduler()) {
+            console.log(`⏰ Reportes programados: revisando cada ${schedulerConfig.tickSeconds} s`);
+        } else {
+            console.log('⏰ Reloj interno de reportes apagado (usa /api/scheduler/tick)');
+        }
+
+        // En Vercel no hay proceso persistente: la caché queda solo con TTL
+        const source = getDataSource();
+        if (source.startWatching) {
+            source.startWatching()
+                .then(mode => console.log(`🗄️  Caché de datos: invalidación ${mode}`))
+                .catch(error => console.error('🗄️  No se pudo iniciar la invalidación de la caché:', error.message));
+        }
     });
 }
 
@@ -0,0 +1,44 @@
+/**
+ * JSON Store
+ * Archivo JSON local con escritura atómica (archivo temporal + rename)
+ *
+ * Las lecturas y escrituras son síncronas a propósito: los archivos son pequeños
+ * y así dos peticiones nunca intercalan un read/modify/write
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { storageConfig } from '../config/storage.js';
+
+export class JsonStore {
+    constructor(name, defaults = {}, dataDir = storageConfig.dataDir) {
+        this.name = name;
+        this.defaults = defaults;
+        this.filepath = path.join(dataDir, `${name}.json`);
+    }
+
+    read() {
+        if (!fs.existsSync(this.filepath)) return structuredClone(this.defaults);
+        return JSON.parse(fs.readFileSync(this.filepath, 'utf8'));
+    }
+
+    write(data) {
+        fs.mkdirSync(path.dirname(this.filepath), { recursive: true });
+        const tmp = `${this.filepath}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+        fs.renameSync(tmp, this.filepath);
+        return data;
+    }
+
+    /**
+     * Leer, modificar y guardar; devuelve lo que regrese `fn`
+     */
+    update(fn) {
+        const data = this.read();
+        const result = fn(data);
+        this.write(data);
+        return result;
+    }
+}
+
+export default JsonStore;
@@ -0,0 +1,184 @@
+/**
+ * Template Variables
+ * Variables disponibles en las plantillas y cómo se calculan
+ *
+ * - Clienta (WhatsApp): datos de una clienta a partir de sus reservas y compras
+ * - Reporte (correo y PDF): datos del reporte generado (ver generators/dashboard-data.js)
+ */
+
+import { getDataSource } from '../datasources/index.js';
+import { loadProfiles, getProfile, formatUserName, formatPhone, getMostFrequent } from '../queries/analytics.js';
+import { loadRevenueResolver } from '../queries/revenue.js';
+import { getBatchExpiry } from '../queries/credits.js';
+import { createCoachResolver } from '../queries/coaches.js';
+import { ACTIVITY_BOOKING_STATUSES, bookingActivityDate } from '../queries/activity.js';
+import dayjs from 'dayjs';
+
+export const CLIENT_VARIABLES = {
+    nombre: 'Primer nombre',
+    nombre_completo: 'Nombre completo',
+    telefono: 'Teléfono',
+    dias: 'Días desde su última reserva o compra',
+    creditos: 'Créditos vigentes sin usar',
+    vencimiento: 'Fecha en que vencen sus próximos créditos (DD/MM/YYYY)',
+    dias_para_vencer: 'Días para que venzan sus próximos créditos',
+    paquete: 'Paquete que más compra',
+    ultimo_paquete: 'Último paquete comprado',
+    ultima_clase: 'Fecha de su última clase (DD/MM/YYYY)',
+    ultimo_coach: 'Coach de su última clase',
+    total: 'Total gastado',
+    compras: 'Número de compras'
+};
+
+export const REPORT_VARIABLES = {
+    period: 'Período del reporte',
+    date: 'Fecha de envío (DD/MM/YYYY)',
+    name: 'Nombre del reporte programado',
+    revenue: 'Ingresos del período',
+    packages: 'Paquetes vendidos',
+    retention_rate: 'Tasa de retención (30 días)',
+    active_clients: 'Clientas activas (30 días)',
+    dormant_clients: 'Clientas inactivas 30+ días',
+    credits_pending: 'Créditos pendientes de usar',
+    revenue_goal_pct: '% de la meta de ingresos del mes',
+    forecast_revenue: 'Ingresos proyectados del próximo mes'
+};
+
+const money = value => `$${new Intl.NumberFormat('es-MX').format(Math.round(value || 0))}`;
+const formatDate = date => (date ? dayjs(date).format('DD/MM/YYYY') : null);
+
+/**
+ * Variables de clienta para varias clientas a la vez
+ * @param {string[]} userIds
+ * @returns {Promise<Map<string, Object>>}
+ */
+export async function buildClientContexts(userIds) {
+    const db = getDataSource();
+    // Con una sola clienta se filtra en la fuente de datos
+    const userId = userIds.length === 1 ? userIds[0] : undefined;
+    const wanted = new Set(userIds);
+    const now = dayjs();
+
+    const [bookings, creditBatches, revenue, coaches, sessions] = await Promise.all([
+        db.listBookings({ statuses: ACTIVITY_BOOKING_STATUSES, userId }),
+        db.listCreditBatches({ userId }),
+        loadRevenueResolver({ userId }),
+        db.listCoaches(),
+        db.listSessions(),
+        loadProfiles()
+    ]);
+    const resolveCoach = createCoachResolver(coaches, sessions);
+
+    const stats = new Map(userIds.map(id => [id, {
+        last_activity: null,
+        last_class: null,
+        credits: 0,
+        next_expiry: null,
+        total: 0,
+        purchases: 0,
+        packages: [],
+        last_batch: null
+    }]));
+
+    bookings?.forEach(b => {
+        const s = stats.get(b.user_id);
+        if (!s) return;
+        const activity = dayjs(bookingActivityDate(b));
+        if (!s.last_activity || activity.isAfter(s.last_activity)) s.last_activity = activity;
+        // Última clase: la más reciente que ya ocurrió
+        if (b.session_date && !dayjs(b.session_date).isAfter(now, 'day') &&
+            (!s.last_class || dayjs(b.session_date).isAfter(dayjs(s.last_class.session_date)))) {
+            s.last_class = b;
+        }
+    });
+
+    creditBatches?.forEach(c => {
+        if (!wanted.has(c.user_id)) return;
+        const s = stats.get(c.user_id);
+        const pkg = revenue.packageMap.get(c.package_id);
+        const created = dayjs(c.created_at);
+
+        s.total += revenue.resolve(c).amount;
+        s.purchases++;
+        s.packages.push(pkg?.title || 'Desconocido');
+        if (!s.last_batch || created.isAfter(dayjs(s.last_batch.created_at))) s.last_batch = c;
+        if (!s.last_activity || created.isAfter(s.last_activity)) s.last_activity = created;
+
+        const { expires_at: expiresAt } = getBatchExpiry(c, pkg);
+        if (c.credits_remaining > 0 && expiresAt.isAfter(now)) {
+            s.credits += c.credits_remaining;
+            if (!s.next_expiry || expiresAt.isBefore(s.next_expiry)) s.next_expiry = expiresAt;
+        }
+    });
+
+    const contexts = new Map();
+    stats.forEach((s, id) => {
+        const profile = getProfile(id);
+        const fullName = formatUserName(id, profile);
+        const lastClassCoach = s.last_class ? (resolveCoach(s.last_class).coach?.name || s.last_class.coach_name || null) : null;
+
+        contexts.set(id, {
+            nombre: fullName.split(' ')[0],
+            nombre_completo: fullName,
+            telefono: formatPhone(profile),
+            dias: s.last_activity ? Math.max(now.diff(s.last_activity, 'day'), 0) : null,
+            creditos: s.credits,
+            vencimiento: formatDate(s.next_expiry),
+            dias_para_vencer: s.next_expiry ? s.next_expiry.diff(now, 'day') : null,
+            paquete: s.packages.length > 0 ? getMostFrequent(s.packages) : null,
+            ultimo_paquete: s.last_batch ? (revenue.packageMap.get(s.last_batch.package_id)?.title || null) : null,
+            ultima_clase: formatDate(s.last_class?.session_date),
+            ultimo_coach: lastClassCoach,
+            total: s.purchases > 0 ? money(s.total) : null,
+            compras: s.purchases
+        });
+    });
+
+    return contexts;
+}
+
+export async function buildClientContext(userId) {
+    const contexts = await buildClientContexts([userId]);
+    return contexts.get(userId);
+}
+
+/**
+ * Clientas para elegir en la vista previa (ordenadas por nombre)
+ */
+export async function listPreviewClients() {
+    const profiles = await loadProfiles();
+    return [...profiles.values()]
+        .map(p => ({ user_id: p.id, full_name: formatUserName(p.id, p) }))
+        .sort((a, b) => a.full_name.localeCompare(b.full_name, 'es'));
+}
+
+/**
+ * Variables de reporte a partir de los datos del reporte (null → todas vacías)
+ */
+export function buildReportContext(data, { name = '' } = {}) {
+    const revenueGoal = data?.goals?.has_goals ? data.goals.metrics.revenue : null;
+    const nextMonth = data?.forecast?.forecast?.[0];
+
+    return {
+        period: data?.period || '',
+        date: dayjs().format('DD/MM/YYYY'),
+        name,
+        revenue: data?.sales ? money(data.sales.total_revenue) : '',
+        packages: data?.sales?.total_packages ?? '',
+        retention_rate: data?.retention ? `${data.retention.retention_rate}%` : '',
+        active_clients: data?.retention?.active_users_30_days ?? '',
+        dormant_clients: data?.dormant_clients?.['30_days'] ?? '',
+        credits_pending: data?.retention?.total_credits_pending ?? '',
+        revenue_goal_pct: revenueGoal?.target ? `${revenueGoal.progress_pct}%` : '',
+        forecast_revenue: nextMonth ? money(nextMonth.revenue.value) : ''
+    };
+}
+
+export default {
+    CLIENT_VARIABLES,
+    REPORT_VARIABLES,
+    buildClientContexts,
+    buildClientContext,
+    listPreviewClients,
+    buildReportContext
+};
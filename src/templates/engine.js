@@ -0,0 +1,160 @@
+/**
+ * Template Engine
+ * Motor de plantillas para los mensajes de WhatsApp, el correo y el texto del PDF
+ *
+ * Sintaxis (llaves simples o dobles: {nombre} = {{nombre}}):
+ * - {variable}                 valor de la variable (vacío si no tiene valor)
+ * - {variable|texto}           texto alterno si la variable está vacía
+ * - {#if variable}...{/if}     bloque condicional, admite {else} y anidarse
+ * - {#if !variable}            negación
+ * - {#if variable > 3}         comparación con >, <, >=, <=, = o != (número o texto)
+ *
+ * Una variable está "vacía" si es null, '', 0 o no existe
+ */
+
+const TAG_PATTERN = /\{\{?\s*([^{}]*?)\s*\}?\}/g;
+const CONDITION_PATTERN = /^(!)?\s*(\w+)(?:\s*(>=|<=|!=|=|>|<)\s*(.+))?$/;
+const VARIABLE_PATTERN = /^(\w+)(?:\s*\|\s*(.*))?$/;
+const MAX_CACHED = 200;
+
+const cache = new Map();
+
+const isEmpty = value => value === null || value === undefined || value === '' || value === 0 || value === false;
+
+const toNumber = value => {
+    if (typeof value === 'number') return value;
+    const text = String(value ?? '').replace(/[$,%\s]/g, '');
+    return text === '' ? NaN : Number(text);
+};
+
+function compareValues(left, operator, rawRight) {
+    const right = rawRight.replace(/^["']|["']$/g, '');
+    const a = toNumber(left);
+    const b = toNumber(right);
+    const numeric = !Number.isNaN(a) && !Number.isNaN(b);
+    const order = numeric ? a - b : String(left ?? '').toLowerCase().localeCompare(right.toLowerCase());
+
+    switch (operator) {
+        case '=': return order === 0;
+        case '!=': return order !== 0;
+        case '>': return order > 0;
+        case '<': return order < 0;
+        case '>=': return order >= 0;
+        default: return order <= 0;
+    }
+}
+
+/**
+ * Interpretar una plantilla
+ * @returns {{nodes: Array, variables: string[], errors: string[]}}
+ */
+export function parseTemplate(template) {
+    const root = { children: [] };
+    const stack = [root];
+    const variables = new Set();
+    const errors = [];
+    let current = root.children;
+    let lastIndex = 0;
+
+    const text = String(template ?? '');
+    for (const match of text.matchAll(TAG_PATTERN)) {
+        if (match.index > lastIndex) current.push({ type: 'text', value: text.slice(lastIndex, match.index) });
+        lastIndex = match.index + match[0].length;
+
+        const tag = match[1];
+        if (tag.startsWith('#if')) {
+            const condition = tag.slice(3).trim().match(CONDITION_PATTERN);
+            if (!condition) {
+                errors.push(`invalid condition "${match[0]}"`);
+                continue;
+            }
+            const [, negate, name, operator, value] = condition;
+            variables.add(name);
+            const node = { type: 'if', negate: Boolean(negate), name, operator, value, then: [], otherwise: [], inElse: false };
+            current.push(node);
+            stack.push(node);
+            current = node.then;
+        } else if (tag === 'else') {
+            const node = stack[stack.length - 1];
+            if (node === root || node.inElse) {
+                errors.push(node === root ? '{else} without a matching {#if}' : 'duplicate {else} in {#if}');
+                continue;
+            }
+            node.inElse = true;
+            current = node.otherwise;
+        } else if (tag === '/if') {
+            if (stack.length === 1) {
+                errors.push('{/if} without a matching {#if}');
+                continue;
+            }
+            stack.pop();
+            const parent = stack[stack.length - 1];
+            current = parent === root ? root.children : (parent.inElse ? parent.otherwise : parent.then);
+        } else {
+            const variable = tag.match(VARIABLE_PATTERN);
+            if (!variable) {
+                errors.push(`invalid tag "${match[0]}"`);
+                continue;
+            }
+            variables.add(variable[1]);
+            current.push({ type: 'var', name: variable[1], fallback: variable[2] ?? '' });
+        }
+    }
+
+    if (lastIndex < text.length) current.push({ type: 'text', value: text.slice(lastIndex) });
+    if (stack.length > 1) errors.push(`${stack.length - 1} {#if} without {/if}`);
+
+    return { nodes: root.children, variables: [...variables], errors };
+}
+
+function renderNodes(nodes, context) {
+    return nodes.map(node => {
+        if (node.type === 'text') return node.value;
+        if (node.type === 'var') {
+            const value = context[node.name];
+            return isEmpty(value) ? node.fallback : String(value);
+        }
+
+        const value = context[node.name];
+        let result = node.operator ? compareValues(value, node.operator, node.value) : !isEmpty(value);
+        if (node.negate) result = !result;
+        return renderNodes(result ? node.then : node.otherwise, context);
+    }).join('');
+}
+
+function compile(template) {
+    const key = String(template ?? '');
+    if (cache.has(key)) return cache.get(key);
+
+    const parsed = parseTemplate(key);
+    if (cache.size >= MAX_CACHED) cache.delete(cache.keys().next().value);
+    cache.set(key, parsed);
+    return parsed;
+}
+
+/**
+ * Validar una plantilla; devuelve la lista de errores
+ * @param {string[]} allowedVariables - Si se indica, las variables desconocidas son error
+ */
+export function validateTemplate(template, allowedVariables = null) {
+    const { variables, errors } = compile(template);
+    if (!allowedVariables) return [...errors];
+
+    const unknown = variables.filter(name => !allowedVariables.includes(name));
+    return unknown.length > 0 ? [...errors, `unknown variables: ${unknown.join(', ')}`] : [...errors];
+}
+
+/**
+ * Renderizar una plantilla con un contexto; lanza un Error si la plantilla no es válida
+ */
+export function renderTemplate(template, context = {}) {
+    const { nodes, errors } = compile(template);
+    if (errors.length > 0) throw new Error(`Invalid template: ${errors.join('; ')}`);
+    return renderNodes(nodes, context);
+}
+
+export default {
+    parseTemplate,
+    validateTemplate,
+    renderTemplate
+};
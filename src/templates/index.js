@@ -0,0 +1,219 @@
+/**
+ * Message Templates
+ * Plantillas guardadas en el servidor (DATA_DIR/templates.json)
+ *
+ * - Canal whatsapp: variables de clienta; canales email y pdf: variables del reporte
+ * - Cada plantilla tiene una clave única; las claves email_asunto, email_cuerpo y
+ *   pdf_resumen las usa el código y no se pueden eliminar
+ * - La primera vez se crean las plantillas por defecto (DEFAULT_TEMPLATES)
+ */
+
+import { JsonStore } from '../storage/json-store.js';
+import { validateTemplate, renderTemplate } from './engine.js';
+import { CLIENT_VARIABLES, REPORT_VARIABLES } from './context.js';
+
+export const TEMPLATE_CHANNELS = {
+    whatsapp: { label: 'WhatsApp', variables: CLIENT_VARIABLES },
+    email: { label: 'Correo', variables: REPORT_VARIABLES },
+    pdf: { label: 'PDF', variables: REPORT_VARIABLES }
+};
+
+export const BUILTIN_KEYS = ['email_asunto', 'email_cuerpo', 'pdf_resumen'];
+
+export const DEFAULT_TEMPLATES = [
+    {
+        key: 'reactivacion',
+        name: 'Reactivación',
+        channel: 'whatsapp',
+        body: `¡Hola {nombre}! 👋
+
+Te extrañamos en RAGE. Han pasado {dias} días desde tu última visita. ¿Qué te parece volver a entrenar? 💪
+{#if creditos > 0}
+Todavía tienes {creditos} clases disponibles hasta el {vencimiento}. ¡Aprovéchalas!
+{else}
+Tenemos clases increíbles esperándote. ¡Agenda tu próxima sesión!
+{/if}`
+    },
+    {
+        key: 'vip',
+        name: 'Lealtad VIP',
+        channel: 'whatsapp',
+        body: `¡Hola {nombre}! 👑
+
+¡Eres una de nuestras clientas VIP en RAGE! 🎉
+
+Como agradecimiento por tu lealtad, te regalo un 15% de descuento en tu próximo {paquete|paquete}. Usa el código: VIP2026 💝
+
+¡Gracias por ser parte de la familia RAGE!`
+    },
+    {
+        key: 'segmento',
+        name: 'Mensaje para segmento',
+        channel: 'whatsapp',
+        body: `¡Hola {nombre}! 💜
+
+Queremos agradecerte por ser parte de RAGE. Tenemos algo especial para ti esta semana. ¡Escríbenos para conocer los detalles!`
+    },
+    {
+        key: 'creditos_por_vencer',
+        name: 'Créditos por vencer',
+        channel: 'whatsapp',
+        body: `¡Hola {nombre}! ⏳
+
+Te quedan {creditos} clases en RAGE que vencen el {vencimiento}. ¡Agenda tus sesiones para no perderlas! 💪`
+    },
+    {
+        key: 'email_asunto',
+        name: 'Asunto del correo',
+        channel: 'email',
+        body: 'Reporte Rage Analytics · {period}'
+    },
+    {
+        key: 'email_cuerpo',
+        name: 'Introducción del correo',
+        channel: 'email',
+        body: 'Adjunto el reporte de Rage Analytics{#if period} ({period}){/if}.'
+    },
+    {
+        key: 'pdf_resumen',
+        name: 'Resumen del PDF',
+        channel: 'pdf',
+        body: `{#if period}{period}: se{else}Se{/if} vendieron {packages|0} paquetes por {revenue|$0}.{#if revenue_goal_pct} La meta de ingresos del mes va en {revenue_goal_pct}.{/if}{#if dormant_clients > 0} Hay {dormant_clients} clientas inactivas por reactivar y {credits_pending|0} créditos sin usar.{/if}`
+    }
+];
+
+const KEY_PATTERN = /^[a-z0-9_]+$/;
+
+const templateStore = new JsonStore('templates', {
+    next_id: DEFAULT_TEMPLATES.length + 1,
+    templates: DEFAULT_TEMPLATES.map((template, i) => ({ id: i + 1, ...template, created_at: null, updated_at: null }))
+});
+
+const variablesFor = channel => Object.keys(TEMPLATE_CHANNELS[channel]?.variables || {});
+
+/**
+ * Validar el texto de una plantilla para un canal; devuelve la lista de errores
+ */
+export function validateTemplateBody(body, channel) {
+    if (typeof body !== 'string' || body.trim() === '') return ['body is required'];
+    return validateTemplate(body, variablesFor(channel)).map(error => `body: ${error}`);
+}
+
+/**
+ * Validar una plantilla recibida por la API; devuelve la lista de errores
+ * @param {Object} current - Plantilla actual (en actualizaciones)
+ */
+export function validateTemplateInput(input = {}, { current = null } = {}) {
+    const errors = [];
+    const has = key => input[key] !== undefined;
+
+    if (current && has('key') && input.key !== current.key) errors.push('key cannot be changed');
+    if (!current && (typeof input.key !== 'string' || !KEY_PATTERN.test(input.key))) {
+        errors.push('key is required (lowercase letters, numbers and _)');
+    }
+
+    if (!current || has('name')) {
+        if (typeof input.name !== 'string' || input.name.trim() === '') errors.push('name is required');
+    }
+
+    if (!current || has('channel')) {
+        if (!TEMPLATE_CHANNELS[input.channel]) {
+            errors.push(`channel must be one of: ${Object.keys(TEMPLATE_CHANNELS).join(', ')}`);
+        } else if (current && BUILTIN_KEYS.includes(current.key) && input.channel !== current.channel) {
+            errors.push(`channel of ${current.key} cannot be changed`);
+        }
+    }
+
+    const channel = input.channel || current?.channel;
+    if (!current || has('body') || has('channel')) {
+        errors.push(...validateTemplateBody(has('body') ? input.body : current.body, channel));
+    }
+
+    return errors;
+}
+
+export function listTemplates({ channel } = {}) {
+    return templateStore.read().templates
+        .filter(t => !channel || t.channel === channel)
+        .map(t => ({ ...t, builtin: BUILTIN_KEYS.includes(t.key) }));
+}
+
+export function getTemplate(id) {
+    const template = templateStore.read().templates.find(t => t.id === Number(id));
+    return template ? { ...template, builtin: BUILTIN_KEYS.includes(template.key) } : null;
+}
+
+/**
+ * Texto de una plantilla por clave (con la versión por defecto si no existe)
+ */
+export function getTemplateBody(key) {
+    const stored = templateStore.read().templates.find(t => t.key === key);
+    return stored?.body ?? DEFAULT_TEMPLATES.find(t => t.key === key)?.body ?? null;
+}
+
+/**
+ * Renderizar la plantilla guardada con una clave
+ */
+export function renderStoredTemplate(key, context) {
+    const body = getTemplateBody(key);
+    if (body === null) throw new Error(`Template ${key} not found`);
+    return renderTemplate(body, context);
+}
+
+/**
+ * Crear una plantilla; null si la clave ya existe
+ */
+export function createTemplate(input) {
+    return templateStore.update(data => {
+        if (data.templates.some(t => t.key === input.key)) return null;
+        const now = new Date().toISOString();
+        const template = {
+            id: data.next_id++,
+            key: input.key,
+            name: input.name.trim(),
+            channel: input.channel,
+            body: input.body,
+            created_at: now,
+            updated_at: now
+        };
+        data.templates.push(template);
+        return { ...template, builtin: false };
+    });
+}
+
+export function updateTemplate(id, input) {
+    return templateStore.update(data => {
+        const template = data.templates.find(t => t.id === Number(id));
+        if (!template) return null;
+
+        if (input.name !== undefined) template.name = input.name.trim();
+        if (input.channel !== undefined) template.channel = input.channel;
+        if (input.body !== undefined) template.body = input.body;
+        template.updated_at = new Date().toISOString();
+        return { ...template, builtin: BUILTIN_KEYS.includes(template.key) };
+    });
+}
+
+export function deleteTemplate(id) {
+    return templateStore.update(data => {
+        const index = data.templates.findIndex(t => t.id === Number(id));
+        if (index === -1) return false;
+        data.templates.splice(index, 1);
+        return true;
+    });
+}
+
+export default {
+    TEMPLATE_CHANNELS,
+    BUILTIN_KEYS,
+    DEFAULT_TEMPLATES,
+    validateTemplateBody,
+    validateTemplateInput,
+    listTemplates,
+    getTemplate,
+    getTemplateBody,
+    renderStoredTemplate,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate
+};
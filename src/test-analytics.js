@@ -0,0 +1,193 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Llamar cada ruta /api/analytics/* con el fixture y la caché encendida
+ *   npm test
+ * Cada ruta se pide dos veces: la segunda lee de la caché y debe responder igual de bien.
+ * También se piden sin body: deben responder con datos o 400, nunca 500.
+ * Antes se revisan los filtros del fixture, la paginación de fetchAll y que modificar
+ * las filas de una lectura no cambie las de la siguiente; al final, que una exportación
+ * no se quede en el limit por defecto de la ruta
+ */
+process.env.DATA_SOURCE = 'fixture';
+process.env.CACHE_ENABLED = 'true';
+process.env.CACHE_INVALIDATION = 'none';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'rage-test-'));
+
+const { default: app } = await import('./server.js');
+const { createUser, createSession } = await import('./auth/index.js');
+const { listAppRoutes } = await import('./openapi/index.js');
+const { dataSourceConfig } = await import('./config/datasource.js');
+const { getDataSource } = await import('./datasources/index.js');
+const { FixtureDataSource } = await import('./datasources/fixture-source.js');
+const { fetchAll } = await import('./datasources/fetch-all.js');
+
+// Campos obligatorios de las rutas que no tienen defaults
+function requestBody(route, dataset) {
+    if (route === '/api/analytics/user-history') {
+        return { userId: dataset.credit_batches[0]?.user_id };
+    }
+    if (route === '/api/analytics/compare' || route === '/api/analytics/credits-compare') {
+        return { period1Start: '2024-01-01', period1End: '2024-06-30', period2Start: '2024-07-01', period2End: '2024-12-31' };
+    }
+    return {};
+}
+
+// Filtros del fixture: status, rango de fechas (el día final completo), usuario, créditos e ids
+async function checkFixtureFilters() {
+    const fixturePath = path.join(process.env.DATA_DIR, 'filters.json');
+    fs.writeFileSync(fixturePath, JSON.stringify({
+        bookings: [
+            { id: 1, user_id: 'a', status: 'active', session_date: '2026-03-01' },
+            { id: 2, user_id: 'a', status: 'completed', session_date: '2026-03-15' },
+            { id: 3, user_id: 'b', status: 'cancelled', session_date: '2026-03-31' },
+            { id: 4, user_id: 'b', status: 'active', session_date: '2026-04-01' }
+        ],
+        credit_batches: [
+            { id: 1, user_id: 'a', credits_remaining: 0, created_at: '2026-02-28T23:59:59.000Z' },
+            { id: 2, user_id: 'a', credits_remaining: 3, created_at: '2026-03-01T00:00:00.000Z' },
+            { id: 3, user_id: 'b', credits_remaining: 5, created_at: '2026-03-31T18:30:00.000Z' },
+            { id: 4, user_id: 'b', credits_remaining: 0, created_at: '2026-04-01T00:00:00.000Z' }
+        ],
+        purchases: [
+            { id: 10, user_id: 'a', created_at: '2026-01-10T10:00:00.000Z' },
+            { id: 11, user_id: 'b', created_at: '2026-03-31T23:00:00.000Z' }
+        ]
+    }));
+
+    const source = new FixtureDataSource(fixturePath);
+    const ids = rows => rows.map(row => row.id).join(',');
+    const checks = [
+        ['bookings by status', await source.listBookings({ statuses: ['active', 'completed'] }), '1,2,4'],
+        ['bookings in March', await source.listBookings({ from: '2026-03-01', to: '2026-03-31' }), '1,2,3'],
+        ['bookings by user', await source.listBookings({ userId: 'b' }), '3,4'],
+        ['batches in March (whole last day)', await source.listCreditBatches({ from: '2026-03-01', to: '2026-03-31' }), '2,3'],
+        ['batches with credits', await source.listCreditBatches({ withCreditsRemaining: true }), '2,3'],
+        ['purchases up to a timestamp', await source.listPurchases({ to: '2026-03-31T12:00:00.000Z' }), '10'],
+        ['purchases by id', await source.listPurchases({ ids: [11] }), '11']
+    ];
+
+    return checks
+        .filter(([, rows, expected]) => ids(rows) !== expected)
+        .map(([name, rows, expected]) => `fixture: ${name} returned [${ids(rows)}], expected [${expected}]`);
+}
+
+// fetchAll con una tabla falsa de `total` filas; `range` recibe índices inclusivos como PostgREST
+async function checkFetchAllPages() {
+    const problems = [];
+    const cases = [
+        { name: 'several pages', total: 25, pageSize: 10, pages: 3 },
+        { name: 'exactly full last page', total: 20, pageSize: 10, pages: 3 },
+        { name: 'single short page', total: 4, pageSize: 10, pages: 1 },
+        { name: 'empty table', total: 0, pageSize: 10, pages: 1 }
+    ];
+
+    for (const { name, total, pageSize, pages } of cases) {
+        const table = Array.from({ length: total }, (_, i) => ({ id: i + 1 }));
+        let requests = 0;
+        const rows = await fetchAll('test', () => ({
+            range: (from, to) => {
+                requests++;
+                return Promise.resolve({ data: table.slice(from, to + 1), error: null });
+            }
+        }), { pageSize });
+
+        const unique = new Set(rows.map(row => row.id)).size;
+        if (rows.length !== total || unique !== total) {
+            problems.push(`fetchAll: ${name} returned ${rows.length} rows (${unique} unique), expected ${total}`);
+        }
+        if (requests !== pages) {
+            problems.push(`fetchAll: ${name} made ${requests} requests, expected ${pages}`);
+        }
+    }
+    return problems;
+}
+
+// Una consulta que modifica lo que leyó no debe cambiar lo que lee la siguiente
+async function checkCachedRowsAreCopies(dataset) {
+    const db = getDataSource();
+    const first = await db.listCreditBatches();
+    const original = first[0].credits_remaining;
+    first[0].credits_remaining = -1;
+    first.push({ id: 'extra' });
+
+    const second = await db.listCreditBatches();
+    const problems = [];
+    if (second.length !== dataset.credit_batches.length) {
+        problems.push(`cache: a pushed row leaked into the next read (${second.length} rows)`);
+    }
+    if (second[0].credits_remaining !== original) {
+        problems.push('cache: a mutated row leaked into the next read');
+    }
+    return problems;
+}
+
+// top-buyers responde 10 filas por defecto; exportada debe traer a todas las compradoras
+async function checkExportIgnoresDefaultLimit(baseUrl, token) {
+    const response = await fetch(`${baseUrl}/api/analytics/top-buyers`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ format: 'csv' })
+    });
+    const lines = (await response.text()).split('\r\n');
+    const header = lines.indexOf('top-buyers') + 1;
+    const end = lines.indexOf('', header);
+    const rows = (end === -1 ? lines.length : end) - header - 1;
+    return rows > 10 ? [] : [`export: top-buyers exported ${rows} rows, expected more than the default limit of 10`];
+}
+
+async function testAnalytics() {
+    console.log('📊 Checking analytics endpoints with the cache on...\n');
+
+    const dataset = JSON.parse(fs.readFileSync(dataSourceConfig.fixturePath, 'utf8'));
+    const owner = createUser({ username: 'test-owner', name: 'Test', role: 'owner', password: 'test-password' });
+    const { token } = createSession(owner);
+
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const routes = listAppRoutes(app).filter(route => route.method === 'post' && route.path.startsWith('/api/analytics/'));
+    const problems = [
+        ...await checkFixtureFilters(),
+        ...await checkFetchAllPages(),
+        ...await checkCachedRowsAreCopies(dataset)
+    ];
+
+    for (const route of routes) {
+        for (const attempt of ['miss', 'hit']) {
+            const response = await fetch(baseUrl + route.path, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+                body: JSON.stringify(requestBody(route.path, dataset))
+            });
+            if (!response.ok) {
+                const result = await response.json().catch(() => ({}));
+                problems.push(`${route.key} (${attempt}): ${response.status} ${result.code || ''} ${result.error || ''}`);
+            }
+        }
+
+        const bodyless = await fetch(baseUrl + route.path, { method: 'POST', headers: { Authorization: `Bearer ${token}` } });
+        if (bodyless.status >= 500) {
+            problems.push(`${route.key} (no body): ${bodyless.status}`);
+        }
+    }
+
+    problems.push(...await checkExportIgnoresDefaultLimit(baseUrl, token));
+
+    server.close();
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+
+    if (problems.length > 0) {
+        problems.forEach(problem => console.error(`❌ ${problem}`));
+        console.error(`\n${problems.length} problem(s) in ${routes.length} routes`);
+        process.exit(1);
+    }
+
+    console.log(`✅ ${routes.length} rutas de analytics responden con la caché (dos veces cada una)`);
+    process.exit(0);
+}
+
+testAnalytics();
@@ -0,0 +1,40 @@
+import fs from 'fs';
+import path from 'path';
+import { emailConfig } from './config/email.js';
+import { isEmailConfigured, verifyConnection, sendReportEmail } from './delivery/email.js';
+
+/**
+ * Prueba de envío: conecta al SMTP y manda el último reporte de ./reports
+ * Destinatarios: argumentos del comando o EMAIL_RECIPIENTS
+ *   npm run test-email -- direccion@rage.mx
+ */
+async function testEmail() {
+    console.log('✉️  Testing SMTP delivery...\n');
+
+    try {
+        if (!isEmailConfigured()) throw new Error('SMTP_HOST no está configurado');
+
+        await verifyConnection();
+        console.log(`✅ Conexión SMTP: ${emailConfig.host}:${emailConfig.port}`);
+
+        const reportsDir = './reports';
+        const latest = fs.existsSync(reportsDir) ? fs.readdirSync(reportsDir)
+            .filter(f => f.endsWith('.pdf'))
+            .map(f => path.join(reportsDir, f))
+            .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs)[0] : null;
+        if (!latest) throw new Error('No hay reportes en ./reports (ejecuta npm run generate)');
+
+        const recipients = process.argv.slice(2).length > 0 ? process.argv.slice(2) : emailConfig.recipients;
+        const delivery = await sendReportEmail({ pdfPath: latest, recipients, source: 'cli' });
+        if (delivery.status !== 'sent') throw new Error(delivery.error);
+
+        console.log(`✅ ${path.basename(latest)} enviado a ${recipients.join(', ')} (${delivery.attempts.length} intento/s)`);
+        console.log(`   Asunto: ${delivery.subject}`);
+        console.log('\n🎉 ¡Envío exitoso!\n');
+    } catch (error) {
+        console.error('❌ Error de envío:', error.message);
+        process.exit(1);
+    }
+}
+
+testEmail();
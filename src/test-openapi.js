@@ -0,0 +1,44 @@
+import app from './server.js';
+import { buildOpenApiSpec, findRouteProblems, listAppRoutes } from './openapi/index.js';
+
+/**
+ * Revisar que cada ruta /api/* tenga esquema de validación y entrada en la especificación OpenAPI
+ *   npm test
+ * Falla (exit 1) si se agrega una ruta sin documentarla en validation/schemas.js y openapi/routes.js,
+ * o si se registra en un express.Router() montado (Express no guarda dónde se montó)
+ */
+function testOpenApi() {
+    console.log('📘 Checking OpenAPI coverage...\n');
+
+    const problems = findRouteProblems(app);
+    const routes = listAppRoutes(app);
+    const spec = buildOpenApiSpec(app);
+
+    routes.forEach(route => {
+        const specPath = route.path.replace(/:(\w+)/g, '{$1}');
+        const operation = spec.paths[specPath]?.[route.method];
+        if (!operation) {
+            problems.push(`${route.key}: missing from the spec`);
+            return;
+        }
+        if (!Object.keys(operation.responses).some(status => status < 300)) {
+            problems.push(`${route.key}: no success response`);
+        }
+        const declared = (operation.parameters || []).filter(p => p.in === 'path').map(p => p.name);
+        [...specPath.matchAll(/{(\w+)}/g)].map(match => match[1])
+            .filter(name => !declared.includes(name))
+            .forEach(name => problems.push(`${route.key}: path parameter ${name} is not declared`));
+    });
+
+    if (problems.length > 0) {
+        problems.forEach(problem => console.error(`❌ ${problem}`));
+        console.error(`\n${problems.length} problem(s) in ${routes.length} routes`);
+        process.exit(1);
+    }
+
+    console.log(`✅ ${routes.length} rutas con esquema y documentación`);
+    console.log(`✅ ${Object.keys(spec.paths).length} paths en la especificación (${JSON.stringify(spec).length} bytes)`);
+    process.exit(0);
+}
+
+testOpenApi();
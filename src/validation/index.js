@@ -0,0 +1,209 @@
+/**
+ * Request Validation
+ * Esquemas declarativos para el body, la query y los parámetros de cada ruta (ver schemas.js)
+ *
+ * Un esquema describe cada campo:
+ *   { type: 'date', required: true, description: '...' }
+ *   type: date (YYYY-MM-DD) | month (YYYY-MM) | integer | number | string | boolean | enum | array | object,
+ *         o una lista de tipos (['integer', 'string'])
+ *   min / max (integer, number), minLength / maxLength / pattern (string), values (enum),
+ *   items / minItems / maxItems (array), default (solo documenta el valor que usa la ruta)
+ * null, undefined (y "" en fechas y números) cuentan como "no enviado"
+ * refine(req) revisa reglas entre campos y devuelve [{ field, message }]
+ * En la query y los parámetros los números llegan como texto: se aceptan si son números válidos
+ */
+
+import dayjs from 'dayjs';
+import { ValidationError, sendError } from '../errors/index.js';
+import { ROUTE_SCHEMAS } from './schemas.js';
+
+export const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+export const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+const LOCATIONS = ['params', 'query', 'body'];
+const EMPTY_AS_MISSING = ['date', 'month', 'integer', 'number'];
+
+function isMissing(value, spec) {
+    if (value === undefined || value === null) return true;
+    const types = [].concat(spec.type);
+    return value === '' && types.every(type => EMPTY_AS_MISSING.includes(type));
+}
+
+function toNumber(value, coerce) {
+    if (typeof value === 'number') return value;
+    if (coerce && typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) return Number(value);
+    return NaN;
+}
+
+function rangeText(spec, noun) {
+    if (spec.min !== undefined && spec.max !== undefined) return `${noun} between ${spec.min} and ${spec.max}`;
+    if (spec.min === 1 && noun === 'an integer') return 'a positive integer';
+    if (spec.min === 0) return `a non-negative ${noun.replace(/^an? /, '')}`;
+    if (spec.min !== undefined) return `${noun} of at least ${spec.min}`;
+    if (spec.max !== undefined) return `${noun} of at most ${spec.max}`;
+    return noun;
+}
+
+/**
+ * Qué se esperaba de un campo (para el mensaje de error)
+ */
+export function describeSpec(spec) {
+    switch (spec.type) {
+        case 'date': return 'a date (YYYY-MM-DD)';
+        case 'month': return 'a month (YYYY-MM)';
+        case 'integer': return rangeText(spec, 'an integer');
+        case 'number': return rangeText(spec, 'a number');
+        case 'string': return spec.minLength ? 'a non-empty string' : 'a string';
+        case 'boolean': return 'a boolean';
+        case 'enum': return `one of: ${spec.values.join(', ')}`;
+        case 'array': {
+            const prefix = spec.minItems ? 'a non-empty array' : 'an array';
+            return spec.items ? `${prefix} of ${describeSpec(spec.items).replace(/^an? /, '')}s` : prefix;
+        }
+        case 'object': return 'an object';
+        default: return [].concat(spec.type).map(type => describeSpec({ ...spec, type })).join(' or ');
+    }
+}
+
+/**
+ * ¿El valor cumple con el tipo? (sin revisar required)
+ */
+function matches(value, spec, coerce) {
+    if (Array.isArray(spec.type)) return spec.type.some(type => matches(value, { ...spec, type }, coerce));
+
+    switch (spec.type) {
+        case 'date':
+            return typeof value === 'string' && DATE_PATTERN.test(value) && dayjs(value).format('YYYY-MM-DD') === value;
+        case 'month':
+            return typeof value === 'string' && MONTH_PATTERN.test(value);
+        case 'integer':
+        case 'number': {
+            const number = toNumber(value, coerce);
+            if (!Number.isFinite(number) || (spec.type === 'integer' && !Number.isInteger(number))) return false;
+            return (spec.min === undefined || number >= spec.min) && (spec.max === undefined || number <= spec.max);
+        }
+        case 'string':
+            return typeof value === 'string' &&
+                (spec.minLength === undefined || value.trim().length >= spec.minLength) &&
+                (spec.maxLength === undefined || value.length <= spec.maxLength) &&
+                (!spec.pattern || spec.pattern.test(value));
+        case 'boolean':
+            return typeof value === 'boolean' || (coerce && (value === 'true' || value === 'false'));
+        case 'enum':
+            return spec.values.includes(value) || (coerce && spec.values.map(String).includes(value));
+        case 'array':
+            return Array.isArray(value) &&
+                (spec.minItems === undefined || value.length >= spec.minItems) &&
+                (spec.maxItems === undefined || value.length <= spec.maxItems) &&
+                (!spec.items || value.every(item => matches(item, spec.items, false)));
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        default:
+            throw new Error(`Unknown schema type "${spec.type}"`);
+    }
+}
+
+/**
+ * Validar un objeto contra los campos de un esquema
+ * @returns {Array<{field: string, message: string}>}
+ */
+export function validateFields(fields = {}, input = {}, { coerce = false } = {}) {
+    const errors = [];
+    Object.entries(fields).forEach(([name, spec]) => {
+        const value = input?.[name];
+        if (isMissing(value, spec)) {
+            if (spec.required) errors.push({ field: name, message: `${name} is required` });
+            return;
+        }
+        if (!matches(value, spec, coerce)) {
+            errors.push({ field: name, message: `${name} must be ${describeSpec(spec)}` });
+        }
+    });
+    return errors;
+}
+
+/**
+ * Errores de una petición contra su esquema
+ */
+export function validateRequest(schema, req) {
+    const errors = LOCATIONS.flatMap(location =>
+        validateFields(schema[location], req[location] ?? {}, { coerce: location !== 'body' })
+    );
+    // Las reglas entre campos solo se revisan si cada campo es válido por sí mismo
+    if (errors.length === 0 && schema.refine) errors.push(...schema.refine(req));
+    return errors;
+}
+
+/**
+ * Middleware de validación para una ruta de ROUTE_SCHEMAS ("POST /api/analytics/sales")
+ */
+export function validate(route) {
+    const schema = ROUTE_SCHEMAS[route];
+    if (!schema) throw new Error(`No schema for route ${route}`);
+
+    const middleware = (req, res, next) => {
+        // Sin body JSON (o sin Content-Type) Express deja req.body sin definir; la ruta
+        // recibe el mismo objeto vacío contra el que se validó
+        req.body ??= {};
+        const errors = validateRequest(schema, req);
+        if (errors.length > 0) return sendError(res, new ValidationError(errors));
+        next();
+    };
+    // Para revisar que cada ruta use su propio esquema (ver openapi/index.js)
+    middleware.schemaRoute = route;
+    return middleware;
+}
+
+/**
+ * Error 400 con los mensajes de un validador del repo (validateJobInput, validateGoalInput...);
+ * los campos se reconocen con los del esquema de la ruta
+ */
+export function validationError(route, messages) {
+    const schema = ROUTE_SCHEMAS[route] || {};
+    const known = LOCATIONS.flatMap(location => Object.keys(schema[location] || {}));
+    return ValidationError.fromMessages(messages, known);
+}
+
+// ===================== REGLAS ENTRE CAMPOS =====================
+
+/**
+ * Rango de fechas: las dos o ninguna (ambas si required) y el inicio antes del fin
+ */
+export function dateRange(startField, endField, { required = false, source = 'body' } = {}) {
+    const check = req => {
+        const input = req[source] ?? {};
+        const start = input[startField] || null;
+        const end = input[endField] || null;
+
+        if (!start && !end && !required) return [];
+        if (!start || !end) {
+            const missing = !start ? startField : endField;
+            return [{ field: missing, message: `${startField} and ${endField} go together` }];
+        }
+        if (start > end) {
+            return [{ field: endField, message: `${endField} must be on or after ${startField}` }];
+        }
+        return [];
+    };
+    // Las reglas entre campos no caben en el JSON Schema: la documentación las muestra como texto
+    check.description = `${startField} y ${endField} van juntas${required ? '' : ' (o ninguna)'}; ${startField} ≤ ${endField}`;
+    return check;
+}
+
+/**
+ * Juntar varias reglas en un refine
+ */
+export function rules(...checks) {
+    const check = req => checks.flatMap(c => c(req));
+    check.description = checks.map(c => c.description).filter(Boolean).join('. ');
+    return check;
+}
+
+export default {
+    describeSpec,
+    validateFields,
+    validateRequest,
+    validate,
+    validationError,
+    dateRange,
+    rules
+};
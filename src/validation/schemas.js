@@ -0,0 +1,312 @@
+/**
+ * Route Schemas
+ * Esquema de cada ruta de la API, por "MÉTODO /ruta" (formato de Express)
+ *
+ * Las reglas de negocio que necesitan datos guardados (cron válido, metas duplicadas,
+ * variables de una plantilla...) siguen en el validador de cada módulo
+ */
+
+import { SEGMENTS } from '../queries/segments.js';
+import { RISK_LEVELS } from '../queries/churn.js';
+import { MAX_FORECAST_MONTHS, Z_SCORES } from '../queries/forecast.js';
+import { GOAL_METRICS } from '../queries/goals.js';
+import { CLIENT_STATUSES } from '../campaigns/index.js';
+import { TEMPLATE_CHANNELS } from '../templates/index.js';
+import { REPORT_PERIODS } from '../scheduler/periods.js';
+import { REPORT_SECTIONS } from '../generators/dashboard-data.js';
+import { ROLES } from '../auth/index.js';
+import { PRIVACY_MODES } from '../privacy/index.js';
+import { AUDIT_ACTIONS } from '../audit/index.js';
+import { CACHED_TABLES } from '../datasources/cached-source.js';
+import { dateRange, rules } from './index.js';
+
+// ===================== CAMPOS COMUNES =====================
+
+const year = { type: 'integer', min: 2000, max: 2100, description: 'Año (si no se envía un rango)' };
+const startDate = { type: 'date', description: 'Inicio del rango' };
+const endDate = { type: 'date', description: 'Fin del rango' };
+const days = (description, defaultValue) => ({ type: 'integer', min: 1, max: 3650, default: defaultValue, description });
+const page = { type: 'integer', min: 1, default: 1, description: 'Página' };
+const pageSize = { type: 'integer', min: 1, default: 20, description: 'Filas por página' };
+const limit = (max, defaultValue) => ({ type: 'integer', min: 1, max, default: defaultValue, description: 'Máximo de filas' });
+const privacy = { type: 'enum', values: Object.keys(PRIVACY_MODES), description: 'Modo de privacidad (por defecto el del rol)' };
+const id = name => ({ params: { id: { type: 'integer', min: 1, required: true, description: `Id de ${name}` } } });
+const comparePeriods = {
+    body: {
+        period1Start: { type: 'date', required: true },
+        period1End: { type: 'date', required: true },
+        period2Start: { type: 'date', required: true },
+        period2End: { type: 'date', required: true }
+    },
+    refine: rules(
+        dateRange('period1Start', 'period1End', { required: true }),
+        dateRange('period2Start', 'period2End', { required: true })
+    )
+};
+const goalMetrics = Object.fromEntries(Object.keys(GOAL_METRICS).map(key => [key, key === 'occupancy' ?
+    { type: 'number', min: 0, max: 100, description: 'Ocupación objetivo (%)' } :
+    { type: 'number', min: 0, description: GOAL_METRICS[key].label }]));
+const emailList = { type: 'array', items: { type: 'string' }, description: 'Correos' };
+
+export const ROUTE_SCHEMAS = {
+    // ===================== SESIÓN Y USUARIOS =====================
+    'POST /api/auth/login': {
+        body: {
+            username: { type: 'string', required: true },
+            password: { type: 'string', required: true }
+        }
+    },
+    'POST /api/auth/logout': {},
+    'GET /api/auth/me': {},
+    'GET /api/users': {},
+    'POST /api/users': {
+        body: {
+            username: { type: 'string', required: true, description: '3-32 letras minúsculas, números, ".", "_" o "-"' },
+            name: { type: 'string', minLength: 1, required: true },
+            role: { type: 'enum', values: Object.keys(ROLES), required: true },
+            password: { type: 'string', required: true, description: 'Al menos 8 caracteres' },
+            active: { type: 'boolean', default: true }
+        }
+    },
+    'PUT /api/users/:id': {
+        ...id('usuario'),
+        body: {
+            name: { type: 'string', minLength: 1 },
+            role: { type: 'enum', values: Object.keys(ROLES) },
+            password: { type: 'string' },
+            active: { type: 'boolean' }
+        }
+    },
+    'DELETE /api/users/:id': id('usuario'),
+    'GET /api/audit': {
+        query: {
+            user_id: { type: 'integer', min: 1, description: 'Solo las de este usuario' },
+            action: { type: 'enum', values: Object.keys(AUDIT_ACTIONS) },
+            from: { type: 'date', description: 'Desde (inclusive)' },
+            to: { type: 'date', description: 'Hasta (inclusive)' },
+            limit: limit(undefined, 200)
+        },
+        refine: dateRange('from', 'to', { source: 'query' })
+    },
+
+    // ===================== CACHÉ =====================
+    'GET /api/health': {},
+    'GET /api/health/details': {},
+    'GET /api/openapi.json': {},
+    'GET /api/cache': {},
+    'POST /api/cache/refresh': {
+        body: { table: { type: 'enum', values: CACHED_TABLES, description: 'Tabla a descartar (todas si no se envía)' } }
+    },
+
+    // ===================== ANALÍTICA =====================
+    'POST /api/analytics/retention': {},
+    'POST /api/analytics/sales': {
+        body: { year, startDate, endDate },
+        refine: dateRange('startDate', 'endDate')
+    },
+    'POST /api/analytics/top-buyers': {
+        body: { year, limit: limit(1000, 10), startDate, endDate },
+        refine: dateRange('startDate', 'endDate')
+    },
+    'POST /api/analytics/dormant': {
+        body: { daysInactive: days('Días sin actividad', 30) }
+    },
+    'POST /api/analytics/popular-classes': {},
+    'POST /api/analytics/attendance': {},
+    'POST /api/analytics/compare': comparePeriods,
+    'POST /api/analytics/weekly-schedule': {
+        body: { days: days('Últimos N días (si no se envía un rango)', 30), startDate, endDate },
+        refine: dateRange('startDate', 'endDate')
+    },
+    'POST /api/analytics/user-history': {
+        body: { userId: { type: 'string', minLength: 1, required: true } }
+    },
+    'POST /api/analytics/dormant-paginated': {
+        body: { daysInactive: days('Días sin actividad', 30), page, pageSize }
+    },
+    'POST /api/analytics/credits-compare': comparePeriods,
+    'POST /api/analytics/cohorts': {
+        body: { monthsBack: { type: 'integer', min: 1, max: 60, default: 12, description: 'Cohortes (meses) a incluir' } }
+    },
+    'POST /api/analytics/ltv': {
+        body: { limit: limit(1000, 25) }
+    },
+    'POST /api/analytics/segments': {
+        body: {
+            segment: { type: 'enum', values: SEGMENTS.map(s => s.id), description: 'Lista de clientas de un segmento' },
+            page,
+            pageSize
+        }
+    },
+    'POST /api/analytics/churn-risk': {
+        body: {
+            dormantDays: days('Días sin actividad para considerarla dormida', 30),
+            minLevel: { type: 'enum', values: Object.keys(RISK_LEVELS), default: 'medio' }
+        }
+    },
+    'POST /api/analytics/credits-expiration': {
+        body: { contactDays: { type: 'integer', min: 1, max: 365, default: 14, description: 'Vencen en los próximos N días' } }
+    },
+    'POST /api/analytics/coaches': {
+        body: {
+            monthsBack: { type: 'integer', min: 1, max: 60, default: 6 },
+            dormantDays: days('Días sin actividad', 30),
+            coachId: { type: ['integer', 'string'], description: 'Detalle de un coach' }
+        }
+    },
+    'POST /api/analytics/cancellations': {
+        body: {
+            days: days('Últimos N días (si no se envía un rango)', 90),
+            startDate,
+            endDate,
+            lateCancelHours: { type: 'number', min: 0, max: 168, default: 12 },
+            minLateCancels: { type: 'integer', min: 1, default: 2 }
+        },
+        refine: dateRange('startDate', 'endDate')
+    },
+    'POST /api/analytics/forecast': {
+        body: {
+            months: { type: 'integer', min: 1, max: MAX_FORECAST_MONTHS, default: 3 },
+            confidence: { type: 'enum', values: Object.keys(Z_SCORES).map(Number), default: 0.8 }
+        }
+    },
+    'POST /api/analytics/goals-progress': {
+        body: { month: { type: 'month', description: 'Por defecto el mes en curso' } }
+    },
+    'POST /api/analytics/campaign-attribution': {
+        body: {
+            windowDays: { type: 'integer', min: 1, max: 365, description: 'Por defecto CAMPAIGN_ATTRIBUTION_DAYS' },
+            campaignId: { type: 'integer', min: 1 }
+        }
+    },
+
+    // ===================== REPORTES =====================
+    'POST /api/generate-pdf': {
+        body: { year, startDate, endDate, privacy },
+        refine: dateRange('startDate', 'endDate')
+    },
+    'GET /api/reports': {},
+    'POST /api/reports/email': {
+        body: {
+            filename: { type: 'string', pattern: /^[^/\\]+\.pdf$/, required: true, description: 'PDF generado' },
+            recipients: { ...emailList, minItems: 1, description: 'Por defecto EMAIL_RECIPIENTS' },
+            subject: { type: 'string' }
+        }
+    },
+    'GET /api/email/deliveries': {
+        query: {
+            status: { type: 'enum', values: ['sending', 'sent', 'failed'] },
+            limit: limit(undefined, 50)
+        }
+    },
+
+    // ===================== METAS =====================
+    'GET /api/goals': {},
+    'GET /api/goals/:month': {
+        params: { month: { type: 'month', required: true } }
+    },
+    'POST /api/goals': {
+        body: { month: { type: 'month', required: true }, ...goalMetrics }
+    },
+    'PUT /api/goals/:month': {
+        params: { month: { type: 'month', required: true } },
+        body: goalMetrics
+    },
+    'DELETE /api/goals/:month': {
+        params: { month: { type: 'month', required: true } }
+    },
+
+    // ===================== REPORTES PROGRAMADOS =====================
+    'GET /api/schedules': {},
+    'GET /api/schedules/runs': {
+        query: { jobId: { type: 'integer', min: 1 }, limit: limit(undefined, 50) }
+    },
+    'POST /api/schedules': {
+        body: {
+            name: { type: 'string', minLength: 1, required: true },
+            cron: { type: 'string', required: true, description: 'minuto hora día mes día-semana' },
+            period: { type: 'enum', values: Object.keys(REPORT_PERIODS), required: true },
+            sections: { type: 'array', items: { type: 'enum', values: Object.keys(REPORT_SECTIONS) } },
+            recipients: emailList,
+            privacy,
+            active: { type: 'boolean', default: true }
+        }
+    },
+    'PUT /api/schedules/:id': {
+        ...id('la tarea'),
+        body: {
+            name: { type: 'string', minLength: 1 },
+            cron: { type: 'string' },
+            period: { type: 'enum', values: Object.keys(REPORT_PERIODS) },
+            sections: { type: 'array', items: { type: 'enum', values: Object.keys(REPORT_SECTIONS) } },
+            recipients: emailList,
+            privacy,
+            active: { type: 'boolean' }
+        }
+    },
+    'DELETE /api/schedules/:id': id('la tarea'),
+    'POST /api/schedules/:id/run': id('la tarea'),
+    'GET /api/scheduler/tick': {},
+    'POST /api/scheduler/tick': {},
+
+    // ===================== CAMPAÑAS =====================
+    'GET /api/campaigns': {},
+    'POST /api/campaigns/contacts': {
+        body: { userIds: { type: 'array', items: { type: 'string' }, description: 'Todas si no se envía' } }
+    },
+    'GET /api/campaigns/:id': id('la campaña'),
+    'POST /api/campaigns': {
+        body: {
+            name: { type: 'string', minLength: 1, required: true },
+            template: { type: 'string', minLength: 1, required: true },
+            target: { type: 'object', required: true, description: '{ type: dormant | vip | segment, ... }' }
+        }
+    },
+    'PUT /api/campaigns/:id/clients/:userId': {
+        params: {
+            id: { type: 'integer', min: 1, required: true },
+            userId: { type: 'string', required: true }
+        },
+        body: {
+            status: { type: 'enum', values: CLIENT_STATUSES, required: true },
+            reason: { type: 'string' },
+            force: { type: 'boolean', default: false }
+        }
+    },
+    'DELETE /api/campaigns/:id': id('la campaña'),
+
+    // ===================== PLANTILLAS =====================
+    'GET /api/templates': {
+        query: { channel: { type: 'enum', values: Object.keys(TEMPLATE_CHANNELS) } }
+    },
+    'GET /api/templates/clients': {},
+    'POST /api/templates/render': {
+        body: {
+            key: { type: 'string', description: 'Plantilla guardada' },
+            body: { type: 'string', description: 'Texto a renderizar (si no se envía key)' },
+            channel: { type: 'enum', values: Object.keys(TEMPLATE_CHANNELS), default: 'whatsapp' },
+            userId: { type: 'string', description: 'Clienta para las variables de WhatsApp' },
+            vars: { type: 'object', description: 'Variables que reemplazan a las de la clienta o del reporte' }
+        }
+    },
+    'GET /api/templates/:id': id('la plantilla'),
+    'POST /api/templates': {
+        body: {
+            key: { type: 'string', required: true, description: 'Letras minúsculas, números y _' },
+            name: { type: 'string', minLength: 1, required: true },
+            channel: { type: 'enum', values: Object.keys(TEMPLATE_CHANNELS), required: true },
+            body: { type: 'string', required: true }
+        }
+    },
+    'PUT /api/templates/:id': {
+        ...id('la plantilla'),
+        body: {
+            name: { type: 'string', minLength: 1 },
+            channel: { type: 'enum', values: Object.keys(TEMPLATE_CHANNELS) },
+            body: { type: 'string' }
+        }
+    },
+    'DELETE /api/templates/:id': id('la plantilla')
+};
+
+export default ROUTE_SCHEMAS;